@@ -0,0 +1,49 @@
+/// <reference path="../pb_data/types.d.ts" />
+
+/**
+ * Subscribable ICS feed of the reading timeline
+ *
+ * POST /api/readtrail/calendar/token    (auth required) - create or replace the caller's feed token
+ * GET  /api/readtrail/calendar/{token}  (no auth)       - the feed, authenticated by the token alone
+ *
+ * Handlers run in isolated contexts, so shared code lives in calendar_utils.js.
+ */
+
+routerAdd("POST", "/api/readtrail/calendar/token", (e) => {
+  const user = e.auth
+
+  const token = $security.randomString(48)
+  user.set("calendar_token", token)
+  e.app.save(user)
+
+  return e.json(200, { token: token })
+}, $apis.requireAuth("users"))
+
+routerAdd("GET", "/api/readtrail/calendar/{token}", (e) => {
+  const utils = require(`${__hooks}/calendar_utils.js`)
+
+  const token = e.request.pathValue("token")
+  if (!token || token.length < 32) {
+    throw new NotFoundError("Calendar not found.")
+  }
+
+  let user
+  try {
+    user = e.app.findFirstRecordByData("users", "calendar_token", token)
+  } catch (_) {
+    throw new NotFoundError("Calendar not found.")
+  }
+
+  const books = e.app.findRecordsByFilter(
+    "books",
+    "owner = {:owner} && status = 'read' && read_date != ''",
+    "-read_date",
+    0,
+    0,
+    { owner: user.id }
+  )
+
+  e.response.header().set("Content-Type", "text/calendar; charset=utf-8")
+  e.response.header().set("Cache-Control", "private, max-age=3600")
+  return e.string(200, utils.renderCalendar(books))
+})
@@ -0,0 +1,129 @@
+/**
+ * Calendar feed helpers for calendar.pb.js
+ * Mirrors frontend/src/services/calendarExport.js so downloaded files and the feed match
+ */
+
+const MAX_LINE_OCTETS = 75
+
+function escapeText(value) {
+  return String(value == null ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n")
+}
+
+// Byte length of one character in UTF-8
+function utf8Length(char) {
+  const code = char.codePointAt(0)
+  if (code < 0x80) return 1
+  if (code < 0x800) return 2
+  if (code < 0x10000) return 3
+  return 4
+}
+
+function foldLine(line) {
+  const parts = []
+  let current = ""
+  let currentOctets = 0
+
+  for (const char of line) {
+    const octets = utf8Length(char)
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1
+    if (currentOctets + octets > limit) {
+      parts.push(current)
+      current = ""
+      currentOctets = 0
+    }
+    current += char
+    currentOctets += octets
+  }
+  parts.push(current)
+
+  return parts.join("\r\n ")
+}
+
+function toICSDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")
+}
+
+/**
+ * Convert a books record to an event, or null when it has no real read date
+ * read_date is stored with unknown parts as 01 ("2024-03-01 00:00:00.000Z" for March 2024),
+ * read_date_precision says which parts are known (empty for records from before it existed = month)
+ */
+function recordToEvent(record) {
+  if (record.getString("status") !== "read") return null
+  if (record.getString("read_date_precision") === "year") return null
+
+  const readDate = record.getString("read_date").slice(0, 10)
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(readDate)) return null
+
+  let attributes = {}
+  try {
+    attributes = JSON.parse(record.getString("attributes") || "{}") || {}
+  } catch (_) {
+    attributes = {}
+  }
+
+  return {
+    id: record.id,
+    name: record.getString("name"),
+    author: record.getString("author"),
+    readDate: readDate,
+    isUnfinished: attributes.isUnfinished === true,
+    score: attributes.score == null ? null : attributes.score
+  }
+}
+
+function buildEvent(event, timestamp) {
+  const [year, month, day] = event.readDate.split("-").map(Number)
+  const end = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10)
+  const summary = event.isUnfinished ? "Stopped reading: " + event.name : "Read: " + event.name
+
+  const description = [
+    event.author ? "by " + event.author : null,
+    event.score === 1 ? "Liked" : null,
+    event.score === -1 ? "Disliked" : null
+  ].filter(Boolean).join("\n")
+
+  return [
+    "BEGIN:VEVENT",
+    "UID:" + event.id + "@readtrail",
+    "DTSTAMP:" + timestamp,
+    "DTSTART;VALUE=DATE:" + event.readDate.replace(/-/g, ""),
+    "DTEND;VALUE=DATE:" + end.replace(/-/g, ""),
+    "SUMMARY:" + escapeText(summary),
+    description ? "DESCRIPTION:" + escapeText(description) : null,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT"
+  ].filter(Boolean)
+}
+
+/**
+ * Render books records as an iCalendar document
+ */
+function renderCalendar(records) {
+  const timestamp = toICSDateTime(new Date())
+  const events = records.map(recordToEvent).filter(Boolean)
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//readtrail//Reading Timeline//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:readtrail",
+    "REFRESH-INTERVAL;VALUE=DURATION:PT12H"
+  ]
+  events.forEach((event) => {
+    buildEvent(event, timestamp).forEach((line) => lines.push(line))
+  })
+  lines.push("END:VCALENDAR")
+
+  return lines.map(foldLine).join("\r\n") + "\r\n"
+}
+
+module.exports = {
+  renderCalendar: renderCalendar
+}
@@ -0,0 +1,18 @@
+/// <reference path="../pb_data/types.d.ts" />
+migrate((app) => {
+  const settings = app.settings()
+
+  // Bulk creates and edits (migration, imports) are sent as transactional batches
+  settings.batch.enabled = true
+  settings.batch.maxRequests = 50
+  settings.batch.timeout = 10
+  settings.batch.maxBodySize = 0
+
+  return app.save(settings)
+}, (app) => {
+  const settings = app.settings()
+
+  settings.batch.enabled = false
+
+  return app.save(settings)
+})
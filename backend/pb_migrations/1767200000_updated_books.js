@@ -0,0 +1,58 @@
+/// <reference path="../pb_data/types.d.ts" />
+migrate((app) => {
+  const collection = app.findCollectionByNameOrId("pbc_2170393721")
+
+  // add field
+  collection.fields.addAt(10, new Field({
+    "hidden": false,
+    "id": "select2063623452",
+    "maxSelect": 1,
+    "name": "status",
+    "presentable": false,
+    "required": false,
+    "system": false,
+    "type": "select",
+    "values": [
+      "to_read",
+      "reading",
+      "read",
+      "read_lately",
+      "read_long_ago"
+    ]
+  }))
+
+  app.save(collection)
+
+  // Replace the sentinel read dates (2100 = to read, 1910 = lately, 1900 = long ago)
+  // with a status. Raw SQL so existing records keep their "updated" timestamp.
+  app.db().newQuery(`
+    UPDATE books SET status = CASE
+      WHEN read_date LIKE '2100-%' THEN 'to_read'
+      WHEN read_date LIKE '1910-%' THEN 'read_lately'
+      WHEN read_date != '' AND read_date < '1901' THEN 'read_long_ago'
+      WHEN read_date IS NULL OR read_date = '' THEN 'reading'
+      ELSE 'read'
+    END
+  `).execute()
+
+  app.db().newQuery(`
+    UPDATE books SET read_date = ''
+    WHERE status IN ('to_read', 'read_lately', 'read_long_ago')
+  `).execute()
+}, (app) => {
+  app.db().newQuery(`
+    UPDATE books SET read_date = CASE status
+      WHEN 'to_read' THEN '2100-01-01 00:00:00.000Z'
+      WHEN 'read_lately' THEN '1910-01-01 00:00:00.000Z'
+      WHEN 'read_long_ago' THEN '1900-01-01 00:00:00.000Z'
+      ELSE read_date
+    END
+  `).execute()
+
+  const collection = app.findCollectionByNameOrId("pbc_2170393721")
+
+  // remove field
+  collection.fields.removeById("select2063623452")
+
+  return app.save(collection)
+})
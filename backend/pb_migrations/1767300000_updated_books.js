@@ -0,0 +1,69 @@
+/// <reference path="../pb_data/types.d.ts" />
+migrate((app) => {
+  const collection = app.findCollectionByNameOrId("pbc_2170393721")
+
+  // add field
+  collection.fields.addAt(11, new Field({
+    "hidden": false,
+    "id": "select1593408411",
+    "maxSelect": 1,
+    "name": "read_date_precision",
+    "presentable": false,
+    "required": false,
+    "system": false,
+    "type": "select",
+    "values": [
+      "day",
+      "month",
+      "year"
+    ]
+  }))
+
+  // add field
+  collection.fields.addAt(12, new Field({
+    "hidden": false,
+    "id": "date1269603864",
+    "max": "",
+    "min": "",
+    "name": "start_date",
+    "presentable": false,
+    "required": false,
+    "system": false,
+    "type": "date"
+  }))
+
+  // add field
+  collection.fields.addAt(13, new Field({
+    "hidden": false,
+    "id": "select2732118329",
+    "maxSelect": 1,
+    "name": "start_date_precision",
+    "presentable": false,
+    "required": false,
+    "system": false,
+    "type": "select",
+    "values": [
+      "day",
+      "month",
+      "year"
+    ]
+  }))
+
+  app.save(collection)
+
+  // Existing read dates were always stored as the 1st of the read month.
+  // Raw SQL so existing records keep their "updated" timestamp.
+  app.db().newQuery(`
+    UPDATE books SET read_date_precision = 'month'
+    WHERE read_date IS NOT NULL AND read_date != ''
+  `).execute()
+}, (app) => {
+  const collection = app.findCollectionByNameOrId("pbc_2170393721")
+
+  // remove field
+  collection.fields.removeById("select1593408411")
+  collection.fields.removeById("date1269603864")
+  collection.fields.removeById("select2732118329")
+
+  return app.save(collection)
+})
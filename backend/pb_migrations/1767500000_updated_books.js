@@ -0,0 +1,40 @@
+/// <reference path="../pb_data/types.d.ts" />
+migrate((app) => {
+  const collection = app.findCollectionByNameOrId("pbc_2170393721")
+
+  // add field
+  collection.fields.addAt(15, new Field({
+    "hidden": false,
+    "id": "number3093104219",
+    "max": null,
+    "min": 0,
+    "name": "page_count",
+    "onlyInt": true,
+    "presentable": false,
+    "required": false,
+    "system": false,
+    "type": "number"
+  }))
+
+  // add field
+  collection.fields.addAt(16, new Field({
+    "hidden": false,
+    "id": "json1408196426",
+    "maxSize": 0,
+    "name": "progress",
+    "presentable": false,
+    "required": false,
+    "system": false,
+    "type": "json"
+  }))
+
+  return app.save(collection)
+}, (app) => {
+  const collection = app.findCollectionByNameOrId("pbc_2170393721")
+
+  // remove field
+  collection.fields.removeById("number3093104219")
+  collection.fields.removeById("json1408196426")
+
+  return app.save(collection)
+})
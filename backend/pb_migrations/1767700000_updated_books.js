@@ -0,0 +1,25 @@
+/// <reference path="../pb_data/types.d.ts" />
+migrate((app) => {
+  const collection = app.findCollectionByNameOrId("pbc_2170393721")
+
+  // add field
+  collection.fields.addAt(17, new Field({
+    "hidden": false,
+    "id": "json3560465317",
+    "maxSize": 0,
+    "name": "tags",
+    "presentable": false,
+    "required": false,
+    "system": false,
+    "type": "json"
+  }))
+
+  return app.save(collection)
+}, (app) => {
+  const collection = app.findCollectionByNameOrId("pbc_2170393721")
+
+  // remove field
+  collection.fields.removeById("json3560465317")
+
+  return app.save(collection)
+})
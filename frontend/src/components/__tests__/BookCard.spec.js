@@ -1,5 +1,5 @@
 import { describe, it, expect, vi } from 'vitest'
-import { mount } from '@vue/test-utils'
+import { mount, RouterLinkStub } from '@vue/test-utils'
 import { nextTick, ref } from 'vue'
 import BookCard from '../library/BookCard.vue'
 import EditableText from '../library/EditableText.vue'
@@ -7,6 +7,8 @@ import BookStatus from '../library/BookStatus.vue'
 import BookCover from '../library/BookCover.vue'
 import DatePickerCard from '../library/DatePicker.vue'
 import IconButton from '../library/IconButton.vue'
+import ReadingProgress from '../library/ReadingProgress.vue'
+import BookTags from '../library/BookTags.vue'
 
 // Mock the composables
 vi.mock('@/composables/useDateHelpers', () => ({
@@ -32,24 +34,8 @@ vi.mock('@/composables/useTemporaryScoreEdit', () => ({
   })
 }))
 
-vi.mock('@/constants', () => ({
-  BOOK_STATUS: {
-    SENTINEL_YEAR: 1900,
-    SENTINEL_YEAR_LATELY: 1910,
-    SENTINEL_YEAR_TO_READ: 2100,
-    SENTINEL_MONTH: 1,
-    isReadLongAgo: (year) => year === 1900,
-    isReadLately: (year) => year === 1910,
-    isToRead: (year) => year === 2100,
-    isSentinelYear: (year) => year === 1900 || year === 1910 || year === 2100,
-    isUnfinished: (book) => book?.attributes?.isUnfinished === true,
-    getTimelineLabel: (year) => {
-      if (year === 2100) return 'To Read'
-      if (year === 1910) return 'Read Lately'
-      if (year <= 1900) return 'Long Time Ago'
-      return year
-    }
-  },
+vi.mock('@/constants', async (importOriginal) => ({
+  BOOK_STATUS: (await importOriginal()).BOOK_STATUS,
   DATE_PICKER: {
     YEAR_LOOKBACK: 20,
     YEAR_LOOKAHEAD: 10
@@ -84,7 +70,6 @@ vi.mock('@/constants', () => ({
     { name: 'Nov', fullName: 'November', index: 10 },
     { name: 'Dec', fullName: 'December', index: 11 }
   ],
-  SENTINEL_MONTH_INDEX: 0,
   Z_INDEX: {
     EDIT_OVERLAY: 10,
     BACKDROP: 20,
@@ -93,7 +78,8 @@ vi.mock('@/constants', () => ({
   },
   UNFINISHED_STYLE: {
     RIBBON_COLOR: '#f59e0b'
-  }
+  },
+  TAG_COLORS: ['#3b82f6', '#10b981']
 }))
 
 describe('BookCard', () => {
@@ -124,7 +110,19 @@ describe('BookCard', () => {
   const mockBooksStore = {
     updateBookStatus: vi.fn(),
     updateBookFields: vi.fn(),
-    deleteBook: vi.fn()
+    deleteBook: vi.fn(),
+    startRereading: vi.fn(),
+    updatePastRead: vi.fn(),
+    deletePastRead: vi.fn(),
+    updateReadingProgress: vi.fn()
+  }
+
+  const mockTagsStore = {
+    tags: [
+      { id: 'tag-1', name: 'Sci-fi', color: '#3b82f6' },
+      { id: 'tag-2', name: 'Favorites', color: '#ef4444' }
+    ],
+    createTag: vi.fn()
   }
 
   const mockSettingsStore = {
@@ -143,10 +141,11 @@ describe('BookCard', () => {
     return mount(BookCard, {
       props: { book },
       global: {
-        stubs: { Teleport: true },
+        stubs: { Teleport: true, RouterLink: RouterLinkStub },
         provide: {
           booksStore: mockBooksStore,
-          settingsStore
+          settingsStore,
+          tagsStore: mockTagsStore
         }
       }
     })
@@ -327,10 +326,63 @@ describe('BookCard', () => {
 
       // Select date
       const datePicker = wrapper.findComponent(DatePickerCard)
-      await datePicker.vm.$emit('date-select', { year: 2024, month: 11, isUnfinished: false, keepOpen: false })
+      await datePicker.vm.$emit('date-select', { status: 'read', year: 2024, month: 11, isUnfinished: false, keepOpen: false })
+      await nextTick()
+
+      expect(mockBooksStore.updateBookStatus).toHaveBeenCalledWith('1', 2024, 12, false, null, 'read', null)
+    })
+
+    it('passes the day when one is selected', async () => {
+      const wrapper = createWrapper(inProgressBook)
+
+      await wrapper.findComponent(BookStatus).vm.$emit('open-picker')
+      await nextTick()
+
+      await wrapper.findComponent(DatePickerCard).vm.$emit('date-select', { status: 'read', year: 2024, month: 2, day: 14, isUnfinished: false })
+      await nextTick()
+
+      expect(mockBooksStore.updateBookStatus).toHaveBeenCalledWith('1', 2024, 3, false, null, 'read', 14)
+    })
+
+    it('updates the start date when one is selected', async () => {
+      const wrapper = createWrapper(inProgressBook)
+
+      await wrapper.findComponent(BookStatus).vm.$emit('open-picker')
+      await nextTick()
+
+      await wrapper.findComponent(DatePickerCard).vm.$emit('start-date-select', { year: 2024, month: 0, day: null })
+      await nextTick()
+
+      expect(mockBooksStore.updateBookFields).toHaveBeenCalledWith('1', {
+        startDate: { year: 2024, month: 1, day: null }
+      })
+      expect(wrapper.findComponent(DatePickerCard).exists()).toBe(false)
+    })
+
+    it('clears the start date', async () => {
+      const wrapper = createWrapper(inProgressBook)
+
+      await wrapper.findComponent(BookStatus).vm.$emit('open-picker')
+      await nextTick()
+
+      await wrapper.findComponent(DatePickerCard).vm.$emit('start-date-select', null)
+      await nextTick()
+
+      expect(mockBooksStore.updateBookFields).toHaveBeenCalledWith('1', { startDate: null })
+    })
+
+    it('passes undated statuses without a month', async () => {
+      const wrapper = createWrapper(inProgressBook)
+
+      const bookStatus = wrapper.findComponent(BookStatus)
+      await bookStatus.vm.$emit('open-picker')
+      await nextTick()
+
+      const datePicker = wrapper.findComponent(DatePickerCard)
+      await datePicker.vm.$emit('date-select', { status: 'read_lately', year: null, month: null, isUnfinished: false })
       await nextTick()
 
-      expect(mockBooksStore.updateBookStatus).toHaveBeenCalledWith('1', 2024, 12, false, null)
+      expect(mockBooksStore.updateBookStatus).toHaveBeenCalledWith('1', null, null, false, null, 'read_lately', null)
     })
 
     it('closes picker after date selection (when keepOpen is false)', async () => {
@@ -345,7 +397,7 @@ describe('BookCard', () => {
 
       // Select date without keepOpen
       const datePicker = wrapper.findComponent(DatePickerCard)
-      await datePicker.vm.$emit('date-select', { year: 2024, month: 11, isUnfinished: false, keepOpen: false })
+      await datePicker.vm.$emit('date-select', { status: 'read', year: 2024, month: 11, isUnfinished: false, keepOpen: false })
       await nextTick()
 
       // Picker should be closed
@@ -392,6 +444,136 @@ describe('BookCard', () => {
     })
   })
 
+  describe('Reading Progress', () => {
+    it('shows progress on in-progress books only', () => {
+      expect(createWrapper(inProgressBook).findComponent(ReadingProgress).exists()).toBe(true)
+      expect(createWrapper(completedBook).findComponent(ReadingProgress).exists()).toBe(false)
+    })
+
+    it('records progress updates', async () => {
+      const wrapper = createWrapper({ ...inProgressBook, pageCount: 300, progress: [] })
+
+      const progress = wrapper.findComponent(ReadingProgress)
+      expect(progress.props('pageCount')).toBe(300)
+      await progress.vm.$emit('update', { page: 120 }, 300)
+
+      expect(mockBooksStore.updateReadingProgress).toHaveBeenCalledWith('1', { page: 120 }, 300)
+    })
+  })
+
+  describe('Tags', () => {
+    const taggedBook = { ...completedBook, tags: ['tag-1'] }
+
+    const enterEditMode = async (wrapper) => {
+      const editIcon = wrapper.findAllComponents(IconButton).find(b => b.props('title') === 'Edit book')
+      await editIcon.vm.$emit('click')
+      await nextTick()
+    }
+
+    it('shows the book tags', () => {
+      const wrapper = createWrapper(taggedBook)
+
+      const bookTags = wrapper.findComponent(BookTags)
+      expect(bookTags.props('tagIds')).toEqual(['tag-1'])
+      expect(bookTags.props('editable')).toBe(false)
+      expect(wrapper.text()).toContain('Sci-fi')
+    })
+
+    it('edits tags in edit mode only', async () => {
+      const wrapper = createWrapper(taggedBook)
+      await enterEditMode(wrapper)
+
+      expect(wrapper.findComponent(BookTags).props('editable')).toBe(true)
+    })
+
+    it('does not edit tags on an earlier reading', async () => {
+      const wrapper = createWrapper({ ...taggedBook, pastReadIndex: 0 })
+      await enterEditMode(wrapper)
+
+      expect(wrapper.findComponent(BookTags).props('editable')).toBe(false)
+    })
+
+    it('saves the new tag list', async () => {
+      const wrapper = createWrapper(taggedBook)
+
+      await wrapper.findComponent(BookTags).vm.$emit('update', ['tag-1', 'tag-2'])
+
+      expect(mockBooksStore.updateBookFields).toHaveBeenCalledWith('2', { tags: ['tag-1', 'tag-2'] })
+    })
+
+    it('creates a tag and adds it to the book', async () => {
+      mockTagsStore.createTag.mockReturnValueOnce({ id: 'tag-3', name: 'Classics', color: '#10b981' })
+      const wrapper = createWrapper(taggedBook)
+
+      await wrapper.findComponent(BookTags).vm.$emit('create', 'Classics', '#10b981')
+
+      expect(mockTagsStore.createTag).toHaveBeenCalledWith('Classics', '#10b981')
+      expect(mockBooksStore.updateBookFields).toHaveBeenCalledWith('2', { tags: ['tag-1', 'tag-3'] })
+    })
+  })
+
+  describe('Re-reads', () => {
+    const pastReadCopy = {
+      ...completedBook,
+      year: 2019,
+      month: 4,
+      attributes: { isUnfinished: false, score: 1 },
+      pastReadIndex: 0
+    }
+
+    const enterEditMode = async (wrapper) => {
+      const editIcon = wrapper.findAllComponents(IconButton).find(b => b.props('title') === 'Edit book')
+      await editIcon.vm.$emit('click')
+      await nextTick()
+    }
+
+    it('starts a new reading of a read book from edit mode', async () => {
+      const wrapper = createWrapper(completedBook)
+      await enterEditMode(wrapper)
+
+      const rereadButton = wrapper.findAll('button').find(b => b.text() === 'Read again')
+      await rereadButton.trigger('click')
+
+      expect(mockBooksStore.startRereading).toHaveBeenCalledWith('2')
+    })
+
+    it('does not offer a new reading of a book being read', async () => {
+      const wrapper = createWrapper(inProgressBook)
+      await enterEditMode(wrapper)
+
+      expect(wrapper.findAll('button').some(b => b.text() === 'Read again')).toBe(false)
+    })
+
+    it('shows the date of an earlier reading without making it editable', async () => {
+      const wrapper = createWrapper(pastReadCopy)
+      await enterEditMode(wrapper)
+
+      const status = wrapper.findComponent(BookStatus)
+      expect(status.props('year')).toBe(2019)
+      expect(status.props('isDateEditable')).toBe(false)
+      expect(wrapper.findAll('button').some(b => b.text() === 'Read again')).toBe(false)
+    })
+
+    it('deletes only the earlier reading', async () => {
+      const wrapper = createWrapper(pastReadCopy)
+      await enterEditMode(wrapper)
+
+      const deleteIcon = wrapper.findAllComponents(IconButton).find(b => b.props('title') === 'Delete this reading')
+      await deleteIcon.vm.$emit('click')
+
+      expect(mockBooksStore.deletePastRead).toHaveBeenCalledWith('2', 0)
+      expect(mockBooksStore.deleteBook).not.toHaveBeenCalledWith('2')
+    })
+
+    it('scores the earlier reading', async () => {
+      const wrapper = createWrapper(pastReadCopy, { allowScoring: true })
+
+      await wrapper.findComponent(BookCover).vm.$emit('update:score', -1)
+
+      expect(mockBooksStore.updatePastRead).toHaveBeenCalledWith('2', 0, { score: -1 })
+    })
+  })
+
   describe('Date Formatting', () => {
     const testCases = [
       { year: 2024, month: 1, expected: 'January 2024' },
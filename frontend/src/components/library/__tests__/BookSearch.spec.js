@@ -941,6 +941,47 @@ describe('BookSearch Component', () => {
 
       expect(document.querySelector('input[placeholder="Enter book title..."]')).toBeTruthy()
     })
+
+    it('should pass the median page count of the picked book on', async () => {
+      mockFetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          docs: [{
+            key: '/works/1',
+            title: '1984',
+            number_of_pages_median: 328
+          }]
+        })
+      })
+
+      wrapper = mount(BookSearch, {
+        props: { isOpen: true },
+        attachTo: document.body,
+        global: {
+          provide: {
+            settingsStore: { settings: { allowScoring: true } }
+          }
+        }
+      })
+
+      const titleInput = document.querySelector('input[placeholder="Enter book title..."]')
+      titleInput.value = '1984'; titleInput.dispatchEvent(new Event('input')); await nextTick()
+
+      vi.advanceTimersByTime(TIMINGS.SEARCH_DEBOUNCE)
+      await flushPromises()
+      await nextTick()
+      await nextTick()
+
+      let buttons = Array.from(document.querySelectorAll('button'))
+      buttons.find(b => b.textContent.includes('1984') && !b.textContent.includes('Manually')).click()
+      await nextTick()
+
+      buttons = Array.from(document.querySelectorAll('button'))
+      buttons.find(b => b.textContent.includes('In Progress')).click()
+      await nextTick()
+
+      expect(wrapper.emitted('select')[0][0]).toMatchObject({ title: '1984', status: 'reading', pageCount: 328 })
+    })
   })
 
   describe('Modal Management', () => {
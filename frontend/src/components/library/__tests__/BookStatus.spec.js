@@ -72,6 +72,25 @@ describe('BookStatus', () => {
       expect(wrapper.text()).toBe('May 2024')
     })
 
+    it('includes the day when known', () => {
+      const wrapper = createWrapper({ status: BOOK_STATUS.READ, year: 2024, month: 5, day: 14 })
+
+      expect(wrapper.text()).toBe('May 14, 2024')
+    })
+
+    it('shows only the year for books read in a known year', () => {
+      const wrapper = createWrapper({ status: BOOK_STATUS.READ, year: 2024, month: null })
+
+      expect(wrapper.text()).toBe('2024')
+    })
+
+    it('shows the start date under the status', () => {
+      const wrapper = createWrapper({ status: BOOK_STATUS.READING, startDate: { year: 2024, month: 9, day: 2 } })
+
+      expect(wrapper.text()).toContain('Reading...')
+      expect(wrapper.text()).toContain('Started Sep 2, 2024')
+    })
+
     it('formats January correctly', () => {
       const wrapper = createWrapper({ year: 2023, month: 1 })
 
@@ -131,28 +150,37 @@ describe('BookStatus', () => {
   })
 
   describe('Special Status Displays', () => {
-    it('displays "Read Long Ago" for sentinel year 1900', () => {
+    it('displays "Read Long Ago" for the read_long_ago status', () => {
       const wrapper = createWrapper({
-        year: BOOK_STATUS.SENTINEL_YEAR,
-        month: BOOK_STATUS.SENTINEL_MONTH
+        status: BOOK_STATUS.READ_LONG_AGO
       })
 
       expect(wrapper.text()).toBe('Read Long Ago')
     })
 
-    it('displays "Read Lately" for sentinel year 1910', () => {
+    it('displays "Read Lately" for the read_lately status', () => {
       const wrapper = createWrapper({
-        year: BOOK_STATUS.SENTINEL_YEAR_LATELY,
-        month: BOOK_STATUS.SENTINEL_MONTH
+        status: BOOK_STATUS.READ_LATELY
       })
 
       expect(wrapper.text()).toBe('Read Lately')
     })
 
+    it('displays "To Read" for the to_read status', () => {
+      const wrapper = createWrapper({ status: BOOK_STATUS.TO_READ })
+
+      expect(wrapper.text()).toBe('To Read')
+    })
+
+    it('displays "Reading..." for the reading status even with a stale date', () => {
+      const wrapper = createWrapper({ status: BOOK_STATUS.READING, year: 2024, month: 5 })
+
+      expect(wrapper.text()).toBe('Reading...')
+    })
+
     it('does not apply italic style to "Read Long Ago"', () => {
       const wrapper = createWrapper({
-        year: BOOK_STATUS.SENTINEL_YEAR,
-        month: BOOK_STATUS.SENTINEL_MONTH
+        status: BOOK_STATUS.READ_LONG_AGO
       })
       const span = wrapper.find('span')
 
@@ -161,8 +189,7 @@ describe('BookStatus', () => {
 
     it('does not apply italic style to "Read Lately"', () => {
       const wrapper = createWrapper({
-        year: BOOK_STATUS.SENTINEL_YEAR_LATELY,
-        month: BOOK_STATUS.SENTINEL_MONTH
+        status: BOOK_STATUS.READ_LATELY
       })
       const span = wrapper.find('span')
 
@@ -171,8 +198,7 @@ describe('BookStatus', () => {
 
     it('applies gray background styling for "Read Long Ago" when not editable', () => {
       const wrapper = createWrapper({
-        year: BOOK_STATUS.SENTINEL_YEAR,
-        month: BOOK_STATUS.SENTINEL_MONTH,
+        status: BOOK_STATUS.READ_LONG_AGO,
         isDateEditable: false
       })
       const container = wrapper.find('.flex')
@@ -185,8 +211,7 @@ describe('BookStatus', () => {
 
     it('applies gray background styling for "Read Lately" when editable', () => {
       const wrapper = createWrapper({
-        year: BOOK_STATUS.SENTINEL_YEAR_LATELY,
-        month: BOOK_STATUS.SENTINEL_MONTH,
+        status: BOOK_STATUS.READ_LATELY,
         isDateEditable: true
       })
       const container = wrapper.find('.flex')
@@ -235,8 +260,7 @@ describe('BookStatus', () => {
 
     it('emits "open-picker" event when special status is clicked and editable', async () => {
       const wrapper = createWrapper({
-        year: BOOK_STATUS.SENTINEL_YEAR,
-        month: BOOK_STATUS.SENTINEL_MONTH,
+        status: BOOK_STATUS.READ_LONG_AGO,
         isDateEditable: true
       })
 
@@ -312,8 +336,7 @@ describe('BookStatus', () => {
 
     it('shows "Click to change completion date" for special status when editable', () => {
       const wrapper = createWrapper({
-        year: BOOK_STATUS.SENTINEL_YEAR,
-        month: BOOK_STATUS.SENTINEL_MONTH,
+        status: BOOK_STATUS.READ_LONG_AGO,
         isDateEditable: true
       })
       const container = wrapper.find('.flex')
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest'
+import { mount, RouterLinkStub } from '@vue/test-utils'
+import BookTags from '../BookTags.vue'
+
+describe('BookTags', () => {
+  const tags = [
+    { id: 'tag-1', name: 'Sci-fi', color: '#3b82f6' },
+    { id: 'tag-2', name: 'Favorites', color: '#ef4444' }
+  ]
+
+  const mountTags = (props) => mount(BookTags, {
+    props: { tags, ...props },
+    global: { stubs: { RouterLink: RouterLinkStub } }
+  })
+
+  const findButton = (wrapper, text) => wrapper.findAll('button').find(b => b.text() === text)
+
+  it('links each tag to its collection', () => {
+    const wrapper = mountTags({ tagIds: ['tag-2', 'tag-1'] })
+
+    const links = wrapper.findAllComponents(RouterLinkStub)
+    expect(links.map(link => link.text())).toEqual(['Favorites', 'Sci-fi'])
+    expect(links[0].props('to')).toBe('/library/collection/tag-2')
+    expect(links[0].attributes('style')).toContain('background-color')
+  })
+
+  it('skips tags that no longer exist', () => {
+    const wrapper = mountTags({ tagIds: ['tag-1', 'tag-gone'] })
+
+    expect(wrapper.findAllComponents(RouterLinkStub)).toHaveLength(1)
+  })
+
+  it('renders nothing for an untagged book when not editable', () => {
+    const wrapper = mountTags({ tagIds: [] })
+
+    expect(wrapper.html()).not.toContain('div')
+  })
+
+  it('emits the new tag list when a tag is toggled', async () => {
+    const wrapper = mountTags({ tagIds: ['tag-1'], editable: true })
+
+    await findButton(wrapper, 'Edit tags').trigger('click')
+    const checkboxes = wrapper.findAll('input[type="checkbox"]')
+    expect(checkboxes[0].element.checked).toBe(true)
+
+    await checkboxes[1].trigger('change')
+    await checkboxes[0].trigger('change')
+
+    expect(wrapper.emitted('update')).toEqual([[['tag-1', 'tag-2']], [[]]])
+  })
+
+  it('emits a new tag with the chosen color', async () => {
+    const wrapper = mountTags({ editable: true })
+
+    await findButton(wrapper, 'Add tag').trigger('click')
+    await wrapper.find('input[aria-label="New tag name"]').setValue('  To  discuss ')
+    await wrapper.find('button[title="Use #10b981"]').trigger('click')
+    await wrapper.find('form').trigger('submit')
+
+    expect(wrapper.emitted('create')[0]).toEqual(['To discuss', '#10b981'])
+    expect(wrapper.find('input[aria-label="New tag name"]').element.value).toBe('')
+  })
+
+  it('does not emit a tag without a name', async () => {
+    const wrapper = mountTags({ editable: true })
+
+    await findButton(wrapper, 'Add tag').trigger('click')
+    await wrapper.find('form').trigger('submit')
+
+    expect(wrapper.emitted('create')).toBeUndefined()
+  })
+
+  it('closes the picker when editing ends', async () => {
+    const wrapper = mountTags({ editable: true })
+
+    await findButton(wrapper, 'Add tag').trigger('click')
+    await wrapper.setProps({ editable: false, tagIds: ['tag-1'] })
+
+    expect(wrapper.find('form').exists()).toBe(false)
+  })
+})
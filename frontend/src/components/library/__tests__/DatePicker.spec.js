@@ -6,6 +6,8 @@ import StatusToggleButtons from '../datepicker/StatusToggleButtons.vue'
 import YearNavigator from '../datepicker/YearNavigator.vue'
 import MonthGrid from '../datepicker/MonthGrid.vue'
 import InProgressButton from '../datepicker/InProgressButton.vue'
+import DayGrid from '../datepicker/DayGrid.vue'
+import DateTargetToggle from '../datepicker/DateTargetToggle.vue'
 
 describe('DatePicker Component', () => {
   let wrapper
@@ -203,7 +205,7 @@ describe('DatePicker Component', () => {
   })
 
   describe('sub-component orchestration', () => {
-    it('should emit date-select event when month is selected', async () => {
+    it('should show the days of a month when it is selected', async () => {
       wrapper = mount(DatePicker, {
         props: {
           yearRange: defaultYearRange
@@ -213,10 +215,79 @@ describe('DatePicker Component', () => {
       const monthGrid = wrapper.findComponent(MonthGrid)
       await monthGrid.vm.$emit('month-select', 3) // April (index 3)
 
-      expect(wrapper.emitted('date-select')).toBeTruthy()
+      const dayGrid = wrapper.findComponent(DayGrid)
+      expect(wrapper.emitted('date-select')).toBeFalsy()
+      expect(wrapper.findComponent(MonthGrid).exists()).toBe(false)
+      expect(dayGrid.props('monthName')).toBe('April')
+      expect(dayGrid.findAll('button')).toHaveLength(32) // back, whole month and 30 days
+    })
+
+    it('should emit date-select event when a day is selected', async () => {
+      wrapper = mount(DatePicker, {
+        props: {
+          yearRange: defaultYearRange
+        }
+      })
+
+      await wrapper.findComponent(MonthGrid).vm.$emit('month-select', 3)
+      await wrapper.findComponent(DayGrid).vm.$emit('day-select', 14)
+
+      expect(wrapper.emitted('date-select')[0][0]).toEqual({
+        status: 'read',
+        year: 2024,
+        month: 3,
+        day: 14,
+        isUnfinished: false
+      })
+    })
+
+    it('should emit date-select event when the whole month is selected', async () => {
+      wrapper = mount(DatePicker, {
+        props: {
+          yearRange: defaultYearRange
+        }
+      })
+
+      await wrapper.findComponent(MonthGrid).vm.$emit('month-select', 3)
+      await wrapper.findComponent(DayGrid).vm.$emit('month-select')
+
       expect(wrapper.emitted('date-select')[0][0]).toEqual({
+        status: 'read',
         year: 2024,
         month: 3,
+        day: null,
+        isUnfinished: false
+      })
+    })
+
+    it('should go back to the months from the days', async () => {
+      wrapper = mount(DatePicker, {
+        props: {
+          yearRange: defaultYearRange
+        }
+      })
+
+      await wrapper.findComponent(MonthGrid).vm.$emit('month-select', 3)
+      await wrapper.findComponent(DayGrid).vm.$emit('back')
+
+      expect(wrapper.findComponent(MonthGrid).exists()).toBe(true)
+      expect(wrapper.findComponent(DayGrid).exists()).toBe(false)
+    })
+
+    it('should emit date-select event when the year is selected', async () => {
+      wrapper = mount(DatePicker, {
+        props: {
+          yearRange: defaultYearRange
+        }
+      })
+
+      await wrapper.findComponent(YearNavigator).vm.$emit('year-select')
+
+      expect(wrapper.emitted('date-select')[0][0]).toEqual({
+        status: 'read',
+        year: 2024,
+        month: null,
+        day: null,
         isUnfinished: false
       })
     })
@@ -255,7 +326,7 @@ describe('DatePicker Component', () => {
       expect(wrapper.findComponent(YearNavigator).props('currentYear')).toBe(initialYear - 1)
     })
 
-    it('should emit date-select with sentinel year when Read Long Ago is clicked', async () => {
+    it('should emit date-select with an undated status when Read Long Ago is clicked', async () => {
       wrapper = mount(DatePicker, {
         props: {
           yearRange: defaultYearRange
@@ -267,13 +338,14 @@ describe('DatePicker Component', () => {
 
       expect(wrapper.emitted('date-select')).toBeTruthy()
       expect(wrapper.emitted('date-select')[0][0]).toEqual({
-        year: 1900,
-        month: 0,
+        status: 'read_long_ago',
+        year: null,
+        month: null,
         isUnfinished: false
       })
     })
 
-    it('should emit date-select with sentinel year when Read Lately is clicked', async () => {
+    it('should emit date-select with an undated status when Read Lately is clicked', async () => {
       wrapper = mount(DatePicker, {
         props: {
           yearRange: defaultYearRange
@@ -285,8 +357,9 @@ describe('DatePicker Component', () => {
 
       expect(wrapper.emitted('date-select')).toBeTruthy()
       expect(wrapper.emitted('date-select')[0][0]).toEqual({
-        year: 1910,
-        month: 0,
+        status: 'read_lately',
+        year: null,
+        month: null,
         isUnfinished: false
       })
     })
@@ -322,11 +395,14 @@ describe('DatePicker Component', () => {
       // Select a month
       const monthGrid = wrapper.findComponent(MonthGrid)
       await monthGrid.vm.$emit('month-select', 3)
+      await wrapper.findComponent(DayGrid).vm.$emit('month-select')
 
       expect(wrapper.emitted('date-select')).toBeTruthy()
       expect(wrapper.emitted('date-select')[0][0]).toEqual({
+        status: 'read',
         year: 2024,
         month: 3,
+        day: null,
         isUnfinished: true
       })
     })
@@ -447,4 +523,50 @@ describe('DatePicker Component', () => {
       expect(wrapper.find('.picker-container').exists()).toBe(true)
     })
   })
+
+  describe('start date', () => {
+    it('should only offer the start date when allowed', () => {
+      wrapper = mount(DatePicker, { props: { yearRange: defaultYearRange } })
+      expect(wrapper.findComponent(DateTargetToggle).exists()).toBe(false)
+
+      wrapper.unmount()
+      wrapper = mount(DatePicker, { props: { yearRange: defaultYearRange, allowStartDate: true } })
+      expect(wrapper.findComponent(DateTargetToggle).exists()).toBe(true)
+    })
+
+    it('should hide the statuses and emit start-date-select while editing the start date', async () => {
+      wrapper = mount(DatePicker, {
+        props: {
+          yearRange: defaultYearRange,
+          allowStartDate: true
+        }
+      })
+
+      await wrapper.findComponent(DateTargetToggle).vm.$emit('update:modelValue', 'start')
+
+      expect(wrapper.findComponent(StatusToggleButtons).exists()).toBe(false)
+      expect(wrapper.findComponent(InProgressButton).exists()).toBe(false)
+
+      await wrapper.findComponent(MonthGrid).vm.$emit('month-select', 1)
+      await wrapper.findComponent(DayGrid).vm.$emit('day-select', 3)
+
+      expect(wrapper.emitted('start-date-select')[0][0]).toEqual({ year: 2024, month: 1, day: 3 })
+      expect(wrapper.emitted('date-select')).toBeFalsy()
+    })
+
+    it('should clear the start date', async () => {
+      wrapper = mount(DatePicker, {
+        props: {
+          yearRange: defaultYearRange,
+          allowStartDate: true,
+          startDate: { year: 2024, month: 1, day: null }
+        }
+      })
+
+      await wrapper.findComponent(DateTargetToggle).vm.$emit('update:modelValue', 'start')
+      await wrapper.find('[aria-label="Clear the start date"]').trigger('click')
+
+      expect(wrapper.emitted('start-date-select')[0][0]).toBeNull()
+    })
+  })
 })
@@ -752,4 +752,56 @@ describe('FilterDropdown', () => {
       expect(menuItems.length).toBe(2)
     })
   })
+
+  describe('Tag Filter', () => {
+    const tags = [
+      { id: 'tag-1', name: 'Sci-fi', color: '#3b82f6' },
+      { id: 'tag-2', name: 'Favorites', color: '#ef4444' }
+    ]
+
+    it('does not show a tag section without tags', async () => {
+      const wrapper = createWrapper()
+      await wrapper.find('button').trigger('click')
+      await nextTick()
+
+      expect(wrapper.text()).not.toContain('Tags')
+    })
+
+    it('lists the tags with the selected ones checked', async () => {
+      const wrapper = createWrapper({ tags, selectedTagIds: ['tag-2'] })
+      await wrapper.find('button').trigger('click')
+      await nextTick()
+
+      const menuItems = wrapper.findAll('[role="menuitem"]')
+      expect(menuItems).toHaveLength(4)
+      expect(menuItems[2].text()).toBe('Sci-fi')
+      expect(menuItems[2].find('.w-5.h-5.rounded').classes()).not.toContain('bg-blue-600')
+      expect(menuItems[3].text()).toBe('Favorites')
+      expect(menuItems[3].find('.w-5.h-5.rounded').classes()).toContain('bg-blue-600')
+    })
+
+    it('emits toggle-tag with the tag ID', async () => {
+      const wrapper = createWrapper({ tags })
+      await wrapper.find('button').trigger('click')
+      await nextTick()
+
+      await wrapper.findAll('[role="menuitem"]')[2].trigger('click')
+
+      expect(wrapper.emitted('toggle-tag')).toEqual([['tag-1']])
+    })
+
+    it('counts selected tags as active filters', () => {
+      const wrapper = createWrapper({ tags, selectedTagIds: ['tag-1', 'tag-2'], hideToRead: true })
+
+      expect(wrapper.find('button').classes()).toContain('bg-blue-600')
+      expect(wrapper.find('span.rounded-full').text()).toBe('3')
+    })
+
+    it('ignores selected tags that no longer exist', () => {
+      const wrapper = createWrapper({ tags, selectedTagIds: ['tag-gone'] })
+
+      expect(wrapper.find('button').classes()).toContain('bg-gray-200')
+      expect(wrapper.find('span.rounded-full').exists()).toBe(false)
+    })
+  })
 })
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import ReadingProgress from '../ReadingProgress.vue'
+
+describe('ReadingProgress', () => {
+  const progress = [
+    { date: '2024-03-01', page: 10, percent: 3 },
+    { date: '2024-03-11', page: 110, percent: 34 }
+  ]
+
+  const findButton = (wrapper, text) => wrapper.findAll('button').find(b => b.text() === text)
+
+  it('shows the latest progress and reading pace', () => {
+    const wrapper = mount(ReadingProgress, { props: { progress, pageCount: 328 } })
+
+    expect(wrapper.text()).toContain('p. 110 of 328 (34%)')
+    expect(wrapper.text()).toContain('~10 pages a day')
+    expect(wrapper.find('[role="progressbar"]').attributes('aria-valuenow')).toBe('34')
+  })
+
+  it('shows a placeholder without progress', () => {
+    const wrapper = mount(ReadingProgress)
+
+    expect(wrapper.text()).toContain('No progress yet')
+  })
+
+  it('emits a page update with the total pages', async () => {
+    const wrapper = mount(ReadingProgress, { props: { progress, pageCount: 328 } })
+
+    await findButton(wrapper, 'Update progress').trigger('click')
+    expect(wrapper.find('input[aria-label="Current page"]').element.value).toBe('110')
+    expect(wrapper.find('input[aria-label="Total pages"]').element.value).toBe('328')
+
+    await wrapper.find('input[aria-label="Current page"]').setValue(150)
+    await wrapper.find('form').trigger('submit')
+
+    expect(wrapper.emitted('update')[0]).toEqual([{ page: 150 }, 328])
+    expect(wrapper.find('form').exists()).toBe(false)
+  })
+
+  it('emits a percentage update', async () => {
+    const wrapper = mount(ReadingProgress)
+
+    await findButton(wrapper, 'Update progress').trigger('click')
+    await findButton(wrapper, 'pages').trigger('click')
+    await wrapper.find('input[aria-label="Percent read"]').setValue(40)
+    await wrapper.find('form').trigger('submit')
+
+    expect(wrapper.emitted('update')[0]).toEqual([{ percent: 40 }, null])
+  })
+
+  it('does not emit an empty update', async () => {
+    const wrapper = mount(ReadingProgress)
+
+    await findButton(wrapper, 'Update progress').trigger('click')
+    await wrapper.find('form').trigger('submit')
+
+    expect(wrapper.emitted('update')).toBeUndefined()
+  })
+})
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { registerSW } from 'virtual:pwa-register'
+import { useAppUpdate } from '../useAppUpdate'
+
+const toast = {
+  success: vi.fn(),
+  info: vi.fn()
+}
+
+vi.mock('vue-toastification', () => ({
+  useToast: () => toast
+}))
+
+vi.mock('virtual:pwa-register', () => ({
+  registerSW: vi.fn()
+}))
+
+vi.mock('@/utils/logger', () => ({
+  logger: { info: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+describe('useAppUpdate', () => {
+  let updateServiceWorker
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    updateServiceWorker = vi.fn()
+    registerSW.mockReturnValue(updateServiceWorker)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const getOptions = () => registerSW.mock.calls[0][0]
+
+  it('should register the service worker', () => {
+    useAppUpdate()
+
+    expect(registerSW).toHaveBeenCalledTimes(1)
+  })
+
+  it('should offer to reload when a new version is waiting', () => {
+    useAppUpdate()
+    getOptions().onNeedRefresh()
+
+    expect(toast.info).toHaveBeenCalledWith(
+      expect.stringContaining('new version'),
+      expect.objectContaining({ timeout: false })
+    )
+
+    toast.info.mock.calls[0][1].onClick()
+    expect(updateServiceWorker).toHaveBeenCalledWith(true)
+  })
+
+  it('should tell the user when the app works offline', () => {
+    useAppUpdate()
+    getOptions().onOfflineReady()
+
+    expect(toast.success).toHaveBeenCalledWith(expect.stringContaining('offline'))
+  })
+
+  it('should check for updates periodically while online', () => {
+    vi.useFakeTimers()
+    const registration = { update: vi.fn() }
+
+    useAppUpdate()
+    getOptions().onRegisteredSW('/sw.js', registration)
+    vi.advanceTimersByTime(60 * 60 * 1000)
+
+    expect(registration.update).toHaveBeenCalledTimes(1)
+  })
+})
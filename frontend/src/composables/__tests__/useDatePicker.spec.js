@@ -3,16 +3,6 @@ import { defineComponent, ref } from 'vue'
 import { mount } from '@vue/test-utils'
 import { useDatePicker } from '../useDatePicker'
 
-// Mock constants
-vi.mock('@/constants', () => ({
-  BOOK_STATUS: {
-    SENTINEL_YEAR: 1900,
-    SENTINEL_YEAR_LATELY: 1910,
-    SENTINEL_MONTH: 1
-  },
-  SENTINEL_MONTH_INDEX: 0
-}))
-
 describe('useDatePicker', () => {
   let wrapper
   let emit
@@ -67,18 +57,9 @@ describe('useDatePicker', () => {
       expect(wrapper.vm.picker.currentYear.value).toBe(2022)
     })
 
-    it('should initialize with current year for sentinel year (1900)', () => {
-      const TestComponent = createTestComponent({
-        selectedDate: { year: 1900, month: 0 }
-      })
-      wrapper = mount(TestComponent)
-
-      expect(wrapper.vm.picker.currentYear.value).toBe(2024)
-    })
-
-    it('should initialize with current year for sentinel year (1910)', () => {
+    it('should initialize with current year when selectedDate has no year', () => {
       const TestComponent = createTestComponent({
-        selectedDate: { year: 1910, month: 0 }
+        selectedDate: { year: null, month: null }
       })
       wrapper = mount(TestComponent)
 
@@ -101,30 +82,6 @@ describe('useDatePicker', () => {
     })
   })
 
-  describe('isSentinelYear', () => {
-    it('should return true for 1900', () => {
-      const TestComponent = createTestComponent()
-      wrapper = mount(TestComponent)
-
-      expect(wrapper.vm.picker.isSentinelYear(1900)).toBe(true)
-    })
-
-    it('should return true for 1910', () => {
-      const TestComponent = createTestComponent()
-      wrapper = mount(TestComponent)
-
-      expect(wrapper.vm.picker.isSentinelYear(1910)).toBe(true)
-    })
-
-    it('should return false for regular years', () => {
-      const TestComponent = createTestComponent()
-      wrapper = mount(TestComponent)
-
-      expect(wrapper.vm.picker.isSentinelYear(2024)).toBe(false)
-      expect(wrapper.vm.picker.isSentinelYear(2000)).toBe(false)
-    })
-  })
-
   describe('computed properties', () => {
     it('should compute maxYear as current year', () => {
       const TestComponent = createTestComponent()
@@ -263,16 +220,31 @@ describe('useDatePicker', () => {
   })
 
   describe('selectMonth', () => {
-    it('should emit date-select with correct data', () => {
+    it('should open the days of the month without emitting', () => {
+      const TestComponent = createTestComponent()
+      wrapper = mount(TestComponent)
+
+      wrapper.vm.picker.currentYear.value = 2024
+      wrapper.vm.picker.selectMonth(3)
+
+      expect(wrapper.vm.picker.dayPickerMonth.value).toBe(3)
+      expect(wrapper.vm.picker.daysInPickerMonth.value).toBe(30)
+      expect(emit).not.toHaveBeenCalled()
+    })
+
+    it('should emit the whole month with selectWholeMonth', () => {
       const TestComponent = createTestComponent()
       wrapper = mount(TestComponent)
 
       wrapper.vm.picker.currentYear.value = 2024
       wrapper.vm.picker.selectMonth(3)
+      wrapper.vm.picker.selectWholeMonth()
 
       expect(emit).toHaveBeenCalledWith('date-select', {
+        status: 'read',
         year: 2024,
         month: 3,
+        day: null,
         isUnfinished: false
       })
     })
@@ -283,10 +255,13 @@ describe('useDatePicker', () => {
 
       wrapper.vm.picker.currentYear.value = 2024
       wrapper.vm.picker.selectMonth(3)
+      wrapper.vm.picker.selectWholeMonth()
 
       expect(emit).toHaveBeenCalledWith('date-select', {
+        status: 'read',
         year: 2024,
         month: 3,
+        day: null,
         isUnfinished: true
       })
     })
@@ -298,6 +273,7 @@ describe('useDatePicker', () => {
       wrapper.vm.picker.currentYear.value = 2024
       wrapper.vm.picker.selectMonth(11) // December (future month)
 
+      expect(wrapper.vm.picker.dayPickerMonth.value).toBeNull()
       expect(emit).not.toHaveBeenCalled()
     })
 
@@ -308,7 +284,119 @@ describe('useDatePicker', () => {
       wrapper.vm.picker.currentYear.value = 2024
       wrapper.vm.picker.selectMonth(0) // January
 
-      expect(emit).toHaveBeenCalled()
+      expect(wrapper.vm.picker.dayPickerMonth.value).toBe(0)
+    })
+
+    it('should go back to the months when the year changes', () => {
+      const TestComponent = createTestComponent()
+      wrapper = mount(TestComponent)
+
+      wrapper.vm.picker.selectMonth(0)
+      wrapper.vm.picker.decrementYear()
+
+      expect(wrapper.vm.picker.dayPickerMonth.value).toBeNull()
+    })
+  })
+
+  describe('selectDay', () => {
+    it('should emit the day of the open month', () => {
+      const TestComponent = createTestComponent()
+      wrapper = mount(TestComponent)
+
+      wrapper.vm.picker.selectMonth(2)
+      wrapper.vm.picker.selectDay(14)
+
+      expect(emit).toHaveBeenCalledWith('date-select', {
+        status: 'read',
+        year: 2024,
+        month: 2,
+        day: 14,
+        isUnfinished: false
+      })
+    })
+
+    it('should not emit future days', () => {
+      const TestComponent = createTestComponent()
+      wrapper = mount(TestComponent)
+
+      wrapper.vm.picker.selectMonth(5) // June, today is June 15th
+      wrapper.vm.picker.selectDay(20)
+
+      expect(wrapper.vm.picker.isFutureDay(20)).toBe(true)
+      expect(emit).not.toHaveBeenCalled()
+    })
+
+    it('should highlight the selected day', () => {
+      const TestComponent = createTestComponent({ selectedDate: { year: 2024, month: 2, day: 14 } })
+      wrapper = mount(TestComponent)
+
+      wrapper.vm.picker.selectMonth(2)
+
+      expect(wrapper.vm.picker.isSelectedDay(14)).toBe(true)
+      expect(wrapper.vm.picker.isSelectedDay(15)).toBe(false)
+      expect(wrapper.vm.picker.isWholeMonthSelected.value).toBe(false)
+    })
+  })
+
+  describe('selectYear', () => {
+    it('should emit a date known only to the year', () => {
+      const TestComponent = createTestComponent()
+      wrapper = mount(TestComponent)
+
+      wrapper.vm.picker.decrementYear()
+      wrapper.vm.picker.selectYear()
+
+      expect(emit).toHaveBeenCalledWith('date-select', {
+        status: 'read',
+        year: 2023,
+        month: null,
+        day: null,
+        isUnfinished: false
+      })
+    })
+
+    it('should show when only the year is selected', () => {
+      const TestComponent = createTestComponent({ selectedDate: { year: 2024, month: null, day: null } })
+      wrapper = mount(TestComponent)
+
+      expect(wrapper.vm.picker.isWholeYearSelected.value).toBe(true)
+    })
+  })
+
+  describe('start date', () => {
+    it('should emit start-date-select while editing the start date', () => {
+      const TestComponent = createTestComponent({ selectedDate: { year: 2024, month: 3 } })
+      wrapper = mount(TestComponent)
+
+      wrapper.vm.picker.setDateTarget('start')
+      wrapper.vm.picker.selectMonth(1)
+      wrapper.vm.picker.selectDay(3)
+
+      expect(emit).toHaveBeenCalledWith('start-date-select', { year: 2024, month: 1, day: 3 })
+      expect(emit).not.toHaveBeenCalledWith('date-select', expect.anything())
+    })
+
+    it('should show the start date when switching to it', () => {
+      const TestComponent = createTestComponent({
+        selectedDate: { year: 2024, month: 3 },
+        startDate: { year: 2022, month: 11, day: null }
+      })
+      wrapper = mount(TestComponent)
+
+      wrapper.vm.picker.setDateTarget('start')
+
+      expect(wrapper.vm.picker.currentYear.value).toBe(2022)
+      expect(wrapper.vm.picker.isSelectedMonth(11)).toBe(true)
+      expect(wrapper.vm.picker.isSelectedMonth(3)).toBe(false)
+    })
+
+    it('should clear the start date', () => {
+      const TestComponent = createTestComponent()
+      wrapper = mount(TestComponent)
+
+      wrapper.vm.picker.handleNoStartDate()
+
+      expect(emit).toHaveBeenCalledWith('start-date-select', null)
     })
   })
 
@@ -320,8 +408,9 @@ describe('useDatePicker', () => {
       wrapper.vm.picker.handleReadLongAgo()
 
       expect(emit).toHaveBeenCalledWith('date-select', {
-        year: 1900,
-        month: 0,
+        status: 'read_long_ago',
+        year: null,
+        month: null,
         isUnfinished: false
       })
     })
@@ -333,8 +422,23 @@ describe('useDatePicker', () => {
       wrapper.vm.picker.handleReadLately()
 
       expect(emit).toHaveBeenCalledWith('date-select', {
-        year: 1910,
-        month: 0,
+        status: 'read_lately',
+        year: null,
+        month: null,
+        isUnfinished: false
+      })
+    })
+
+    it('should emit to_read and clear unfinished for handleToRead', () => {
+      const TestComponent = createTestComponent({ isUnfinished: true })
+      wrapper = mount(TestComponent)
+
+      wrapper.vm.picker.handleToRead()
+
+      expect(emit).toHaveBeenCalledWith('date-select', {
+        status: 'to_read',
+        year: null,
+        month: null,
         isUnfinished: false
       })
     })
@@ -355,8 +459,9 @@ describe('useDatePicker', () => {
       wrapper.vm.picker.handleReadLongAgo()
 
       expect(emit).toHaveBeenCalledWith('date-select', {
-        year: 1900,
-        month: 0,
+        status: 'read_long_ago',
+        year: null,
+        month: null,
         isUnfinished: true
       })
     })
@@ -475,8 +580,10 @@ describe('useDatePicker', () => {
       await wrapper.vm.$nextTick()
 
       expect(emit).toHaveBeenCalledWith('date-select', {
+        status: 'read',
         year: 2024,
         month: 3,
+        day: null,
         isUnfinished: true,
         keepOpen: true
       })
@@ -530,7 +637,7 @@ describe('useDatePicker', () => {
       expect(wrapper.vm.picker.currentYear.value).toBe(2023)
     })
 
-    it('should not update currentYear for sentinel years', async () => {
+    it('should not update currentYear when the selected date is cleared', async () => {
       const TestComponent = defineComponent({
         setup() {
           const propsData = ref({
@@ -548,7 +655,7 @@ describe('useDatePicker', () => {
 
       expect(wrapper.vm.picker.currentYear.value).toBe(2022)
 
-      wrapper.vm.propsData.selectedDate = { year: 1900, month: 0 }
+      wrapper.vm.propsData.selectedDate = { year: null, month: null }
       await wrapper.vm.$nextTick()
 
       expect(wrapper.vm.picker.currentYear.value).toBe(2022) // Should not change
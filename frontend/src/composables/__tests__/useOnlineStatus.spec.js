@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { defineComponent } from 'vue'
+import { mount } from '@vue/test-utils'
+import { setActivePinia, createPinia } from 'pinia'
+import { useOnlineStatus, setApiAvailability } from '../useOnlineStatus'
+import { useBooksStore } from '@/stores/books'
+import { booksApi } from '@/services/booksApi'
+import { authManager } from '@/services/auth'
+
+describe('useOnlineStatus', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    setApiAvailability(true)
+    window.dispatchEvent(new Event('online'))
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should run a store handler when the connection comes back', async () => {
+    vi.spyOn(authManager, 'isGuestUser').mockReturnValue(false)
+    vi.spyOn(booksApi, 'subscribeToBooks').mockResolvedValue(vi.fn())
+    const store = useBooksStore()
+
+    window.dispatchEvent(new Event('offline'))
+    expect(store.isOnline).toBe(false)
+
+    window.dispatchEvent(new Event('online'))
+
+    // The books store catches up by subscribing to realtime changes again
+    expect(store.isOnline).toBe(true)
+    await vi.waitFor(() => expect(booksApi.subscribeToBooks).toHaveBeenCalled())
+
+    store.$dispose()
+  })
+
+  it('should combine network status and API availability', () => {
+    const onChange = vi.fn()
+    const wrapper = mount(defineComponent({
+      setup: () => useOnlineStatus(onChange),
+      template: '<div></div>'
+    }))
+
+    setApiAvailability(false)
+
+    expect(wrapper.vm.isOnline).toBe(false)
+    expect(onChange).toHaveBeenLastCalledWith(false)
+
+    wrapper.unmount()
+  })
+
+  it('should stop calling the handler once its component unmounts', () => {
+    const onChange = vi.fn()
+    const wrapper = mount(defineComponent({
+      setup: () => useOnlineStatus(onChange),
+      template: '<div></div>'
+    }))
+
+    wrapper.unmount()
+    window.dispatchEvent(new Event('offline'))
+
+    expect(onChange).not.toHaveBeenCalled()
+  })
+})
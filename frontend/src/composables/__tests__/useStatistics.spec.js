@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest'
+import { ref } from 'vue'
+import { useStatistics } from '../useStatistics'
+
+describe('useStatistics', () => {
+  const reading = (year, month, extra = {}) => ({
+    year,
+    month,
+    day: null,
+    startDate: null,
+    isUnfinished: false,
+    score: null,
+    ...extra
+  })
+
+  const createBook = (id, status, year = null, month = null, pastReads = [], attributes = {}) => ({
+    id,
+    status,
+    year,
+    month,
+    pastReads,
+    attributes: { isUnfinished: false, score: null, ...attributes }
+  })
+
+  describe('timelineData', () => {
+    it('should count a book in every month it was read', () => {
+      const books = ref([
+        createBook('1', 'read', 2024, 3, [reading(2024, 1)]),
+        createBook('2', 'read', 2024, 1)
+      ])
+
+      const { timelineData } = useStatistics(books)
+
+      expect(timelineData.value.map(entry => [entry.month, entry.finished])).toEqual([
+        [1, 2],
+        [2, 0],
+        [3, 1]
+      ])
+    })
+
+    it('should count re-reads separately', () => {
+      const books = ref([
+        createBook('1', 'read', 2024, 3, [reading(2024, 2), reading(2024, 1)])
+      ])
+
+      const { timelineData } = useStatistics(books)
+
+      expect(timelineData.value.map(entry => entry.rereads)).toEqual([0, 1, 1])
+    })
+
+    it('should use the unfinished flag of each reading', () => {
+      const books = ref([
+        createBook('1', 'reading', null, null, [reading(2023, 6, { isUnfinished: true })])
+      ])
+
+      const { timelineData } = useStatistics(books)
+
+      expect(timelineData.value).toEqual([
+        expect.objectContaining({ year: 2023, month: 6, finished: 0, unfinished: 1, rereads: 0 })
+      ])
+    })
+
+    it('should leave out readings only known to the year', () => {
+      const books = ref([createBook('1', 'read', 2024, null, [reading(2020, null)])])
+
+      const { timelineData } = useStatistics(books)
+
+      expect(timelineData.value).toEqual([])
+    })
+  })
+
+  describe('counts', () => {
+    it('should count books once and re-reads on their own', () => {
+      const books = ref([
+        createBook('1', 'read', 2024, 3, [reading(2022, 1), reading(2020, 1)]),
+        createBook('2', 'to_read')
+      ])
+
+      const { totalBooks, rereads } = useStatistics(books)
+
+      expect(totalBooks.value).toBe(2)
+      expect(rereads.value).toBe(2)
+    })
+
+    it('should count every reading finished this year', () => {
+      const currentYear = new Date().getFullYear()
+      const books = ref([
+        createBook('1', 'read', currentYear, 6, [reading(currentYear, 1), reading(currentYear - 1, 1)]),
+        createBook('2', 'reading')
+      ])
+
+      const { booksThisYear } = useStatistics(books)
+
+      expect(booksThisYear.value).toBe(2)
+    })
+  })
+})
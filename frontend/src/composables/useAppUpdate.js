@@ -0,0 +1,50 @@
+/**
+ * App update composable
+ * Registers the service worker that caches the app shell, and tells the user
+ * when a new version has been deployed
+ */
+
+import { useToast } from 'vue-toastification'
+import { registerSW } from 'virtual:pwa-register'
+import { logger } from '@/utils/logger'
+
+// Long-lived tabs check for a new deployment this often
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000 // 1 hour
+
+/**
+ * Register the service worker and show a toast when an update is waiting
+ * Call once, from the root component
+ */
+export function useAppUpdate() {
+  const toast = useToast()
+
+  const updateServiceWorker = registerSW({
+    onNeedRefresh() {
+      // Local changes are persisted, so reloading into the new version is safe
+      toast.info('A new version of ReadTrail is available. Click here to reload.', {
+        timeout: false,
+        closeOnClick: true,
+        onClick: () => updateServiceWorker(true)
+      })
+    },
+
+    onOfflineReady() {
+      toast.success('ReadTrail is ready to work offline')
+    },
+
+    onRegisteredSW(swUrl, registration) {
+      if (!registration) return
+
+      logger.info('Service worker registered:', swUrl)
+      setInterval(() => {
+        if (navigator.onLine) {
+          registration.update()
+        }
+      }, UPDATE_CHECK_INTERVAL)
+    },
+
+    onRegisterError(error) {
+      logger.error('Service worker registration failed:', error)
+    }
+  })
+}
@@ -1,26 +1,31 @@
 // 1. Imports
 import { ref, computed, watch, onMounted, onUnmounted } from 'vue'
-import { BOOK_STATUS, SENTINEL_MONTH_INDEX } from '@/constants'
+import { BOOK_STATUS } from '@/constants'
+import { getDaysInMonth } from '@/utils/readDate'
 
 // 2. Composable Function
 export function useDatePicker(props, emit) {
 
   // 3. Helper Functions
-  function isSentinelYear(year) {
-    return year === BOOK_STATUS.SENTINEL_YEAR || year === BOOK_STATUS.SENTINEL_YEAR_LATELY || year === BOOK_STATUS.SENTINEL_YEAR_TO_READ
-  }
-
   function getCurrentInitialYear() {
-    if (props.selectedDate?.year && !isSentinelYear(props.selectedDate.year)) {
+    if (props.selectedDate?.year) {
       return props.selectedDate.year
     }
     return new Date().getFullYear()
   }
 
+  function getTargetDate() {
+    return dateTarget.value === 'start' ? props.startDate : props.selectedDate
+  }
+
   // 4. State
   const currentYear = ref(getCurrentInitialYear())
   const currentTime = ref(Date.now())
   const isUnfinishedToggled = ref(false)
+  // Which date the grid edits: 'finish' (read date and status) or 'start'
+  const dateTarget = ref('finish')
+  // Month (0-indexed) whose days are shown, null while the month grid is shown
+  const dayPickerMonth = ref(null)
 
   // 5. Computed Properties
   const maxYear = computed(() => new Date().getFullYear())
@@ -33,6 +38,19 @@ export function useDatePicker(props, emit) {
     return currentYear.value < maxYear.value
   })
 
+  const daysInPickerMonth = computed(() =>
+    dayPickerMonth.value === null ? 0 : getDaysInMonth(currentYear.value, dayPickerMonth.value + 1)
+  )
+
+  // Year (or month) picked without a month (or day)
+  const isWholeYearSelected = computed(() =>
+    getTargetDate()?.year === currentYear.value && getTargetDate()?.month == null
+  )
+
+  const isWholeMonthSelected = computed(() =>
+    isSelectedMonth(dayPickerMonth.value) && getTargetDate()?.day == null
+  )
+
   const buttonBaseClasses = computed(() =>
     'flex-1 rounded-lg font-semibold min-h-[32px] transition-all duration-150 ease-in-out focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
   )
@@ -43,9 +61,19 @@ export function useDatePicker(props, emit) {
     return selectedDate.getTime() > currentTime.value
   }
 
+  function isFutureDay(day) {
+    const selectedDate = new Date(currentYear.value, dayPickerMonth.value, day)
+    return selectedDate.getTime() > currentTime.value
+  }
+
   function isSelectedMonth(monthIndex) {
-    return props.selectedDate?.month === monthIndex &&
-           props.selectedDate?.year === currentYear.value
+    const date = getTargetDate()
+    return date?.month === monthIndex &&
+           date?.year === currentYear.value
+  }
+
+  function isSelectedDay(day) {
+    return isSelectedMonth(dayPickerMonth.value) && getTargetDate()?.day === day
   }
 
   function isCurrentMonth(monthIndex) {
@@ -54,7 +82,7 @@ export function useDatePicker(props, emit) {
   }
 
   function isSelectedYear() {
-    return props.selectedDate?.year === currentYear.value
+    return getTargetDate()?.year === currentYear.value
   }
 
   // 7. Style Computation Functions
@@ -85,43 +113,106 @@ export function useDatePicker(props, emit) {
     }
   }
 
+  function computeDayButtonClasses(day) {
+    const selected = isSelectedDay(day)
+    const future = isFutureDay(day)
+
+    return {
+      'bg-blue-600 text-white shadow-md hover:bg-blue-700': selected,
+      'opacity-40 cursor-not-allowed': future,
+      'text-gray-700 hover:bg-gray-100': !selected && !future
+    }
+  }
+
   // 8. Action Handlers
   function incrementYear() {
     if (canIncrementYear.value) {
       currentYear.value++
+      dayPickerMonth.value = null
     }
   }
 
   function decrementYear() {
     if (canDecrementYear.value) {
       currentYear.value--
+      dayPickerMonth.value = null
     }
   }
 
-  function selectMonth(monthIndex) {
-    if (isFutureMonth(monthIndex)) {
+  function setDateTarget(target) {
+    dateTarget.value = target
+    dayPickerMonth.value = null
+    currentYear.value = getTargetDate()?.year ?? getCurrentInitialYear()
+  }
+
+  // Emit the picked date for the current target, month is 0-indexed and
+  // month and day are null when only the year (or month) is known
+  function emitDate(month, day) {
+    if (dateTarget.value === 'start') {
+      emit('start-date-select', { year: currentYear.value, month, day })
       return
     }
 
     emit('date-select', {
+      status: BOOK_STATUS.READ,
       year: currentYear.value,
-      month: monthIndex,
+      month,
+      day,
       isUnfinished: isUnfinishedToggled.value
     })
   }
 
+  // Opens the days of the month, the date is emitted from there (see selectDay, selectWholeMonth)
+  function selectMonth(monthIndex) {
+    if (isFutureMonth(monthIndex)) {
+      return
+    }
+
+    dayPickerMonth.value = monthIndex
+  }
+
+  function selectDay(day) {
+    if (dayPickerMonth.value === null || isFutureDay(day)) {
+      return
+    }
+
+    emitDate(dayPickerMonth.value, day)
+  }
+
+  function selectWholeMonth() {
+    if (dayPickerMonth.value === null) {
+      return
+    }
+
+    emitDate(dayPickerMonth.value, null)
+  }
+
+  function selectYear() {
+    emitDate(null, null)
+  }
+
+  function closeDayPicker() {
+    dayPickerMonth.value = null
+  }
+
+  function handleNoStartDate() {
+    emit('start-date-select', null)
+  }
+
   function handleReadLongAgo() {
     emit('date-select', {
-      year: BOOK_STATUS.SENTINEL_YEAR,
-      month: SENTINEL_MONTH_INDEX,
+      status: BOOK_STATUS.READ_LONG_AGO,
+      year: null,
+      month: null,
       isUnfinished: isUnfinishedToggled.value
     })
   }
 
   function handleReadLately() {
     emit('date-select', {
-      year: BOOK_STATUS.SENTINEL_YEAR_LATELY,
-      month: SENTINEL_MONTH_INDEX,
+      status: BOOK_STATUS.READ_LATELY,
+      year: null,
+      month: null,
       isUnfinished: isUnfinishedToggled.value
     })
   }
@@ -131,8 +222,9 @@ export function useDatePicker(props, emit) {
     isUnfinishedToggled.value = false
 
     emit('date-select', {
-      year: BOOK_STATUS.SENTINEL_YEAR_TO_READ,
-      month: SENTINEL_MONTH_INDEX,
+      status: BOOK_STATUS.TO_READ,
+      year: null,
+      month: null,
       isUnfinished: false
     })
   }
@@ -155,8 +247,10 @@ export function useDatePicker(props, emit) {
     // If book has a date (not in progress), immediately update the unfinished status
     if (props.selectedDate?.year && props.selectedDate?.month !== undefined) {
       emit('date-select', {
+        status: BOOK_STATUS.READ,
         year: props.selectedDate.year,
         month: props.selectedDate.month,
+        day: props.selectedDate.day ?? null,
         isUnfinished: newValue,
         keepOpen: true
       })
@@ -164,7 +258,7 @@ export function useDatePicker(props, emit) {
   })
 
   watch(() => props.selectedDate, (newDate) => {
-    if (newDate?.year && !isSentinelYear(newDate.year)) {
+    if (dateTarget.value === 'finish' && newDate?.year) {
       currentYear.value = newDate.year
     }
   }, { deep: true })
@@ -198,16 +292,25 @@ export function useDatePicker(props, emit) {
     currentYear,
     currentTime,
     isUnfinishedToggled,
+    dateTarget,
+    dayPickerMonth,
 
     // Computed
     maxYear,
     canDecrementYear,
     canIncrementYear,
+    daysInPickerMonth,
+    isWholeYearSelected,
+    isWholeMonthSelected,
     buttonBaseClasses,
 
     // Year Navigation
     incrementYear,
     decrementYear,
+    selectYear,
+
+    // Date Target
+    setDateTarget,
 
     // Month Selection
     selectMonth,
@@ -217,15 +320,23 @@ export function useDatePicker(props, emit) {
     isSelectedYear,
     computeMonthButtonClasses,
 
+    // Day Selection
+    selectDay,
+    selectWholeMonth,
+    closeDayPicker,
+    isFutureDay,
+    isSelectedDay,
+    computeDayButtonClasses,
+
     // Toggle Handlers
     handleReadLongAgo,
     handleReadLately,
     handleToRead,
     handleInProgress,
+    handleNoStartDate,
     getToggleButtonClasses,
 
     // Helpers
-    isSentinelYear,
     getCurrentInitialYear
   }
 }
@@ -4,7 +4,7 @@
  * Tracks both browser network status AND backend API availability
  */
 
-import { ref, onMounted, onUnmounted } from 'vue'
+import { ref, getCurrentScope, onScopeDispose } from 'vue'
 import { logger } from '@/utils/logger'
 
 // Shared reactive state across all component instances
@@ -70,23 +70,6 @@ if (typeof window !== 'undefined') {
  * @returns {Object} Object with isOnline ref (combined status)
  */
 export function useOnlineStatus(onChange = null) {
-  // Register callback if provided
-  if (onChange && typeof onChange === 'function') {
-    // Check if we're in a component context (has onMounted)
-    try {
-      onMounted(() => {
-        listeners.add(onChange)
-      })
-
-      onUnmounted(() => {
-        listeners.delete(onChange)
-      })
-    } catch {
-      // Not in component context (e.g., Pinia store), register directly
-      listeners.add(onChange)
-    }
-  }
-
   // Return combined status: both network AND API must be available
   const combinedStatus = ref(true)
 
@@ -100,20 +83,21 @@ export function useOnlineStatus(onChange = null) {
 
   // Add internal listener to keep combined status in sync
   const internalListener = () => updateCombinedStatus()
+  listeners.add(internalListener)
 
-  // Try to use lifecycle hooks if in component context, otherwise register directly
-  try {
-    onMounted(() => {
-      listeners.add(internalListener)
+  // Register callback if provided (after the internal listener, so it sees the new status)
+  const callback = typeof onChange === 'function' ? onChange : null
+  if (callback) {
+    listeners.add(callback)
+  }
 
-      onUnmounted(() => {
-        listeners.delete(internalListener)
-      })
+  // Stop listening when the calling component unmounts (or its store is disposed)
+  // Outside any scope the listeners stay active for the lifetime of the app
+  if (getCurrentScope()) {
+    onScopeDispose(() => {
+      listeners.delete(internalListener)
+      if (callback) listeners.delete(callback)
     })
-  } catch {
-    // Not in component context (e.g., Pinia store), register directly
-    // This listener will stay active for the lifetime of the store
-    listeners.add(internalListener)
   }
 
   return {
@@ -1,24 +1,37 @@
 import { computed } from 'vue'
-
-const SENTINEL_YEAR = 1900
-const SENTINEL_YEAR_LATELY = 1910
-const SENTINEL_YEAR_TO_READ = 2100
+import { BOOK_STATUS } from '@/constants'
+import { expandPastReads } from '@/utils/bookSorting'
+
+// A reading is a re-read when the book has an earlier one (pastReads are newest first)
+function isReread(reading) {
+  const pastReads = reading.pastReads || []
+  return Number.isInteger(reading.pastReadIndex)
+    ? reading.pastReadIndex < pastReads.length - 1
+    : pastReads.length > 0
+}
 
 export function useStatistics(books) {
+  // Every reading: books as they are now, plus one read copy per earlier reading
+  const readings = computed(() => expandPastReads(books.value))
+
   // Basic stats
   const totalBooks = computed(() => books.value.length)
 
+  const rereads = computed(() =>
+    books.value.reduce((count, book) => count + (book.pastReads?.length || 0), 0)
+  )
+
   const unfinishedBooks = computed(() =>
     books.value.filter(book => book.attributes?.isUnfinished).length
   )
 
   const booksThisYear = computed(() => {
     const currentYear = new Date().getFullYear()
-    return books.value.filter(book => book.year === currentYear).length
+    return readings.value.filter(reading => BOOK_STATUS.hasReadDate(reading) && reading.year === currentYear).length
   })
 
   const inProgressBooks = computed(() =>
-    books.value.filter(book => book.year === null).length
+    books.value.filter(book => BOOK_STATUS.isReading(book)).length
   )
 
   // Like/Dislike stats
@@ -39,15 +52,14 @@ export function useStatistics(books) {
   const timelineData = computed(() => {
     const grouped = {}
 
-    // Group books by year-month
-    books.value.forEach(book => {
-      if (!book.year || !book.month) return
-      if (book.year === SENTINEL_YEAR || book.year === SENTINEL_YEAR_LATELY || book.year === SENTINEL_YEAR_TO_READ) return
+    // Group readings by year-month (readings only known to the year have no place on it)
+    readings.value.forEach(book => {
+      if (!BOOK_STATUS.hasReadDate(book) || !book.month) return
 
       const key = `${book.year}-${String(book.month).padStart(2, '0')}`
 
       if (!grouped[key]) {
-        grouped[key] = { year: book.year, month: book.month, finished: 0, unfinished: 0, inProgress: 0 }
+        grouped[key] = { year: book.year, month: book.month, finished: 0, unfinished: 0, inProgress: 0, rereads: 0 }
       }
 
       if (book.attributes?.isUnfinished) {
@@ -55,6 +67,9 @@ export function useStatistics(books) {
       } else {
         grouped[key].finished++
       }
+      if (isReread(book)) {
+        grouped[key].rereads++
+      }
     })
 
     const entries = Object.values(grouped).sort((a, b) =>
@@ -80,6 +95,7 @@ export function useStatistics(books) {
         finished: existing?.finished || 0,
         unfinished: existing?.unfinished || 0,
         inProgress: existing?.inProgress || 0,
+        rereads: existing?.rereads || 0,
         total: existing
           ? existing.finished + existing.unfinished * 0.5 + (existing.inProgress || 0) * 0.5
           : 0
@@ -97,6 +113,7 @@ export function useStatistics(books) {
 
   return {
     totalBooks,
+    rereads,
     unfinishedBooks,
     booksThisYear,
     inProgressBooks,
@@ -35,7 +35,7 @@ export function useSyncNotifications() {
 
     // Error
     if (status === 'error' && oldStatus === 'syncing') {
-      toast.error('Sync failed. Changes saved locally. Click the error badge to retry.', {
+      toast.error('Sync failed. Changes saved locally. Click the error badge for details.', {
         timeout: 6000
       })
     }
@@ -50,27 +50,78 @@ export function useSyncNotifications() {
     }
   })
 
+  // Stored library written by a newer release (books are loaded before mount, hence immediate)
+  watch(() => booksStore.storageOutdated, (outdated) => {
+    if (outdated) {
+      toast.error('Your library was saved by a newer version of ReadTrail. Click here to reload and update.', {
+        timeout: false,
+        closeOnClick: true,
+        onClick: () => window.location.reload()
+      })
+    }
+  }, { immediate: true })
+
   // Migration event listeners
+  let migrationToast = null // One progress toast, updated as batches complete
+
+  const dismissMigrationProgress = () => {
+    if (migrationToast !== null) {
+      toast.dismiss(migrationToast)
+      migrationToast = null
+    }
+  }
+
+  const handleMigrationProgress = (event) => {
+    const { migrated, total } = event.detail
+    if (migrated >= total) return // The success toast follows
+
+    const content = `Migrating books to your account (${migrated}/${total})`
+
+    if (migrationToast === null) {
+      migrationToast = toast.info(content, { timeout: false })
+    } else {
+      toast.update(migrationToast, { content })
+    }
+  }
+
   const handleMigrationSuccess = (event) => {
+    dismissMigrationProgress()
     const { count } = event.detail
     toast.success(`Migrated ${count} ${count === 1 ? 'book' : 'books'} to your account`, {
       timeout: 5000
     })
   }
 
-  const handleMigrationError = () => {
-    toast.error('Failed to sync local books. Please try again.', {
+  const handleMigrationError = (event) => {
+    dismissMigrationProgress()
+    const migratedCount = event.detail?.migratedCount ?? 0
+    const message = migratedCount > 0
+      ? `Migrated ${migratedCount} ${migratedCount === 1 ? 'book' : 'books'}, the rest failed to sync. Please try again.`
+      : 'Failed to sync local books. Please try again.'
+    toast.error(message, {
+      timeout: 6000
+    })
+  }
+
+  // Sync conflict listener (resolved in SyncConflictModal)
+  const handleSyncConflict = (event) => {
+    const { count } = event.detail
+    toast.warning(`${count} ${count === 1 ? 'book was' : 'books were'} also changed on another device. Choose which changes to keep.`, {
       timeout: 6000
     })
   }
 
   onMounted(() => {
+    window.addEventListener('migration-progress', handleMigrationProgress)
     window.addEventListener('migration-success', handleMigrationSuccess)
     window.addEventListener('migration-error', handleMigrationError)
+    window.addEventListener('sync-conflict', handleSyncConflict)
   })
 
   onUnmounted(() => {
+    window.removeEventListener('migration-progress', handleMigrationProgress)
     window.removeEventListener('migration-success', handleMigrationSuccess)
     window.removeEventListener('migration-error', handleMigrationError)
+    window.removeEventListener('sync-conflict', handleSyncConflict)
   })
 }
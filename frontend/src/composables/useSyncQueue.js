@@ -0,0 +1,88 @@
+/**
+ * Sync queue composable
+ * Reactive view of pending and failed sync operations, with the actions
+ * the sync panel offers on them
+ */
+
+import { shallowRef } from 'vue'
+import { syncQueue, OPERATION_TYPES } from '@/services/syncQueue'
+import { useBooksStore } from '@/stores/books'
+import { useSettingsStore } from '@/stores/settings'
+
+// Shared reactive state across all component instances
+const pendingOperations = shallowRef(syncQueue.getPendingOperations())
+const failedOperations = shallowRef(syncQueue.getFailedOperations())
+
+syncQueue.onChange(() => {
+  pendingOperations.value = syncQueue.getPendingOperations()
+  failedOperations.value = syncQueue.getFailedOperations()
+})
+
+export function useSyncQueue() {
+  const booksStore = useBooksStore()
+  const settingsStore = useSettingsStore()
+
+  /**
+   * Process the queue now
+   */
+  async function syncNow() {
+    await Promise.all([
+      booksStore.syncWithBackend(),
+      settingsStore.syncWithBackend()
+    ])
+  }
+
+  /**
+   * Requeue one failed operation and sync
+   * @param {string} operationId - Operation ID
+   */
+  async function retryOperation(operationId) {
+    if (syncQueue.retryFailed(operationId)) {
+      await syncNow()
+    }
+  }
+
+  /**
+   * Requeue every failed operation and sync
+   */
+  async function retryAll() {
+    syncQueue.retryAllFailed()
+    await syncNow()
+  }
+
+  /**
+   * Drop a pending or failed operation
+   * A discarded book CREATE also removes the book, which then only exists on this device
+   * @param {string} operationId - Operation ID
+   * @returns {boolean} True if discarded
+   */
+  function discardOperation(operationId) {
+    const operation = [...failedOperations.value, ...pendingOperations.value].find(op => op.id === operationId)
+    const discarded = syncQueue.discardOperation(operationId)
+
+    if (discarded && operation?.type === OPERATION_TYPES.CREATE && operation.resource === 'books' && operation.tempId) {
+      booksStore.discardLocalBook(operation.tempId)
+    }
+    return discarded
+  }
+
+  /**
+   * Replace the payload of a pending or failed operation
+   * @param {string} operationId - Operation ID
+   * @param {Object} data - New operation data
+   * @returns {boolean} True if updated (false while the operation is being sent)
+   */
+  function updateOperationData(operationId, data) {
+    return syncQueue.updateOperationData(operationId, data)
+  }
+
+  return {
+    pendingOperations,
+    failedOperations,
+    syncNow,
+    retryOperation,
+    retryAll,
+    discardOperation,
+    updateOperationData
+  }
+}
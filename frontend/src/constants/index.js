@@ -1,22 +1,38 @@
-// Book status sentinel values
+// Reading status of a book (books.status in PocketBase)
+// Only READ books have a read date (year and month)
 export const BOOK_STATUS = {
-  SENTINEL_YEAR: 1900,        // Represents "Read Long Ago"
-  SENTINEL_YEAR_LATELY: 1910, // Represents "Read Lately"
-  SENTINEL_YEAR_TO_READ: 2100, // Represents "To Read"
-  SENTINEL_MONTH: 1,
+  TO_READ: 'to_read',
+  READING: 'reading',
+  READ: 'read',
+  READ_LATELY: 'read_lately',     // Read recently, month unknown
+  READ_LONG_AGO: 'read_long_ago', // Read long ago, month unknown
 
   // Helper functions
-  isReadLongAgo: (year) => year === 1900,
-  isReadLately: (year) => year === 1910,
-  isToRead: (year) => year === 2100,
-  isSentinelYear: (year) => year === 1900 || year === 1910 || year === 2100,
+  // Books without a status are read when they have a read date, otherwise being read
+  getStatus: (book) => book?.status || (book?.year && book?.month ? BOOK_STATUS.READ : BOOK_STATUS.READING),
+  isToRead: (book) => BOOK_STATUS.getStatus(book) === BOOK_STATUS.TO_READ,
+  isReading: (book) => BOOK_STATUS.getStatus(book) === BOOK_STATUS.READING,
+  isReadLately: (book) => BOOK_STATUS.getStatus(book) === BOOK_STATUS.READ_LATELY,
+  isReadLongAgo: (book) => BOOK_STATUS.getStatus(book) === BOOK_STATUS.READ_LONG_AGO,
+  hasReadDate: (book) => BOOK_STATUS.getStatus(book) === BOOK_STATUS.READ,
+  isUndated: (book) => [BOOK_STATUS.READ_LATELY, BOOK_STATUS.READ_LONG_AGO].includes(BOOK_STATUS.getStatus(book)),
   isUnfinished: (book) => book?.attributes?.isUnfinished === true,
-  getTimelineLabel: (year) => {
-    if (year === 2100) return 'To Read'
-    if (year === 1910) return 'Read Lately'
-    if (year <= 1900) return 'Long Time Ago'
-    return year
-  }
+  getLabel: (status) => {
+    if (status === BOOK_STATUS.TO_READ) return 'To Read'
+    if (status === BOOK_STATUS.READING) return 'Reading'
+    if (status === BOOK_STATUS.READ_LATELY) return 'Read Lately'
+    if (status === BOOK_STATUS.READ_LONG_AGO) return 'Long Time Ago'
+    return 'Read'
+  },
+  // Timeline groups (see groupBooksByYear) are headed by their year or status
+  getTimelineLabel: (group) => group.status === BOOK_STATUS.READ ? group.year : BOOK_STATUS.getLabel(group.status)
+}
+
+// How much of a start or finish date is known
+export const DATE_PRECISION = {
+  DAY: 'day',
+  MONTH: 'month',
+  YEAR: 'year'
 }
 
 // Unfinished book styling
@@ -68,9 +84,6 @@ export const MONTHS = [
   { name: 'Dec', fullName: 'December', index: 11 }
 ]
 
-// Convert from 1-indexed SENTINEL_MONTH to 0-indexed for component usage
-export const SENTINEL_MONTH_INDEX = BOOK_STATUS.SENTINEL_MONTH - 1
-
 // Book scoring values
 export const BOOK_SCORE = {
   LIKE: 1,
@@ -84,6 +97,19 @@ export const BOOK_SCORE = {
   hasScore: (score) => score !== null && score !== 0
 }
 
+// Colors a tag can have (hex, shown as the tag's background)
+// New tags take the next color in turn
+export const TAG_COLORS = [
+  '#3b82f6', // Blue
+  '#10b981', // Green
+  '#f59e0b', // Amber
+  '#ef4444', // Red
+  '#8b5cf6', // Violet
+  '#ec4899', // Pink
+  '#14b8a6', // Teal
+  '#6b7280' // Gray
+]
+
 // Z-index layers (lowest to highest)
 export const Z_INDEX = {
   EDIT_OVERLAY: 10,
@@ -7,13 +7,14 @@ import App from './App.vue'
 import router from './router'
 import { useBooksStore } from './stores/books'
 import { useSettingsStore } from './stores/settings'
+import { useTagsStore } from './stores/tags'
+import { tabCoordinator } from './services/tabCoordinator'
 import { logger } from './utils/logger'
 import './style.css'
 
 const app = createApp(App)
 
 app.use(createPinia())
-app.use(router)
 app.use(Toast, {
   position: 'top-right',
   timeout: 4000,
@@ -25,12 +26,17 @@ app.use(Toast, {
 // Initialize stores on startup (async)
 async function initializeApp() {
   try {
+    // Join the other open tabs before any store writes or syncs
+    tabCoordinator.start()
+
     const booksStore = useBooksStore()
     const settingsStore = useSettingsStore()
+    const tagsStore = useTagsStore()
 
-    // Load settings and books in parallel
+    // Load settings, tags and books in parallel
     await Promise.all([
       settingsStore.loadSettings(),
+      tagsStore.loadTags(),
       booksStore.loadBooks()
     ])
 
@@ -41,6 +47,8 @@ async function initializeApp() {
 }
 
 // Wait for initialization before mounting
+// The router is installed afterwards so its first redirect sees the stored settings
 initializeApp().then(() => {
+  app.use(router)
   app.mount('#app')
 })
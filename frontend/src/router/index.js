@@ -8,29 +8,19 @@ import SettingsApplication from '@/views/SettingsApplication.vue'
 import Login from '@/views/Login.vue'
 import Register from '@/views/Register.vue'
 import Privacy from '@/views/Privacy.vue'
+import { useSettingsStore } from '@/stores/settings'
 
 /**
- * Get last used library view from localStorage
+ * Get last used library view from the settings store
+ * Settings are loaded before the router is installed (see main.js)
  * @returns {'grid' | 'timeline' | 'table'}
  */
 function getLastLibraryView() {
   const VALID_VIEWS = ['grid', 'timeline', 'table']
   const DEFAULT_VIEW = 'timeline'
 
-  try {
-    const stored = localStorage.getItem('readtrail-settings')
-    if (stored) {
-      const settings = JSON.parse(stored)
-      const lastView = settings.lastLibraryView
-      if (lastView && VALID_VIEWS.includes(lastView)) {
-        return lastView
-      }
-    }
-  } catch (error) {
-    console.warn('Failed to read lastLibraryView:', error)
-  }
-
-  return DEFAULT_VIEW
+  const lastView = useSettingsStore().settings.lastLibraryView
+  return VALID_VIEWS.includes(lastView) ? lastView : DEFAULT_VIEW
 }
 
 const router = createRouter({
@@ -59,6 +49,12 @@ const router = createRouter({
       name: 'library-table',
       component: LibraryTable
     },
+    {
+      // Books carrying one tag (every tag is a collection)
+      path: '/library/collection/:id',
+      name: 'library-collection',
+      component: Library
+    },
     {
       path: '/statistics',
       name: 'statistics',
@@ -6,12 +6,14 @@ import pb from '../pocketbase'
 vi.mock('../pocketbase', () => ({
   default: {
     collection: vi.fn(),
+    createBatch: vi.fn(),
     authStore: {
       record: { id: 'test-user-id' }
     },
     files: {
       getURL: vi.fn()
-    }
+    },
+    filter: vi.fn((raw, params) => `${raw} ${JSON.stringify(params)}`)
   }
 }))
 
@@ -22,13 +24,15 @@ vi.mock('../guestMode', () => ({
 }))
 
 // Mock errors module
-vi.mock('@/utils/errors', () => ({
+vi.mock('@/utils/errors', async (importOriginal) => ({
+  ...(await importOriginal()),
   adaptPocketBaseError: vi.fn((error) => error)
 }))
 
 // Mock logger
 vi.mock('@/utils/logger', () => ({
   logger: {
+    info: vi.fn(),
     warn: vi.fn(),
     debug: vi.fn()
   }
@@ -73,8 +77,15 @@ describe('booksApi transformations', () => {
         author: 'Test Author',
         coverLink: 'https://example.com/cover.jpg',
         coverDisplayLink: 'https://example.com/cover.jpg',
+        status: 'read',
         year: 2024,
         month: 3,
+        day: null,
+        startDate: null,
+        pastReads: [],
+        pageCount: null,
+        progress: [],
+        tags: [],
         attributes: {
           isUnfinished: false,
           customCover: false,
@@ -85,6 +96,96 @@ describe('booksApi transformations', () => {
       })
     })
 
+    it('should read dates with their precision', async () => {
+      const pbBook = {
+        id: 'test-id',
+        name: 'Book',
+        author: '',
+        cover_url: '',
+        cover_file: '',
+        status: 'read',
+        read_date: '2024-03-14 00:00:00.000Z',
+        read_date_precision: 'day',
+        start_date: '2024-01-01 00:00:00.000Z',
+        start_date_precision: 'year',
+        attributes: {},
+        created: '2024-01-01T00:00:00.000Z',
+        updated: '2024-01-01T00:00:00.000Z'
+      }
+
+      pb.collection.mockReturnValue({ getOne: vi.fn().mockResolvedValue(pbBook) })
+
+      const result = await booksApi.getBook('test-id')
+
+      expect(result).toMatchObject({
+        year: 2024,
+        month: 3,
+        day: 14,
+        startDate: { year: 2024, month: null, day: null }
+      })
+    })
+
+    it('should read earlier readings from past_reads', async () => {
+      const pbBook = {
+        id: 'test-id',
+        name: 'Book',
+        status: 'reading',
+        read_date: '',
+        past_reads: [{ year: 2019, month: 8, score: 1 }],
+        attributes: {},
+        created: '2024-01-01T00:00:00.000Z',
+        updated: '2024-01-01T00:00:00.000Z'
+      }
+
+      pb.collection.mockReturnValue({ getOne: vi.fn().mockResolvedValue(pbBook) })
+
+      const result = await booksApi.getBook('test-id')
+
+      expect(result.pastReads).toEqual([
+        { year: 2019, month: 8, day: null, startDate: null, isUnfinished: false, score: 1 }
+      ])
+    })
+
+    it('should read the page count and progress', async () => {
+      const pbBook = {
+        id: 'test-id',
+        name: 'Book',
+        status: 'reading',
+        read_date: '',
+        page_count: 328,
+        progress: [{ date: '2024-03-11', page: 20, percent: 6 }],
+        attributes: {},
+        created: '2024-01-01T00:00:00.000Z',
+        updated: '2024-01-01T00:00:00.000Z'
+      }
+
+      pb.collection.mockReturnValue({ getOne: vi.fn().mockResolvedValue(pbBook) })
+
+      const result = await booksApi.getBook('test-id')
+
+      expect(result).toMatchObject({ pageCount: 328, progress: [{ date: '2024-03-11', page: 20, percent: 6 }] })
+    })
+
+    it('should read the tags and drop empty ones', async () => {
+      pb.collection.mockReturnValue({
+        getOne: vi.fn().mockResolvedValue({ id: 'test-id', name: 'Book', tags: ['tag-1', '', 'tag-1'], attributes: {}, created: '2024-01-01', updated: '2024-01-01' })
+      })
+
+      const result = await booksApi.getBook('test-id')
+
+      expect(result.tags).toEqual(['tag-1'])
+    })
+
+    it('should treat an empty page count as unknown', async () => {
+      pb.collection.mockReturnValue({
+        getOne: vi.fn().mockResolvedValue({ id: 'test-id', name: 'Book', page_count: 0, attributes: {}, created: '2024-01-01', updated: '2024-01-01' })
+      })
+
+      const result = await booksApi.getBook('test-id')
+
+      expect(result.pageCount).toBeNull()
+    })
+
     it('should convert read_date to year and month correctly', async () => {
       const pbBook = {
         id: 'test-id',
@@ -181,6 +282,45 @@ describe('booksApi transformations', () => {
       expect(result.month).toBeNull()
     })
 
+    it('should read the status field', async () => {
+      const pbBook = {
+        id: 'test-id',
+        name: 'Book',
+        read_date: '',
+        status: 'to_read',
+        attributes: {},
+        created: '2024-01-01T00:00:00.000Z',
+        updated: '2024-01-01T00:00:00.000Z'
+      }
+
+      pb.collection.mockReturnValue({ getOne: vi.fn().mockResolvedValue(pbBook) })
+
+      const result = await booksApi.getBook('test-id')
+
+      expect(result.status).toBe('to_read')
+      expect(result.year).toBeNull()
+      expect(result.month).toBeNull()
+    })
+
+    it('should map legacy sentinel read dates without a status', async () => {
+      const pbBook = {
+        id: 'test-id',
+        name: 'Book',
+        read_date: '1910-01-01 00:00:00.000Z',
+        attributes: {},
+        created: '2024-01-01T00:00:00.000Z',
+        updated: '2024-01-01T00:00:00.000Z'
+      }
+
+      pb.collection.mockReturnValue({ getOne: vi.fn().mockResolvedValue(pbBook) })
+
+      const result = await booksApi.getBook('test-id')
+
+      expect(result.status).toBe('read_lately')
+      expect(result.year).toBeNull()
+      expect(result.month).toBeNull()
+    })
+
     it('should prioritize cover_file over cover_url for coverDisplayLink', async () => {
       const pbBook = {
         id: 'test-id',
@@ -399,6 +539,14 @@ describe('booksApi transformations', () => {
         author: 'Test Author',
         cover_url: 'https://example.com/cover.jpg',
         read_date: '2024-03-01',
+        read_date_precision: 'month',
+        start_date: null,
+        start_date_precision: null,
+        status: 'read',
+        past_reads: [],
+        page_count: null,
+        progress: [],
+        tags: [],
         attributes: {
           isUnfinished: false,
           customCover: false,
@@ -408,6 +556,37 @@ describe('booksApi transformations', () => {
       })
     })
 
+    it('should write the day and start date with their precision', async () => {
+      const mockCollection = {
+        create: vi.fn().mockResolvedValue({
+          id: 'new-id',
+          name: 'Book',
+          read_date: '2024-03-14',
+          attributes: {},
+          created: '2024-01-01T00:00:00.000Z',
+          updated: '2024-01-01T00:00:00.000Z'
+        })
+      }
+      pb.collection.mockReturnValue(mockCollection)
+
+      await booksApi.createBook({
+        name: 'Book',
+        status: 'read',
+        year: 2024,
+        month: 3,
+        day: 14,
+        startDate: { year: 2024, month: 2, day: null },
+        attributes: {}
+      })
+
+      expect(mockCollection.create.mock.calls[0][0]).toMatchObject({
+        read_date: '2024-03-14',
+        read_date_precision: 'day',
+        start_date: '2024-02-01',
+        start_date_precision: 'month'
+      })
+    })
+
     it('should convert year and month to read_date with zero-padding', async () => {
       const storeBook = {
         name: 'Book',
@@ -532,6 +711,35 @@ describe('booksApi transformations', () => {
       expect(callArgs.read_date).toBeNull()
     })
 
+    it('should clear read_date for books without a read month', async () => {
+      const storeBook = {
+        name: 'Book',
+        status: 'read_long_ago',
+        year: null,
+        month: null,
+        attributes: {}
+      }
+
+      const mockCollection = {
+        create: vi.fn().mockResolvedValue({
+          id: 'new-id',
+          name: 'Book',
+          read_date: '',
+          status: 'read_long_ago',
+          attributes: {},
+          created: '2024-01-01T00:00:00.000Z',
+          updated: '2024-01-01T00:00:00.000Z'
+        })
+      }
+      pb.collection.mockReturnValue(mockCollection)
+
+      await booksApi.createBook(storeBook)
+
+      const callArgs = mockCollection.create.mock.calls[0][0]
+      expect(callArgs.status).toBe('read_long_ago')
+      expect(callArgs.read_date).toBeNull()
+    })
+
     it('should convert null author to empty string', async () => {
       const storeBook = {
         name: 'Book',
@@ -746,4 +954,292 @@ describe('booksApi transformations', () => {
       expect(retrieved.attributes).toEqual(originalBook.attributes)
     })
   })
+
+  describe('getCoverFiles', () => {
+    it('should list original cover file URLs', async () => {
+      const records = [{ id: 'book1', collectionId: 'books', collectionName: 'books', cover_file: 'cover_abc.jpg' }]
+      const mockCollection = {
+        getFullList: vi.fn().mockResolvedValue(records)
+      }
+      pb.collection.mockReturnValue(mockCollection)
+      pb.files.getURL.mockReturnValue('https://pb.example.com/api/files/books/book1/cover_abc.jpg')
+
+      const result = await booksApi.getCoverFiles()
+
+      expect(mockCollection.getFullList).toHaveBeenCalledWith(expect.objectContaining({ filter: "cover_file != ''" }))
+      expect(pb.files.getURL).toHaveBeenCalledWith(records[0], 'cover_abc.jpg')
+      expect(result).toEqual([{
+        bookId: 'book1',
+        fileName: 'cover_abc.jpg',
+        url: 'https://pb.example.com/api/files/books/book1/cover_abc.jpg'
+      }])
+    })
+  })
+
+  describe('updateBookFromBase', () => {
+    const pbRecord = (overrides = {}) => ({
+      id: 'book1',
+      name: 'Dune',
+      author: 'Frank Herbert',
+      cover_url: '',
+      cover_file: '',
+      read_date: '2024-03-01',
+      attributes: { isUnfinished: false, customCover: false, score: null },
+      created: '2024-01-01T00:00:00.000Z',
+      updated: '2024-03-01T00:00:00.000Z',
+      ...overrides
+    })
+
+    const baseFields = {
+      name: 'Dune',
+      author: 'Frank Herbert',
+      coverLink: null,
+      year: 2024,
+      month: 3,
+      attributes: { isUnfinished: false, customCover: false, score: null }
+    }
+
+    const base = { updatedAt: '2024-03-01T00:00:00.000Z', fields: baseFields }
+    const localBook = { ...baseFields, id: 'book1', name: 'Dune Messiah' }
+
+    let mockCollection
+
+    beforeEach(() => {
+      mockCollection = {
+        getOne: vi.fn(),
+        update: vi.fn(async (id, data) => pbRecord({ ...data, updated: '2024-04-01T00:00:00.000Z' }))
+      }
+      pb.collection.mockReturnValue(mockCollection)
+    })
+
+    it('should update directly without a base version', async () => {
+      await booksApi.updateBookFromBase('book1', localBook, null)
+
+      expect(mockCollection.getOne).not.toHaveBeenCalled()
+      expect(mockCollection.update).toHaveBeenCalledWith('book1', expect.objectContaining({ name: 'Dune Messiah' }))
+    })
+
+    it('should update when the server is unchanged since the base', async () => {
+      mockCollection.getOne.mockResolvedValue(pbRecord())
+
+      await booksApi.updateBookFromBase('book1', localBook, base)
+
+      expect(mockCollection.update).toHaveBeenCalledWith('book1', expect.objectContaining({ name: 'Dune Messiah' }))
+    })
+
+    it('should merge non-overlapping remote changes', async () => {
+      mockCollection.getOne.mockResolvedValue(pbRecord({
+        author: 'F. Herbert',
+        attributes: { isUnfinished: false, customCover: false, score: 1 },
+        updated: '2024-03-10T00:00:00.000Z'
+      }))
+
+      await booksApi.updateBookFromBase('book1', localBook, base)
+
+      expect(mockCollection.update).toHaveBeenCalledWith('book1', expect.objectContaining({
+        name: 'Dune Messiah',
+        author: 'F. Herbert',
+        attributes: { isUnfinished: false, customCover: false, score: 1 }
+      }))
+    })
+
+    it('should throw a conflict error for overlapping changes', async () => {
+      mockCollection.getOne.mockResolvedValue(pbRecord({
+        name: 'Children of Dune',
+        updated: '2024-03-10T00:00:00.000Z'
+      }))
+
+      const error = await booksApi.updateBookFromBase('book1', localBook, base).catch(e => e)
+
+      expect(error.isConflict()).toBe(true)
+      expect(error.data).toMatchObject({
+        bookId: 'book1',
+        fields: ['name'],
+        local: { name: 'Dune Messiah' },
+        remote: { name: 'Children of Dune', updatedAt: '2024-03-10T00:00:00.000Z' }
+      })
+      expect(mockCollection.update).not.toHaveBeenCalled()
+    })
+
+    it('should be used by the books_UPDATE sync handler', async () => {
+      mockCollection.getOne.mockResolvedValue(pbRecord())
+      const handlers = booksApi.getSyncHandlers()
+
+      await handlers.books_UPDATE({ data: { ...localBook, base } })
+
+      expect(mockCollection.getOne).toHaveBeenCalledWith('book1')
+      expect(mockCollection.update).toHaveBeenCalledWith('book1', expect.not.objectContaining({ base }))
+    })
+  })
+
+  describe('getBooks', () => {
+    it('should load every page of books', async () => {
+      const mockCollection = {
+        getFullList: vi.fn().mockResolvedValue([
+          { id: 'book1', name: 'A', created: '2024-01-01T00:00:00.000Z', updated: '2024-01-01T00:00:00.000Z' },
+          { id: 'book2', name: 'B', created: '2024-01-02T00:00:00.000Z', updated: '2024-01-02T00:00:00.000Z' }
+        ])
+      }
+      pb.collection.mockReturnValue(mockCollection)
+
+      const result = await booksApi.getBooks()
+
+      expect(mockCollection.getFullList).toHaveBeenCalledWith({ sort: '-created', batch: 500 })
+      expect(result.map(book => book.id)).toEqual(['book1', 'book2'])
+    })
+
+    it('should return an empty list when the collection is unavailable', async () => {
+      pb.collection.mockReturnValue({ getFullList: vi.fn().mockRejectedValue({ status: 404 }) })
+
+      expect(await booksApi.getBooks()).toEqual([])
+    })
+  })
+
+  describe('getBooksUpdatedSince', () => {
+    it('should fetch books changed since the cursor', async () => {
+      const mockCollection = {
+        getFullList: vi.fn().mockResolvedValue([
+          { id: 'book1', name: 'A', created: '2024-01-01T00:00:00.000Z', updated: '2024-03-05T00:00:00.000Z' }
+        ])
+      }
+      pb.collection.mockReturnValue(mockCollection)
+
+      const result = await booksApi.getBooksUpdatedSince('2024-03-01T00:00:00.000Z')
+
+      expect(pb.filter).toHaveBeenCalledWith('updated >= {:since}', { since: new Date('2024-03-01T00:00:00.000Z') })
+      expect(mockCollection.getFullList).toHaveBeenCalledWith(expect.objectContaining({ sort: 'updated' }))
+      expect(result[0].updatedAt).toEqual(new Date('2024-03-05T00:00:00.000Z'))
+    })
+  })
+
+  describe('getBookIds', () => {
+    it('should fetch only record IDs', async () => {
+      const mockCollection = {
+        getFullList: vi.fn().mockResolvedValue([{ id: 'book1' }, { id: 'book2' }])
+      }
+      pb.collection.mockReturnValue(mockCollection)
+
+      const result = await booksApi.getBookIds()
+
+      expect(mockCollection.getFullList).toHaveBeenCalledWith(expect.objectContaining({ fields: 'id' }))
+      expect(result).toEqual(['book1', 'book2'])
+    })
+  })
+
+  describe('batch requests', () => {
+    const record = (id) => ({
+      id,
+      name: `Book ${id}`,
+      created: '2024-01-01T00:00:00.000Z',
+      updated: '2024-03-01T00:00:00.000Z'
+    })
+
+    // Each send() answers with the next list of record IDs, or the given error
+    const mockBatches = (...outcomes) => {
+      const batches = outcomes.map((outcome) => {
+        const requests = { create: vi.fn(), update: vi.fn() }
+        return {
+          requests,
+          collection: vi.fn(() => requests),
+          send: outcome instanceof Error
+            ? vi.fn().mockRejectedValue(outcome)
+            : vi.fn().mockResolvedValue(outcome.map(id => ({ status: 200, body: record(id) })))
+        }
+      })
+      batches.forEach(batch => pb.createBatch.mockReturnValueOnce(batch))
+      return batches
+    }
+
+    const books = (count) => Array.from({ length: count }, (_, index) => ({ name: `Book ${index}` }))
+
+    it('should create books in chunks of 50', async () => {
+      const firstIds = Array.from({ length: 50 }, (_, index) => `b${index}`)
+      const batches = mockBatches(firstIds, ['b50', 'b51'])
+      const onProgress = vi.fn()
+
+      const result = await booksApi.batchCreateBooks(books(52), onProgress)
+
+      expect(batches[0].requests.create).toHaveBeenCalledTimes(50)
+      expect(batches[1].requests.create).toHaveBeenCalledTimes(2)
+      expect(batches[0].collection).toHaveBeenCalledWith('books')
+      expect(result).toHaveLength(52)
+      expect(result[51]).toMatchObject({ id: 'b51', name: 'Book b51' })
+      expect(onProgress.mock.calls).toEqual([[50, 52], [52, 52]])
+    })
+
+    it('should report the books created before a chunk failed', async () => {
+      const firstIds = Array.from({ length: 50 }, (_, index) => `b${index}`)
+      mockBatches(firstIds, new Error('Failed to send batch request.'))
+
+      const error = await booksApi.batchCreateBooks(books(60)).catch(e => e)
+
+      expect(error.message).toBe('Failed to send batch request.')
+      expect(error.created).toHaveLength(50)
+      expect(error.created[0].id).toBe('b0')
+    })
+
+    it('should update books in a batch', async () => {
+      const [batch] = mockBatches(['book1'])
+
+      const result = await booksApi.batchUpdateBooks([{ id: 'book1', book: { name: 'Dune' } }])
+
+      expect(batch.requests.update).toHaveBeenCalledWith('book1', expect.objectContaining({ name: 'Dune' }))
+      expect(result[0].id).toBe('book1')
+    })
+
+    it('should send queued edits in one batch when no book changed elsewhere', async () => {
+      pb.collection.mockReturnValue({
+        getFullList: vi.fn().mockResolvedValue([{ id: 'book1', updated: '2024-03-01T00:00:00.000Z' }])
+      })
+      const [batch] = mockBatches(['book1'])
+      const handlers = booksApi.getSyncHandlers()
+
+      await handlers.books_UPDATE_BATCH([
+        { data: { id: 'book1', name: 'Dune', base: { updatedAt: '2024-03-01T00:00:00.000Z', fields: {} } } }
+      ])
+
+      expect(batch.requests.update).toHaveBeenCalledWith('book1', expect.not.objectContaining({ base: expect.anything() }))
+    })
+
+    it('should refuse to batch edits of books changed elsewhere', async () => {
+      pb.collection.mockReturnValue({
+        getFullList: vi.fn().mockResolvedValue([{ id: 'book1', updated: '2024-03-05T00:00:00.000Z' }])
+      })
+      const handlers = booksApi.getSyncHandlers()
+
+      await expect(handlers.books_UPDATE_BATCH([
+        { data: { id: 'book1', name: 'Dune', base: { updatedAt: '2024-03-01T00:00:00.000Z', fields: {} } } }
+      ])).rejects.toThrow()
+      expect(pb.createBatch).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('subscribeToBooks', () => {
+    it('should forward transformed realtime events', async () => {
+      const unsubscribe = vi.fn()
+      let listener
+      const mockCollection = {
+        subscribe: vi.fn(async (topic, callback) => {
+          listener = callback
+          return unsubscribe
+        })
+      }
+      pb.collection.mockReturnValue(mockCollection)
+      const callback = vi.fn()
+
+      const result = await booksApi.subscribeToBooks(callback)
+      listener({
+        action: 'update',
+        record: { id: 'book1', name: 'Dune', read_date: '2024-03-01', created: '2024-01-01T00:00:00.000Z', updated: '2024-03-05T00:00:00.000Z' }
+      })
+
+      expect(mockCollection.subscribe).toHaveBeenCalledWith('*', expect.any(Function))
+      expect(result).toBe(unsubscribe)
+      expect(callback).toHaveBeenCalledWith({
+        action: 'update',
+        book: expect.objectContaining({ id: 'book1', name: 'Dune', year: 2024, month: 3 })
+      })
+    })
+  })
 })
+
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { CalendarApi } from '../calendarApi'
+import pb from '../pocketbase'
+import { requireAuth } from '../guestMode'
+
+// Mock the pocketbase module
+vi.mock('../pocketbase', () => ({
+  default: {
+    send: vi.fn(),
+    buildURL: vi.fn((path) => `/${path.replace(/^\//, '')}`),
+    authStore: {
+      token: 'auth-token',
+      record: { id: 'user1', calendar_token: null },
+      save: vi.fn()
+    }
+  }
+}))
+
+// Mock guestMode module
+vi.mock('../guestMode', () => ({
+  requireAuth: vi.fn()
+}))
+
+// Mock errors module
+vi.mock('@/utils/errors', () => ({
+  adaptPocketBaseError: vi.fn((error) => error)
+}))
+
+// Mock logger
+vi.mock('@/utils/logger', () => ({
+  logger: {
+    debug: vi.fn()
+  }
+}))
+
+describe('CalendarApi', () => {
+  let calendarApi
+
+  beforeEach(() => {
+    calendarApi = new CalendarApi()
+    vi.clearAllMocks()
+    pb.authStore.record = { id: 'user1', calendar_token: null }
+  })
+
+  describe('getFeedToken', () => {
+    it('should return null when no feed exists', () => {
+      expect(calendarApi.getFeedToken()).toBeNull()
+    })
+
+    it('should read the token from the auth record', () => {
+      pb.authStore.record.calendar_token = 'abc'
+
+      expect(calendarApi.getFeedToken()).toBe('abc')
+    })
+  })
+
+  describe('rotateFeedToken', () => {
+    it('should request a new token and update the auth record', async () => {
+      pb.send.mockResolvedValue({ token: 'new-token' })
+
+      const token = await calendarApi.rotateFeedToken()
+
+      expect(requireAuth).toHaveBeenCalled()
+      expect(pb.send).toHaveBeenCalledWith('/api/readtrail/calendar/token', { method: 'POST' })
+      expect(pb.authStore.save).toHaveBeenCalledWith('auth-token', { id: 'user1', calendar_token: 'new-token' })
+      expect(token).toBe('new-token')
+    })
+
+    it('should throw adapted errors', async () => {
+      pb.send.mockRejectedValue(new Error('Unauthorized'))
+
+      await expect(calendarApi.rotateFeedToken()).rejects.toThrow('Unauthorized')
+    })
+  })
+
+  describe('getFeedUrl', () => {
+    it('should build an absolute feed URL', () => {
+      expect(calendarApi.getFeedUrl('abc')).toBe(`${window.location.origin}/api/readtrail/calendar/abc`)
+    })
+  })
+})
@@ -0,0 +1,109 @@
+import { describe, it, expect, vi } from 'vitest'
+import { generateBooksICS, hasCalendarDate } from '../calendarExport'
+import { BOOK_STATUS, BOOK_SCORE } from '@/constants'
+
+// Mock logger
+vi.mock('@/utils/logger', () => ({
+  logger: {
+    debug: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    info: vi.fn()
+  }
+}))
+
+describe('calendarExport', () => {
+  const makeBook = (overrides) => ({
+    id: 'book1',
+    name: 'The Great Gatsby',
+    author: 'F. Scott Fitzgerald',
+    year: 2024,
+    month: 3,
+    attributes: { isUnfinished: false, score: null },
+    ...overrides
+  })
+
+  const unfold = (ics) => ics.replace(/\r\n /g, '')
+
+  describe('hasCalendarDate', () => {
+    it('should accept dated books', () => {
+      expect(hasCalendarDate(makeBook())).toBe(true)
+    })
+
+    it('should skip sentinel years and in-progress books', () => {
+      expect(hasCalendarDate(makeBook({ status: BOOK_STATUS.READ_LONG_AGO, year: null, month: null }))).toBe(false)
+      expect(hasCalendarDate(makeBook({ status: BOOK_STATUS.READ_LATELY, year: null, month: null }))).toBe(false)
+      expect(hasCalendarDate(makeBook({ status: BOOK_STATUS.TO_READ, year: null, month: null }))).toBe(false)
+      expect(hasCalendarDate(makeBook({ year: null, month: null }))).toBe(false)
+    })
+
+    it('should skip books only known to the year', () => {
+      expect(hasCalendarDate(makeBook({ year: 2024, month: null }))).toBe(false)
+    })
+  })
+
+  describe('generateBooksICS', () => {
+    it('should wrap events in a VCALENDAR with CRLF line endings', () => {
+      const ics = generateBooksICS([makeBook()])
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true)
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true)
+      expect(ics.split('\r\n').every(line => !line.includes('\n'))).toBe(true)
+    })
+
+    it('should create an all-day event on the read date', () => {
+      const ics = generateBooksICS([makeBook()])
+
+      expect(ics).toContain('UID:book1@readtrail')
+      expect(ics).toContain('DTSTART;VALUE=DATE:20240301')
+      expect(ics).toContain('DTEND;VALUE=DATE:20240302')
+      expect(ics).toContain('SUMMARY:Read: The Great Gatsby')
+      expect(ics).toContain('DESCRIPTION:by F. Scott Fitzgerald')
+      expect(ics).toMatch(/DTSTAMP:\d{8}T\d{6}Z/)
+    })
+
+    it('should use the day when known', () => {
+      const ics = generateBooksICS([makeBook({ day: 14 })])
+
+      expect(ics).toContain('DTSTART;VALUE=DATE:20240314')
+      expect(ics).toContain('DTEND;VALUE=DATE:20240315')
+    })
+
+    it('should skip books without a real date', () => {
+      const ics = generateBooksICS([
+        makeBook({ id: 'a', status: BOOK_STATUS.TO_READ, year: null, month: null }),
+        makeBook({ id: 'b', year: null, month: null }),
+        makeBook({ id: 'c', year: 2023, month: 12 })
+      ])
+
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1)
+      expect(ics).toContain('UID:c@readtrail')
+      expect(ics).toContain('DTSTART;VALUE=DATE:20231201')
+    })
+
+    it('should describe unfinished and scored books', () => {
+      const ics = generateBooksICS([
+        makeBook({ id: 'a', attributes: { isUnfinished: true, score: BOOK_SCORE.DISLIKE } })
+      ])
+
+      expect(ics).toContain('SUMMARY:Stopped reading: The Great Gatsby')
+      expect(ics).toContain('DESCRIPTION:by F. Scott Fitzgerald\\nDisliked')
+    })
+
+    it('should escape text values', () => {
+      const ics = generateBooksICS([makeBook({ name: 'Eats, Shoots; Leaves\\', author: null })])
+
+      expect(ics).toContain('SUMMARY:Read: Eats\\, Shoots\\; Leaves\\\\')
+      expect(ics).not.toContain('DESCRIPTION')
+    })
+
+    it('should fold lines longer than 75 octets', () => {
+      const name = 'Ü'.repeat(60)
+      const ics = generateBooksICS([makeBook({ name })])
+      const encoder = new TextEncoder()
+
+      expect(ics.split('\r\n').every(line => encoder.encode(line).length <= 75)).toBe(true)
+      expect(unfold(ics)).toContain(`SUMMARY:Read: ${name}`)
+    })
+  })
+})
@@ -0,0 +1,212 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate'
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  createBackupArchive,
+  parseBackupArchive,
+  isBackupArchive,
+  readBackupArchive
+} from '../dataBackup'
+import { booksApi } from '../booksApi'
+import { CURRENT_SCHEMA_VERSION } from '@/utils/exportSchema'
+
+// Mock books API
+vi.mock('../booksApi', () => ({
+  booksApi: {
+    getCoverFiles: vi.fn()
+  }
+}))
+
+// Mock auth manager
+vi.mock('../auth', () => ({
+  authManager: {
+    getCurrentUser: vi.fn(() => ({
+      id: 'user123',
+      email: 'test@example.com',
+      created: '2024-01-01T00:00:00Z',
+      updated: '2024-01-15T00:00:00Z'
+    }))
+  }
+}))
+
+// Mock logger
+vi.mock('@/utils/logger', () => ({
+  logger: {
+    debug: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    info: vi.fn()
+  }
+}))
+
+describe('dataBackup', () => {
+  const books = [
+    {
+      id: 'book1',
+      name: 'The Great Gatsby',
+      author: 'F. Scott Fitzgerald',
+      coverLink: null,
+      year: 2024,
+      month: 3,
+      attributes: { isUnfinished: false, customCover: true, score: 1 },
+      createdAt: new Date('2024-03-01'),
+      updatedAt: new Date('2024-03-15')
+    },
+    {
+      id: 'book2',
+      name: '1984',
+      author: 'George Orwell',
+      coverLink: 'https://example.com/1984.jpg',
+      year: 2024,
+      month: 1,
+      attributes: { isUnfinished: false, customCover: false, score: null },
+      createdAt: new Date('2024-01-10'),
+      updatedAt: new Date('2024-01-20')
+    }
+  ]
+
+  const coverBytes = new Uint8Array([0xff, 0xd8, 0xff, 0xe0])
+
+  const mockFetchResponse = (ok = true) => ({
+    ok,
+    status: ok ? 200 : 404,
+    headers: { get: () => 'image/jpeg' },
+    arrayBuffer: () => Promise.resolve(coverBytes.buffer)
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    booksApi.getCoverFiles.mockResolvedValue([
+      { bookId: 'book1', fileName: 'gatsby_abc.jpg', url: 'https://pb.example.com/api/files/books/book1/gatsby_abc.jpg' }
+    ])
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(mockFetchResponse()))
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  describe('createBackupArchive', () => {
+    it('should contain data, manifest and cover files', async () => {
+      const archive = await createBackupArchive(books, { allowScoring: true })
+      const files = unzipSync(archive)
+
+      expect(Object.keys(files).sort()).toEqual([
+        'covers/book1/gatsby_abc.jpg',
+        'data.json',
+        'manifest.json'
+      ])
+
+      const data = JSON.parse(strFromU8(files['data.json']))
+      expect(data.books).toHaveLength(2)
+      expect(data.settings).toEqual({ allowScoring: true })
+
+      const manifest = JSON.parse(strFromU8(files['manifest.json']))
+      expect(manifest).toMatchObject({
+        format: BACKUP_FORMAT,
+        backupVersion: BACKUP_VERSION,
+        exportVersion: CURRENT_SCHEMA_VERSION,
+        bookCount: 2,
+        covers: [{ bookId: 'book1', path: 'covers/book1/gatsby_abc.jpg', contentType: 'image/jpeg', size: 4 }],
+        missingCovers: []
+      })
+
+      expect(files['covers/book1/gatsby_abc.jpg']).toEqual(coverBytes)
+      expect(fetch).toHaveBeenCalledWith('https://pb.example.com/api/files/books/book1/gatsby_abc.jpg')
+    })
+
+    it('should record covers that fail to download', async () => {
+      fetch.mockResolvedValue(mockFetchResponse(false))
+
+      const files = unzipSync(await createBackupArchive(books, {}))
+      const manifest = JSON.parse(strFromU8(files['manifest.json']))
+
+      expect(manifest.covers).toEqual([])
+      expect(manifest.missingCovers).toEqual(['book1'])
+    })
+
+    it('should skip covers of books not in the export', async () => {
+      booksApi.getCoverFiles.mockResolvedValue([
+        { bookId: 'other', fileName: 'x.jpg', url: 'https://pb.example.com/x.jpg' }
+      ])
+
+      const files = unzipSync(await createBackupArchive(books, {}))
+
+      expect(fetch).not.toHaveBeenCalled()
+      expect(Object.keys(files)).not.toContain('covers/other/x.jpg')
+    })
+  })
+
+  describe('parseBackupArchive', () => {
+    it('should restore books with their cover files', async () => {
+      const archive = await createBackupArchive(books, {})
+
+      const parsed = parseBackupArchive(archive)
+
+      expect(parsed.books).toHaveLength(2)
+      expect(parsed.coverCount).toBe(1)
+      expect(parsed.manifest.format).toBe(BACKUP_FORMAT)
+
+      const restored = parsed.books.find(book => book.id === 'book1')
+      expect(restored.coverFile).toBeInstanceOf(File)
+      expect(restored.coverFile.name).toBe('gatsby_abc.jpg')
+      expect(restored.coverFile.type).toBe('image/jpeg')
+      expect(parsed.books.find(book => book.id === 'book2')).not.toHaveProperty('coverFile')
+    })
+
+    it('should reject files that are not zip archives', () => {
+      expect(() => parseBackupArchive(strToU8('not a zip'))).toThrow('File is not a valid zip archive')
+    })
+
+    it('should reject archives without manifest', () => {
+      const archive = zipSync({ 'data.json': strToU8('{}') })
+
+      expect(() => parseBackupArchive(archive)).toThrow('missing manifest or data')
+    })
+
+    it('should reject unknown backup versions', () => {
+      const archive = zipSync({
+        'manifest.json': strToU8(JSON.stringify({ format: BACKUP_FORMAT, backupVersion: '9.0' })),
+        'data.json': strToU8('{}')
+      })
+
+      expect(() => parseBackupArchive(archive)).toThrow('Unsupported backup version: 9.0')
+    })
+
+    it('should skip covers missing from the archive', () => {
+      const archive = zipSync({
+        'manifest.json': strToU8(JSON.stringify({
+          format: BACKUP_FORMAT,
+          backupVersion: BACKUP_VERSION,
+          covers: [{ bookId: 'book1', path: 'covers/book1/gone.jpg' }]
+        })),
+        'data.json': strToU8(JSON.stringify({ exportVersion: '1.0', books: [{ id: 'book1', name: 'Book' }] }))
+      })
+
+      const parsed = parseBackupArchive(archive)
+
+      expect(parsed.coverCount).toBe(0)
+      expect(parsed.books[0]).not.toHaveProperty('coverFile')
+    })
+  })
+
+  describe('readBackupArchive', () => {
+    it('should read a selected zip file', async () => {
+      const archive = await createBackupArchive(books, {})
+      const file = new File([archive], 'readtrail-backup.zip', { type: 'application/zip' })
+
+      const parsed = await readBackupArchive(file)
+
+      expect(parsed.books).toHaveLength(2)
+    })
+  })
+
+  describe('isBackupArchive', () => {
+    it('should detect zip files by name or type', () => {
+      expect(isBackupArchive(new File([''], 'backup.ZIP'))).toBe(true)
+      expect(isBackupArchive(new File([''], 'backup', { type: 'application/zip' }))).toBe(true)
+      expect(isBackupArchive(new File([''], 'data.json', { type: 'application/json' }))).toBe(false)
+    })
+  })
+})
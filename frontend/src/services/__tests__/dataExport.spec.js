@@ -2,10 +2,16 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 import {
   generateUserDataJSON,
   generateBooksCSV,
+  generateGoodreadsCSV,
+  GOODREADS_CSV_HEADERS,
   downloadFile,
   exportUserDataAsJSON,
   exportBooksAsCSV
 } from '../dataExport'
+import { goodreadsImporter } from '../importers/goodreads'
+import { parseCSVRecords } from '@/utils/csvParser'
+import { BOOK_STATUS, BOOK_SCORE } from '@/constants'
+import { CURRENT_SCHEMA_VERSION } from '@/utils/exportSchema'
 
 // Mock auth manager
 vi.mock('../auth', () => ({
@@ -66,7 +72,7 @@ describe('dataExport', () => {
       const result = generateUserDataJSON(mockBooks, mockSettings)
 
       expect(result).toHaveProperty('exportDate')
-      expect(result).toHaveProperty('exportVersion', '1.0')
+      expect(result).toHaveProperty('exportVersion', CURRENT_SCHEMA_VERSION)
       expect(result).toHaveProperty('user')
       expect(result).toHaveProperty('settings')
       expect(result).toHaveProperty('books')
@@ -116,6 +122,18 @@ describe('dataExport', () => {
       expect(result.settings).toEqual({})
     })
 
+    it('should include tags and the tags of each book', () => {
+      const tags = [{ id: 'tag-1', name: 'Classics', color: '#3b82f6' }]
+      const books = [{ ...mockBooks[0], tags: ['tag-1'] }, mockBooks[1]]
+
+      const result = generateUserDataJSON(books, mockSettings, tags)
+
+      expect(result.tags).toEqual(tags)
+      expect(result.books[0].tags).toEqual(['tag-1'])
+      expect(result.books[1].tags).toEqual([])
+      expect(generateUserDataJSON(mockBooks, mockSettings).tags).toEqual([])
+    })
+
     it('should have valid ISO date format for exportDate', () => {
       const result = generateUserDataJSON(mockBooks, mockSettings)
 
@@ -128,7 +146,7 @@ describe('dataExport', () => {
       const csv = generateBooksCSV(mockBooks)
       const lines = csv.split('\n')
 
-      expect(lines[0]).toBe('Title,Author,Read Date,Status,Score')
+      expect(lines[0]).toBe('Title,Author,Read Date,Start Date,Status,Score')
     })
 
     it('should include all books as CSV rows', () => {
@@ -158,6 +176,22 @@ describe('dataExport', () => {
       expect(lines[2]).toContain('Unfinished')
     })
 
+    it('should write dates as precise as known', () => {
+      const csv = generateBooksCSV([{
+        id: 'book3',
+        name: 'Dune',
+        author: 'Frank Herbert',
+        status: 'read',
+        year: 2024,
+        month: 3,
+        day: 14,
+        startDate: { year: 2024, month: 2, day: null },
+        attributes: {}
+      }])
+
+      expect(csv.split('\n')[1]).toBe('Dune,Frank Herbert,2024-03-14,2024-02,Completed,')
+    })
+
     it('should handle books in progress (no date)', () => {
       const inProgressBook = [{
         id: 'book3',
@@ -227,7 +261,7 @@ describe('dataExport', () => {
       const lines = csv.split('\n')
 
       expect(lines).toHaveLength(1) // only headers
-      expect(lines[0]).toBe('Title,Author,Read Date,Status,Score')
+      expect(lines[0]).toBe('Title,Author,Read Date,Start Date,Status,Score')
     })
 
     it('should handle missing author', () => {
@@ -295,6 +329,133 @@ describe('dataExport', () => {
     })
   })
 
+  describe('generateGoodreadsCSV', () => {
+    const makeBook = (overrides) => ({
+      id: 'book1',
+      name: 'Book',
+      author: 'Author',
+      coverLink: null,
+      year: 2024,
+      month: 3,
+      attributes: { score: null, isUnfinished: false },
+      createdAt: new Date(2024, 2, 5),
+      ...overrides
+    })
+
+    const exportRecord = (book) => {
+      const { records } = parseCSVRecords(generateGoodreadsCSV([book]))
+      return records[0]
+    }
+
+    it('should use the Goodreads export header layout', () => {
+      const csv = generateGoodreadsCSV([])
+
+      expect(csv).toBe(GOODREADS_CSV_HEADERS.join(','))
+      expect(GOODREADS_CSV_HEADERS).toEqual(expect.arrayContaining([
+        'Title', 'Author', 'ISBN', 'ISBN13', 'My Rating', 'Date Read', 'Date Added', 'Bookshelves', 'Exclusive Shelf'
+      ]))
+    })
+
+    it('should export dated books on the read shelf with YYYY/MM/DD dates', () => {
+      const record = exportRecord(makeBook({ day: 14 }))
+
+      expect(record['Exclusive Shelf']).toBe('read')
+      expect(record['Date Read']).toBe('2024/03/14')
+      expect(record['Date Added']).toBe('2024/03/05')
+      expect(record['Read Count']).toBe('1')
+    })
+
+    it('should export To Read books on the to-read shelf without date', () => {
+      const record = exportRecord(makeBook({ status: BOOK_STATUS.TO_READ, year: null, month: null }))
+
+      expect(record['Exclusive Shelf']).toBe('to-read')
+      expect(record['Date Read']).toBe('')
+      expect(record['Read Count']).toBe('0')
+    })
+
+    it('should export in-progress books on the currently-reading shelf', () => {
+      const record = exportRecord(makeBook({ year: null, month: null }))
+
+      expect(record['Exclusive Shelf']).toBe('currently-reading')
+      expect(record['Date Read']).toBe('')
+    })
+
+    it('should export Long Ago and Lately books as read without date', () => {
+      const longAgo = exportRecord(makeBook({ status: BOOK_STATUS.READ_LONG_AGO, year: null, month: null }))
+      const lately = exportRecord(makeBook({ status: BOOK_STATUS.READ_LATELY, year: null, month: null }))
+
+      expect(longAgo['Exclusive Shelf']).toBe('read')
+      expect(longAgo['Date Read']).toBe('')
+      expect(longAgo['Bookshelves']).toBe('')
+      expect(lately['Exclusive Shelf']).toBe('read')
+      expect(lately['Date Read']).toBe('')
+      expect(lately['Bookshelves']).toBe('read-lately')
+    })
+
+    it('should map scores to star ratings', () => {
+      expect(exportRecord(makeBook({ attributes: { score: BOOK_SCORE.LIKE } }))['My Rating']).toBe('5')
+      expect(exportRecord(makeBook({ attributes: { score: BOOK_SCORE.DISLIKE } }))['My Rating']).toBe('1')
+      expect(exportRecord(makeBook({ attributes: { score: null } }))['My Rating']).toBe('0')
+    })
+
+    it('should put unfinished books on a did-not-finish shelf', () => {
+      const record = exportRecord(makeBook({ attributes: { isUnfinished: true } }))
+
+      expect(record['Bookshelves']).toBe('did-not-finish')
+      expect(record['Exclusive Shelf']).toBe('read')
+    })
+
+    it('should recover ISBN from Open Library cover links', () => {
+      const isbn13 = exportRecord(makeBook({
+        coverLink: 'https://covers.openlibrary.org/b/isbn/9780441013593-M.jpg?default=false'
+      }))
+      const isbn10 = exportRecord(makeBook({
+        coverLink: 'https://covers.openlibrary.org/b/isbn/0441013597-M.jpg?default=false'
+      }))
+
+      expect(isbn13['ISBN13']).toBe('="9780441013593"')
+      expect(isbn13['ISBN']).toBe('=""')
+      expect(isbn10['ISBN']).toBe('="0441013597"')
+    })
+
+    it('should leave off the date parts a book does not have', () => {
+      expect(exportRecord(makeBook())['Date Read']).toBe('2024/03')
+      expect(exportRecord(makeBook({ status: BOOK_STATUS.READ, month: null }))['Date Read']).toBe('2024')
+    })
+
+    it('should escape titles with commas and quotes', () => {
+      const record = exportRecord(makeBook({ name: 'The "Hobbit", Again' }))
+
+      expect(record['Title']).toBe('The "Hobbit", Again')
+    })
+
+    it('should round-trip through the Goodreads importer', () => {
+      const books = [
+        makeBook({ name: 'Dated', attributes: { score: BOOK_SCORE.LIKE } }),
+        makeBook({ name: 'Year', status: BOOK_STATUS.READ, month: null }),
+        makeBook({ name: 'Later', status: BOOK_STATUS.TO_READ, year: null, month: null }),
+        makeBook({ name: 'Now', year: null, month: null }),
+        makeBook({ name: 'Old', status: BOOK_STATUS.READ_LONG_AGO, year: null, month: null, attributes: { score: BOOK_SCORE.DISLIKE } }),
+        makeBook({ name: 'Recent', status: BOOK_STATUS.READ_LATELY, year: null, month: null }),
+        makeBook({ name: 'Dropped', status: BOOK_STATUS.READ_LATELY, year: null, month: null, attributes: { isUnfinished: true } })
+      ]
+
+      const imported = goodreadsImporter.parse(generateGoodreadsCSV(books))
+
+      expect(imported.map(({ name, status, year, month, attributes }) => ({
+        name, status, year, month, score: attributes.score, isUnfinished: attributes.isUnfinished
+      }))).toEqual([
+        { name: 'Dated', status: BOOK_STATUS.READ, year: 2024, month: 3, score: BOOK_SCORE.LIKE, isUnfinished: false },
+        { name: 'Year', status: BOOK_STATUS.READ, year: 2024, month: null, score: null, isUnfinished: false },
+        { name: 'Later', status: BOOK_STATUS.TO_READ, year: null, month: null, score: null, isUnfinished: false },
+        { name: 'Now', status: BOOK_STATUS.READING, year: null, month: null, score: null, isUnfinished: false },
+        { name: 'Old', status: BOOK_STATUS.READ_LONG_AGO, year: null, month: null, score: BOOK_SCORE.DISLIKE, isUnfinished: false },
+        { name: 'Recent', status: BOOK_STATUS.READ_LATELY, year: null, month: null, score: null, isUnfinished: false },
+        { name: 'Dropped', status: BOOK_STATUS.READ_LATELY, year: null, month: null, score: null, isUnfinished: true }
+      ])
+    })
+  })
+
   describe('downloadFile', () => {
     let mockLink
     let appendChildSpy
@@ -0,0 +1,347 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  parseUserDataJSON,
+  readImportFile,
+  getChangedFields,
+  analyzeImport,
+  mergeBookFields,
+  buildImportPlan,
+  CONFLICT_RESOLUTIONS
+} from '../dataImport'
+
+// Mock logger
+vi.mock('@/utils/logger', () => ({
+  logger: {
+    debug: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    info: vi.fn()
+  }
+}))
+
+describe('dataImport', () => {
+  const exportFile = (overrides = {}) => JSON.stringify({
+    exportDate: '2024-06-01T00:00:00.000Z',
+    exportVersion: '1.0',
+    user: { id: 'user123' },
+    settings: { showBookInfo: true },
+    books: [
+      {
+        id: 'book1',
+        name: 'The Great Gatsby',
+        author: 'F. Scott Fitzgerald',
+        coverLink: 'https://example.com/gatsby.jpg',
+        year: 2024,
+        month: 3,
+        attributes: { isUnfinished: false, customCover: false, score: 1 },
+        createdAt: '2024-03-01T00:00:00.000Z',
+        updatedAt: '2024-03-15T00:00:00.000Z'
+      }
+    ],
+    ...overrides
+  })
+
+  const localBook = {
+    id: 'local1',
+    name: 'The Great Gatsby',
+    author: 'F. Scott Fitzgerald',
+    coverLink: null,
+    year: 2024,
+    month: 3,
+    attributes: { isUnfinished: false, customCover: false, score: null }
+  }
+
+  describe('parseUserDataJSON', () => {
+    it('should parse a valid export', () => {
+      const result = parseUserDataJSON(exportFile())
+
+      expect(result.exportVersion).toBe('1.0')
+      expect(result.settings).toEqual({ showBookInfo: true })
+      expect(result.books).toHaveLength(1)
+      expect(result.books[0]).toMatchObject({
+        name: 'The Great Gatsby',
+        author: 'F. Scott Fitzgerald',
+        year: 2024,
+        month: 3,
+        attributes: { isUnfinished: false, customCover: false, score: 1 }
+      })
+      expect(result.books[0].createdAt).toBeInstanceOf(Date)
+    })
+
+    it('should reject invalid JSON', () => {
+      expect(() => parseUserDataJSON('not json')).toThrow('File is not valid JSON')
+    })
+
+    it('should reject files without exportVersion', () => {
+      const content = JSON.stringify({ books: [] })
+      expect(() => parseUserDataJSON(content)).toThrow('missing exportVersion')
+    })
+
+    it('should reject unsupported export versions', () => {
+      expect(() => parseUserDataJSON(exportFile({ exportVersion: '9.0' })))
+        .toThrow('Unsupported export version: 9.0')
+    })
+
+    it('should reject exports without books array', () => {
+      expect(() => parseUserDataJSON(exportFile({ books: null })))
+        .toThrow('Export does not contain a books list')
+    })
+
+    it('should skip entries without a name', () => {
+      const result = parseUserDataJSON(exportFile({
+        books: [{ name: 'Valid Book' }, { name: '' }, null, { author: 'No Title' }]
+      }))
+
+      expect(result.books).toHaveLength(1)
+      expect(result.skippedCount).toBe(3)
+    })
+
+    it('should normalize old top-level isUnfinished', () => {
+      const result = parseUserDataJSON(exportFile({
+        books: [{ name: 'Old Book', year: 2020, month: 1, isUnfinished: true }]
+      }))
+
+      expect(result.books[0].attributes.isUnfinished).toBe(true)
+    })
+
+    it('should upgrade older exports to the current schema', () => {
+      const result = parseUserDataJSON(exportFile({
+        books: [{ name: 'Old Book', year: 2020, month: 1, isUnfinished: true, attributes: { score: 1 } }]
+      }))
+
+      expect(result.exportVersion).toBe('1.0')
+      expect(result.books[0].attributes).toEqual({ isUnfinished: true, customCover: false, score: 1 })
+    })
+
+    it('should accept current schema exports', () => {
+      const result = parseUserDataJSON(exportFile({ exportVersion: '1.1' }))
+
+      expect(result.books).toHaveLength(1)
+      expect(result.skippedCount).toBe(0)
+    })
+
+    it('should skip entries that fail schema validation', () => {
+      const result = parseUserDataJSON(exportFile({
+        exportVersion: '1.1',
+        books: [
+          { name: 'Valid Book', year: 2024, month: 3 },
+          { name: 'Bad Month', year: 2024, month: 13 },
+          { name: 'Bad Score', attributes: { score: 'great' } },
+          { name: 'Bad Date', createdAt: 'yesterday' }
+        ]
+      }))
+
+      expect(result.books.map(book => book.name)).toEqual(['Valid Book'])
+      expect(result.skippedCount).toBe(3)
+    })
+  })
+
+  describe('parseUserDataJSON tags', () => {
+    it('should read the tag definitions', () => {
+      const tags = [{ id: 'tag-1', name: 'Sci-fi', color: '#3b82f6' }, { id: 'tag-2', name: '' }]
+      const result = parseUserDataJSON(exportFile({ exportVersion: '1.6', tags }))
+
+      expect(result.tags).toEqual([tags[0]])
+      expect(result.books[0].tags).toEqual([])
+    })
+  })
+
+  describe('readImportFile', () => {
+    it('should read and parse a File', async () => {
+      const file = new File([exportFile()], 'readtrail-data.json', { type: 'application/json' })
+      const result = await readImportFile(file)
+
+      expect(result.books).toHaveLength(1)
+    })
+  })
+
+  describe('getChangedFields', () => {
+    it('should return differing fields', () => {
+      const imported = { ...localBook, coverLink: 'https://example.com/a.jpg', attributes: { score: 1 } }
+
+      expect(getChangedFields(localBook, imported)).toEqual(['coverLink', 'score'])
+    })
+
+    it('should return empty array for identical books', () => {
+      expect(getChangedFields(localBook, { ...localBook })).toEqual([])
+    })
+  })
+
+  describe('analyzeImport', () => {
+    it('should classify new, conflicting and unchanged books', () => {
+      const imported = [
+        { ...localBook, id: 'b1', attributes: { ...localBook.attributes, score: 1 } },
+        { ...localBook, id: 'b2', name: 'Another Book' },
+        { ...localBook, id: 'b3', name: 'Same Book' }
+      ]
+      const local = [
+        localBook,
+        { ...localBook, id: 'local3', name: 'Same Book' }
+      ]
+
+      const result = analyzeImport(imported, local)
+
+      expect(result.newBooks.map(b => b.name)).toEqual(['Another Book'])
+      expect(result.conflicts).toHaveLength(1)
+      expect(result.conflicts[0].local.id).toBe('local1')
+      expect(result.conflicts[0].fields).toEqual(['score'])
+      expect(result.unchanged).toHaveLength(1)
+    })
+
+    it('should match case-insensitively like migration', () => {
+      const imported = [{ ...localBook, name: 'THE GREAT GATSBY' }]
+      const result = analyzeImport(imported, [localBook])
+
+      expect(result.newBooks).toHaveLength(0)
+      expect(result.conflicts[0].fields).toEqual(['name'])
+    })
+
+    it('should treat books with a different date as new', () => {
+      const imported = [{ ...localBook, month: 4 }]
+      const result = analyzeImport(imported, [localBook])
+
+      expect(result.newBooks).toHaveLength(1)
+    })
+
+    it('should map imported tags onto the local tags', () => {
+      const localTags = [{ id: 'tag-1', name: 'Sci-fi', color: '#3b82f6' }]
+      const importedTags = [
+        { id: 'tag-9', name: 'sci-fi', color: '#10b981' },
+        { id: 'tag-2', name: 'Favorites', color: '#ef4444' }
+      ]
+      const imported = [
+        { ...localBook, tags: ['tag-9'] },
+        { ...localBook, name: 'Another Book', tags: ['tag-2', 'tag-unknown'] }
+      ]
+
+      const result = analyzeImport(imported, [{ ...localBook, tags: [] }], { importedTags, localTags })
+
+      expect(result.tags).toEqual([localTags[0], importedTags[1]])
+      expect(result.conflicts[0].imported.tags).toEqual(['tag-1'])
+      expect(result.conflicts[0].fields).toEqual(['tags'])
+      expect(result.newBooks[0].tags).toEqual(['tag-2'])
+    })
+
+    it('should not see a change in tag order', () => {
+      const local = { ...localBook, tags: ['tag-1', 'tag-2'] }
+      const localTags = [{ id: 'tag-1', name: 'A' }, { id: 'tag-2', name: 'B' }]
+
+      const result = analyzeImport([{ ...local, tags: ['tag-2', 'tag-1'] }], [local], { localTags })
+
+      expect(result.unchanged).toHaveLength(1)
+    })
+  })
+
+  describe('mergeBookFields', () => {
+    it('should keep local values and fill gaps from imported', () => {
+      const imported = {
+        ...localBook,
+        author: 'Someone Else',
+        coverLink: 'https://example.com/gatsby.jpg',
+        attributes: { isUnfinished: false, customCover: true, score: 1 }
+      }
+
+      const merged = mergeBookFields(localBook, imported)
+
+      expect(merged.author).toBe('F. Scott Fitzgerald')
+      expect(merged.coverLink).toBe('https://example.com/gatsby.jpg')
+      expect(merged.attributes.customCover).toBe(true)
+      expect(merged.attributes.score).toBe(1)
+    })
+
+    it('should keep local score when set', () => {
+      const local = { ...localBook, attributes: { ...localBook.attributes, score: -1 } }
+      const imported = { ...localBook, attributes: { ...localBook.attributes, score: 1 } }
+
+      expect(mergeBookFields(local, imported).attributes.score).toBe(-1)
+    })
+
+    it('should use backed-up cover file only when local book has no cover', () => {
+      const coverFile = new File(['img'], 'cover.jpg', { type: 'image/jpeg' })
+      const imported = { ...localBook, coverFile }
+      const withCover = { ...localBook, coverDisplayLink: 'https://pb.example.com/cover.jpg' }
+
+      expect(mergeBookFields(localBook, imported).coverFile).toBe(coverFile)
+      expect(mergeBookFields(withCover, imported)).not.toHaveProperty('coverFile')
+    })
+
+    it('should keep the earlier readings of both versions', () => {
+      const reading = (year, score = null) => ({ year, month: 1, day: null, startDate: null, isUnfinished: false, score })
+      const local = { ...localBook, pastReads: [reading(2020, 1)] }
+      const imported = { ...localBook, pastReads: [reading(2020, -1), reading(2015)] }
+
+      expect(mergeBookFields(local, imported).pastReads).toEqual([reading(2020, 1), reading(2015)])
+    })
+
+    it('should keep the tags of both versions', () => {
+      const local = { ...localBook, tags: ['tag-1', 'tag-2'] }
+      const imported = { ...localBook, tags: ['tag-2', 'tag-3'] }
+
+      expect(mergeBookFields(local, imported).tags).toEqual(['tag-1', 'tag-2', 'tag-3'])
+    })
+  })
+
+  describe('buildImportPlan', () => {
+    const imported = {
+      ...localBook,
+      id: 'book1',
+      coverLink: 'https://example.com/gatsby.jpg',
+      attributes: { isUnfinished: false, customCover: false, score: 1 }
+    }
+    const newBook = { ...localBook, id: 'book2', name: 'New Book' }
+    const analysis = {
+      newBooks: [newBook],
+      conflicts: [{ local: localBook, imported, fields: ['coverLink', 'score'] }],
+      unchanged: []
+    }
+
+    it('should add new books and keep local by default', () => {
+      const plan = buildImportPlan(analysis)
+
+      expect(plan.toAdd).toHaveLength(1)
+      expect(plan.toAdd[0].name).toBe('New Book')
+      expect(plan.toAdd[0]).not.toHaveProperty('id')
+      expect(plan.toUpdate).toEqual([])
+    })
+
+    it('should update local book with imported fields', () => {
+      const plan = buildImportPlan(analysis, [CONFLICT_RESOLUTIONS.TAKE_IMPORTED])
+
+      expect(plan.toUpdate).toEqual([{
+        id: 'local1',
+        updates: expect.objectContaining({
+          coverLink: 'https://example.com/gatsby.jpg',
+          attributes: expect.objectContaining({ score: 1 })
+        })
+      }])
+    })
+
+    it('should add imported copy when keeping both', () => {
+      const plan = buildImportPlan(analysis, [CONFLICT_RESOLUTIONS.KEEP_BOTH])
+
+      expect(plan.toAdd).toHaveLength(2)
+      expect(plan.toUpdate).toEqual([])
+    })
+
+    it('should update local book with merged fields', () => {
+      const plan = buildImportPlan(analysis, [CONFLICT_RESOLUTIONS.MERGE])
+
+      expect(plan.toUpdate[0].id).toBe('local1')
+      expect(plan.toUpdate[0].updates.coverLink).toBe('https://example.com/gatsby.jpg')
+    })
+
+    it('should carry backed-up cover files into added books', () => {
+      const coverFile = new File(['img'], 'cover.jpg', { type: 'image/jpeg' })
+      const plan = buildImportPlan({ ...analysis, newBooks: [{ ...newBook, coverFile }] })
+
+      expect(plan.toAdd[0].coverFile).toBe(coverFile)
+    })
+
+    it('should carry the tags to add', () => {
+      const tags = [{ id: 'tag-1', name: 'Sci-fi', color: '#3b82f6' }]
+
+      expect(buildImportPlan({ ...analysis, tags }).tags).toEqual(tags)
+      expect(buildImportPlan(analysis).tags).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,170 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  registerImporter,
+  getImporters,
+  getImporter,
+  normalizeImportedBook,
+  previewImport,
+  previewImportFile,
+  buildImportPlanFromPreview
+} from '../libraryImport'
+
+// Mock logger
+vi.mock('@/utils/logger', () => ({
+  logger: {
+    debug: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    info: vi.fn()
+  }
+}))
+
+describe('libraryImport pipeline', () => {
+  const testImporter = {
+    id: 'test-source',
+    label: 'Test Source',
+    description: 'Lines of title;author;year;month',
+    accept: '.txt',
+    parse: (content) => content.split('\n').map(line => {
+      const [name, author, year, month] = line.split(';')
+      return {
+        name,
+        author,
+        coverLink: null,
+        year: year ? Number(year) : null,
+        month: month ? Number(month) : null,
+        attributes: { score: 1 }
+      }
+    })
+  }
+
+  registerImporter(testImporter)
+
+  describe('registry', () => {
+    it('should register built-in importers', () => {
+      const ids = getImporters().map(importer => importer.id)
+
+      expect(ids).toEqual(expect.arrayContaining(['goodreads', 'storygraph', 'librarything']))
+    })
+
+    it('should register additional importers', () => {
+      expect(getImporter('test-source')).toBe(testImporter)
+    })
+
+    it('should return null for unknown importers', () => {
+      expect(getImporter('nope')).toBeNull()
+    })
+
+    it('should reject importers without parse function', () => {
+      expect(() => registerImporter({ id: 'broken' })).toThrow('Importer must have an id and a parse function')
+    })
+  })
+
+  describe('normalizeImportedBook', () => {
+    it('should normalize to serializeBookForApi shape with full attributes', () => {
+      expect(normalizeImportedBook({ name: ' Dune ', author: '', year: 2020, month: 1, extra: 'x' })).toEqual({
+        name: 'Dune',
+        author: null,
+        coverLink: null,
+        status: 'read',
+        year: 2020,
+        month: 1,
+        day: null,
+        startDate: null,
+        pastReads: [],
+        pageCount: null,
+        progress: [],
+        tags: [],
+        attributes: { isUnfinished: false, customCover: false, score: null }
+      })
+    })
+
+    it('should keep the status and dates from the importer', () => {
+      const book = normalizeImportedBook({
+        name: 'Dune',
+        status: 'read_long_ago',
+        year: null,
+        month: null,
+        startDate: { year: 2019, month: 12, day: 30 }
+      })
+
+      expect(book).toMatchObject({
+        status: 'read_long_ago',
+        year: null,
+        month: null,
+        day: null,
+        startDate: { year: 2019, month: 12, day: 30 }
+      })
+    })
+
+    it('should return null for books without title', () => {
+      expect(normalizeImportedBook({ name: '  ' })).toBeNull()
+      expect(normalizeImportedBook(null)).toBeNull()
+    })
+  })
+
+  describe('previewImport', () => {
+    const content = [
+      'Dune;Frank Herbert;2020;1',
+      'Dune;Frank Herbert;2020;1',
+      'Emma;Jane Austen;2019;5',
+      ';Nobody;2019;5'
+    ].join('\n')
+
+    it('should split new books, duplicates and skipped rows', () => {
+      const localBooks = [{ id: 'b1', name: 'emma', author: 'jane austen', year: 2019, month: 5 }]
+
+      const preview = previewImport('test-source', content, localBooks)
+
+      expect(preview.source).toBe('Test Source')
+      expect(preview.newBooks.map(b => b.name)).toEqual(['Dune'])
+      expect(preview.duplicates.map(b => b.name)).toEqual(['Dune', 'Emma'])
+      expect(preview.skippedCount).toBe(1)
+    })
+
+    it('should find books from an export with coarser or made-up dates', () => {
+      const goodreadsExport = [
+        'Title,Author,Exclusive Shelf,Date Read',
+        'Dune,Frank Herbert,read,2020/01/01',
+        'Emma,Jane Austen,read,2019',
+        'Ulysses,James Joyce,read,2018/06/01'
+      ].join('\n')
+      const localBooks = [
+        { id: 'b1', name: 'Dune', author: 'Frank Herbert', status: 'read', year: 2020, month: 1, day: null },
+        { id: 'b2', name: 'Emma', author: 'Jane Austen', status: 'read', year: 2019, month: null, day: null },
+        { id: 'b3', name: 'Ulysses', author: 'James Joyce', status: 'read', year: 2018, month: 6, day: 20 }
+      ]
+
+      const preview = previewImport('goodreads', goodreadsExport, localBooks)
+
+      expect(preview.newBooks.map(b => b.name)).toEqual(['Ulysses'])
+      expect(preview.duplicates.map(b => b.name)).toEqual(['Dune', 'Emma'])
+    })
+
+    it('should throw for unknown sources', () => {
+      expect(() => previewImport('nope', '', [])).toThrow('Unknown import source: nope')
+    })
+
+    it('should propagate parse errors', () => {
+      expect(() => previewImport('goodreads', 'Name\nDune', [])).toThrow('File is not a Goodreads export')
+    })
+  })
+
+  describe('previewImportFile', () => {
+    it('should read the file and preview it', async () => {
+      const file = new File(['Dune;Frank Herbert;2020;1'], 'books.txt', { type: 'text/plain' })
+
+      const preview = await previewImportFile('test-source', file, [])
+
+      expect(preview.newBooks).toHaveLength(1)
+    })
+  })
+
+  describe('buildImportPlanFromPreview', () => {
+    it('should add only new books', () => {
+      const preview = { newBooks: [{ name: 'Dune' }], duplicates: [{ name: 'Emma' }] }
+
+      expect(buildImportPlanFromPreview(preview)).toEqual({ toAdd: [{ name: 'Dune' }], toUpdate: [] })
+    })
+  })
+})
@@ -165,12 +165,14 @@ describe('migration', () => {
       expect(booksApi.batchCreateBooks).toHaveBeenCalledWith(
         expect.arrayContaining([
           expect.objectContaining({ name: '1984' })
-        ])
+        ]),
+        null
       )
       expect(booksApi.batchCreateBooks).toHaveBeenCalledWith(
         expect.not.arrayContaining([
           expect.objectContaining({ name: 'The Great Gatsby' })
-        ])
+        ]),
+        null
       )
     })
 
@@ -382,6 +384,36 @@ describe('migration', () => {
       expect(result.error).toBe('Batch create failed')
     })
 
+    it('should map books created before a batch failed', async () => {
+      isGuestMode.mockReturnValue(false)
+      localStorage.setItem('readtrail-needs-migration', 'true')
+      booksApi.getBooks.mockResolvedValue([])
+      booksApi.batchCreateBooks.mockRejectedValue(Object.assign(new Error('Batch create failed'), {
+        created: [{ id: 'backend-1', createdAt: '2024-01-01', updatedAt: '2024-01-01' }]
+      }))
+
+      const mockCallback = vi.fn()
+      const result = await migrateLocalDataToBackend([mockBook1, mockBook2], true, mockCallback)
+
+      expect(result).toMatchObject({ success: false, reason: 'error', migratedCount: 1 })
+      expect(result.idMapping).toEqual([
+        { oldId: 'temp-1', newId: 'backend-1', createdAt: '2024-01-01', updatedAt: '2024-01-01' }
+      ])
+      expect(mockCallback).toHaveBeenCalledWith(result.idMapping)
+      expect(localStorage.getItem('readtrail-needs-migration')).toBe('true')
+    })
+
+    it('should report progress while creating books', async () => {
+      isGuestMode.mockReturnValue(false)
+      booksApi.getBooks.mockResolvedValue([])
+      booksApi.batchCreateBooks.mockResolvedValue([])
+      const onProgress = vi.fn()
+
+      await migrateLocalDataToBackend([mockBook1], true, null, onProgress)
+
+      expect(booksApi.batchCreateBooks).toHaveBeenCalledWith(expect.any(Array), onProgress)
+    })
+
     it('should not call callback when none provided', async () => {
       isGuestMode.mockReturnValue(false)
       booksApi.getBooks.mockResolvedValue([])
@@ -0,0 +1,218 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { IDBFactory, IDBObjectStore } from 'fake-indexeddb'
+import { Persistence, STORES } from '../persistence'
+
+// Mock logger
+vi.mock('@/utils/logger', () => ({
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}))
+
+const book = (id, name) => ({ id, name, year: 2024, month: 3 })
+
+describe('Persistence', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    localStorage.clear()
+    vi.restoreAllMocks()
+  })
+
+  describe('with IndexedDB', () => {
+    let persistence
+
+    beforeEach(() => {
+      persistence = new Persistence({ indexedDB: new IDBFactory() })
+    })
+
+    it('should save and load records', async () => {
+      await persistence.saveRecords(STORES.BOOKS, [book('1', 'Dune'), book('2', 'Emma')])
+
+      const records = await persistence.getRecords(STORES.BOOKS)
+
+      expect(records).toEqual([book('1', 'Dune'), book('2', 'Emma')])
+      expect(localStorage.getItem('readtrail-books')).toBeNull()
+    })
+
+    it('should write only records that changed', async () => {
+      await persistence.saveRecords(STORES.BOOKS, [book('1', 'Dune'), book('2', 'Emma')])
+      const put = vi.spyOn(IDBObjectStore.prototype, 'put')
+
+      await persistence.saveRecords(STORES.BOOKS, [book('1', 'Dune'), book('2', 'Persuasion')])
+
+      expect(put).toHaveBeenCalledTimes(1)
+      expect(put).toHaveBeenCalledWith(book('2', 'Persuasion'))
+    })
+
+    it('should delete records that are no longer present', async () => {
+      await persistence.saveRecords(STORES.BOOKS, [book('1', 'Dune'), book('2', 'Emma')])
+      await persistence.saveRecords(STORES.BOOKS, [book('2', 'Emma')])
+
+      expect(await persistence.getRecords(STORES.BOOKS)).toEqual([book('2', 'Emma')])
+    })
+
+    it('should compare against records loaded by another instance', async () => {
+      const factory = new IDBFactory()
+      const first = new Persistence({ indexedDB: factory })
+      await first.saveRecords(STORES.BOOKS, [book('1', 'Dune')])
+
+      const second = new Persistence({ indexedDB: factory })
+      await second.getRecords(STORES.BOOKS)
+      await second.saveRecords(STORES.BOOKS, [book('2', 'Emma')])
+
+      expect(await second.getRecords(STORES.BOOKS)).toEqual([book('2', 'Emma')])
+    })
+
+    it('should store plain copies of records', async () => {
+      const record = { id: '1', createdAt: new Date('2024-03-01T00:00:00.000Z') }
+
+      await persistence.saveRecords(STORES.BOOKS, [record])
+
+      expect(await persistence.getRecords(STORES.BOOKS)).toEqual([
+        { id: '1', createdAt: '2024-03-01T00:00:00.000Z' }
+      ])
+    })
+
+    it('should save and load values', async () => {
+      await persistence.setValue('settings', { allowScoring: false })
+
+      expect(await persistence.getValue('settings')).toEqual({ allowScoring: false })
+      expect(await persistence.getValue('syncCursor')).toBeNull()
+    })
+
+    it('should keep pending files by book id', async () => {
+      const file = new File(['cover'], 'cover.png', { type: 'image/png' })
+
+      await persistence.putFile('temp-1', file)
+      const stored = await persistence.getFile('temp-1')
+
+      expect(stored).toBeInstanceOf(File)
+      expect(stored.name).toBe('cover.png')
+      expect(stored.type).toBe('image/png')
+      expect(await persistence.getFile('temp-2')).toBeNull()
+    })
+
+    it('should move pending files to a new id', async () => {
+      await persistence.putFile('temp-1', new File(['cover'], 'cover.png', { type: 'image/png' }))
+
+      await persistence.moveFile('temp-1', 'book1')
+
+      expect(await persistence.getFile('temp-1')).toBeNull()
+      expect((await persistence.getFile('book1')).name).toBe('cover.png')
+    })
+
+    it('should delete pending files', async () => {
+      await persistence.putFile('book1', new File(['cover'], 'cover.png', { type: 'image/png' }))
+
+      await persistence.deleteFile('book1')
+
+      expect(await persistence.getFile('book1')).toBeNull()
+    })
+
+    it('should clear all stores', async () => {
+      await persistence.saveRecords(STORES.BOOKS, [book('1', 'Dune')])
+      await persistence.saveRecords(STORES.SYNC_QUEUE, [{ id: 'op-1' }])
+      await persistence.setValue('settings', { allowScoring: false })
+      await persistence.putFile('book1', new File(['cover'], 'cover.png'))
+
+      await persistence.clear()
+
+      expect(await persistence.getRecords(STORES.BOOKS)).toEqual([])
+      expect(await persistence.getRecords(STORES.SYNC_QUEUE)).toEqual([])
+      expect(await persistence.getValue('settings')).toBeNull()
+      expect(await persistence.getFile('book1')).toBeNull()
+    })
+  })
+
+  describe('migration from localStorage', () => {
+    it('should move legacy keys into IndexedDB once', async () => {
+      localStorage.setItem('readtrail-books', JSON.stringify([book('1', 'Dune')]))
+      localStorage.setItem('readtrail-books-version', '1.1')
+      localStorage.setItem('readtrail-sync-queue', JSON.stringify([{ id: 'op-1', type: 'DELETE' }]))
+      localStorage.setItem('readtrail-settings', JSON.stringify({ allowScoring: false }))
+      localStorage.setItem('readtrail-needs-migration', 'true')
+
+      const persistence = new Persistence({ indexedDB: new IDBFactory() })
+
+      expect(await persistence.getRecords(STORES.BOOKS)).toEqual([book('1', 'Dune')])
+      expect(await persistence.getRecords(STORES.SYNC_QUEUE)).toEqual([{ id: 'op-1', type: 'DELETE' }])
+      expect(await persistence.getValue('booksVersion')).toBe('1.1')
+      expect(await persistence.getValue('settings')).toEqual({ allowScoring: false })
+
+      expect(localStorage.getItem('readtrail-books')).toBeNull()
+      expect(localStorage.getItem('readtrail-settings')).toBeNull()
+      // Flags that are not offline data stay in localStorage
+      expect(localStorage.getItem('readtrail-needs-migration')).toBe('true')
+    })
+
+    it('should leave unreadable keys in place', async () => {
+      localStorage.setItem('readtrail-books', 'invalid json{')
+      localStorage.setItem('readtrail-settings', JSON.stringify({ allowScoring: false }))
+
+      const persistence = new Persistence({ indexedDB: new IDBFactory() })
+
+      expect(await persistence.getRecords(STORES.BOOKS)).toEqual([])
+      expect(await persistence.getValue('settings')).toEqual({ allowScoring: false })
+      expect(localStorage.getItem('readtrail-books')).toBe('invalid json{')
+    })
+  })
+
+  describe('without IndexedDB', () => {
+    let persistence
+
+    beforeEach(() => {
+      persistence = new Persistence({ indexedDB: null })
+    })
+
+    it('should use the legacy localStorage keys', async () => {
+      await persistence.saveRecords(STORES.BOOKS, [book('1', 'Dune')])
+      await persistence.setValue('booksVersion', '1.1')
+      await persistence.setValue('syncCursor', { userId: 'user1', updatedAt: '2024-03-01T00:00:00.000Z' })
+
+      expect(JSON.parse(localStorage.getItem('readtrail-books'))).toEqual([book('1', 'Dune')])
+      expect(localStorage.getItem('readtrail-books-version')).toBe('1.1')
+      expect(await persistence.getValue('syncCursor')).toEqual({ userId: 'user1', updatedAt: '2024-03-01T00:00:00.000Z' })
+    })
+
+    it('should not keep pending files', async () => {
+      await persistence.putFile('book1', new File(['cover'], 'cover.png'))
+
+      expect(await persistence.getFile('book1')).toBeNull()
+    })
+
+    it('should return null for records never saved', async () => {
+      expect(await persistence.getRecords(STORES.BOOKS)).toBeNull()
+    })
+
+    it('should reject corrupted data', async () => {
+      localStorage.setItem('readtrail-books', 'invalid json{')
+
+      await expect(persistence.getRecords(STORES.BOOKS)).rejects.toThrow(SyntaxError)
+    })
+
+    it('should fall back when the database cannot be opened', async () => {
+      const factory = {
+        open: () => {
+          const request = {}
+          setTimeout(() => {
+            request.error = new Error('InvalidStateError')
+            request.onerror()
+          })
+          return request
+        }
+      }
+      const failing = new Persistence({ indexedDB: factory })
+
+      await failing.saveRecords(STORES.BOOKS, [book('1', 'Dune')])
+
+      expect(failing.usesIndexedDB()).toBe(false)
+      expect(JSON.parse(localStorage.getItem('readtrail-books'))).toEqual([book('1', 'Dune')])
+    })
+  })
+})
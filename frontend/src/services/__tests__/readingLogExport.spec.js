@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  filterBooksForReadingLog,
+  generateReadingLogHTML,
+  openReadingLog
+} from '../readingLogExport'
+import { downloadFile } from '../dataExport'
+import { BOOK_STATUS } from '@/constants'
+
+// Mock download helper
+vi.mock('../dataExport', () => ({
+  downloadFile: vi.fn()
+}))
+
+// Mock logger
+vi.mock('@/utils/logger', () => ({
+  logger: {
+    debug: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    info: vi.fn()
+  }
+}))
+
+describe('readingLogExport', () => {
+  const nowYear = new Date().getFullYear()
+
+  const books = [
+    { id: '1', name: 'The Great Gatsby', author: 'F. Scott Fitzgerald', coverLink: 'https://example.com/gatsby.jpg', year: 2024, month: 3, attributes: {} },
+    { id: '2', name: '1984', author: 'George Orwell', coverLink: null, year: 2022, month: 7, attributes: { isUnfinished: true } },
+    { id: '3', name: 'Emma', author: 'Jane Austen', coverLink: null, status: BOOK_STATUS.TO_READ, year: null, month: null, attributes: {} },
+    { id: '4', name: 'Dune', author: 'Frank Herbert', coverLink: null, status: BOOK_STATUS.READ_LONG_AGO, year: null, month: null, attributes: {} },
+    { id: '5', name: 'Piranesi', author: 'Susanna Clarke', coverLink: null, year: null, month: null, attributes: {} }
+  ]
+
+  const ids = (result) => result.map(book => book.id).sort()
+
+  describe('filterBooksForReadingLog', () => {
+    it('should include read, unfinished and in-progress books by default', () => {
+      expect(ids(filterBooksForReadingLog(books))).toEqual(['1', '2', '4', '5'])
+    })
+
+    it('should include To Read books when requested', () => {
+      expect(ids(filterBooksForReadingLog(books, { includeToRead: true }))).toContain('3')
+    })
+
+    it('should exclude unfinished books when requested', () => {
+      expect(ids(filterBooksForReadingLog(books, { includeUnfinished: false }))).not.toContain('2')
+    })
+
+    it('should filter by year range', () => {
+      expect(ids(filterBooksForReadingLog(books, { fromYear: 2023, toYear: 2024 }))).toEqual(['1'])
+      expect(ids(filterBooksForReadingLog(books, { toYear: 2022 }))).toEqual(['2', '4'])
+    })
+
+    it('should count in-progress books as the current year', () => {
+      expect(ids(filterBooksForReadingLog(books, { fromYear: nowYear }))).toEqual(['5'])
+    })
+
+    it('should drop undated sentinel books when the range has a start', () => {
+      expect(ids(filterBooksForReadingLog(books, { fromYear: 2000 }))).not.toContain('4')
+    })
+  })
+
+  describe('generateReadingLogHTML', () => {
+    it('should render a standalone document with print styles', () => {
+      const html = generateReadingLogHTML(books)
+
+      expect(html).toMatch(/^<!DOCTYPE html>/)
+      expect(html).toContain('@media print')
+      expect(html).toContain('<title>Reading Log</title>')
+      expect(html).toContain('All years · 4 books')
+    })
+
+    it('should group books under timeline labels in timeline order', () => {
+      const html = generateReadingLogHTML(books, { includeToRead: true })
+      const headings = [...html.matchAll(/<h2>(.*?)<\/h2>/g)].map(match => match[1])
+
+      expect(headings).toEqual(['To Read', String(nowYear), '2024', '2022', 'Long Time Ago'])
+    })
+
+    it('should show covers, authors, months and unfinished badges', () => {
+      const html = generateReadingLogHTML(books)
+
+      expect(html).toContain('<img class="cover" src="https://example.com/gatsby.jpg"')
+      expect(html).toContain('<div class="author">F. Scott Fitzgerald</div>')
+      expect(html).toContain('<div class="when">March</div>')
+      expect(html).toContain('1984<span class="badge">Unfinished</span>')
+      expect(html).toContain('Currently reading')
+    })
+
+    it('should escape HTML in book data', () => {
+      const html = generateReadingLogHTML([
+        { id: 'x', name: '<script>alert(1)</script>', author: 'A & B', coverLink: 'https://example.com/a.jpg?a="b"', year: 2024, month: 1, attributes: {} }
+      ])
+
+      expect(html).not.toContain('<script>alert(1)</script>')
+      expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;')
+      expect(html).toContain('A &amp; B')
+      expect(html).toContain('a=&quot;b&quot;')
+    })
+
+    it('should describe the year range and empty results', () => {
+      const html = generateReadingLogHTML(books, { fromYear: 2030, toYear: 2030 })
+
+      expect(html).toContain('2030 · 0 books')
+      expect(html).toContain('No books match the selected options.')
+    })
+  })
+
+  describe('openReadingLog', () => {
+    beforeEach(() => {
+      vi.clearAllMocks()
+      global.URL.createObjectURL = vi.fn(() => 'blob:reading-log')
+      global.URL.revokeObjectURL = vi.fn()
+    })
+
+    afterEach(() => {
+      vi.restoreAllMocks()
+    })
+
+    it('should open the log in a new tab', () => {
+      const openSpy = vi.spyOn(window, 'open').mockReturnValue({})
+
+      expect(openReadingLog(books)).toBe(true)
+      expect(openSpy).toHaveBeenCalledWith('blob:reading-log', '_blank')
+      expect(downloadFile).not.toHaveBeenCalled()
+    })
+
+    it('should download the log when pop-ups are blocked', () => {
+      vi.spyOn(window, 'open').mockReturnValue(null)
+
+      expect(openReadingLog(books)).toBe(false)
+      expect(downloadFile).toHaveBeenCalledWith(
+        expect.stringContaining('<!DOCTYPE html>'),
+        expect.stringMatching(/^readtrail-reading-log-.*\.html$/),
+        'text/html'
+      )
+    })
+  })
+})
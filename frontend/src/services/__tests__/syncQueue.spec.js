@@ -1,5 +1,8 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { SyncQueue, OPERATION_TYPES } from '../syncQueue'
+import { SyncQueue, OPERATION_TYPES, ERROR_CLASSES, classifyError } from '../syncQueue'
+import { TabCoordinator, TAB_MESSAGES } from '../tabCoordinator'
+import { authManager } from '../auth'
+import { ApiError } from '@/utils/errors'
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -30,16 +33,26 @@ vi.mock('@/utils/logger', () => ({
   }
 }))
 
+vi.mock('../auth', () => ({
+  authManager: {
+    refreshAuth: vi.fn()
+  }
+}))
+
 describe('SyncQueue', () => {
   let syncQueue
+  let isBackingOff
 
   beforeEach(() => {
     localStorageMock.clear()
     vi.clearAllMocks()
+    // Backoff is skipped here so runs can follow each other; 'Retry policy' checks it
+    isBackingOff = vi.spyOn(SyncQueue.prototype, 'isBackingOff').mockReturnValue(false)
     syncQueue = new SyncQueue()
   })
 
   afterEach(() => {
+    isBackingOff.mockRestore()
     syncQueue.clear()
   })
 
@@ -49,7 +62,7 @@ describe('SyncQueue', () => {
       expect(syncQueue.isProcessing).toBe(false)
     })
 
-    it('should load existing queue from localStorage', () => {
+    it('should load existing queue from localStorage', async () => {
       const existingQueue = [
         {
           id: 'op-1',
@@ -62,14 +75,16 @@ describe('SyncQueue', () => {
 
       localStorageMock.setItem('readtrail-sync-queue', JSON.stringify(existingQueue))
       const newQueue = new SyncQueue()
+      await newQueue.ready
 
       expect(newQueue.queue).toHaveLength(1)
       expect(newQueue.queue[0].id).toBe('op-1')
     })
 
-    it('should handle corrupted localStorage data gracefully', () => {
+    it('should handle corrupted localStorage data gracefully', async () => {
       localStorageMock.setItem('readtrail-sync-queue', 'invalid-json')
       const newQueue = new SyncQueue()
+      await newQueue.ready
 
       expect(newQueue.queue).toEqual([])
     })
@@ -277,6 +292,17 @@ describe('SyncQueue', () => {
       expect(syncQueue.queue).toHaveLength(2)
     })
 
+    it('should collapse repeated tag list updates', () => {
+      const id1 = syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'tags', { tags: [] })
+      const id2 = syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'tags', {
+        tags: [{ id: 'tag-1', name: 'Sci-fi', color: '#3b82f6' }]
+      })
+
+      expect(id1).toBe(id2)
+      expect(syncQueue.queue).toHaveLength(1)
+      expect(syncQueue.queue[0].data.tags).toHaveLength(1)
+    })
+
     it('should not detect duplicates for different operation types', () => {
       const id1 = syncQueue.enqueue(
         OPERATION_TYPES.CREATE,
@@ -288,12 +314,23 @@ describe('SyncQueue', () => {
       const id2 = syncQueue.enqueue(
         OPERATION_TYPES.UPDATE,
         'books',
-        { id: 'temp-123', name: 'Test' }
+        { id: '123', name: 'Test' }
       )
 
       expect(id1).not.toBe(id2)
       expect(syncQueue.queue).toHaveLength(2)
     })
+
+    it('should keep the first base version when updating a duplicate', () => {
+      const firstBase = { updatedAt: '2024-01-01T00:00:00.000Z', fields: { name: 'Original' } }
+      const laterBase = { updatedAt: '2024-01-01T00:00:00.000Z', fields: { name: 'Edit 1' } }
+
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Edit 1', base: firstBase })
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Edit 2', base: laterBase })
+
+      expect(syncQueue.queue).toHaveLength(1)
+      expect(syncQueue.queue[0].data).toEqual({ id: '123', name: 'Edit 2', base: firstBase })
+    })
   })
 
   describe('deduplicateQueue', () => {
@@ -365,7 +402,7 @@ describe('SyncQueue', () => {
     it('should return empty results for empty queue', async () => {
       const result = await syncQueue.processQueue({})
 
-      expect(result).toEqual({ successful: [], failed: [] })
+      expect(result).toEqual({ successful: [], failed: [], conflicts: [] })
     })
 
     it('should process operations in FIFO order', async () => {
@@ -490,7 +527,7 @@ describe('SyncQueue', () => {
     })
 
     it('should handle missing handler gracefully', async () => {
-      const handlers = {}
+      const handlers = { 'books_UPDATE': vi.fn() }
 
       syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Test' }, 'temp-1')
 
@@ -501,6 +538,20 @@ describe('SyncQueue', () => {
       expect(syncQueue.queue).toHaveLength(0) // Removed from queue
     })
 
+    it('should leave operations of resources without handlers queued', async () => {
+      const handlers = { 'settings_UPDATE': vi.fn(async () => ({ success: true })) }
+
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Test' }, 'temp-1')
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'tags', { tags: [] })
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'settings', { showBookInfo: false })
+
+      const result = await syncQueue.processQueue(handlers)
+
+      expect(handlers.settings_UPDATE).toHaveBeenCalledTimes(1)
+      expect(result.failed).toHaveLength(0)
+      expect(syncQueue.getPendingOperations().map(op => op.resource)).toEqual(['books', 'tags'])
+    })
+
     it('should attach pending file to operation if available', async () => {
       const mockFile = new File([''], 'cover.jpg', { type: 'image/jpeg' })
       let receivedOperation = null
@@ -527,6 +578,19 @@ describe('SyncQueue', () => {
       expect(receivedOperation.data.coverFile).toBe(mockFile)
     })
 
+    it('should wait for pending files loaded from storage', async () => {
+      const storedFile = new File([''], 'cover.jpg', { type: 'image/jpeg' })
+      const handlers = {
+        'books_UPDATE': vi.fn(async () => ({ success: true }))
+      }
+
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: 'book1', coverFile: storedFile })
+
+      await syncQueue.processQueue(handlers, null, async () => storedFile)
+
+      expect(handlers.books_UPDATE.mock.calls[0][0].data.coverFile).toBe(storedFile)
+    })
+
     it('should continue without file if not available', async () => {
       const handlers = {
         'books_CREATE': vi.fn(async () => ({ success: true }))
@@ -598,6 +662,440 @@ describe('SyncQueue', () => {
       // Only one operation should be processed (the latest one)
       expect(handlers['books_UPDATE']).toHaveBeenCalledOnce()
     })
+
+    it('should report conflicts without retrying', async () => {
+      const conflict = { bookId: '123', fields: ['name'] }
+      const conflictError = Object.assign(new Error('Book was changed on another device'), {
+        data: conflict,
+        isConflict: () => true
+      })
+      const handlers = {
+        'books_UPDATE': vi.fn(async () => { throw conflictError })
+      }
+      const onProgress = vi.fn()
+
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Updated' })
+      const result = await syncQueue.processQueue(handlers, onProgress)
+
+      expect(syncQueue.queue).toHaveLength(0)
+      expect(result.failed).toHaveLength(0)
+      expect(result.conflicts).toHaveLength(1)
+      expect(result.conflicts[0].conflict).toBe(conflict)
+      expect(onProgress).toHaveBeenCalledWith(expect.any(String), 'conflict', conflict)
+    })
+  })
+
+  describe('Compaction', () => {
+    it('should fold updates into a pending CREATE', () => {
+      const createId = syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Dune', year: null }, 'temp-1')
+      const cover = new File(['cover'], 'cover.png', { type: 'image/png' })
+
+      const result = syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', {
+        id: 'temp-1',
+        name: 'Dune',
+        year: 2024,
+        coverFile: cover,
+        base: { updatedAt: null, fields: {} }
+      })
+
+      expect(result).toBe(createId)
+      expect(syncQueue.queue).toHaveLength(1)
+      expect(syncQueue.queue[0]).toMatchObject({
+        type: OPERATION_TYPES.CREATE,
+        tempId: 'temp-1',
+        data: { name: 'Dune', year: 2024 },
+        hasFile: true
+      })
+      expect(syncQueue.queue[0].data).not.toHaveProperty('base')
+      expect(syncQueue.queue[0].data).not.toHaveProperty('id')
+    })
+
+    it('should drop a CREATE whose book is deleted before syncing', () => {
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Dune' }, 'temp-1')
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: 'temp-1', name: 'Dune Messiah' })
+
+      const result = syncQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id: 'temp-1' })
+
+      expect(result).toBeNull()
+      expect(syncQueue.getPendingCount()).toBe(0)
+    })
+
+    it('should fold changes into a failed CREATE', async () => {
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Dun' }, 'temp-1')
+      await syncQueue.processQueue({
+        'books_CREATE': vi.fn(async () => { throw new ApiError('Failed to create record.', 400) })
+      })
+
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: 'temp-1', name: 'Dune' })
+
+      expect(syncQueue.getPendingCount()).toBe(0)
+      expect(syncQueue.getFailedOperations()[0].data.name).toBe('Dune')
+
+      syncQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id: 'temp-1' })
+
+      expect(syncQueue.getFailedCount()).toBe(0)
+      expect(syncQueue.getPendingCount()).toBe(0)
+    })
+
+    it('should drop queued updates of a deleted book', () => {
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Dune' })
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '456', name: 'Emma' })
+
+      syncQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id: '123' })
+
+      expect(syncQueue.queue.map(op => [op.type, op.data.id])).toEqual([
+        [OPERATION_TYPES.UPDATE, '456'],
+        [OPERATION_TYPES.DELETE, '123']
+      ])
+    })
+
+    it('should not change an operation while it is being sent', async () => {
+      const handlers = {
+        'books_CREATE': vi.fn(async () => {
+          syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: 'temp-1', name: 'Dune Messiah' })
+          return { id: 'book1' }
+        }),
+        'books_UPDATE': vi.fn(async () => ({ id: 'book1' }))
+      }
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Dune' }, 'temp-1')
+
+      await syncQueue.processQueue(handlers)
+
+      // The edit made during the CREATE request is queued on its own, against the server ID
+      expect(handlers.books_CREATE.mock.calls[0][0].data.name).toBe('Dune')
+      expect(syncQueue.queue).toHaveLength(1)
+      expect(syncQueue.queue[0]).toMatchObject({
+        type: OPERATION_TYPES.UPDATE,
+        data: { id: 'book1', name: 'Dune Messiah' }
+      })
+    })
+  })
+
+  describe('Batching', () => {
+    it('should send consecutive operations through the batch handler', async () => {
+      const handlers = {
+        'books_CREATE': vi.fn(),
+        'books_CREATE_BATCH': vi.fn(async ops => ops.map((op, i) => ({ id: `book${i}` }))),
+        'books_DELETE': vi.fn(async () => ({ success: true }))
+      }
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Dune' }, 'temp-1')
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Emma' }, 'temp-2')
+      syncQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id: '123' })
+
+      const result = await syncQueue.processQueue(handlers)
+
+      expect(handlers.books_CREATE_BATCH).toHaveBeenCalledTimes(1)
+      expect(handlers.books_CREATE_BATCH.mock.calls[0][0]).toHaveLength(2)
+      expect(handlers.books_CREATE).not.toHaveBeenCalled()
+      expect(handlers.books_DELETE).toHaveBeenCalledTimes(1)
+      expect(result.successful.map(r => r.result)).toEqual([
+        { id: 'book0' },
+        { id: 'book1' },
+        { success: true }
+      ])
+      expect(syncQueue.getPendingCount()).toBe(0)
+    })
+
+    it('should send operations one by one when the batch fails', async () => {
+      const handlers = {
+        'books_CREATE': vi.fn(async op => {
+          if (op.data.name === 'Emma') throw new ApiError('Failed to create record.', 400)
+          return { id: 'book1' }
+        }),
+        'books_CREATE_BATCH': vi.fn(async () => { throw new ApiError('Failed to create record.', 400) })
+      }
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Dune' }, 'temp-1')
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Emma' }, 'temp-2')
+
+      const result = await syncQueue.processQueue(handlers)
+
+      expect(handlers.books_CREATE).toHaveBeenCalledTimes(2)
+      expect(result.successful).toHaveLength(1)
+      expect(syncQueue.getFailedOperations()[0].data.name).toBe('Emma')
+    })
+
+    it('should not batch the rest of a failed batch again', async () => {
+      const handlers = {
+        'books_CREATE': vi.fn(async op => ({ id: `book-${op.tempId}` })),
+        'books_CREATE_BATCH': vi.fn(async () => { throw new ApiError('Failed to create record.', 400) })
+      }
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Dune' }, 'temp-1')
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Emma' }, 'temp-2')
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Ulysses' }, 'temp-3')
+
+      const result = await syncQueue.processQueue(handlers)
+
+      expect(handlers.books_CREATE_BATCH).toHaveBeenCalledTimes(1)
+      expect(handlers.books_CREATE).toHaveBeenCalledTimes(3)
+      expect(result.successful).toHaveLength(3)
+    })
+  })
+
+  describe('Retry policy', () => {
+    it('should classify errors by status', () => {
+      expect(classifyError(new ApiError('Conflict', 409))).toBe(ERROR_CLASSES.CONFLICT)
+      expect(classifyError(new ApiError('Unauthorized', 401))).toBe(ERROR_CLASSES.UNAUTHORIZED)
+      expect(classifyError(new ApiError('Too many requests', 429))).toBe(ERROR_CLASSES.OVERLOADED)
+      expect(classifyError(new ApiError('Bad gateway', 502))).toBe(ERROR_CLASSES.OVERLOADED)
+      expect(classifyError(new ApiError('Failed to create record.', 400))).toBe(ERROR_CLASSES.REJECTED)
+      expect(classifyError(new ApiError('Network error', 0))).toBe(ERROR_CLASSES.TRANSIENT)
+      expect(classifyError(new Error('Something broke'))).toBe(ERROR_CLASSES.TRANSIENT)
+    })
+
+    it('should fail rejected requests without retrying', async () => {
+      const handler = vi.fn(async () => { throw new ApiError('Failed to create record.', 400) })
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Dun' }, 'temp-1')
+
+      const result = await syncQueue.processQueue({ 'books_CREATE': handler })
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(result.failed).toHaveLength(1)
+      expect(syncQueue.getPendingCount()).toBe(0)
+      expect(syncQueue.getFailedOperations()[0]).toMatchObject({ retries: 0, lastError: 'Failed to create record.' })
+    })
+
+    it('should treat deleting a missing record as done', async () => {
+      const handler = vi.fn(async () => { throw new ApiError('Not found', 404) })
+      syncQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id: '123' })
+
+      const result = await syncQueue.processQueue({ 'books_DELETE': handler })
+
+      expect(result.successful).toHaveLength(1)
+      expect(syncQueue.getPendingCount()).toBe(0)
+      expect(syncQueue.getFailedCount()).toBe(0)
+    })
+
+    it('should refresh the session and retry on a 401', async () => {
+      authManager.refreshAuth.mockResolvedValue(true)
+      const handler = vi.fn()
+        .mockRejectedValueOnce(new ApiError('Unauthorized', 401))
+        .mockResolvedValueOnce({ id: '123' })
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Dune' })
+
+      const result = await syncQueue.processQueue({ 'books_UPDATE': handler })
+
+      expect(authManager.refreshAuth).toHaveBeenCalledTimes(1)
+      expect(handler).toHaveBeenCalledTimes(2)
+      expect(result.successful).toHaveLength(1)
+    })
+
+    it('should stop without using retries when the session cannot be refreshed', async () => {
+      authManager.refreshAuth.mockResolvedValue(false)
+      const handler = vi.fn(async () => { throw new ApiError('Unauthorized', 401) })
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '1', name: 'Dune' })
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '2', name: 'Emma' })
+
+      const result = await syncQueue.processQueue({ 'books_UPDATE': handler })
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(result.failed).toHaveLength(0)
+      expect(syncQueue.getPendingCount()).toBe(2)
+      expect(syncQueue.queue[0]).toMatchObject({ retries: 0, lastError: 'Unauthorized' })
+    })
+
+    it('should back off longer and pause the queue on server errors', async () => {
+      const failing = vi.fn(async () => { throw new ApiError('Service unavailable', 503) })
+      const succeeding = vi.fn(async () => ({ success: true }))
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '1', name: 'Dune' })
+      syncQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id: '2' })
+
+      const before = Date.now()
+      await syncQueue.processQueue({ 'books_UPDATE': failing, 'books_DELETE': succeeding })
+
+      expect(succeeding).not.toHaveBeenCalled()
+      expect(syncQueue.getPendingCount()).toBe(2)
+      expect(syncQueue.queue[0].nextRetryAt).toBeGreaterThanOrEqual(before + 15000)
+    })
+
+    it('should leave operations that are backing off and send the rest', async () => {
+      isBackingOff.mockRestore()
+      const handler = vi.fn(async () => ({ success: true }))
+      const failingOnce = vi.fn().mockRejectedValueOnce(new ApiError('Network error', 0))
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '1', name: 'Dune' })
+      await syncQueue.processQueue({ 'books_UPDATE': failingOnce })
+      syncQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id: '2' })
+
+      const result = await syncQueue.processQueue({ 'books_UPDATE': failingOnce, 'books_DELETE': handler })
+
+      expect(failingOnce).toHaveBeenCalledTimes(1)
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(result.successful).toHaveLength(1)
+      expect(syncQueue.getPendingOperations().map(op => op.data.id)).toEqual(['1'])
+    })
+
+    it('should hold later operations on a record that is backing off', async () => {
+      isBackingOff.mockRestore()
+      const handler = vi.fn().mockRejectedValueOnce(new ApiError('Network error', 0))
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Dune' }, 'temp-1')
+      await syncQueue.processQueue({ 'books_CREATE': handler })
+      syncQueue.queue.push({ id: 'op-later', type: OPERATION_TYPES.UPDATE, resource: 'books', data: { id: 'temp-1' }, retries: 0 })
+      const update = vi.fn()
+
+      await syncQueue.processQueue({ 'books_CREATE': handler, 'books_UPDATE': update })
+
+      expect(update).not.toHaveBeenCalled()
+    })
+
+    it('should request a sync when the next retry is due', async () => {
+      isBackingOff.mockRestore()
+      vi.useFakeTimers()
+      try {
+        const syncRequested = vi.fn()
+        const off = syncQueue.coordinator.on(TAB_MESSAGES.SYNC_REQUESTED, syncRequested)
+        syncQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id: '123' })
+        await syncQueue.processQueue({ 'books_DELETE': vi.fn().mockRejectedValue(new ApiError('Network error', 0)) })
+
+        await vi.advanceTimersByTimeAsync(999)
+        expect(syncRequested).not.toHaveBeenCalled()
+
+        await vi.advanceTimersByTimeAsync(1)
+        expect(syncRequested).toHaveBeenCalledOnce()
+        off()
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+  })
+
+  describe('Failed operations', () => {
+    const failingHandlers = {
+      'books_UPDATE': vi.fn(async () => {
+        throw new Error('Server rejected')
+      })
+    }
+
+    const exhaustRetries = async () => {
+      for (let i = 0; i < 3; i++) {
+        await syncQueue.processQueue(failingHandlers)
+      }
+    }
+
+    it('should keep operations that exceeded max retries', async () => {
+      const operationId = syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Dune' })
+
+      await exhaustRetries()
+
+      expect(syncQueue.getPendingCount()).toBe(0)
+      expect(syncQueue.getFailedCount()).toBe(1)
+      expect(syncQueue.getFailedOperations()[0]).toMatchObject({
+        id: operationId,
+        data: { id: '123', name: 'Dune' },
+        retries: 3,
+        lastError: 'Server rejected',
+        failedAt: expect.any(Number)
+      })
+    })
+
+    it('should keep operations without a handler', async () => {
+      syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Test' }, 'temp-1')
+
+      await syncQueue.processQueue({ 'books_UPDATE': vi.fn() })
+
+      expect(syncQueue.getFailedOperations()[0].lastError).toBe('No handler found')
+    })
+
+    it('should persist failed operations', async () => {
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Dune' })
+      await exhaustRetries()
+
+      const reloaded = new SyncQueue()
+      await reloaded.ready
+
+      expect(reloaded.getFailedCount()).toBe(1)
+      expect(reloaded.getPendingCount()).toBe(0)
+    })
+
+    it('should requeue a failed operation with its retries reset', async () => {
+      const operationId = syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Dune' })
+      await exhaustRetries()
+
+      expect(syncQueue.retryFailed(operationId)).toBe(true)
+
+      expect(syncQueue.getFailedCount()).toBe(0)
+      expect(syncQueue.getPendingOperations()[0]).toMatchObject({ id: operationId, retries: 0, lastError: null })
+      expect(syncQueue.getPendingOperations()[0]).not.toHaveProperty('failedAt')
+    })
+
+    it('should requeue all failed operations', async () => {
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '1', name: 'Dune' })
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '2', name: 'Emma' })
+      await exhaustRetries()
+
+      expect(syncQueue.retryAllFailed()).toBe(2)
+      expect(syncQueue.getPendingCount()).toBe(2)
+      expect(syncQueue.getFailedCount()).toBe(0)
+    })
+
+    it('should let a newer queued edit win over a retried one', async () => {
+      const failedId = syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Old' })
+      await exhaustRetries()
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'New' })
+      syncQueue.retryFailed(failedId)
+
+      syncQueue.deduplicateQueue()
+
+      expect(syncQueue.getPendingOperations().map(op => op.data.name)).toEqual(['New'])
+    })
+
+    it('should discard pending and failed operations', async () => {
+      const failedId = syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '1', name: 'Dune' })
+      await exhaustRetries()
+      const pendingId = syncQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id: '2' })
+
+      expect(syncQueue.discardOperation(failedId)).toBe(true)
+      expect(syncQueue.discardOperation(pendingId)).toBe(true)
+      expect(syncQueue.discardOperation('unknown')).toBe(false)
+
+      expect(syncQueue.getFailedCount()).toBe(0)
+      expect(syncQueue.getPendingCount()).toBe(0)
+    })
+
+    it('should discard the later changes of a discarded CREATE', async () => {
+      const createId = syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', { name: 'Dune' }, 'temp-1')
+      await syncQueue.processQueue({ 'books_UPDATE': vi.fn() })
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: 'temp-1', name: 'Dune Messiah' })
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '2', name: 'Emma' })
+
+      expect(syncQueue.discardOperation(createId)).toBe(true)
+
+      expect(syncQueue.getFailedCount()).toBe(0)
+      expect(syncQueue.getPendingOperations().map(op => op.data.id)).toEqual(['2'])
+    })
+
+    it('should not edit an operation while it is being sent', async () => {
+      let finishSend
+      const operationId = syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Dune' })
+      const processing = syncQueue.processQueue({
+        'books_UPDATE': () => new Promise((resolve) => { finishSend = resolve })
+      })
+      await vi.waitFor(() => expect(finishSend).toBeDefined())
+
+      expect(syncQueue.updateOperationData(operationId, { id: '123', name: 'Dune Messiah' })).toBe(false)
+
+      finishSend({ success: true })
+      await processing
+    })
+
+    it('should replace the payload of an operation', async () => {
+      const operationId = syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Dune' })
+      await exhaustRetries()
+
+      syncQueue.updateOperationData(operationId, { id: '123', name: 'Dune Messiah' })
+      syncQueue.retryFailed(operationId)
+
+      expect(syncQueue.getPendingOperations()[0].data).toEqual({ id: '123', name: 'Dune Messiah' })
+    })
+
+    it('should notify listeners of changes', () => {
+      const listener = vi.fn()
+      const off = syncQueue.onChange(listener)
+
+      syncQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id: '123' })
+      off()
+      syncQueue.clear()
+
+      expect(listener).toHaveBeenCalledTimes(1)
+    })
   })
 
   describe('isQueueProcessing', () => {
@@ -697,4 +1195,147 @@ describe('SyncQueue', () => {
       expect(ids).toContain('op-3')
     })
   })
+
+  describe('Multiple tabs', () => {
+    let leaderQueue
+    let followerQueue
+    let leaderTab
+    let followerTab
+    let createChannel
+    let locks
+
+    beforeEach(() => {
+      // Tabs share one in-memory channel; the first tab to start takes the lock,
+      // and it passes to the next waiting tab when the holder stops
+      const channels = new Set()
+      createChannel = () => {
+        const channel = {
+          onmessage: null,
+          postMessage: (data) => channels.forEach(other => other !== channel && other.onmessage?.({ data })),
+          close: () => channels.delete(channel)
+        }
+        channels.add(channel)
+        return channel
+      }
+      const waiting = []
+      let lockHeld = false
+      const grant = (callback) => {
+        lockHeld = true
+        Promise.resolve(callback()).then(() => {
+          lockHeld = false
+          const next = waiting.shift()
+          if (next) grant(next)
+        })
+      }
+      locks = {
+        request: (name, callback) => {
+          if (lockHeld) {
+            waiting.push(callback)
+          } else {
+            grant(callback)
+          }
+        }
+      }
+
+      leaderTab = new TabCoordinator({ createChannel, locks })
+      followerTab = new TabCoordinator({ createChannel, locks })
+      leaderQueue = new SyncQueue(leaderTab)
+      followerQueue = new SyncQueue(followerTab)
+      leaderTab.start()
+      followerTab.start()
+    })
+
+    afterEach(() => {
+      leaderTab.stop()
+      followerTab.stop()
+      leaderQueue.clear()
+    })
+
+    it('should forward follower operations to the leader', () => {
+      const result = followerQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Updated' })
+
+      expect(result).toBeNull()
+      expect(leaderQueue.queue).toHaveLength(1)
+      expect(leaderQueue.queue[0].data).toEqual({ id: '123', name: 'Updated' })
+    })
+
+    it('should forget forwarded operations once the leader confirms them', () => {
+      followerQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Updated' })
+
+      expect(followerQueue.forwarded.size).toBe(0)
+    })
+
+    it('should queue operations forwarded while no tab led once it takes over', () => {
+      const tab = new TabCoordinator({
+        createChannel: () => ({ onmessage: null, postMessage: vi.fn(), close: vi.fn() }),
+        locks: { request: vi.fn() } // Lock not granted yet
+      })
+      const queue = new SyncQueue(tab)
+      tab.start()
+
+      expect(queue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Updated' })).toBeNull()
+      expect(queue.forwarded.size).toBe(1)
+
+      // The lock is granted
+      tab.locks.request.mock.calls[0][1]()
+
+      expect(queue.queue).toHaveLength(1)
+      expect(queue.queue[0].data).toEqual({ id: '123', name: 'Updated' })
+      expect(queue.forwarded.size).toBe(0)
+      tab.stop()
+      queue.clear()
+    })
+
+    it('should resend unconfirmed operations to the next leader', async () => {
+      const otherTab = new TabCoordinator({ createChannel, locks })
+      const otherQueue = new SyncQueue(otherTab)
+      otherTab.start()
+
+      // The leader closes before it handles the request
+      leaderTab.channel.onmessage = null
+      otherQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id: '123' })
+      expect(otherQueue.forwarded.size).toBe(1)
+
+      leaderTab.stop()
+      await vi.waitFor(() => expect(followerTab.isLeader()).toBe(true))
+
+      expect(followerQueue.queue.map(op => op.type)).toEqual([OPERATION_TYPES.DELETE])
+      expect(otherQueue.forwarded.size).toBe(0)
+      otherTab.stop()
+    })
+
+    it('should mirror the leader queue in followers', async () => {
+      leaderQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id: '123' })
+
+      await vi.waitFor(() => expect(followerQueue.getPendingCount()).toBe(1))
+    })
+
+    it('should let followers retry failed operations through the leader', async () => {
+      const operationId = leaderQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Dune' })
+      const handlers = { 'books_UPDATE': vi.fn(async () => { throw new Error('Server rejected') }) }
+      for (let i = 0; i < 3; i++) {
+        await leaderQueue.processQueue(handlers)
+      }
+      await vi.waitFor(() => expect(followerQueue.getFailedCount()).toBe(1))
+
+      followerQueue.retryFailed(operationId)
+
+      expect(leaderQueue.getFailedCount()).toBe(0)
+      expect(leaderQueue.getPendingCount()).toBe(1)
+    })
+
+    it('should only process the queue in the leader', async () => {
+      const handler = vi.fn(async () => ({ success: true }))
+      const syncRequested = vi.fn()
+      leaderTab.on(TAB_MESSAGES.SYNC_REQUESTED, syncRequested)
+      followerQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: '123', name: 'Updated' })
+
+      const result = await followerQueue.processQueue({ 'books_UPDATE': handler })
+
+      expect(handler).not.toHaveBeenCalled()
+      expect(result.successful).toHaveLength(0)
+      expect(syncRequested).toHaveBeenCalled()
+    })
+  })
 })
+
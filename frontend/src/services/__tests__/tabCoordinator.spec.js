@@ -0,0 +1,198 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { TabCoordinator, TAB_MESSAGES } from '../tabCoordinator'
+
+// Mock logger
+vi.mock('@/utils/logger', () => ({
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+}))
+
+/**
+ * In-memory BroadcastChannel shared by the tabs of one test
+ */
+function createChannelHub() {
+  const channels = new Set()
+  return () => {
+    const channel = {
+      onmessage: null,
+      postMessage: vi.fn((data) => {
+        channels.forEach((other) => {
+          if (other !== channel) other.onmessage?.({ data })
+        })
+      }),
+      close: vi.fn(() => channels.delete(channel))
+    }
+    channels.add(channel)
+    return channel
+  }
+}
+
+/**
+ * Exclusive lock manager shared by the tabs of one test
+ */
+function createLocks() {
+  const waiting = []
+  let held = false
+
+  const grant = (callback) => {
+    held = true
+    Promise.resolve(callback()).then(() => {
+      held = false
+      const next = waiting.shift()
+      if (next) grant(next)
+    })
+  }
+
+  return {
+    request: vi.fn((name, callback) => {
+      if (held) {
+        waiting.push(callback)
+      } else {
+        grant(callback)
+      }
+    })
+  }
+}
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe('TabCoordinator', () => {
+  let createChannel
+  let locks
+
+  beforeEach(() => {
+    createChannel = createChannelHub()
+    locks = createLocks()
+  })
+
+  const createTab = () => new TabCoordinator({ createChannel, locks })
+
+  describe('leader election', () => {
+    it('should lead before start', () => {
+      expect(createTab().isLeader()).toBe(true)
+    })
+
+    it('should make the first started tab the leader', () => {
+      const first = createTab()
+      const second = createTab()
+
+      first.start()
+      second.start()
+
+      expect(first.isLeader()).toBe(true)
+      expect(second.isLeader()).toBe(false)
+    })
+
+    it('should hand leadership over when the leader stops', async () => {
+      const first = createTab()
+      const second = createTab()
+      first.start()
+      second.start()
+
+      first.stop()
+      await flushPromises()
+
+      expect(second.isLeader()).toBe(true)
+    })
+
+    it('should request a sync when becoming leader', () => {
+      const tab = createTab()
+      const handler = vi.fn()
+      tab.on(TAB_MESSAGES.SYNC_REQUESTED, handler)
+
+      tab.start()
+
+      expect(handler).toHaveBeenCalledOnce()
+    })
+
+    it('should announce a new leader to itself and the other tabs', async () => {
+      const first = createTab()
+      const second = createTab()
+      const third = createTab()
+      const secondHandler = vi.fn()
+      const thirdHandler = vi.fn()
+      second.on(TAB_MESSAGES.LEADER_CHANGED, secondHandler)
+      third.on(TAB_MESSAGES.LEADER_CHANGED, thirdHandler)
+      first.start()
+      second.start()
+      third.start()
+
+      first.stop()
+      await flushPromises()
+
+      expect(second.isLeader()).toBe(true)
+      expect(secondHandler).toHaveBeenCalledOnce()
+      expect(thirdHandler).toHaveBeenCalledOnce()
+    })
+
+    it('should lead alone without BroadcastChannel', () => {
+      const tab = new TabCoordinator({ createChannel: () => null, locks })
+      tab.start()
+
+      expect(tab.isLeader()).toBe(true)
+      expect(locks.request).not.toHaveBeenCalled()
+    })
+
+    it('should lead without Web Locks', () => {
+      const tab = new TabCoordinator({ createChannel, locks: null })
+      tab.start()
+
+      expect(tab.isLeader()).toBe(true)
+    })
+  })
+
+  describe('messaging', () => {
+    it('should deliver broadcasts to other tabs only', () => {
+      const first = createTab()
+      const second = createTab()
+      const firstHandler = vi.fn()
+      const secondHandler = vi.fn()
+      first.on(TAB_MESSAGES.BOOKS_CHANGED, firstHandler)
+      second.on(TAB_MESSAGES.BOOKS_CHANGED, secondHandler)
+      first.start()
+      second.start()
+
+      first.broadcast(TAB_MESSAGES.BOOKS_CHANGED, { count: 1 })
+
+      expect(firstHandler).not.toHaveBeenCalled()
+      expect(secondHandler).toHaveBeenCalledWith({ count: 1 })
+    })
+
+    it('should ignore broadcasts before start', () => {
+      const tab = createTab()
+      expect(() => tab.broadcast(TAB_MESSAGES.BOOKS_CHANGED)).not.toThrow()
+    })
+
+    it('should remove handlers', () => {
+      const first = createTab()
+      const second = createTab()
+      const handler = vi.fn()
+      const off = second.on(TAB_MESSAGES.QUEUE_CHANGED, handler)
+      first.start()
+      second.start()
+
+      off()
+      first.broadcast(TAB_MESSAGES.QUEUE_CHANGED)
+
+      expect(handler).not.toHaveBeenCalled()
+    })
+
+    it('should keep calling handlers after one throws', () => {
+      const first = createTab()
+      const second = createTab()
+      const handler = vi.fn()
+      second.on(TAB_MESSAGES.QUEUE_CHANGED, () => { throw new Error('boom') })
+      second.on(TAB_MESSAGES.QUEUE_CHANGED, handler)
+      first.start()
+      second.start()
+
+      first.broadcast(TAB_MESSAGES.QUEUE_CHANGED)
+
+      expect(handler).toHaveBeenCalled()
+    })
+  })
+})
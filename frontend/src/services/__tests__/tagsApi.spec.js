@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { TagsApi } from '../tagsApi'
+import pb from '../pocketbase'
+import { isGuestMode, requireAuth } from '../guestMode'
+
+// Mock the pocketbase module
+vi.mock('../pocketbase', () => ({
+  default: {
+    collection: vi.fn(),
+    authStore: {
+      record: { id: 'test-user-id' }
+    }
+  }
+}))
+
+// Mock guestMode module
+vi.mock('../guestMode', () => ({
+  isGuestMode: vi.fn(() => false),
+  requireAuth: vi.fn()
+}))
+
+// Mock errors module
+vi.mock('@/utils/errors', () => ({
+  adaptPocketBaseError: vi.fn((error) => error)
+}))
+
+describe('tagsApi', () => {
+  let tagsApi
+
+  const sciFi = { id: 'tag-1', name: 'Sci-fi', color: '#3b82f6' }
+
+  beforeEach(() => {
+    tagsApi = new TagsApi()
+    vi.clearAllMocks()
+    pb.authStore.record = { id: 'test-user-id' }
+    isGuestMode.mockReturnValue(false)
+  })
+
+  describe('getTags', () => {
+    it('should return null in guest mode', async () => {
+      isGuestMode.mockReturnValue(true)
+
+      expect(await tagsApi.getTags()).toBeNull()
+      expect(pb.collection).not.toHaveBeenCalled()
+    })
+
+    it('should read the tags from the user record', async () => {
+      const mockCollection = {
+        getOne: vi.fn().mockResolvedValue({ id: 'test-user-id', tags: [sciFi, { id: 'tag-2', name: '' }] })
+      }
+      pb.collection.mockReturnValue(mockCollection)
+
+      const result = await tagsApi.getTags()
+
+      expect(pb.collection).toHaveBeenCalledWith('users')
+      expect(mockCollection.getOne).toHaveBeenCalledWith('test-user-id')
+      expect(result).toEqual([sciFi])
+    })
+
+    it('should return null when the user never saved tags', async () => {
+      pb.collection.mockReturnValue({ getOne: vi.fn().mockResolvedValue({ id: 'test-user-id', tags: null }) })
+
+      expect(await tagsApi.getTags()).toBeNull()
+    })
+
+    it('should return an empty list when every tag was deleted', async () => {
+      pb.collection.mockReturnValue({ getOne: vi.fn().mockResolvedValue({ id: 'test-user-id', tags: [] }) })
+
+      expect(await tagsApi.getTags()).toEqual([])
+    })
+
+    it('should return null when the user record is not available', async () => {
+      pb.collection.mockReturnValue({ getOne: vi.fn().mockRejectedValue({ status: 404 }) })
+
+      expect(await tagsApi.getTags()).toBeNull()
+    })
+
+    it('should throw other errors', async () => {
+      pb.collection.mockReturnValue({ getOne: vi.fn().mockRejectedValue({ status: 500 }) })
+
+      await expect(tagsApi.getTags()).rejects.toEqual({ status: 500 })
+    })
+  })
+
+  describe('updateTags', () => {
+    it('should save the whole list on the user record', async () => {
+      const mockCollection = {
+        update: vi.fn().mockResolvedValue({ id: 'test-user-id', tags: [sciFi] })
+      }
+      pb.collection.mockReturnValue(mockCollection)
+
+      const result = await tagsApi.updateTags([sciFi])
+
+      expect(requireAuth).toHaveBeenCalledWith('update tags')
+      expect(mockCollection.update).toHaveBeenCalledWith('test-user-id', { tags: [sciFi] })
+      expect(result).toEqual([sciFi])
+    })
+  })
+
+  describe('getSyncHandlers', () => {
+    it('should save queued tag lists', async () => {
+      const mockCollection = {
+        update: vi.fn().mockResolvedValue({ id: 'test-user-id', tags: [sciFi] })
+      }
+      pb.collection.mockReturnValue(mockCollection)
+
+      const handlers = tagsApi.getSyncHandlers()
+      await handlers.tags_UPDATE({ data: { tags: [sciFi] } })
+
+      expect(mockCollection.update).toHaveBeenCalledWith('test-user-id', { tags: [sciFi] })
+    })
+
+    it('should merge queued tag lists with tags saved on another device', async () => {
+      const favorites = { id: 'tag-2', name: 'Favorites', color: '#ef4444' }
+      const classics = { id: 'tag-3', name: 'Classics', color: '#10b981' }
+      const mockCollection = {
+        getOne: vi.fn().mockResolvedValue({ id: 'test-user-id', tags: [sciFi, classics] }),
+        update: vi.fn().mockResolvedValue({ id: 'test-user-id', tags: [sciFi, classics, favorites] })
+      }
+      pb.collection.mockReturnValue(mockCollection)
+
+      const handlers = tagsApi.getSyncHandlers()
+      await handlers.tags_UPDATE({ data: { tags: [sciFi, favorites], base: [sciFi] } })
+
+      expect(mockCollection.update).toHaveBeenCalledWith('test-user-id', { tags: [sciFi, classics, favorites] })
+    })
+  })
+})
@@ -0,0 +1,176 @@
+import { describe, it, expect, vi } from 'vitest'
+import { unzipSync, strFromU8 } from 'fflate'
+import {
+  VAULT_ROOT,
+  getVaultFolder,
+  toSafeFileName,
+  generateBookNote,
+  generateIndexNote,
+  createVaultArchive
+} from '../vaultExport'
+import { BOOK_STATUS, BOOK_SCORE } from '@/constants'
+
+// Mock logger
+vi.mock('@/utils/logger', () => ({
+  logger: {
+    debug: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    info: vi.fn()
+  }
+}))
+
+describe('vaultExport', () => {
+  const makeBook = (overrides) => ({
+    id: 'book1',
+    name: 'The Great Gatsby',
+    author: 'F. Scott Fitzgerald',
+    coverLink: 'https://example.com/gatsby.jpg',
+    coverDisplayLink: 'https://example.com/gatsby.jpg',
+    year: 2024,
+    month: 3,
+    attributes: { isUnfinished: false, customCover: false, score: BOOK_SCORE.LIKE },
+    createdAt: new Date('2024-03-01T00:00:00.000Z'),
+    updatedAt: new Date('2024-03-15T00:00:00.000Z'),
+    ...overrides
+  })
+
+  describe('getVaultFolder', () => {
+    it('should use the year for dated books', () => {
+      expect(getVaultFolder(makeBook())).toBe('2024')
+    })
+
+    it('should use timeline labels for sentinel years', () => {
+      expect(getVaultFolder(makeBook({ status: BOOK_STATUS.READ_LONG_AGO, year: null, month: null }))).toBe('Long Time Ago')
+      expect(getVaultFolder(makeBook({ status: BOOK_STATUS.READ_LATELY, year: null, month: null }))).toBe('Read Lately')
+      expect(getVaultFolder(makeBook({ status: BOOK_STATUS.TO_READ, year: null, month: null }))).toBe('To Read')
+    })
+
+    it('should put in-progress books in their own folder', () => {
+      expect(getVaultFolder(makeBook({ year: null, month: null }))).toBe('In Progress')
+    })
+  })
+
+  describe('toSafeFileName', () => {
+    it('should replace characters not allowed in file names or links', () => {
+      expect(toSafeFileName('What If? / Serious: "Answers" #1 [Vol]')).toBe('What If Serious Answers 1 Vol')
+    })
+
+    it('should fall back to Untitled', () => {
+      expect(toSafeFileName('...')).toBe('Untitled')
+      expect(toSafeFileName('')).toBe('Untitled')
+    })
+
+    it('should limit the length', () => {
+      expect(toSafeFileName('a'.repeat(300))).toHaveLength(100)
+    })
+  })
+
+  describe('generateBookNote', () => {
+    it('should write YAML frontmatter', () => {
+      const note = generateBookNote(makeBook())
+
+      expect(note).toContain([
+        '---',
+        'title: "The Great Gatsby"',
+        'author: "F. Scott Fitzgerald"',
+        'read_date: "2024-03"',
+        'start_date: null',
+        'timeline: "2024"',
+        'status: "read"',
+        'score: "like"',
+        'cover: "https://example.com/gatsby.jpg"',
+        'created: 2024-03-01T00:00:00.000Z',
+        'updated: 2024-03-15T00:00:00.000Z',
+        'tags:',
+        '  - book',
+        '---'
+      ].join('\n'))
+      expect(note).toContain('# The Great Gatsby')
+      expect(note).toContain('![cover](https://example.com/gatsby.jpg)')
+    })
+
+    it('should describe sentinel and in-progress books', () => {
+      const toRead = generateBookNote(makeBook({ status: BOOK_STATUS.TO_READ, year: null, month: null }))
+      const longAgo = generateBookNote(makeBook({ status: BOOK_STATUS.READ_LONG_AGO, year: null, month: null }))
+      const reading = generateBookNote(makeBook({ year: null, month: null }))
+
+      expect(toRead).toContain('status: "to-read"')
+      expect(toRead).toContain('read_date: null')
+      expect(longAgo).toContain('timeline: "Long Time Ago"')
+      expect(longAgo).toContain('read_date: null')
+      expect(reading).toContain('status: "reading"')
+    })
+
+    it('should mark unfinished books and missing values', () => {
+      const note = generateBookNote(makeBook({
+        author: null,
+        coverLink: null,
+        coverDisplayLink: null,
+        attributes: { isUnfinished: true, score: null }
+      }))
+
+      expect(note).toContain('status: "unfinished"')
+      expect(note).toContain('author: null')
+      expect(note).toContain('score: null')
+      expect(note).toContain('cover: null')
+      expect(note).not.toContain('![cover]')
+    })
+
+    it('should quote titles with YAML special characters', () => {
+      const note = generateBookNote(makeBook({ name: 'Title: "Quoted" # not a comment' }))
+
+      expect(note).toContain('title: "Title: \\"Quoted\\" # not a comment"')
+    })
+  })
+
+  describe('generateIndexNote', () => {
+    it('should list books under timeline headings with relative links', () => {
+      const books = [
+        makeBook({ id: 'a', name: 'Later', status: BOOK_STATUS.TO_READ, year: null, month: null }),
+        makeBook({ id: 'b', name: 'The Great Gatsby' })
+      ]
+      const paths = new Map([['a', 'To Read/Later.md'], ['b', '2024/The Great Gatsby.md']])
+
+      const index = generateIndexNote([
+        { status: BOOK_STATUS.TO_READ, year: null, books: [books[0]] },
+        { status: BOOK_STATUS.READ, year: 2024, books: [books[1]] }
+      ], paths)
+
+      expect(index).toContain('## To Read\n\n- [Later](To%20Read/Later.md) — F. Scott Fitzgerald')
+      expect(index).toContain('## 2024\n\n- [The Great Gatsby](2024/The%20Great%20Gatsby.md) — F. Scott Fitzgerald, March')
+    })
+  })
+
+  describe('createVaultArchive', () => {
+    it('should write one note per book and an index', () => {
+      const books = [
+        makeBook({ id: 'a' }),
+        makeBook({ id: 'b', name: 'Dune', status: BOOK_STATUS.READ_LONG_AGO, year: null, month: null }),
+        makeBook({ id: 'c', name: 'Emma', status: BOOK_STATUS.TO_READ, year: null, month: null })
+      ]
+
+      const files = unzipSync(createVaultArchive(books))
+
+      expect(Object.keys(files).sort()).toEqual([
+        `${VAULT_ROOT}/2024/The Great Gatsby.md`,
+        `${VAULT_ROOT}/Long Time Ago/Dune.md`,
+        `${VAULT_ROOT}/Reading Log.md`,
+        `${VAULT_ROOT}/To Read/Emma.md`
+      ])
+
+      const index = strFromU8(files[`${VAULT_ROOT}/Reading Log.md`])
+      const headings = index.split('\n').filter(line => line.startsWith('## '))
+      expect(headings).toEqual(['## To Read', '## 2024', '## Long Time Ago'])
+    })
+
+    it('should not overwrite notes for books with the same title', () => {
+      const books = [makeBook({ id: 'a' }), makeBook({ id: 'b' })]
+
+      const files = unzipSync(createVaultArchive(books))
+
+      expect(files[`${VAULT_ROOT}/2024/The Great Gatsby.md`]).toBeDefined()
+      expect(files[`${VAULT_ROOT}/2024/The Great Gatsby (2).md`]).toBeDefined()
+    })
+  })
+})
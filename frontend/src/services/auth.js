@@ -4,6 +4,7 @@
  */
 
 import pb from './pocketbase'
+import { persistence } from './persistence'
 import { adaptPocketBaseError } from '@/utils/errors'
 import { logger } from '@/utils/logger'
 
@@ -85,16 +86,20 @@ class AuthManager {
     Object.keys(localStorage)
       .filter(key => key.startsWith('readtrail-'))
       .forEach(key => localStorage.removeItem(key))
+    await persistence.clear()
 
     // Reset Pinia stores to clear in-memory state
     const { useBooksStore } = await import('@/stores/books')
     const { useSettingsStore } = await import('@/stores/settings')
+    const { useTagsStore } = await import('@/stores/tags')
 
     const booksStore = useBooksStore()
     const settingsStore = useSettingsStore()
+    const tagsStore = useTagsStore()
 
     booksStore.$reset()
     settingsStore.$reset()
+    tagsStore.$reset()
 
     logger.debug('[AuthManager] Cleared authentication and all data')
   }
@@ -4,29 +4,30 @@
  */
 
 import pb from './pocketbase'
-import { adaptPocketBaseError } from '@/utils/errors'
+import { ApiError, adaptPocketBaseError } from '@/utils/errors'
 import { isGuestMode, requireAuth } from './guestMode'
+import { parseReadDate, formatReadDate, getDatePrecision } from '@/utils/readDate'
+import { mergeBookChanges, pickMergeFields } from '@/utils/bookMerge'
+import { normalizeBookStatus, normalizeStartDate, normalizePastReads, normalizeReadingProgress, normalizeBookTags } from '@/utils/bookSchema'
+import { normalizePageCount } from '@/utils/readingProgress'
 import { logger } from '@/utils/logger'
 
+const PAGE_SIZE = 500 // Records per request when loading full lists
+const BATCH_SIZE = 50 // Requests per batch call (PocketBase's default batch.maxRequests)
+
 /**
  * Transform book from PocketBase format to store format
  * @param {Object} pbBook - Book object from PocketBase
  * @returns {Object} Book object in store format
  */
 function transformBookFromPocketBase(pbBook) {
-  // Convert read_date (ISO string "2024-03-01") to {year, month}
-  let year = null
-  let month = null
-
-  if (pbBook.read_date) {
-    try {
-      const date = new Date(pbBook.read_date)
-      year = date.getFullYear()
-      month = date.getMonth() + 1 // Convert 0-indexed to 1-indexed
-    } catch (error) {
-      logger.warn('[BooksApi] Invalid read_date format:', pbBook.read_date, error)
-    }
-  }
+  // Convert read_date ("2024-03-14") and its precision to {year, month, day}
+  // Records written before the status field get one from their sentinel read_date
+  const { status, year, month, day } = normalizeBookStatus({
+    status: pbBook.status,
+    ...parseReadDate(pbBook.read_date, pbBook.read_date_precision)
+  })
+  const startDate = normalizeStartDate(parseReadDate(pbBook.start_date, pbBook.start_date_precision))
 
   // Determine cover display link: prioritize cover_file over cover_url
   let coverDisplayLink = null
@@ -43,8 +44,15 @@ function transformBookFromPocketBase(pbBook) {
     author: pbBook.author || null,
     coverLink: pbBook.cover_url || null,
     coverDisplayLink,
+    status,
     year,
     month,
+    day,
+    startDate,
+    pastReads: normalizePastReads(pbBook.past_reads),
+    pageCount: normalizePageCount(pbBook.page_count),
+    progress: normalizeReadingProgress(pbBook.progress),
+    tags: normalizeBookTags(pbBook.tags),
     attributes: {
       isUnfinished: pbBook.attributes?.isUnfinished ?? false,
       customCover: pbBook.attributes?.customCover ?? false,
@@ -64,7 +72,13 @@ function createFormData(data, file) {
 
   // Add scalar fields
   Object.entries(data).forEach(([key, value]) => {
-    if (value === null || value === undefined) return
+    if (value === undefined) return
+
+    // An empty value clears the field (e.g. read_date when a book is no longer read)
+    if (value === null) {
+      formData.append(key, '')
+      return
+    }
 
     const serializedValue = typeof value === 'object'
       ? JSON.stringify(value)
@@ -92,18 +106,23 @@ function createFormData(data, file) {
  * @returns {Object|FormData} Book object in PocketBase format or FormData if file included
  */
 function transformBookToPocketBase(storeBook) {
-  // Convert {year, month} to read_date
-  let read_date = null
-  if (storeBook.year && storeBook.month) {
-    const month = String(storeBook.month).padStart(2, '0')
-    read_date = `${storeBook.year}-${month}-01`
-  }
+  // Convert {year, month, day} to read_date (changes queued before the status field carry sentinel years)
+  const readDate = normalizeBookStatus(storeBook)
+  const startDate = normalizeStartDate(storeBook.startDate)
 
   const data = {
     name: storeBook.name,
     author: storeBook.author || '',
     cover_url: storeBook.coverLink || '',
-    read_date,
+    read_date: formatReadDate(readDate.year, readDate.month, readDate.day),
+    read_date_precision: getDatePrecision(readDate),
+    start_date: startDate && formatReadDate(startDate.year, startDate.month, startDate.day),
+    start_date_precision: startDate && getDatePrecision(startDate),
+    status: readDate.status,
+    past_reads: normalizePastReads(storeBook.pastReads),
+    page_count: normalizePageCount(storeBook.pageCount),
+    progress: normalizeReadingProgress(storeBook.progress),
+    tags: normalizeBookTags(storeBook.tags),
     attributes: {
       isUnfinished: storeBook.attributes?.isUnfinished ?? false,
       customCover: storeBook.attributes?.customCover ?? false,
@@ -124,6 +143,7 @@ function transformBookToPocketBase(storeBook) {
 class BooksApi {
   /**
    * Fetch all books for the current user
+   * Loads every page, so libraries of any size come back complete
    * @returns {Promise<Array>} Array of book objects
    */
   async getBooks() {
@@ -133,13 +153,13 @@ class BooksApi {
     }
 
     try {
-      // Fetch all books for the authenticated user
       // PocketBase automatically filters by owner based on auth token
-      const result = await pb.collection('books').getList(1, 500, {
-        sort: '-created'
+      const records = await pb.collection('books').getFullList({
+        sort: '-created',
+        batch: PAGE_SIZE
       })
 
-      return result.items.map(transformBookFromPocketBase)
+      return records.map(transformBookFromPocketBase)
     } catch (error) {
       // If 404 or no records, return empty array
       if (error.status === 404 || error.status === 0) {
@@ -149,6 +169,52 @@ class BooksApi {
     }
   }
 
+  /**
+   * Fetch books created or changed since a point in time (delta sync)
+   * Inclusive, so records sharing the cursor's timestamp are never missed
+   * @param {Date|string} since - Latest server `updated` value already seen
+   * @returns {Promise<Array>} Array of book objects, oldest change first
+   */
+  async getBooksUpdatedSince(since) {
+    if (isGuestMode()) {
+      return []
+    }
+
+    try {
+      const records = await pb.collection('books').getFullList({
+        filter: pb.filter('updated >= {:since}', { since: new Date(since) }),
+        sort: 'updated',
+        batch: PAGE_SIZE
+      })
+
+      return records.map(transformBookFromPocketBase)
+    } catch (error) {
+      throw adaptPocketBaseError(error)
+    }
+  }
+
+  /**
+   * Fetch the IDs of all books on the server
+   * Compared with local IDs to detect books deleted on another device
+   * @returns {Promise<Array<string>>} Book IDs
+   */
+  async getBookIds() {
+    if (isGuestMode()) {
+      return []
+    }
+
+    try {
+      const records = await pb.collection('books').getFullList({
+        fields: 'id',
+        batch: PAGE_SIZE * 2
+      })
+
+      return records.map(record => record.id)
+    } catch (error) {
+      throw adaptPocketBaseError(error)
+    }
+  }
+
   /**
    * Fetch a single book by ID
    * @param {string} id - Book ID
@@ -200,6 +266,43 @@ class BooksApi {
     }
   }
 
+  /**
+   * Update a book, merging in changes made elsewhere since the edit's base version
+   * The server record's `updated` timestamp is compared with the base; if it moved on,
+   * non-overlapping field changes are merged and overlapping ones are reported as a conflict
+   * @param {string} id - Book ID
+   * @param {Object} book - Book data with local changes
+   * @param {Object|null} base - { updatedAt, fields } the edit was made from (null skips the check)
+   * @returns {Promise<Object>} Updated book object
+   * @throws {ApiError} 409 with { bookId, fields, base, local, remote, merged } on conflicting changes
+   */
+  async updateBookFromBase(id, book, base) {
+    if (!base?.updatedAt) {
+      return this.updateBook(id, book)
+    }
+
+    const remote = await this.getBook(id)
+    if (remote.updatedAt.getTime() <= new Date(base.updatedAt).getTime()) {
+      return this.updateBook(id, book)
+    }
+
+    const { merged, conflicts } = mergeBookChanges(base.fields, book, remote)
+    if (conflicts.length > 0) {
+      logger.warn(`[BooksApi] Conflicting changes for book ${id}:`, conflicts)
+      throw new ApiError('Book was changed on another device', 409, {
+        bookId: id,
+        fields: conflicts,
+        base: base.fields,
+        local: pickMergeFields(book),
+        remote: { ...pickMergeFields(remote), updatedAt: remote.updatedAt.toISOString() },
+        merged
+      })
+    }
+
+    logger.info(`[BooksApi] Merged remote changes into book ${id}`)
+    return this.updateBook(id, { ...book, ...merged })
+  }
+
   /**
    * Delete a book
    * @param {string} id - Book ID
@@ -216,25 +319,150 @@ class BooksApi {
   }
 
   /**
-   * Batch create books (for migration)
-   * PocketBase doesn't have a batch endpoint, so we iterate
+   * Fetch the server's `updated` time of some books
+   * @param {Array<string>} ids - Book IDs
+   * @returns {Promise<Object>} Map of book ID to updatedAt Date (missing books are left out)
+   */
+  async getUpdatedTimes(ids) {
+    requireAuth('fetch book versions')
+
+    try {
+      const filter = ids.map((id, index) => pb.filter(`id = {:id${index}}`, { [`id${index}`]: id })).join(' || ')
+      const records = await pb.collection('books').getFullList({
+        filter,
+        fields: 'id,updated',
+        batch: PAGE_SIZE
+      })
+
+      return Object.fromEntries(records.map(record => [record.id, new Date(record.updated)]))
+    } catch (error) {
+      throw adaptPocketBaseError(error)
+    }
+  }
+
+  /**
+   * Send record requests through PocketBase's batch endpoint
+   * Each chunk of BATCH_SIZE requests runs in one transaction: it is saved completely or not at all
+   * @private
+   * @param {Array} items - Items to send
+   * @param {Function} addRequest - (books batch collection, item) => void
+   * @param {Function} onProgress - Called with (done, total) after each chunk (optional)
+   * @returns {Promise<Array>} Response bodies, in item order
+   * @throws {ApiError} With `completed` set to the response bodies of the chunks saved before the failure
+   */
+  async sendBatch(items, addRequest, onProgress = null) {
+    const bodies = []
+
+    for (let start = 0; start < items.length; start += BATCH_SIZE) {
+      const batch = pb.createBatch()
+      items.slice(start, start + BATCH_SIZE).forEach(item => addRequest(batch.collection('books'), item))
+
+      try {
+        const responses = await batch.send()
+        bodies.push(...responses.map(response => response.body))
+      } catch (error) {
+        const apiError = adaptPocketBaseError(error)
+        apiError.completed = bodies
+        throw apiError
+      }
+
+      logger.debug(`[BooksApi] Batch saved ${bodies.length}/${items.length}`)
+      if (onProgress) {
+        onProgress(bodies.length, items.length)
+      }
+    }
+
+    return bodies
+  }
+
+  /**
+   * Batch create books (for migration and imports)
    * @param {Array} books - Array of book objects
-   * @returns {Promise<Array>} Array of created books with IDs
+   * @param {Function} onProgress - Called with (created, total) after each chunk (optional)
+   * @returns {Promise<Array>} Array of created books with IDs, in input order
+   * @throws {ApiError} With `created` set to the books saved before a chunk failed
    */
-  async batchCreateBooks(books) {
+  async batchCreateBooks(books, onProgress = null) {
     requireAuth('batch create books')
 
     try {
-      const results = []
-      for (const book of books) {
-        const pbData = transformBookToPocketBase(book)
-        const record = await pb.collection('books').create(pbData)
-        results.push(transformBookFromPocketBase(record))
-
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 50))
-      }
-      return results
+      const records = await this.sendBatch(
+        books,
+        (collection, book) => collection.create(transformBookToPocketBase(book)),
+        onProgress
+      )
+      return records.map(transformBookFromPocketBase)
+    } catch (error) {
+      error.created = (error.completed || []).map(transformBookFromPocketBase)
+      throw error
+    }
+  }
+
+  /**
+   * Batch update books (for bulk edits), without checking for changes made elsewhere
+   * @param {Array} updates - Array of { id, book }
+   * @param {Function} onProgress - Called with (updated, total) after each chunk (optional)
+   * @returns {Promise<Array>} Array of updated books, in input order
+   * @throws {ApiError} With `updated` set to the books saved before a chunk failed
+   */
+  async batchUpdateBooks(updates, onProgress = null) {
+    requireAuth('batch update books')
+
+    try {
+      const records = await this.sendBatch(
+        updates,
+        (collection, { id, book }) => collection.update(id, transformBookToPocketBase(book)),
+        onProgress
+      )
+      return records.map(transformBookFromPocketBase)
+    } catch (error) {
+      error.updated = (error.completed || []).map(transformBookFromPocketBase)
+      throw error
+    }
+  }
+
+  /**
+   * List uploaded cover files for the current user's books
+   * URLs point at the original files (no thumbnail)
+   * @returns {Promise<Array>} Array of { bookId, fileName, url }
+   */
+  async getCoverFiles() {
+    if (isGuestMode()) {
+      return []
+    }
+
+    try {
+      const records = await pb.collection('books').getFullList({
+        filter: "cover_file != ''",
+        fields: 'id,collectionId,collectionName,cover_file'
+      })
+
+      return records.map(record => ({
+        bookId: record.id,
+        fileName: record.cover_file,
+        url: pb.files.getURL(record, record.cover_file)
+      }))
+    } catch (error) {
+      throw adaptPocketBaseError(error)
+    }
+  }
+
+  /**
+   * Subscribe to realtime changes of the current user's books
+   * The collection's list rule limits events to the user's own records
+   * @param {Function} callback - Called with { action: 'create'|'update'|'delete', book }
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribeToBooks(callback) {
+    requireAuth('subscribe to book changes')
+
+    try {
+      return await pb.collection('books').subscribe('*', (event) => {
+        callback({
+          action: event.action,
+          book: transformBookFromPocketBase(event.record)
+        })
+      })
     } catch (error) {
       throw adaptPocketBaseError(error)
     }
@@ -245,6 +473,7 @@ class BooksApi {
    * Provides API operation handlers for different operation types
    * @param {Function} replaceTempId - Callback to replace temp IDs with backend IDs
    * @returns {Object} Handler functions keyed by 'resource_OPERATION' pattern
+   *   ('resource_OPERATION_BATCH' handlers take a run of operations)
    */
   getSyncHandlers(replaceTempId) {
     return {
@@ -256,13 +485,41 @@ class BooksApi {
         return createdBook
       },
       'books_UPDATE': async (operation) => {
-        return await this.updateBook(operation.data.id, operation.data)
+        const { base = null, ...book } = operation.data
+        return await this.updateBookFromBase(book.id, book, base)
       },
       'books_DELETE': async (operation) => {
         return await this.deleteBook(operation.data.id)
       },
       'books_BATCH_CREATE': async (operation) => {
         return await this.batchCreateBooks(operation.data.books)
+      },
+
+      // Runs of queued operations, sent as one batch request (see syncQueue.processQueue)
+      'books_CREATE_BATCH': async (operations) => {
+        const createdBooks = await this.batchCreateBooks(operations.map(op => op.data))
+        if (replaceTempId) {
+          operations.forEach((op, index) => op.tempId && replaceTempId(op.tempId, createdBooks[index].id))
+        }
+        return createdBooks
+      },
+      'books_UPDATE_BATCH': async (operations) => {
+        // Edits of books changed elsewhere need a merge, so those go one by one
+        const updatedTimes = await this.getUpdatedTimes(operations.map(op => op.data.id))
+        const changedElsewhere = operations.some(({ data }) => {
+          const remoteUpdatedAt = updatedTimes[data.id]
+          if (!remoteUpdatedAt) return true
+          return data.base?.updatedAt && remoteUpdatedAt.getTime() > new Date(data.base.updatedAt).getTime()
+        })
+        if (changedElsewhere) {
+          throw new Error('Some books changed on the server, sending edits one by one')
+        }
+
+        return await this.batchUpdateBooks(operations.map(({ data }) => {
+          const book = { ...data }
+          delete book.base
+          return { id: data.id, book }
+        }))
       }
     }
   }
@@ -0,0 +1,62 @@
+/**
+ * Calendar API service
+ * Manages the per-user token for the subscribable ICS feed (backend/pb_hooks/calendar.pb.js)
+ */
+
+import pb from './pocketbase'
+import { adaptPocketBaseError } from '@/utils/errors'
+import { requireAuth } from './guestMode'
+import { logger } from '@/utils/logger'
+
+const FEED_PATH = '/api/readtrail/calendar'
+
+/**
+ * Calendar feed client using PocketBase SDK
+ */
+class CalendarApi {
+  /**
+   * Get the current user's feed token
+   * @returns {string|null} Token, or null if no feed has been created
+   */
+  getFeedToken() {
+    return pb.authStore.record?.calendar_token || null
+  }
+
+  /**
+   * Create or replace the feed token
+   * Old feed URLs stop working immediately
+   * @returns {Promise<string>} New token
+   */
+  async rotateFeedToken() {
+    requireAuth('create calendar feeds')
+
+    try {
+      const { token } = await pb.send(`${FEED_PATH}/token`, { method: 'POST' })
+
+      // Keep the cached auth record in sync so getFeedToken sees the new token
+      if (pb.authStore.record) {
+        pb.authStore.save(pb.authStore.token, { ...pb.authStore.record, calendar_token: token })
+      }
+
+      logger.debug('[CalendarApi] Calendar feed token rotated')
+      return token
+    } catch (error) {
+      throw adaptPocketBaseError(error)
+    }
+  }
+
+  /**
+   * Build the subscribable feed URL for a token
+   * @param {string} token - Feed token
+   * @returns {string} Absolute URL to paste into a calendar app
+   */
+  getFeedUrl(token) {
+    return new URL(pb.buildURL(`${FEED_PATH}/${encodeURIComponent(token)}`), window.location.origin).toString()
+  }
+}
+
+// Create and export singleton instance
+export const calendarApi = new CalendarApi()
+
+// Export class for testing
+export { CalendarApi }
@@ -0,0 +1,153 @@
+/**
+ * Calendar Export Service
+ * Exports the reading timeline as iCalendar (.ics) all-day events
+ *
+ * Each dated book becomes one event on its read_date (the 1st of the read month when the day is unknown).
+ * Books only known to the year, undated statuses and in-progress books are skipped.
+ * backend/pb_hooks/calendar_utils.js renders the same events for the subscribable feed.
+ */
+
+import { downloadFile } from './dataExport'
+import { BOOK_STATUS, BOOK_SCORE } from '@/constants'
+import { formatReadDate } from '@/utils/readDate'
+import { logger } from '@/utils/logger'
+
+const MAX_LINE_OCTETS = 75
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ * @private
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 3.1)
+ * @private
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder()
+  const parts = []
+  let current = ''
+  let currentOctets = 0
+
+  for (const char of line) {
+    const octets = encoder.encode(char).length
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1
+    if (currentOctets + octets > limit) {
+      parts.push(current)
+      current = ''
+      currentOctets = 0
+    }
+    current += char
+    currentOctets += octets
+  }
+  parts.push(current)
+
+  return parts.join('\r\n ')
+}
+
+/**
+ * Format a "YYYY-MM-DD" date as an iCalendar DATE value
+ * @private
+ */
+function toICSDate(date) {
+  return date.replace(/-/g, '')
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC DATE-TIME value
+ * @private
+ */
+function toICSDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Day after a "YYYY-MM-DD" date, as an iCalendar DATE value (exclusive DTEND)
+ * @private
+ */
+function nextDay(date) {
+  const [year, month, day] = date.split('-').map(Number)
+  const next = new Date(Date.UTC(year, month - 1, day + 1))
+  return toICSDate(next.toISOString().slice(0, 10))
+}
+
+/**
+ * Check whether a book has a real read date
+ * @param {Object} book - Book from store
+ * @returns {boolean} True if the book can be placed on a calendar (its month is known)
+ */
+export function hasCalendarDate(book) {
+  return BOOK_STATUS.hasReadDate(book) && !!book.month
+}
+
+/**
+ * Build the VEVENT lines for a book
+ * @private
+ */
+function buildEvent(book, timestamp) {
+  const readDate = formatReadDate(book.year, book.month, book.day)
+  const summary = BOOK_STATUS.isUnfinished(book)
+    ? `Stopped reading: ${book.name}`
+    : `Read: ${book.name}`
+
+  const description = [
+    book.author ? `by ${book.author}` : null,
+    BOOK_SCORE.isLike(book.attributes?.score) ? 'Liked' : null,
+    BOOK_SCORE.isDislike(book.attributes?.score) ? 'Disliked' : null
+  ].filter(Boolean).join('\n')
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${book.id}@readtrail`,
+    `DTSTAMP:${timestamp}`,
+    `DTSTART;VALUE=DATE:${toICSDate(readDate)}`,
+    `DTEND;VALUE=DATE:${nextDay(readDate)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ].filter(Boolean)
+}
+
+/**
+ * Export dated books as an iCalendar document
+ * @param {Array} books - Books array from store
+ * @returns {string} ICS content (CRLF line endings)
+ */
+export function generateBooksICS(books) {
+  const timestamp = toICSDateTime(new Date())
+  const datedBooks = books.filter(hasCalendarDate)
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//readtrail//Reading Timeline//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:readtrail',
+    ...datedBooks.flatMap(book => buildEvent(book, timestamp)),
+    'END:VCALENDAR'
+  ]
+
+  logger.info(`[CalendarExport] Generated ICS export with ${datedBooks.length} events`)
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * Export books as .ics file
+ */
+export function exportBooksAsICS(books) {
+  const icsContent = generateBooksICS(books)
+
+  const timestamp = new Date().toISOString().split('T')[0]
+  const filename = `readtrail-calendar-${timestamp}.ics`
+
+  downloadFile(icsContent, filename, 'text/calendar')
+}
@@ -0,0 +1,180 @@
+/**
+ * Data Backup Service
+ * Full backup archives (zip) with JSON data, uploaded cover files and a manifest
+ *
+ * Archive layout:
+ *   manifest.json            - format, versions, book count and cover index
+ *   data.json                - same content as the JSON export
+ *   covers/<bookId>/<file>   - original cover_file uploads
+ */
+
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate'
+import { booksApi } from './booksApi'
+import { generateUserDataJSON, downloadFile } from './dataExport'
+import { parseUserDataJSON } from './dataImport'
+import { readFileAsArrayBuffer } from '@/utils/fileReader'
+import { logger } from '@/utils/logger'
+
+/**
+ * Identifies readtrail backup archives
+ */
+export const BACKUP_FORMAT = 'readtrail-backup'
+
+/**
+ * Backup archive versions this app can write and restore
+ */
+export const BACKUP_VERSION = '1.0'
+
+const MANIFEST_PATH = 'manifest.json'
+const DATA_PATH = 'data.json'
+const COVERS_DIR = 'covers'
+
+/**
+ * Download one cover file
+ * @private
+ */
+async function fetchCoverFile(url) {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`)
+  }
+  return {
+    bytes: new Uint8Array(await response.arrayBuffer()),
+    contentType: response.headers.get('content-type') || ''
+  }
+}
+
+/**
+ * Build a full backup archive
+ * Covers that cannot be downloaded are listed in manifest.missingCovers
+ * @param {Array} books - Books array from store
+ * @param {Object} settings - Settings object from store
+ * @param {Array} tags - Tags array from store
+ * @returns {Promise<Uint8Array>} Zip archive bytes
+ */
+export async function createBackupArchive(books, settings, tags = []) {
+  const data = generateUserDataJSON(books, settings, tags)
+  const bookIds = new Set(books.map(book => book.id))
+  const coverFiles = (await booksApi.getCoverFiles()).filter(cover => bookIds.has(cover.bookId))
+
+  const files = {
+    [DATA_PATH]: strToU8(JSON.stringify(data, null, 2))
+  }
+  const covers = []
+  const missingCovers = []
+
+  for (const cover of coverFiles) {
+    const path = `${COVERS_DIR}/${cover.bookId}/${cover.fileName}`
+    try {
+      const { bytes, contentType } = await fetchCoverFile(cover.url)
+      // Images are already compressed, store them as-is
+      files[path] = [bytes, { level: 0 }]
+      covers.push({ bookId: cover.bookId, path, contentType, size: bytes.length })
+    } catch (error) {
+      logger.warn(`[DataBackup] Failed to download cover for ${cover.bookId}:`, error.message)
+      missingCovers.push(cover.bookId)
+    }
+  }
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    backupVersion: BACKUP_VERSION,
+    exportVersion: data.exportVersion,
+    createdAt: data.exportDate,
+    bookCount: books.length,
+    covers,
+    missingCovers
+  }
+  files[MANIFEST_PATH] = strToU8(JSON.stringify(manifest, null, 2))
+
+  logger.info(`[DataBackup] Created backup with ${books.length} books and ${covers.length} covers`)
+
+  return zipSync(files)
+}
+
+/**
+ * Check whether a selected file is a backup archive rather than a JSON export
+ * @param {File} file - File from an input element
+ * @returns {boolean} True for zip files
+ */
+export function isBackupArchive(file) {
+  return /\.zip$/i.test(file?.name || '') || /zip/.test(file?.type || '')
+}
+
+/**
+ * Parse a backup archive
+ * Books with a backed-up cover get a coverFile (File) so restoring re-uploads it
+ * @param {ArrayBuffer|Uint8Array} buffer - Zip archive content
+ * @returns {Object} Parsed export (see parseUserDataJSON) plus manifest and coverCount
+ * @throws {Error} If the archive is not a supported readtrail backup
+ */
+export function parseBackupArchive(buffer) {
+  let files
+  try {
+    files = unzipSync(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer))
+  } catch {
+    throw new Error('File is not a valid zip archive')
+  }
+
+  if (!files[MANIFEST_PATH] || !files[DATA_PATH]) {
+    throw new Error('File is not a readtrail backup (missing manifest or data)')
+  }
+
+  let manifest
+  try {
+    manifest = JSON.parse(strFromU8(files[MANIFEST_PATH]))
+  } catch {
+    throw new Error('Backup manifest is not valid JSON')
+  }
+
+  if (manifest?.format !== BACKUP_FORMAT) {
+    throw new Error('File is not a readtrail backup')
+  }
+
+  if (String(manifest.backupVersion) !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${manifest.backupVersion}`)
+  }
+
+  const parsed = parseUserDataJSON(strFromU8(files[DATA_PATH]))
+
+  const coverFiles = new Map()
+  for (const cover of manifest.covers || []) {
+    const bytes = files[cover.path]
+    if (!bytes) {
+      logger.warn(`[DataBackup] Cover listed in manifest is missing: ${cover.path}`)
+      continue
+    }
+    const fileName = cover.path.split('/').pop()
+    coverFiles.set(cover.bookId, new File([bytes], fileName, { type: cover.contentType || '' }))
+  }
+
+  const books = parsed.books.map(book =>
+    coverFiles.has(book.id) ? { ...book, coverFile: coverFiles.get(book.id) } : book
+  )
+
+  logger.info(`[DataBackup] Parsed backup with ${books.length} books and ${coverFiles.size} covers`)
+
+  return { ...parsed, books, manifest, coverCount: coverFiles.size }
+}
+
+/**
+ * Read and parse a backup archive selected by the user
+ * @param {File} file - File from an input element
+ * @returns {Promise<Object>} Parsed backup (see parseBackupArchive)
+ */
+export async function readBackupArchive(file) {
+  const buffer = await readFileAsArrayBuffer(file)
+  return parseBackupArchive(buffer)
+}
+
+/**
+ * Download a full backup archive
+ */
+export async function exportFullBackup(books, settings, tags = []) {
+  const archive = await createBackupArchive(books, settings, tags)
+
+  const timestamp = new Date().toISOString().split('T')[0]
+  const filename = `readtrail-backup-${timestamp}.zip`
+
+  downloadFile(archive, filename, 'application/zip')
+}
@@ -4,21 +4,50 @@
  */
 
 import { authManager } from './auth'
+import { GOODREADS_SHELVES, GOODREADS_CUSTOM_SHELVES } from './importers/goodreads'
+import { BOOK_STATUS, BOOK_SCORE } from '@/constants'
 import { logger } from '@/utils/logger'
+import { CURRENT_SCHEMA_VERSION } from '@/utils/exportSchema'
+import { formatIsoPartialDate } from '@/utils/readDate'
+
+/**
+ * Column layout of goodreads_library_export.csv
+ * Goodreads (and services that accept Goodreads files) import this layout directly
+ */
+export const GOODREADS_CSV_HEADERS = [
+  'Book Id', 'Title', 'Author', 'Author l-f', 'Additional Authors', 'ISBN', 'ISBN13',
+  'My Rating', 'Average Rating', 'Publisher', 'Binding', 'Number of Pages',
+  'Year Published', 'Original Publication Year', 'Date Read', 'Date Added',
+  'Bookshelves', 'Bookshelves with positions', 'Exclusive Shelf', 'My Review',
+  'Spoiler', 'Private Notes', 'Read Count', 'Owned Copies'
+]
+
+/**
+ * Escape a CSV value (handle commas, quotes and newlines)
+ * @private
+ */
+function escapeCSVValue(val) {
+  const str = String(val ?? '')
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return `"${str.replace(/"/g, '""')}"`
+  }
+  return str
+}
 
 /**
  * Export user data as JSON
- * Includes user profile, settings, and complete books library
+ * Includes user profile, settings, tags, and complete books library
  * @param {Array} books - Books array from store
  * @param {Object} settings - Settings object from store
+ * @param {Array} tags - Tags array from store
  * @returns {Object} Complete user data export
  */
-export function generateUserDataJSON(books, settings) {
+export function generateUserDataJSON(books, settings, tags = []) {
   const user = authManager.getCurrentUser()
 
   const exportData = {
     exportDate: new Date().toISOString(),
-    exportVersion: '1.0',
+    exportVersion: CURRENT_SCHEMA_VERSION,
     user: {
       id: user.id,
       email: user.email,
@@ -26,13 +55,21 @@ export function generateUserDataJSON(books, settings) {
       updated: user.updated
     },
     settings: settings || {},
+    tags: tags.map(({ id, name, color }) => ({ id, name, color })),
     books: books.map(book => ({
       id: book.id,
       name: book.name,
       author: book.author,
       coverLink: book.coverLink,
+      status: BOOK_STATUS.getStatus(book),
       year: book.year,
       month: book.month,
+      day: book.day ?? null,
+      startDate: book.startDate ?? null,
+      pastReads: book.pastReads ?? [],
+      pageCount: book.pageCount ?? null,
+      progress: book.progress ?? [],
+      tags: book.tags ?? [],
       attributes: book.attributes,
       createdAt: book.createdAt,
       updatedAt: book.updatedAt
@@ -50,33 +87,23 @@ export function generateUserDataJSON(books, settings) {
  * @returns {string} CSV content
  */
 export function generateBooksCSV(books) {
-  const headers = ['Title', 'Author', 'Read Date', 'Status', 'Score']
+  const headers = ['Title', 'Author', 'Read Date', 'Start Date', 'Status', 'Score']
   const rows = [headers.join(',')]
 
   books.forEach(book => {
-    const readDate = book.year && book.month
-      ? `${book.year}-${String(book.month).padStart(2, '0')}`
-      : ''
+    const readDate = BOOK_STATUS.hasReadDate(book) ? formatIsoPartialDate(book) : ''
 
-    const status = book.year && book.month
-      ? (book.attributes?.isUnfinished ? 'Unfinished' : 'Completed')
-      : 'In Progress'
+    let status = book.attributes?.isUnfinished ? 'Unfinished' : 'Completed'
+    if (BOOK_STATUS.isReading(book)) status = 'In Progress'
+    if (BOOK_STATUS.isToRead(book)) status = 'To Read'
 
     const score = book.attributes?.score || ''
 
-    // Escape CSV values (handle commas and quotes)
-    const escape = (val) => {
-      const str = String(val || '')
-      if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-        return `"${str.replace(/"/g, '""')}"`
-      }
-      return str
-    }
-
     rows.push([
-      escape(book.name),
-      escape(book.author),
+      escapeCSVValue(book.name),
+      escapeCSVValue(book.author),
       readDate,
+      formatIsoPartialDate(book.startDate),
       status,
       score
     ].join(','))
@@ -86,6 +113,109 @@ export function generateBooksCSV(books) {
   return rows.join('\n')
 }
 
+/**
+ * Format a date as Goodreads YYYY/MM/DD
+ * Parts that are not known are left off (YYYY/MM or YYYY) rather than made up
+ * @private
+ */
+function formatGoodreadsDate(year, month = null, day = null) {
+  return [year, month, day]
+    .filter(part => part != null)
+    .map((part, index) => (index === 0 ? String(part) : String(part).padStart(2, '0')))
+    .join('/')
+}
+
+/**
+ * Recover the ISBN from an Open Library cover URL set by an importer
+ * @private
+ */
+function extractIsbnFromCoverLink(coverLink) {
+  const match = coverLink?.match(/covers\.openlibrary\.org\/b\/isbn\/([0-9X]+)-/i)
+  return match ? match[1] : null
+}
+
+/**
+ * Map a readtrail score to Goodreads stars (0 = not rated)
+ * @private
+ */
+function mapScoreToStars(score) {
+  if (BOOK_SCORE.isLike(score)) return 5
+  if (BOOK_SCORE.isDislike(score)) return 1
+  return 0
+}
+
+/**
+ * Map a book to its Goodreads exclusive shelf and read date
+ * Long Ago and Lately books are read without a known date; To Read books are never read
+ * @private
+ */
+function mapBookToShelf(book) {
+  if (BOOK_STATUS.isReading(book)) {
+    return { shelf: GOODREADS_SHELVES.CURRENTLY_READING, dateRead: '' }
+  }
+  if (BOOK_STATUS.isToRead(book)) {
+    return { shelf: GOODREADS_SHELVES.TO_READ, dateRead: '' }
+  }
+  if (BOOK_STATUS.isUndated(book)) {
+    return { shelf: GOODREADS_SHELVES.READ, dateRead: '' }
+  }
+  return {
+    shelf: GOODREADS_SHELVES.READ,
+    dateRead: formatGoodreadsDate(book.year, book.month, book.month ? book.day : null)
+  }
+}
+
+/**
+ * Map a book to the custom shelves that keep what the exclusive shelf cannot
+ * (see GOODREADS_CUSTOM_SHELVES), so the Goodreads importer restores them
+ * @private
+ */
+function mapBookToCustomShelves(book) {
+  const shelves = []
+  if (BOOK_STATUS.isReadLately(book)) shelves.push(GOODREADS_CUSTOM_SHELVES.READ_LATELY)
+  if (BOOK_STATUS.isUnfinished(book)) shelves.push(GOODREADS_CUSTOM_SHELVES.DID_NOT_FINISH)
+  return shelves.join(', ')
+}
+
+/**
+ * Export books in the Goodreads library export layout
+ * Unfinished and Lately books stay on their shelf and are also put on a custom shelf
+ * @param {Array} books - Books array from store
+ * @returns {string} CSV content
+ */
+export function generateGoodreadsCSV(books) {
+  const rows = [GOODREADS_CSV_HEADERS.join(',')]
+
+  books.forEach(book => {
+    const { shelf, dateRead } = mapBookToShelf(book)
+    const isbn = extractIsbnFromCoverLink(book.coverLink)
+    const createdAt = book.createdAt ? new Date(book.createdAt) : null
+    const dateAdded = createdAt && !Number.isNaN(createdAt.getTime())
+      ? formatGoodreadsDate(createdAt.getFullYear(), createdAt.getMonth() + 1, createdAt.getDate())
+      : ''
+
+    const values = {
+      'Title': book.name,
+      'Author': book.author,
+      'ISBN': isbn && isbn.length === 10 ? `="${isbn}"` : '=""',
+      'ISBN13': isbn && isbn.length === 13 ? `="${isbn}"` : '=""',
+      'My Rating': mapScoreToStars(book.attributes?.score),
+      'Date Read': dateRead,
+      'Date Added': dateAdded,
+      'Bookshelves': mapBookToCustomShelves(book),
+      'Exclusive Shelf': shelf,
+      'Number of Pages': book.pageCount ?? '',
+      'Read Count': shelf === GOODREADS_SHELVES.READ ? 1 : 0,
+      'Owned Copies': 0
+    }
+
+    rows.push(GOODREADS_CSV_HEADERS.map(header => escapeCSVValue(values[header] ?? '')).join(','))
+  })
+
+  logger.info(`[DataExport] Generated Goodreads CSV export with ${books.length} books`)
+  return rows.join('\n')
+}
+
 /**
  * Trigger browser download for data
  * @param {string} content - File content
@@ -116,8 +246,8 @@ export function downloadFile(content, filename, mimeType) {
 /**
  * Export user data as JSON file
  */
-export function exportUserDataAsJSON(books, settings) {
-  const data = generateUserDataJSON(books, settings)
+export function exportUserDataAsJSON(books, settings, tags = []) {
+  const data = generateUserDataJSON(books, settings, tags)
   const jsonContent = JSON.stringify(data, null, 2)
 
   const timestamp = new Date().toISOString().split('T')[0]
@@ -137,3 +267,15 @@ export function exportBooksAsCSV(books) {
 
   downloadFile(csvContent, filename, 'text/csv')
 }
+
+/**
+ * Export books as Goodreads-compatible CSV file
+ */
+export function exportBooksAsGoodreadsCSV(books) {
+  const csvContent = generateGoodreadsCSV(books)
+
+  const timestamp = new Date().toISOString().split('T')[0]
+  const filename = `readtrail-goodreads-${timestamp}.csv`
+
+  downloadFile(csvContent, filename, 'text/csv')
+}
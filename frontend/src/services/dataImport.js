@@ -0,0 +1,322 @@
+/**
+ * Data Import Service
+ * Reads readtrail JSON exports back into the library with conflict resolution
+ */
+
+import { booksMatch } from './migration'
+import { normalizeBookAttributes, normalizeBookStatus, normalizeStartDate, normalizePastReads, normalizeReadingProgress, normalizeBookTags } from '@/utils/bookSchema'
+import { getSupportedSchemaVersions, upgradeToCurrentSchema, validateBook } from '@/utils/exportSchema'
+import { readFileAsText } from '@/utils/fileReader'
+import { formatIsoPartialDate } from '@/utils/readDate'
+import { normalizePageCount } from '@/utils/readingProgress'
+import { normalizeTags, mergeTags } from '@/utils/tags'
+import { BOOK_STATUS, BOOK_SCORE } from '@/constants'
+import { logger } from '@/utils/logger'
+
+/**
+ * Export versions this importer understands (older versions are upgraded on import)
+ */
+export const SUPPORTED_EXPORT_VERSIONS = getSupportedSchemaVersions()
+
+/**
+ * Ways to resolve a conflict between a local and an imported book
+ */
+export const CONFLICT_RESOLUTIONS = {
+  KEEP_LOCAL: 'keep-local',
+  TAKE_IMPORTED: 'take-imported',
+  KEEP_BOTH: 'keep-both',
+  MERGE: 'merge'
+}
+
+/**
+ * Fields compared when deciding whether a matched book differs
+ * isUnfinished and score are read from attributes
+ */
+const COMPARED_FIELDS = ['name', 'author', 'coverLink', 'status', 'year', 'month', 'day', 'startDate', 'pastReads', 'pageCount', 'progress', 'tags', 'isUnfinished', 'score']
+
+/**
+ * Read a comparable field value from a book
+ * @private
+ */
+function readField(book, field) {
+  if (field === 'isUnfinished') return book.attributes?.isUnfinished ?? false
+  if (field === 'score') return book.attributes?.score ?? null
+  if (field === 'startDate') return formatIsoPartialDate(book.startDate) || null
+  if (field === 'pastReads') return JSON.stringify(normalizePastReads(book.pastReads))
+  if (field === 'progress') return JSON.stringify(normalizeReadingProgress(book.progress))
+  if (field === 'tags') return JSON.stringify(normalizeBookTags(book.tags).sort())
+  return book[field] ?? null
+}
+
+/**
+ * Parse an integer field, returning null for anything that is not a number
+ * @private
+ */
+function toIntOrNull(value) {
+  const parsed = parseInt(value, 10)
+  return Number.isNaN(parsed) ? null : parsed
+}
+
+/**
+ * Normalize a book entry from an export file to store format
+ * @private
+ */
+function normalizeExportedBook(book) {
+  return {
+    id: book.id ?? null,
+    name: book.name.trim(),
+    author: book.author || null,
+    coverLink: book.coverLink || null,
+    ...normalizeBookStatus({
+      status: book.status,
+      year: toIntOrNull(book.year),
+      month: toIntOrNull(book.month),
+      day: toIntOrNull(book.day)
+    }),
+    startDate: normalizeStartDate(book.startDate),
+    pastReads: normalizePastReads(book.pastReads),
+    pageCount: normalizePageCount(book.pageCount),
+    progress: normalizeReadingProgress(book.progress),
+    tags: normalizeBookTags(book.tags),
+    attributes: normalizeBookAttributes(book),
+    createdAt: book.createdAt ? new Date(book.createdAt) : undefined,
+    updatedAt: book.updatedAt ? new Date(book.updatedAt) : undefined
+  }
+}
+
+/**
+ * Extract the fields that can be written through the books store
+ * @private
+ */
+function pickBookFields(book) {
+  return {
+    name: book.name,
+    author: book.author,
+    coverLink: book.coverLink,
+    status: book.status,
+    year: book.year,
+    month: book.month,
+    day: book.day ?? null,
+    startDate: book.startDate ?? null,
+    pastReads: book.pastReads ?? [],
+    pageCount: book.pageCount ?? null,
+    progress: book.progress ?? [],
+    tags: book.tags ?? [],
+    attributes: { ...book.attributes },
+    ...(book.coverFile && { coverFile: book.coverFile })
+  }
+}
+
+/**
+ * Parse and validate the content of a readtrail JSON export
+ * @param {string} content - Raw file content
+ * @returns {Object} Parsed export with normalized books and tags, and skipped entry count
+ * @throws {Error} If the content is not a supported readtrail export
+ */
+export function parseUserDataJSON(content) {
+  let data
+  try {
+    data = JSON.parse(content)
+  } catch {
+    throw new Error('File is not valid JSON')
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('File is not a readtrail export')
+  }
+
+  if (!data.exportVersion) {
+    throw new Error('File is not a readtrail export (missing exportVersion)')
+  }
+
+  if (!SUPPORTED_EXPORT_VERSIONS.includes(String(data.exportVersion))) {
+    throw new Error(`Unsupported export version: ${data.exportVersion}`)
+  }
+
+  if (!Array.isArray(data.books)) {
+    throw new Error('Export does not contain a books list')
+  }
+
+  const { payload, version, upgradedFrom } = upgradeToCurrentSchema(data, data.exportVersion)
+  if (upgradedFrom) {
+    logger.info(`[DataImport] Upgraded export from v${upgradedFrom} to v${version}`)
+  }
+
+  const validBooks = payload.books
+    .filter(book => book && typeof book.name === 'string' && book.name.trim() !== '')
+    .map(normalizeExportedBook)
+    .filter((book) => {
+      const errors = validateBook(book)
+      if (errors.length > 0) {
+        logger.warn(`[DataImport] Invalid book "${book.name}": ${errors.join(', ')}`)
+      }
+      return errors.length === 0
+    })
+
+  const skippedCount = data.books.length - validBooks.length
+  if (skippedCount > 0) {
+    logger.warn(`[DataImport] Skipped ${skippedCount} invalid book entries`)
+  }
+
+  logger.info(`[DataImport] Parsed export v${data.exportVersion} with ${validBooks.length} books`)
+
+  return {
+    exportVersion: String(data.exportVersion),
+    exportDate: data.exportDate || null,
+    settings: data.settings || {},
+    tags: normalizeTags(payload.tags),
+    books: validBooks,
+    skippedCount
+  }
+}
+
+/**
+ * Read and parse an export file selected by the user
+ * @param {File} file - File from an input element
+ * @returns {Promise<Object>} Parsed export (see parseUserDataJSON)
+ */
+export async function readImportFile(file) {
+  const content = await readFileAsText(file)
+  return parseUserDataJSON(content)
+}
+
+/**
+ * List the fields that differ between two matched books
+ * @param {Object} localBook - Book from the current library
+ * @param {Object} importedBook - Book from the export file
+ * @returns {Array<string>} Names of differing fields
+ */
+export function getChangedFields(localBook, importedBook) {
+  return COMPARED_FIELDS.filter(field =>
+    readField(localBook, field) !== readField(importedBook, field)
+  )
+}
+
+/**
+ * Compare imported books against the current library
+ * Books are matched the same way migration matches local and backend books.
+ * Imported tags are merged into the user's (see utils/tags mergeTags) and the
+ * imported books are pointed at the merged tags before they are compared
+ * @param {Array} importedBooks - Normalized books from the export file
+ * @param {Array} localBooks - Books from the store
+ * @param {Object} tagLists - { importedTags, localTags }
+ * @returns {Object} { newBooks, conflicts, unchanged, tags }
+ */
+export function analyzeImport(importedBooks, localBooks, { importedTags = [], localTags = [] } = {}) {
+  const newBooks = []
+  const conflicts = []
+  const unchanged = []
+  const { tags, idMap } = mergeTags(localTags, importedTags)
+  const tagIds = new Set(tags.map(tag => tag.id))
+
+  for (const book of importedBooks) {
+    const importedBook = {
+      ...book,
+      tags: normalizeBookTags(book.tags).map(id => idMap[id] ?? id).filter(id => tagIds.has(id))
+    }
+    const localBook = localBooks.find(book => booksMatch(book, importedBook))
+
+    if (!localBook) {
+      newBooks.push(importedBook)
+      continue
+    }
+
+    const fields = getChangedFields(localBook, importedBook)
+    if (fields.length === 0) {
+      unchanged.push({ local: localBook, imported: importedBook })
+    } else {
+      conflicts.push({ local: localBook, imported: importedBook, fields })
+    }
+  }
+
+  logger.debug(`[DataImport] Analysis: ${newBooks.length} new, ${conflicts.length} conflicts, ${unchanged.length} unchanged`)
+
+  return { newBooks, conflicts, unchanged, tags }
+}
+
+/**
+ * Combine the earlier readings of two versions of a book
+ * Readings finished on the same date are the same reading; the local one is kept
+ * @private
+ */
+function mergePastReads(localReads, importedReads) {
+  const local = normalizePastReads(localReads)
+  const localDates = new Set(local.map(formatIsoPartialDate))
+  const imported = normalizePastReads(importedReads)
+    .filter(reading => !localDates.has(formatIsoPartialDate(reading)))
+
+  return normalizePastReads([...local, ...imported])
+}
+
+/**
+ * Merge two versions of a book
+ * Local values win; empty local values are filled from the imported book
+ * (a book still being read locally takes the imported status and read date)
+ * Earlier readings and tags from both versions are kept; a progress history is only taken when the local book has none
+ * A backed-up cover file is only used when the local book shows no cover
+ * @param {Object} localBook - Book from the current library
+ * @param {Object} importedBook - Book from the export file
+ * @returns {Object} Merged book fields
+ */
+export function mergeBookFields(localBook, importedBook) {
+  const localAttributes = localBook.attributes || {}
+  const importedAttributes = importedBook.attributes || {}
+  const useImportedCover = !localBook.coverLink && !!importedBook.coverLink
+  const useImportedCoverFile = !localBook.coverDisplayLink && !!importedBook.coverFile
+
+  return {
+    name: localBook.name,
+    author: localBook.author || importedBook.author || null,
+    coverLink: useImportedCover ? importedBook.coverLink : localBook.coverLink,
+    ...normalizeBookStatus(BOOK_STATUS.isReading(localBook) ? importedBook : localBook),
+    startDate: localBook.startDate ?? importedBook.startDate ?? null,
+    pastReads: mergePastReads(localBook.pastReads, importedBook.pastReads),
+    pageCount: localBook.pageCount || importedBook.pageCount || null,
+    progress: localBook.progress?.length ? localBook.progress : importedBook.progress ?? [],
+    tags: normalizeBookTags([...(localBook.tags || []), ...(importedBook.tags || [])]),
+    attributes: {
+      ...importedAttributes,
+      ...localAttributes,
+      customCover: useImportedCover
+        ? importedAttributes.customCover ?? false
+        : localAttributes.customCover ?? false,
+      score: BOOK_SCORE.hasScore(localAttributes.score)
+        ? localAttributes.score
+        : importedAttributes.score ?? localAttributes.score ?? null
+    },
+    ...(useImportedCoverFile && { coverFile: importedBook.coverFile })
+  }
+}
+
+/**
+ * Turn an analysis and the user's per-conflict choices into store changes
+ * @param {Object} analysis - Result of analyzeImport
+ * @param {Array<string>} resolutions - Resolution per conflict index (defaults to KEEP_LOCAL)
+ * @returns {Object} { toAdd: Array<book>, toUpdate: Array<{id, updates}>, tags: Array<tag> }
+ *   tags is the user's tag list with the imported tags added
+ */
+export function buildImportPlan(analysis, resolutions = []) {
+  const toAdd = analysis.newBooks.map(pickBookFields)
+  const toUpdate = []
+
+  analysis.conflicts.forEach((conflict, index) => {
+    const resolution = resolutions[index] || CONFLICT_RESOLUTIONS.KEEP_LOCAL
+
+    switch (resolution) {
+      case CONFLICT_RESOLUTIONS.TAKE_IMPORTED:
+        toUpdate.push({ id: conflict.local.id, updates: pickBookFields(conflict.imported) })
+        break
+      case CONFLICT_RESOLUTIONS.KEEP_BOTH:
+        toAdd.push(pickBookFields(conflict.imported))
+        break
+      case CONFLICT_RESOLUTIONS.MERGE:
+        toUpdate.push({ id: conflict.local.id, updates: mergeBookFields(conflict.local, conflict.imported) })
+        break
+      case CONFLICT_RESOLUTIONS.KEEP_LOCAL:
+      default:
+        break
+    }
+  })
+
+  return { toAdd, toUpdate, tags: analysis.tags ?? [] }
+}
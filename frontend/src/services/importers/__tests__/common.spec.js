@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest'
+import {
+  READING_STATES,
+  cleanIsbn,
+  getOpenLibraryCoverUrl,
+  mapStarRatingToScore,
+  parseImportDate,
+  createImportedBook
+} from '../common'
+import { BOOK_STATUS, BOOK_SCORE } from '@/constants'
+
+describe('importer helpers', () => {
+  describe('cleanIsbn', () => {
+    it('should strip Goodreads formula formatting', () => {
+      expect(cleanIsbn('="0312853238"')).toBe('0312853238')
+      expect(cleanIsbn('="9780312853235"')).toBe('9780312853235')
+    })
+
+    it('should strip LibraryThing brackets', () => {
+      expect(cleanIsbn('[0441013597]')).toBe('0441013597')
+    })
+
+    it('should keep trailing X', () => {
+      expect(cleanIsbn('="080442957x"')).toBe('080442957X')
+    })
+
+    it('should return null for empty or invalid ISBNs', () => {
+      expect(cleanIsbn('=""')).toBeNull()
+      expect(cleanIsbn('123')).toBeNull()
+      expect(cleanIsbn(undefined)).toBeNull()
+    })
+  })
+
+  describe('getOpenLibraryCoverUrl', () => {
+    it('should build an Open Library ISBN cover URL', () => {
+      expect(getOpenLibraryCoverUrl('9780312853235'))
+        .toBe('https://covers.openlibrary.org/b/isbn/9780312853235-M.jpg?default=false')
+    })
+
+    it('should return null without ISBN', () => {
+      expect(getOpenLibraryCoverUrl(null)).toBeNull()
+    })
+  })
+
+  describe('mapStarRatingToScore', () => {
+    it('should map 4 stars and up to like', () => {
+      expect(mapStarRatingToScore('4')).toBe(BOOK_SCORE.LIKE)
+      expect(mapStarRatingToScore(4.5)).toBe(BOOK_SCORE.LIKE)
+    })
+
+    it('should map ratings below 3 to dislike', () => {
+      expect(mapStarRatingToScore('1')).toBe(BOOK_SCORE.DISLIKE)
+      expect(mapStarRatingToScore('2.75')).toBe(BOOK_SCORE.DISLIKE)
+    })
+
+    it('should leave 3 stars and unrated neutral', () => {
+      expect(mapStarRatingToScore('3')).toBeNull()
+      expect(mapStarRatingToScore('3.5')).toBeNull()
+      expect(mapStarRatingToScore('0')).toBeNull()
+      expect(mapStarRatingToScore('')).toBeNull()
+    })
+  })
+
+  describe('parseImportDate', () => {
+    it('should parse slash and dash dates', () => {
+      expect(parseImportDate('2023/05/14')).toEqual({ year: 2023, month: 5, day: 14 })
+      expect(parseImportDate('2023-11-02')).toEqual({ year: 2023, month: 11, day: 2 })
+      expect(parseImportDate('2023/07')).toEqual({ year: 2023, month: 7, day: null })
+      expect(parseImportDate('2023')).toEqual({ year: 2023, month: null, day: null })
+    })
+
+    it('should drop a day that is not in the month', () => {
+      expect(parseImportDate('2023/02/30')).toEqual({ year: 2023, month: 2, day: null })
+    })
+
+    it('should return null for empty or invalid dates', () => {
+      expect(parseImportDate('')).toBeNull()
+      expect(parseImportDate('2023/13/01')).toBeNull()
+      expect(parseImportDate('yesterday')).toBeNull()
+      expect(parseImportDate('20230514')).toBeNull()
+    })
+  })
+
+  describe('createImportedBook', () => {
+    it('should map a read book with date and score', () => {
+      const book = createImportedBook({
+        name: ' Dune ',
+        author: 'Frank Herbert',
+        isbn: '9780441013593',
+        state: READING_STATES.READ,
+        readDate: { year: 2023, month: 5 },
+        score: BOOK_SCORE.LIKE
+      })
+
+      expect(book).toEqual({
+        name: 'Dune',
+        author: 'Frank Herbert',
+        coverLink: 'https://covers.openlibrary.org/b/isbn/9780441013593-M.jpg?default=false',
+        status: BOOK_STATUS.READ,
+        year: 2023,
+        month: 5,
+        day: null,
+        startDate: null,
+        pageCount: null,
+        attributes: { isUnfinished: false, customCover: false, score: BOOK_SCORE.LIKE }
+      })
+    })
+
+    it('should keep the day and the start date', () => {
+      const book = createImportedBook({
+        name: 'Dune',
+        state: READING_STATES.READ,
+        readDate: { year: 2023, month: 5, day: 14 },
+        startDate: { year: 2023, month: 4, day: null }
+      })
+
+      expect(book).toMatchObject({ year: 2023, month: 5, day: 14, startDate: { year: 2023, month: 4, day: null } })
+    })
+
+    it('should not keep a start date for to-read books', () => {
+      const book = createImportedBook({
+        name: 'Later',
+        state: READING_STATES.TO_READ,
+        startDate: { year: 2023, month: 4, day: 2 }
+      })
+
+      expect(book.startDate).toBeNull()
+    })
+
+    it('should map to-read to the To Read status without score', () => {
+      const book = createImportedBook({ name: 'Later', state: READING_STATES.TO_READ, score: BOOK_SCORE.LIKE })
+
+      expect(book.status).toBe(BOOK_STATUS.TO_READ)
+      expect(book.year).toBeNull()
+      expect(book.month).toBeNull()
+      expect(book.attributes.score).toBeNull()
+    })
+
+    it('should map in-progress to null date', () => {
+      const book = createImportedBook({ name: 'Now', state: READING_STATES.IN_PROGRESS })
+
+      expect(book.year).toBeNull()
+      expect(book.month).toBeNull()
+    })
+
+    it('should map undated read books to Long Ago', () => {
+      const book = createImportedBook({ name: 'Old', state: READING_STATES.READ })
+
+      expect(book.status).toBe(BOOK_STATUS.READ_LONG_AGO)
+      expect(book.year).toBeNull()
+      expect(book.month).toBeNull()
+    })
+
+    it('should mark did-not-finish books as unfinished', () => {
+      const book = createImportedBook({
+        name: 'Dropped',
+        state: READING_STATES.DID_NOT_FINISH,
+        readDate: { year: 2022, month: 2 }
+      })
+
+      expect(book.attributes.isUnfinished).toBe(true)
+      expect(book.year).toBe(2022)
+    })
+  })
+})
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import { mapGoodreadsRecord, goodreadsImporter } from '../goodreads'
+import { BOOK_STATUS, BOOK_SCORE } from '@/constants'
+
+const HEADER = 'Book Id,Title,Author,Author l-f,Additional Authors,ISBN,ISBN13,My Rating,Average Rating,Publisher,Binding,Number of Pages,Year Published,Original Publication Year,Date Read,Date Added,Bookshelves,Bookshelves with positions,Exclusive Shelf,My Review,Spoiler,Private Notes,Read Count,Owned Copies'
+
+const row = ({ title, author = 'Author Name', isbn = '', isbn13 = '', rating = 0, dateRead = '', shelf = 'read' }) =>
+  `1,"${title}",${author},,,"=""${isbn}""","=""${isbn13}""",${rating},4.00,,,,,,${dateRead},2024/01/01,,,${shelf},,,,1,0`
+
+describe('goodreads importer', () => {
+  describe('mapGoodreadsRecord', () => {
+    it('should map a read book with date, rating and cover', () => {
+      const book = mapGoodreadsRecord({
+        'Title': 'Dune',
+        'Author': 'Frank Herbert',
+        'ISBN13': '="9780441013593"',
+        'My Rating': '5',
+        'Number of Pages': '412',
+        'Date Read': '2023/05/14',
+        'Exclusive Shelf': 'read'
+      })
+
+      expect(book).toEqual({
+        name: 'Dune',
+        author: 'Frank Herbert',
+        coverLink: 'https://covers.openlibrary.org/b/isbn/9780441013593-M.jpg?default=false',
+        status: BOOK_STATUS.READ,
+        year: 2023,
+        month: 5,
+        day: 14,
+        startDate: null,
+        pageCount: 412,
+        attributes: { isUnfinished: false, customCover: false, score: BOOK_SCORE.LIKE }
+      })
+    })
+
+    it('should fall back to ISBN when ISBN13 is empty', () => {
+      const book = mapGoodreadsRecord({ 'Title': 'Dune', 'ISBN': '="0441013597"', 'ISBN13': '=""' })
+
+      expect(book.coverLink).toContain('/isbn/0441013597-')
+    })
+
+    it('should map to-read shelf to To Read status', () => {
+      const book = mapGoodreadsRecord({ 'Title': 'Later', 'Exclusive Shelf': 'to-read', 'My Rating': '5' })
+
+      expect(book.status).toBe(BOOK_STATUS.TO_READ)
+      expect(book.year).toBeNull()
+      expect(book.month).toBeNull()
+      expect(book.attributes.score).toBeNull()
+    })
+
+    it('should map currently-reading shelf to in-progress', () => {
+      const book = mapGoodreadsRecord({ 'Title': 'Now', 'Exclusive Shelf': 'currently-reading' })
+
+      expect(book.year).toBeNull()
+      expect(book.month).toBeNull()
+    })
+
+    it('should map read books without Date Read to Long Ago', () => {
+      const book = mapGoodreadsRecord({ 'Title': 'Old', 'Exclusive Shelf': 'read', 'Date Read': '' })
+
+      expect(book.status).toBe(BOOK_STATUS.READ_LONG_AGO)
+      expect(book.year).toBeNull()
+      expect(book.month).toBeNull()
+    })
+
+    it('should map the read-lately shelf to Lately', () => {
+      const book = mapGoodreadsRecord({ 'Title': 'Recent', 'Exclusive Shelf': 'read', 'Bookshelves': 'favorites, read-lately' })
+
+      expect(book.status).toBe(BOOK_STATUS.READ_LATELY)
+      expect(book.year).toBeNull()
+    })
+
+    it('should mark books on the did-not-finish shelf as unfinished', () => {
+      const book = mapGoodreadsRecord({ 'Title': 'Dropped', 'Exclusive Shelf': 'read', 'Date Read': '2023/05/14', 'Bookshelves': 'did-not-finish' })
+
+      expect(book.status).toBe(BOOK_STATUS.READ)
+      expect(book.attributes.isUnfinished).toBe(true)
+    })
+
+    it('should map 1-2 stars to dislike', () => {
+      expect(mapGoodreadsRecord({ 'Title': 'Meh', 'My Rating': '2' }).attributes.score).toBe(BOOK_SCORE.DISLIKE)
+    })
+  })
+
+  describe('parse', () => {
+    it('should parse a Goodreads export', () => {
+      const csv = [
+        HEADER,
+        row({ title: 'Dune', isbn13: '9780441013593', rating: 4, dateRead: '2023/05/14' }),
+        row({ title: 'The Hobbit, or There and Back Again', shelf: 'to-read' })
+      ].join('\n')
+
+      const books = goodreadsImporter.parse(csv)
+
+      expect(books).toHaveLength(2)
+      expect(books[0]).toMatchObject({ name: 'Dune', year: 2023, month: 5 })
+      expect(books[1].name).toBe('The Hobbit, or There and Back Again')
+    })
+
+    it('should reject files without Goodreads columns', () => {
+      expect(() => goodreadsImporter.parse('Name,Writer\nDune,Herbert'))
+        .toThrow('File is not a Goodreads export')
+    })
+  })
+})
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest'
+import { mapLibraryThingRecord, mapLibraryThingEntry, libraryThingImporter } from '../librarything'
+import { BOOK_STATUS, BOOK_SCORE } from '@/constants'
+
+describe('librarything importer', () => {
+  describe('mapLibraryThingRecord', () => {
+    it('should map a TSV record', () => {
+      const book = mapLibraryThingRecord({
+        'Title': 'Dune',
+        'Primary Author': 'Herbert, Frank',
+        'ISBNs': '0441013597, 9780441013593',
+        'Collections': 'Your library',
+        'Date Started': '2021-09-02',
+        'Date Read': '2021-09-30',
+        'Rating': '5'
+      })
+
+      expect(book).toEqual({
+        name: 'Dune',
+        author: 'Frank Herbert',
+        coverLink: 'https://covers.openlibrary.org/b/isbn/0441013597-M.jpg?default=false',
+        status: BOOK_STATUS.READ,
+        year: 2021,
+        month: 9,
+        day: 30,
+        startDate: { year: 2021, month: 9, day: 2 },
+        pageCount: null,
+        attributes: { isUnfinished: false, customCover: false, score: BOOK_SCORE.LIKE }
+      })
+    })
+
+    it('should map status collections', () => {
+      expect(mapLibraryThingRecord({ 'Title': 'A', 'Collections': 'Your library, To read' }).status)
+        .toBe(BOOK_STATUS.TO_READ)
+      expect(mapLibraryThingRecord({ 'Title': 'B', 'Collections': 'Wishlist' }).status)
+        .toBe(BOOK_STATUS.TO_READ)
+      expect(mapLibraryThingRecord({ 'Title': 'C', 'Collections': 'Currently reading' }).status)
+        .toBe(BOOK_STATUS.READING)
+    })
+  })
+
+  describe('mapLibraryThingEntry', () => {
+    it('should map a JSON entry', () => {
+      const book = mapLibraryThingEntry({
+        title: 'Emma',
+        primaryauthor: 'Austen, Jane',
+        authors: [{ lf: 'Austen, Jane', fl: 'Jane Austen', role: 'Author' }],
+        isbn: { 0: '9780141439587' },
+        collections: ['Your library'],
+        datestarted: '2020-02',
+        datefinished: '2020-03-04',
+        rating: 2
+      })
+
+      expect(book).toMatchObject({
+        name: 'Emma',
+        author: 'Jane Austen',
+        year: 2020,
+        month: 3,
+        day: 4,
+        startDate: { year: 2020, month: 2, day: null },
+        pageCount: null,
+        attributes: { score: BOOK_SCORE.DISLIKE }
+      })
+      expect(book.coverLink).toContain('9780141439587')
+    })
+
+    it('should fall back to primaryauthor', () => {
+      expect(mapLibraryThingEntry({ title: 'Emma', primaryauthor: 'Austen, Jane' }).author).toBe('Jane Austen')
+    })
+  })
+
+  describe('parse', () => {
+    it('should parse a tab-delimited export', () => {
+      const tsv = [
+        'Book Id\tTitle\tPrimary Author\tRating\tCollections\tDate Read\tISBNs',
+        '1\tDune\tHerbert, Frank\t4\tYour library\t2021-09-30\t0441013597',
+        '2\tEmma\tAusten, Jane\t\tTo read\t\t'
+      ].join('\n')
+
+      const books = libraryThingImporter.parse(tsv)
+
+      expect(books).toHaveLength(2)
+      expect(books[0]).toMatchObject({ name: 'Dune', author: 'Frank Herbert', year: 2021, month: 9 })
+      expect(books[1].status).toBe(BOOK_STATUS.TO_READ)
+    })
+
+    it('should parse a JSON export keyed by book id', () => {
+      const json = JSON.stringify({
+        123: { title: 'Dune', primaryauthor: 'Herbert, Frank', collections: ['Currently reading'] }
+      })
+
+      const books = libraryThingImporter.parse(json)
+
+      expect(books).toHaveLength(1)
+      expect(books[0]).toMatchObject({ name: 'Dune', year: null, month: null })
+    })
+
+    it('should reject invalid JSON', () => {
+      expect(() => libraryThingImporter.parse('{ nope')).toThrow('File is not valid JSON')
+    })
+
+    it('should reject TSV without LibraryThing columns', () => {
+      expect(() => libraryThingImporter.parse('Name\tWriter\nDune\tHerbert'))
+        .toThrow('File is not a LibraryThing export')
+    })
+  })
+})
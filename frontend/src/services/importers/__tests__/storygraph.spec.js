@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest'
+import { mapStoryGraphRecord, storyGraphImporter } from '../storygraph'
+import { BOOK_STATUS, BOOK_SCORE } from '@/constants'
+
+const HEADER = 'Title,Authors,Contributors,ISBN/UID,Format,Read Status,Date Added,Last Date Read,Dates Read,Read Count,Moods,Pace,Character- or Plot-Driven?,Strong Character Development?,Loveable Characters?,Diverse Characters?,Flawed Characters?,Star Rating,Review,Content Warnings,Content Warning Description,Tags,Owned?'
+
+describe('storygraph importer', () => {
+  describe('mapStoryGraphRecord', () => {
+    it('should map a read book', () => {
+      const book = mapStoryGraphRecord({
+        'Title': 'Piranesi',
+        'Authors': 'Susanna Clarke',
+        'ISBN/UID': '9781635575637',
+        'Read Status': 'read',
+        'Last Date Read': '2023/02/11',
+        'Star Rating': '4.5'
+      })
+
+      expect(book).toEqual({
+        name: 'Piranesi',
+        author: 'Susanna Clarke',
+        coverLink: 'https://covers.openlibrary.org/b/isbn/9781635575637-M.jpg?default=false',
+        status: BOOK_STATUS.READ,
+        year: 2023,
+        month: 2,
+        day: 11,
+        startDate: null,
+        pageCount: null,
+        attributes: { isUnfinished: false, customCover: false, score: BOOK_SCORE.LIKE }
+      })
+    })
+
+    it('should map did-not-finish to isUnfinished', () => {
+      const book = mapStoryGraphRecord({
+        'Title': 'Ulysses',
+        'Authors': 'James Joyce',
+        'Read Status': 'did-not-finish',
+        'Last Date Read': '2022/08/01'
+      })
+
+      expect(book.attributes.isUnfinished).toBe(true)
+      expect(book.year).toBe(2022)
+      expect(book.month).toBe(8)
+    })
+
+    it('should keep only the first author', () => {
+      const book = mapStoryGraphRecord({ 'Title': 'Good Omens', 'Authors': 'Terry Pratchett, Neil Gaiman', 'Read Status': 'read' })
+
+      expect(book.author).toBe('Terry Pratchett')
+    })
+
+    it('should map to-read, currently-reading and paused', () => {
+      expect(mapStoryGraphRecord({ 'Title': 'A', 'Read Status': 'to-read' }).status).toBe(BOOK_STATUS.TO_READ)
+      expect(mapStoryGraphRecord({ 'Title': 'B', 'Read Status': 'currently-reading' }).status).toBe(BOOK_STATUS.READING)
+      expect(mapStoryGraphRecord({ 'Title': 'C', 'Read Status': 'paused' }).status).toBe(BOOK_STATUS.READING)
+    })
+
+    it('should ignore non-ISBN UIDs for covers', () => {
+      expect(mapStoryGraphRecord({ 'Title': 'Zine', 'ISBN/UID': 'sg-123', 'Read Status': 'read' }).coverLink).toBeNull()
+    })
+  })
+
+  describe('parse', () => {
+    it('should parse a StoryGraph export', () => {
+      const csv = [
+        HEADER,
+        'Piranesi,Susanna Clarke,,9781635575637,paperback,read,2023/01/02,2023/02/11,,1,,,,,,,,4.5,,,,,No',
+        '"Good Omens","Terry Pratchett, Neil Gaiman",,,,did-not-finish,2023/01/02,,,0,,,,,,,,,,,,,No'
+      ].join('\n')
+
+      const books = storyGraphImporter.parse(csv)
+
+      expect(books).toHaveLength(2)
+      expect(books[1]).toMatchObject({
+        name: 'Good Omens',
+        author: 'Terry Pratchett',
+        status: BOOK_STATUS.READ_LONG_AGO,
+        attributes: { isUnfinished: true }
+      })
+    })
+
+    it('should reject files without StoryGraph columns', () => {
+      expect(() => storyGraphImporter.parse('Title,Author\nDune,Herbert'))
+        .toThrow('File is not a StoryGraph export')
+    })
+  })
+})
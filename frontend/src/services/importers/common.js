@@ -0,0 +1,126 @@
+/**
+ * Importer Helpers
+ * Shared mapping from other services' reading data to the readtrail book model
+ */
+
+import { BOOK_STATUS, BOOK_SCORE } from '@/constants'
+import { DEFAULT_BOOK_ATTRIBUTES, normalizeStartDate } from '@/utils/bookSchema'
+import { normalizePartialDate } from '@/utils/readDate'
+import { normalizePageCount } from '@/utils/readingProgress'
+
+/**
+ * Reading states importers map their source statuses onto
+ */
+export const READING_STATES = {
+  READ: 'read',
+  TO_READ: 'to-read',
+  IN_PROGRESS: 'in-progress',
+  DID_NOT_FINISH: 'did-not-finish'
+}
+
+/**
+ * Strip spreadsheet formatting from an ISBN cell
+ * Handles Goodreads ="0123456789" cells and LibraryThing [0123456789] cells
+ * @param {string} value - Raw ISBN cell
+ * @returns {string|null} Digits (and trailing X) or null if not a valid length
+ */
+export function cleanIsbn(value) {
+  const isbn = String(value || '').replace(/[^0-9Xx]/g, '').toUpperCase()
+  return isbn.length === 10 || isbn.length === 13 ? isbn : null
+}
+
+/**
+ * Build an Open Library cover URL for an ISBN
+ * default=false makes Open Library return 404 instead of a blank image,
+ * so BookCover falls back to the placeholder
+ * @param {string} isbn - Clean ISBN-10 or ISBN-13
+ * @returns {string|null} Cover URL or null if no ISBN
+ */
+export function getOpenLibraryCoverUrl(isbn) {
+  if (!isbn) return null
+  return `https://covers.openlibrary.org/b/isbn/${isbn}-M.jpg?default=false`
+}
+
+/**
+ * Map a five-star rating to a like/dislike score
+ * 4 stars and up are a like, anything below 3 a dislike, 3 stars and unrated stay neutral
+ * @param {string|number} rating - Star rating (0 or empty = not rated)
+ * @returns {number|null} BOOK_SCORE value or null
+ */
+export function mapStarRatingToScore(rating) {
+  const stars = parseFloat(rating)
+  if (Number.isNaN(stars) || stars <= 0) return null
+  if (stars >= 4) return BOOK_SCORE.LIKE
+  if (stars < 3) return BOOK_SCORE.DISLIKE
+  return null
+}
+
+/**
+ * Parse a date (YYYY/MM/DD, YYYY-MM-DD, YYYY/MM or YYYY) into year, month and day
+ * @param {string} value - Date cell
+ * @returns {Object|null} { year, month, day } (month and day null when not given) or null if empty/invalid
+ */
+export function parseImportDate(value) {
+  const match = String(value || '').trim().match(/^(\d{4})(?:[/-](\d{1,2})(?:[/-](\d{1,2}))?)?(?!\d)/)
+  if (!match) return null
+
+  const year = parseInt(match[1], 10)
+  const month = match[2] ? parseInt(match[2], 10) : null
+  if (month !== null && (month < 1 || month > 12)) return null
+
+  return normalizePartialDate({ year, month, day: match[3] ? parseInt(match[3], 10) : null })
+}
+
+/**
+ * Build book data from values common to all import sources
+ * @param {Object} values - Source values
+ * @param {string} values.name - Title
+ * @param {string} [values.author] - Author
+ * @param {string} [values.isbn] - Clean ISBN used for the Open Library cover
+ * @param {string} values.state - One of READING_STATES
+ * @param {Object} [values.readDate] - { year, month, day } from parseImportDate
+ * @param {boolean} [values.readLately] - Finished recently when there is no read date
+ * @param {Object} [values.startDate] - { year, month, day } from parseImportDate
+ * @param {number} [values.score] - BOOK_SCORE value
+ * @param {number|string} [values.pageCount] - Total pages
+ * @returns {Object} Book data in the shape produced by serializeBookForApi
+ */
+export function createImportedBook({ name, author = null, isbn = null, state, readDate = null, readLately = false, startDate = null, score = null, pageCount = null }) {
+  let status = BOOK_STATUS.READING
+  let year = null
+  let month = null
+  let day = null
+  let bookScore = null
+
+  if (state === READING_STATES.TO_READ) {
+    status = BOOK_STATUS.TO_READ
+  } else if (state !== READING_STATES.IN_PROGRESS) {
+    // Finished or abandoned: use the read date, or "Lately"/"Long Ago" when unknown
+    if (readDate?.year) {
+      status = BOOK_STATUS.READ
+      year = readDate.year
+      month = readDate.month ?? null
+      day = readDate.day ?? null
+    } else {
+      status = readLately ? BOOK_STATUS.READ_LATELY : BOOK_STATUS.READ_LONG_AGO
+    }
+    bookScore = score ?? null
+  }
+
+  return {
+    name: (name || '').trim(),
+    author: (author || '').trim() || null,
+    coverLink: getOpenLibraryCoverUrl(isbn),
+    status,
+    year,
+    month,
+    day,
+    startDate: state === READING_STATES.TO_READ ? null : normalizeStartDate(startDate),
+    pageCount: normalizePageCount(pageCount),
+    attributes: {
+      ...DEFAULT_BOOK_ATTRIBUTES,
+      isUnfinished: state === READING_STATES.DID_NOT_FINISH,
+      score: bookScore
+    }
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Goodreads Importer
+ * Maps goodreads_library_export.csv rows to the readtrail book model
+ */
+
+import { parseCSVRecords } from '@/utils/csvParser'
+import {
+  READING_STATES,
+  cleanIsbn,
+  mapStarRatingToScore,
+  parseImportDate,
+  createImportedBook
+} from './common'
+
+/**
+ * Goodreads exclusive shelf names
+ */
+export const GOODREADS_SHELVES = {
+  READ: 'read',
+  TO_READ: 'to-read',
+  CURRENTLY_READING: 'currently-reading'
+}
+
+/**
+ * Custom shelves readtrail exports to keep what Goodreads has no field for
+ * Unfinished books go on did-not-finish, Lately books (read recently, date unknown) on read-lately
+ */
+export const GOODREADS_CUSTOM_SHELVES = {
+  DID_NOT_FINISH: 'did-not-finish',
+  READ_LATELY: 'read-lately'
+}
+
+const REQUIRED_COLUMNS = ['Title', 'Author']
+
+/**
+ * Map a Goodreads exclusive shelf to a reading state
+ * Custom exclusive shelves are treated as read
+ * @private
+ */
+function mapShelf(shelf) {
+  switch ((shelf || GOODREADS_SHELVES.READ).trim().toLowerCase()) {
+    case GOODREADS_SHELVES.TO_READ:
+      return READING_STATES.TO_READ
+    case GOODREADS_SHELVES.CURRENTLY_READING:
+      return READING_STATES.IN_PROGRESS
+    default:
+      return READING_STATES.READ
+  }
+}
+
+/**
+ * Split the Bookshelves cell ("favorites, did-not-finish") into shelf names
+ * @private
+ */
+function parseBookshelves(value) {
+  return String(value || '').split(',').map(shelf => shelf.trim().toLowerCase()).filter(Boolean)
+}
+
+/**
+ * Map a Goodreads CSV record to book data
+ * @param {Object} record - CSV record keyed by Goodreads column name
+ * @returns {Object} Book data (see createImportedBook)
+ */
+export function mapGoodreadsRecord(record) {
+  const bookshelves = parseBookshelves(record['Bookshelves'])
+  let state = mapShelf(record['Exclusive Shelf'])
+  if (state === READING_STATES.READ && bookshelves.includes(GOODREADS_CUSTOM_SHELVES.DID_NOT_FINISH)) {
+    state = READING_STATES.DID_NOT_FINISH
+  }
+
+  return createImportedBook({
+    name: record['Title'],
+    author: record['Author'],
+    isbn: cleanIsbn(record['ISBN13']) || cleanIsbn(record['ISBN']),
+    state,
+    readLately: bookshelves.includes(GOODREADS_CUSTOM_SHELVES.READ_LATELY),
+    readDate: parseImportDate(record['Date Read']),
+    score: mapStarRatingToScore(record['My Rating']),
+    pageCount: record['Number of Pages']
+  })
+}
+
+/**
+ * Goodreads importer for the import pipeline
+ */
+export const goodreadsImporter = {
+  id: 'goodreads',
+  label: 'Goodreads',
+  description: 'goodreads_library_export.csv from My Books → Import and export',
+  accept: '.csv,text/csv',
+
+  /**
+   * Parse a Goodreads library export
+   * @param {string} content - Raw CSV content
+   * @returns {Array<Object>} Book data
+   * @throws {Error} If the file does not look like a Goodreads export
+   */
+  parse(content) {
+    const { headers, records } = parseCSVRecords(content)
+
+    const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column))
+    if (missing.length > 0) {
+      throw new Error(`File is not a Goodreads export (missing ${missing.join(', ')} column)`)
+    }
+
+    return records.map(mapGoodreadsRecord)
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Built-in library importers
+ * Each importer exposes { id, label, description, accept, parse(content) }
+ */
+
+import { goodreadsImporter } from './goodreads'
+import { storyGraphImporter } from './storygraph'
+import { libraryThingImporter } from './librarything'
+
+export const BUILT_IN_IMPORTERS = [
+  goodreadsImporter,
+  storyGraphImporter,
+  libraryThingImporter
+]
@@ -0,0 +1,134 @@
+/**
+ * LibraryThing Importer
+ * Maps LibraryThing TSV and JSON exports to the readtrail book model
+ */
+
+import { parseCSVRecords } from '@/utils/csvParser'
+import {
+  READING_STATES,
+  cleanIsbn,
+  mapStarRatingToScore,
+  parseImportDate,
+  createImportedBook
+} from './common'
+
+/**
+ * LibraryThing collection names that carry a reading status
+ */
+export const LIBRARYTHING_COLLECTIONS = {
+  CURRENTLY_READING: 'currently reading',
+  TO_READ: 'to read',
+  WISHLIST: 'wishlist'
+}
+
+const REQUIRED_COLUMNS = ['Title', 'Primary Author']
+
+/**
+ * Convert "Last, First" author names to "First Last"
+ * @private
+ */
+function toFirstLast(name) {
+  const parts = (name || '').split(',').map(part => part.trim())
+  return parts.length === 2 && parts[1] ? `${parts[1]} ${parts[0]}` : (name || '')
+}
+
+/**
+ * Map LibraryThing collections to a reading state
+ * Anything not in a status collection is treated as read
+ * @private
+ */
+function mapCollections(collections) {
+  const names = collections.map(name => String(name).trim().toLowerCase())
+
+  if (names.includes(LIBRARYTHING_COLLECTIONS.CURRENTLY_READING)) {
+    return READING_STATES.IN_PROGRESS
+  }
+  if (names.includes(LIBRARYTHING_COLLECTIONS.TO_READ) || names.includes(LIBRARYTHING_COLLECTIONS.WISHLIST)) {
+    return READING_STATES.TO_READ
+  }
+  return READING_STATES.READ
+}
+
+/**
+ * Map a LibraryThing TSV record to book data
+ * @param {Object} record - TSV record keyed by LibraryThing column name
+ * @returns {Object} Book data (see createImportedBook)
+ */
+export function mapLibraryThingRecord(record) {
+  const isbns = (record['ISBNs'] || record['ISBN'] || '').split(/[,\s]+/)
+
+  return createImportedBook({
+    name: record['Title'],
+    author: toFirstLast(record['Primary Author']),
+    isbn: isbns.map(cleanIsbn).find(Boolean) || null,
+    state: mapCollections((record['Collections'] || '').split(',')),
+    readDate: parseImportDate(record['Date Read']),
+    startDate: parseImportDate(record['Date Started']),
+    score: mapStarRatingToScore(record['Rating'])
+  })
+}
+
+/**
+ * Map a LibraryThing JSON entry to book data
+ * @param {Object} entry - Book entry from the JSON export
+ * @returns {Object} Book data (see createImportedBook)
+ */
+export function mapLibraryThingEntry(entry) {
+  const isbnValues = entry.isbn && typeof entry.isbn === 'object'
+    ? Object.values(entry.isbn)
+    : [entry.isbn, entry.originalisbn]
+  const collections = entry.collections && typeof entry.collections === 'object'
+    ? Object.values(entry.collections)
+    : []
+
+  return createImportedBook({
+    name: entry.title,
+    author: entry.authors?.[0]?.fl || toFirstLast(entry.primaryauthor),
+    isbn: isbnValues.map(cleanIsbn).find(Boolean) || null,
+    state: mapCollections(collections),
+    readDate: parseImportDate(entry.datefinished || entry.dateread),
+    startDate: parseImportDate(entry.datestarted),
+    score: mapStarRatingToScore(entry.rating)
+  })
+}
+
+/**
+ * LibraryThing importer for the import pipeline
+ */
+export const libraryThingImporter = {
+  id: 'librarything',
+  label: 'LibraryThing',
+  description: 'Tab-delimited or JSON file from More → Import/Export',
+  accept: '.tsv,.txt,.json,text/tab-separated-values,application/json',
+
+  /**
+   * Parse a LibraryThing export (TSV or JSON, detected from content)
+   * @param {string} content - Raw file content
+   * @returns {Array<Object>} Book data
+   * @throws {Error} If the file does not look like a LibraryThing export
+   */
+  parse(content) {
+    const trimmed = content.trim()
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      let data
+      try {
+        data = JSON.parse(trimmed)
+      } catch {
+        throw new Error('File is not valid JSON')
+      }
+      return Object.values(data)
+        .filter(entry => entry && typeof entry === 'object')
+        .map(mapLibraryThingEntry)
+    }
+
+    const { headers, records } = parseCSVRecords(content, '\t')
+
+    const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column))
+    if (missing.length > 0) {
+      throw new Error(`File is not a LibraryThing export (missing ${missing.join(', ')} column)`)
+    }
+
+    return records.map(mapLibraryThingRecord)
+  }
+}
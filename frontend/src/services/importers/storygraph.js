@@ -0,0 +1,91 @@
+/**
+ * StoryGraph Importer
+ * Maps StoryGraph CSV export rows to the readtrail book model
+ */
+
+import { parseCSVRecords } from '@/utils/csvParser'
+import {
+  READING_STATES,
+  cleanIsbn,
+  mapStarRatingToScore,
+  parseImportDate,
+  createImportedBook
+} from './common'
+
+/**
+ * StoryGraph read status values
+ */
+export const STORYGRAPH_STATUSES = {
+  READ: 'read',
+  TO_READ: 'to-read',
+  CURRENTLY_READING: 'currently-reading',
+  DID_NOT_FINISH: 'did-not-finish',
+  PAUSED: 'paused'
+}
+
+const REQUIRED_COLUMNS = ['Title', 'Authors', 'Read Status']
+
+/**
+ * Map a StoryGraph read status to a reading state
+ * Paused books stay in progress
+ * @private
+ */
+function mapReadStatus(status) {
+  switch ((status || '').trim().toLowerCase()) {
+    case STORYGRAPH_STATUSES.TO_READ:
+      return READING_STATES.TO_READ
+    case STORYGRAPH_STATUSES.CURRENTLY_READING:
+    case STORYGRAPH_STATUSES.PAUSED:
+      return READING_STATES.IN_PROGRESS
+    case STORYGRAPH_STATUSES.DID_NOT_FINISH:
+      return READING_STATES.DID_NOT_FINISH
+    default:
+      return READING_STATES.READ
+  }
+}
+
+/**
+ * Map a StoryGraph CSV record to book data
+ * Authors holds a comma-separated list; the first author is kept
+ * @param {Object} record - CSV record keyed by StoryGraph column name
+ * @returns {Object} Book data (see createImportedBook)
+ */
+export function mapStoryGraphRecord(record) {
+  const [author] = (record['Authors'] || '').split(',')
+
+  return createImportedBook({
+    name: record['Title'],
+    author,
+    isbn: cleanIsbn(record['ISBN/UID']),
+    state: mapReadStatus(record['Read Status']),
+    readDate: parseImportDate(record['Last Date Read']),
+    score: mapStarRatingToScore(record['Star Rating'])
+  })
+}
+
+/**
+ * StoryGraph importer for the import pipeline
+ */
+export const storyGraphImporter = {
+  id: 'storygraph',
+  label: 'StoryGraph',
+  description: 'CSV from Manage Account → Export StoryGraph Library',
+  accept: '.csv,text/csv',
+
+  /**
+   * Parse a StoryGraph library export
+   * @param {string} content - Raw CSV content
+   * @returns {Array<Object>} Book data
+   * @throws {Error} If the file does not look like a StoryGraph export
+   */
+  parse(content) {
+    const { headers, records } = parseCSVRecords(content)
+
+    const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column))
+    if (missing.length > 0) {
+      throw new Error(`File is not a StoryGraph export (missing ${missing.join(', ')} column)`)
+    }
+
+    return records.map(mapStoryGraphRecord)
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Library Import Pipeline
+ * Shared flow for importing from other services:
+ * parse → normalize → detect duplicates → preview → commit in bulk
+ *
+ * Sources plug in through registerImporter; the store only sees the final plan.
+ */
+
+import { booksMatch } from './migration'
+import { BUILT_IN_IMPORTERS } from './importers'
+import { serializeBookForApi } from '@/utils/bookSerialization'
+import { normalizeBookAttributes, normalizeBookStatus, normalizeStartDate, normalizePastReads, normalizeReadingProgress } from '@/utils/bookSchema'
+import { normalizePageCount } from '@/utils/readingProgress'
+import { readFileAsText } from '@/utils/fileReader'
+import { logger } from '@/utils/logger'
+
+const importers = new Map()
+
+/**
+ * Register an import source
+ * @param {Object} importer - { id, label, description, accept, parse(content) => Array<book> }
+ */
+export function registerImporter(importer) {
+  if (!importer?.id || typeof importer.parse !== 'function') {
+    throw new Error('Importer must have an id and a parse function')
+  }
+  importers.set(importer.id, importer)
+}
+
+/**
+ * Get all registered import sources
+ * @returns {Array<Object>} Importers in registration order
+ */
+export function getImporters() {
+  return Array.from(importers.values())
+}
+
+/**
+ * Get an import source by ID
+ * @param {string} id - Importer ID
+ * @returns {Object|null} Importer or null if not registered
+ */
+export function getImporter(id) {
+  return importers.get(id) || null
+}
+
+/**
+ * Normalize parsed book data to the shape produced by serializeBookForApi
+ * @param {Object} book - Book data from an importer
+ * @returns {Object|null} Normalized book, or null if it has no title
+ */
+export function normalizeImportedBook(book) {
+  const name = typeof book?.name === 'string' ? book.name.trim() : ''
+  if (!name) return null
+
+  return serializeBookForApi({
+    name,
+    author: book.author || null,
+    coverLink: book.coverLink || null,
+    ...normalizeBookStatus(book),
+    startDate: normalizeStartDate(book.startDate),
+    pastReads: normalizePastReads(book.pastReads),
+    pageCount: normalizePageCount(book.pageCount),
+    progress: normalizeReadingProgress(book.progress),
+    attributes: normalizeBookAttributes(book)
+  })
+}
+
+/**
+ * Dry run an import: parse, normalize and detect duplicates without writing anything
+ * Duplicates are matched against the library and against earlier rows of the same file
+ * @param {string} importerId - Registered importer ID
+ * @param {string} content - Raw file content
+ * @param {Array} localBooks - Books from the store
+ * @returns {Object} { source, newBooks, duplicates, skippedCount }
+ * @throws {Error} If the importer is unknown or the file cannot be parsed
+ */
+export function previewImport(importerId, content, localBooks) {
+  const importer = getImporter(importerId)
+  if (!importer) {
+    throw new Error(`Unknown import source: ${importerId}`)
+  }
+
+  const parsed = importer.parse(content)
+  const books = parsed.map(normalizeImportedBook).filter(Boolean)
+  const skippedCount = parsed.length - books.length
+
+  const newBooks = []
+  const duplicates = []
+
+  for (const book of books) {
+    const isDuplicate = localBooks.some(local => booksMatch(local, book)) ||
+      newBooks.some(added => booksMatch(added, book))
+
+    if (isDuplicate) {
+      duplicates.push(book)
+    } else {
+      newBooks.push(book)
+    }
+  }
+
+  logger.info(`[LibraryImport] ${importer.label}: ${newBooks.length} new, ${duplicates.length} duplicates, ${skippedCount} skipped`)
+
+  return { source: importer.label, newBooks, duplicates, skippedCount }
+}
+
+/**
+ * Read a user-selected file and dry run the import
+ * @param {string} importerId - Registered importer ID
+ * @param {File} file - File from an input element
+ * @param {Array} localBooks - Books from the store
+ * @returns {Promise<Object>} Preview (see previewImport)
+ */
+export async function previewImportFile(importerId, file, localBooks) {
+  const content = await readFileAsText(file)
+  return previewImport(importerId, content, localBooks)
+}
+
+/**
+ * Build the bulk commit plan for a preview
+ * The plan is applied with useBooksStore().importBooks
+ * @param {Object} preview - Result of previewImport
+ * @returns {Object} { toAdd, toUpdate }
+ */
+export function buildImportPlanFromPreview(preview) {
+  return { toAdd: preview.newBooks, toUpdate: [] }
+}
+
+BUILT_IN_IMPORTERS.forEach(registerImporter)
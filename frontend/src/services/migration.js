@@ -2,16 +2,28 @@ import { booksApi } from '@/services/booksApi'
 import { isGuestMode } from '@/services/guestMode'
 import { logger } from '@/utils/logger'
 import { serializeBookForApi } from '@/utils/bookSerialization'
+import { BOOK_STATUS } from '@/constants'
 
 const MIGRATION_FLAG_KEY = 'readtrail-needs-migration'
 
 /**
- * Check if two books match (same name, author, and date)
+ * Check if two date parts agree (a part only one side knows, e.g. from an export with a coarser date, matches)
+ * @private
  */
-function booksMatch(book1, book2) {
+function datePartsMatch(part1, part2) {
+  return part1 == null || part2 == null || part1 === part2
+}
+
+/**
+ * Check if two books match (same name, author, status and date)
+ */
+export function booksMatch(book1, book2) {
   const nameMatch = book1.name.toLowerCase() === book2.name.toLowerCase()
   const authorMatch = (book1.author || '').toLowerCase() === (book2.author || '').toLowerCase()
-  const dateMatch = book1.year === book2.year && book1.month === book2.month
+  const dateMatch = BOOK_STATUS.getStatus(book1) === BOOK_STATUS.getStatus(book2) &&
+    book1.year === book2.year &&
+    datePartsMatch(book1.month, book2.month) &&
+    datePartsMatch(book1.day, book2.day)
   return nameMatch && authorMatch && dateMatch
 }
 
@@ -22,10 +34,40 @@ function findMatchingBackendBook(localBook, backendBooks) {
   return backendBooks.find(backendBook => booksMatch(localBook, backendBook))
 }
 
+/**
+ * Map local book IDs to the IDs of the books created for them
+ * @param {Array} books - Local books, in creation order
+ * @param {Array} createdBooks - Created books (may be shorter than books)
+ * @returns {Array} Array of { oldId, newId, createdAt, updatedAt }
+ */
+function buildIdMapping(books, createdBooks) {
+  const idMapping = []
+  books.forEach((book, index) => {
+    if (createdBooks[index]) {
+      idMapping.push({
+        oldId: book.id,
+        newId: createdBooks[index].id,
+        createdAt: createdBooks[index].createdAt,
+        updatedAt: createdBooks[index].updatedAt
+      })
+      logger.debug(`Mapped temp ID ${book.id} to backend ID ${createdBooks[index].id}`)
+    }
+  })
+  return idMapping
+}
+
 /**
  * Migrate localStorage data to backend
+ * Books are created in transactional batches. If one fails, the books from earlier
+ * batches are still mapped (and passed to onMigrationComplete), and the flag stays
+ * set. The rest keep their temp IDs in local storage, and the books store merges
+ * them into the backend books on its next load so that attempt can migrate them.
+ * @param {Array} books - Local books
+ * @param {boolean} isOnline - Whether the backend is reachable
+ * @param {Function} onMigrationComplete - Called with the ID mapping of migrated books
+ * @param {Function} onProgress - Called with (migrated, total) as batches complete (optional)
  */
-export async function migrateLocalDataToBackend(books, isOnline, onMigrationComplete) {
+export async function migrateLocalDataToBackend(books, isOnline, onMigrationComplete, onProgress = null) {
   if (!isOnline) {
     logger.debug('Offline, skipping migration')
     return { success: false, reason: 'offline' }
@@ -91,21 +133,28 @@ export async function migrateLocalDataToBackend(books, isOnline, onMigrationComp
     const booksData = books.map(serializeBookForApi)
 
     logger.info(`Creating ${booksData.length} books on backend...`)
-    const createdBooks = await booksApi.batchCreateBooks(booksData)
+    let createdBooks
+    try {
+      createdBooks = await booksApi.batchCreateBooks(booksData, onProgress)
+    } catch (error) {
+      // Books saved by earlier batches exist on the server now, keep their IDs
+      const idMapping = buildIdMapping(books, error.created || [])
+      if (idMapping.length > 0 && onMigrationComplete) {
+        onMigrationComplete(idMapping)
+      }
 
-    // Build ID mapping for caller to update book IDs
-    const idMapping = []
-    books.forEach((book, index) => {
-      if (createdBooks[index]) {
-        idMapping.push({
-          oldId: book.id,
-          newId: createdBooks[index].id,
-          createdAt: createdBooks[index].createdAt,
-          updatedAt: createdBooks[index].updatedAt
-        })
-        logger.debug(`Mapped temp ID ${book.id} to backend ID ${createdBooks[index].id}`)
+      logger.error(`Migration stopped after ${idMapping.length} of ${books.length} books:`, error)
+      return {
+        success: false,
+        reason: 'error',
+        error: error.message,
+        migratedCount: idMapping.length,
+        idMapping
       }
-    })
+    }
+
+    // Build ID mapping for caller to update book IDs
+    const idMapping = buildIdMapping(books, createdBooks)
 
     // Let caller know migration completed
     if (onMigrationComplete) {
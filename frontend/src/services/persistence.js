@@ -0,0 +1,424 @@
+/**
+ * Persistence Layer
+ * Stores offline data (books, sync queue, settings, tags and sync bookkeeping) in IndexedDB
+ *
+ * Record stores hold one entry per book or queued operation, and saves only write
+ * the records that changed since the last load or save. Small single values live
+ * in a key/value store.
+ *
+ * Files waiting to be uploaded (cover images picked offline) are kept as blobs,
+ * keyed by the book ID they belong to.
+ *
+ * Data saved by older versions under `readtrail-*` localStorage keys is imported
+ * once when the database is first opened, and the keys are removed afterwards.
+ * Without IndexedDB (or if it fails to open) the same localStorage keys and
+ * formats are used instead, and pending files are not kept across reloads.
+ */
+
+import { logger } from '@/utils/logger'
+
+const DB_NAME = 'readtrail'
+const DB_VERSION = 3 // 2: pending files store, 3: failed operations store
+const VALUES_STORE = 'values'
+const FILES_STORE = 'files'
+
+/**
+ * Record stores, keyed by each record's `id`
+ */
+export const STORES = {
+  BOOKS: 'books',
+  SYNC_QUEUE: 'syncQueue',
+  FAILED_OPERATIONS: 'failedOperations' // Sync operations that ran out of retries
+}
+
+/**
+ * localStorage keys used before IndexedDB (and without it), by store or value name
+ * @private
+ */
+const LEGACY_KEYS = {
+  [STORES.BOOKS]: 'readtrail-books',
+  [STORES.SYNC_QUEUE]: 'readtrail-sync-queue',
+  [STORES.FAILED_OPERATIONS]: 'readtrail-failed-operations',
+  settings: 'readtrail-settings',
+  booksVersion: 'readtrail-books-version',
+  syncConflicts: 'readtrail-sync-conflicts',
+  syncCursor: 'readtrail-sync-cursor',
+  tags: 'readtrail-tags'
+}
+
+// Values that were stored as bare strings rather than JSON
+const LEGACY_STRING_VALUES = ['booksVersion']
+
+/**
+ * Copy a value in its JSON form, matching what localStorage held
+ * Also strips Vue proxies, which IndexedDB cannot clone
+ * @private
+ */
+function toStoredForm(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @private
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Wait for a transaction to commit
+ * @private
+ */
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error ?? new Error('Transaction aborted'))
+  })
+}
+
+/**
+ * IndexedDB-backed storage with a localStorage fallback
+ */
+class Persistence {
+  /**
+   * @param {Object} options - Browser APIs (injectable for testing)
+   * @param {IDBFactory|null} options.indexedDB - IndexedDB factory (null forces the localStorage fallback)
+   * @param {Storage} options.storage - localStorage-like object
+   */
+  constructor(options = {}) {
+    this.factory = 'indexedDB' in options
+      ? options.indexedDB
+      : (typeof indexedDB === 'undefined' ? null : indexedDB)
+    this.options = options
+    this.dbPromise = null
+    this.written = new Map() // Store name -> Map of record id -> JSON last written
+  }
+
+  /**
+   * localStorage, resolved on use so it can be replaced in tests
+   * @private
+   */
+  get storage() {
+    return this.options.storage ?? localStorage
+  }
+
+  /**
+   * Check whether data is kept in IndexedDB (false means the localStorage fallback)
+   * @returns {boolean}
+   */
+  usesIndexedDB() {
+    return !!this.factory
+  }
+
+  /**
+   * Open the database, importing legacy localStorage data on first run
+   * @returns {Promise<IDBDatabase|null>} Database, or null when falling back to localStorage
+   */
+  open() {
+    if (!this.factory) return Promise.resolve(null)
+    if (this.dbPromise) return this.dbPromise
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = this.factory.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        Object.values(STORES).forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: 'id' })
+          }
+        })
+        if (!db.objectStoreNames.contains(VALUES_STORE)) {
+          db.createObjectStore(VALUES_STORE, { keyPath: 'key' })
+        }
+        if (!db.objectStoreNames.contains(FILES_STORE)) {
+          db.createObjectStore(FILES_STORE)
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+      request.onblocked = () => logger.warn('[Persistence] Database upgrade blocked by another tab')
+    })
+      .then(async (db) => {
+        // Let a newer version in another tab upgrade the schema
+        db.onversionchange = () => db.close()
+        await this.importLegacyData(db)
+        return db
+      })
+      .catch((error) => {
+        logger.warn('[Persistence] IndexedDB unavailable, using localStorage:', error)
+        this.factory = null
+        return null
+      })
+
+    return this.dbPromise
+  }
+
+  /**
+   * Copy data saved under legacy localStorage keys into the database, then remove the keys
+   * Keys that cannot be parsed are left in place
+   * @private
+   */
+  async importLegacyData(db) {
+    const entries = []
+
+    Object.entries(LEGACY_KEYS).forEach(([name, key]) => {
+      const raw = this.storage.getItem(key)
+      if (raw === null) return
+
+      try {
+        entries.push({ name, key, value: this.parseLegacyValue(name, raw) })
+      } catch (error) {
+        logger.warn(`[Persistence] Skipping unreadable ${key}:`, error)
+      }
+    })
+
+    if (entries.length === 0) return
+
+    const transaction = db.transaction([...Object.values(STORES), VALUES_STORE], 'readwrite')
+    entries.forEach(({ name, value }) => {
+      if (Object.values(STORES).includes(name)) {
+        const store = transaction.objectStore(name)
+        if (Array.isArray(value)) {
+          value.filter(record => record?.id).forEach(record => store.put(record))
+        }
+      } else {
+        transaction.objectStore(VALUES_STORE).put({ key: name, value })
+      }
+    })
+    await promisifyTransaction(transaction)
+
+    entries.forEach(({ key }) => this.storage.removeItem(key))
+    logger.info(`[Persistence] Moved ${entries.length} localStorage entries to IndexedDB`)
+  }
+
+  /**
+   * Parse a legacy localStorage value
+   * @private
+   */
+  parseLegacyValue(name, raw) {
+    return LEGACY_STRING_VALUES.includes(name) ? raw : JSON.parse(raw)
+  }
+
+  /**
+   * Load all records of a store
+   * Also becomes the baseline later saves are compared against
+   * @param {string} storeName - Store name from STORES
+   * @returns {Promise<Array|null>} Records, or null if nothing was ever saved (localStorage only)
+   * @throws {SyntaxError} If legacy localStorage data is corrupted
+   */
+  async getRecords(storeName) {
+    const db = await this.open()
+
+    if (!db) {
+      const raw = this.storage.getItem(LEGACY_KEYS[storeName])
+      return raw === null ? null : JSON.parse(raw)
+    }
+
+    const records = await promisifyRequest(
+      db.transaction(storeName, 'readonly').objectStore(storeName).getAll()
+    )
+    this.written.set(storeName, new Map(records.map(record => [record.id, JSON.stringify(record)])))
+    return records
+  }
+
+  /**
+   * Save the full set of records of a store
+   * Only records that changed since the last load or save are written, and
+   * records no longer present are deleted. Without a baseline the store is replaced.
+   * @param {string} storeName - Store name from STORES
+   * @param {Array} records - Every record the store should contain (each with an id)
+   * @returns {Promise<void>}
+   */
+  async saveRecords(storeName, records) {
+    if (!this.factory) {
+      this.storage.setItem(LEGACY_KEYS[storeName], JSON.stringify(records))
+      return
+    }
+
+    // Compute the changes before waiting, so quick successive saves diff correctly
+    const previous = this.written.get(storeName)
+    const current = new Map(records.map(record => [record.id, JSON.stringify(record)]))
+    this.written.set(storeName, current)
+
+    const db = await this.open()
+    if (!db) {
+      this.storage.setItem(LEGACY_KEYS[storeName], JSON.stringify(records))
+      return
+    }
+
+    const transaction = db.transaction(storeName, 'readwrite')
+    const store = transaction.objectStore(storeName)
+
+    if (previous) {
+      records
+        .filter(record => previous.get(record.id) !== current.get(record.id))
+        .forEach(record => store.put(JSON.parse(current.get(record.id))))
+      previous.forEach((_, id) => {
+        if (!current.has(id)) store.delete(id)
+      })
+    } else {
+      store.clear()
+      current.forEach(json => store.put(JSON.parse(json)))
+    }
+
+    try {
+      await promisifyTransaction(transaction)
+    } catch (error) {
+      // Unknown what was written, so the next save replaces the whole store
+      this.written.delete(storeName)
+      throw error
+    }
+  }
+
+  /**
+   * Read a single value
+   * @param {string} key - Value name
+   * @returns {Promise<*>} Stored value, or null if not set
+   * @throws {SyntaxError} If legacy localStorage data is corrupted
+   */
+  async getValue(key) {
+    const db = await this.open()
+
+    if (!db) {
+      const raw = this.storage.getItem(LEGACY_KEYS[key])
+      return raw === null ? null : this.parseLegacyValue(key, raw)
+    }
+
+    const entry = await promisifyRequest(
+      db.transaction(VALUES_STORE, 'readonly').objectStore(VALUES_STORE).get(key)
+    )
+    return entry?.value ?? null
+  }
+
+  /**
+   * Write a single value
+   * @param {string} key - Value name
+   * @param {*} value - JSON-serializable value
+   * @returns {Promise<void>}
+   */
+  async setValue(key, value) {
+    const writeLegacy = () => this.storage.setItem(
+      LEGACY_KEYS[key],
+      LEGACY_STRING_VALUES.includes(key) ? value : JSON.stringify(value)
+    )
+
+    if (!this.factory) {
+      writeLegacy()
+      return
+    }
+
+    const db = await this.open()
+    if (!db) {
+      writeLegacy()
+      return
+    }
+
+    const transaction = db.transaction(VALUES_STORE, 'readwrite')
+    transaction.objectStore(VALUES_STORE).put({ key, value: toStoredForm(value) })
+    await promisifyTransaction(transaction)
+  }
+
+  /**
+   * Store a file waiting to be uploaded
+   * Kept as a blob with its name and type, since not every browser clones File objects intact
+   * @param {string} id - Book ID (or temp ID) the file belongs to
+   * @param {File} file - File to keep
+   * @returns {Promise<void>}
+   */
+  async putFile(id, file) {
+    const db = await this.open()
+    if (!db) return
+
+    const transaction = db.transaction(FILES_STORE, 'readwrite')
+    transaction.objectStore(FILES_STORE).put({ blob: file, name: file.name, type: file.type }, id)
+    await promisifyTransaction(transaction)
+  }
+
+  /**
+   * Read a file waiting to be uploaded
+   * @param {string} id - Book ID (or temp ID) the file belongs to
+   * @returns {Promise<File|null>} File, or null if none is stored
+   */
+  async getFile(id) {
+    const db = await this.open()
+    if (!db) return null
+
+    const entry = await promisifyRequest(
+      db.transaction(FILES_STORE, 'readonly').objectStore(FILES_STORE).get(id)
+    )
+    return entry ? new File([entry.blob], entry.name, { type: entry.type }) : null
+  }
+
+  /**
+   * Move a file waiting to be uploaded to another book ID (temp ID replaced by backend ID)
+   * @param {string} fromId - Current ID
+   * @param {string} toId - New ID
+   * @returns {Promise<void>}
+   */
+  async moveFile(fromId, toId) {
+    const db = await this.open()
+    if (!db) return
+
+    const transaction = db.transaction(FILES_STORE, 'readwrite')
+    const store = transaction.objectStore(FILES_STORE)
+    const request = store.get(fromId)
+    request.onsuccess = () => {
+      if (!request.result) return
+      store.put(request.result, toId)
+      store.delete(fromId)
+    }
+    await promisifyTransaction(transaction)
+  }
+
+  /**
+   * Remove a file once uploaded (or no longer needed)
+   * @param {string} id - Book ID (or temp ID) the file belongs to
+   * @returns {Promise<void>}
+   */
+  async deleteFile(id) {
+    const db = await this.open()
+    if (!db) return
+
+    const transaction = db.transaction(FILES_STORE, 'readwrite')
+    transaction.objectStore(FILES_STORE).delete(id)
+    await promisifyTransaction(transaction)
+  }
+
+  /**
+   * Remove all records of a store
+   * @param {string} storeName - Store name from STORES
+   * @returns {Promise<void>}
+   */
+  async clearRecords(storeName) {
+    await this.saveRecords(storeName, [])
+  }
+
+  /**
+   * Remove all stored data (used on logout)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    Object.values(LEGACY_KEYS).forEach(key => this.storage.removeItem(key))
+    this.written.clear()
+
+    const db = await this.open()
+    if (!db) return
+
+    const storeNames = [...Object.values(STORES), VALUES_STORE, FILES_STORE]
+    const transaction = db.transaction(storeNames, 'readwrite')
+    storeNames.forEach(name => transaction.objectStore(name).clear())
+    await promisifyTransaction(transaction)
+  }
+}
+
+// Create and export singleton instance
+export const persistence = new Persistence()
+
+// Export class for testing
+export { Persistence }
@@ -0,0 +1,201 @@
+/**
+ * Reading Log Export Service
+ * Renders a standalone, print-ready HTML reading log grouped by year
+ */
+
+import { downloadFile } from './dataExport'
+import { BOOK_STATUS, MONTHS } from '@/constants'
+import { sortBooks, groupBooksByYear } from '@/utils/bookSorting'
+import { logger } from '@/utils/logger'
+
+/**
+ * Default reading log options
+ * fromYear/toYear of null leave the range open on that side
+ */
+export const DEFAULT_READING_LOG_OPTIONS = {
+  fromYear: null,
+  toYear: null,
+  includeUnfinished: true,
+  includeToRead: false
+}
+
+const PRINT_STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: Georgia, 'Times New Roman', serif; color: #1f2937; margin: 0 auto; max-width: 800px; padding: 32px 24px; }
+  header { border-bottom: 2px solid #1f2937; margin-bottom: 24px; padding-bottom: 12px; }
+  h1 { font-size: 28px; margin: 0; }
+  .summary { color: #4b5563; font-size: 14px; margin: 4px 0 0; }
+  .print-button { float: right; font: inherit; font-size: 14px; padding: 6px 14px; cursor: pointer; }
+  section { margin-bottom: 24px; }
+  h2 { font-size: 20px; border-bottom: 1px solid #d1d5db; padding-bottom: 4px; margin: 0 0 12px; }
+  ol { list-style: none; margin: 0; padding: 0; }
+  li { display: flex; gap: 12px; align-items: flex-start; padding: 6px 0; break-inside: avoid; page-break-inside: avoid; }
+  .cover { width: 40px; height: 60px; object-fit: cover; flex-shrink: 0; border: 1px solid #e5e7eb; background: #f3f4f6; }
+  .title { font-weight: bold; }
+  .author, .when { color: #4b5563; font-size: 14px; }
+  .badge { font-size: 12px; color: #b45309; margin-left: 6px; }
+  footer { color: #9ca3af; font-size: 12px; margin-top: 32px; }
+  @media print {
+    body { max-width: none; padding: 0; }
+    .print-button { display: none; }
+    h2 { break-after: avoid; page-break-after: avoid; }
+    a { color: inherit; text-decoration: none; }
+  }
+  @page { margin: 16mm; }
+`
+
+/**
+ * Escape text for HTML content and attributes
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * Select the books that belong in the reading log
+ * In-progress books count as the current year, like the timeline.
+ * Long Ago and Lately books have no real year and are only kept when the range has no start.
+ * @param {Array} books - Books array from store
+ * @param {Object} options - See DEFAULT_READING_LOG_OPTIONS
+ * @returns {Array} Filtered books (input order)
+ */
+export function filterBooksForReadingLog(books, options = {}) {
+  const { fromYear, toYear, includeUnfinished, includeToRead } = { ...DEFAULT_READING_LOG_OPTIONS, ...options }
+  const nowYear = new Date().getFullYear()
+
+  return books.filter(book => {
+    if (BOOK_STATUS.isToRead(book)) return includeToRead
+    if (!includeUnfinished && BOOK_STATUS.isUnfinished(book)) return false
+
+    if (BOOK_STATUS.isUndated(book)) return fromYear === null
+
+    const year = BOOK_STATUS.isReading(book) ? nowYear : book.year
+    if (fromYear !== null && year < fromYear) return false
+    if (toYear !== null && year > toYear) return false
+    return true
+  })
+}
+
+/**
+ * Describe when a book was read
+ * @private
+ */
+function formatWhen(book) {
+  if (BOOK_STATUS.isReading(book)) return 'Currently reading'
+  if (!BOOK_STATUS.hasReadDate(book)) return ''
+  const monthName = MONTHS[book.month - 1]?.fullName ?? ''
+  return monthName && book.day ? `${monthName} ${book.day}` : monthName
+}
+
+/**
+ * Describe the selected year range
+ * @private
+ */
+function formatRange(fromYear, toYear) {
+  if (fromYear !== null && toYear !== null) {
+    return fromYear === toYear ? `${fromYear}` : `${fromYear}–${toYear}`
+  }
+  if (fromYear !== null) return `Since ${fromYear}`
+  if (toYear !== null) return `Up to ${toYear}`
+  return 'All years'
+}
+
+/**
+ * Render one book entry
+ * @private
+ */
+function renderBook(book) {
+  const coverUrl = book.coverDisplayLink || book.coverLink
+  const cover = coverUrl
+    ? `<img class="cover" src="${escapeHtml(coverUrl)}" alt="" loading="eager">`
+    : '<div class="cover"></div>'
+  const when = formatWhen(book)
+  const badge = BOOK_STATUS.isUnfinished(book) ? '<span class="badge">Unfinished</span>' : ''
+
+  return [
+    '<li>',
+    cover,
+    '<div>',
+    `<div class="title">${escapeHtml(book.name)}${badge}</div>`,
+    book.author ? `<div class="author">${escapeHtml(book.author)}</div>` : '',
+    when ? `<div class="when">${escapeHtml(when)}</div>` : '',
+    '</div>',
+    '</li>'
+  ].filter(Boolean).join('')
+}
+
+/**
+ * Render the reading log as a standalone HTML document
+ * @param {Array} books - Books array from store
+ * @param {Object} options - See DEFAULT_READING_LOG_OPTIONS
+ * @returns {string} HTML document
+ */
+export function generateReadingLogHTML(books, options = {}) {
+  const resolved = { ...DEFAULT_READING_LOG_OPTIONS, ...options }
+  const selected = sortBooks(filterBooksForReadingLog(books, resolved))
+  const groups = groupBooksByYear(selected)
+  const generatedOn = new Date().toLocaleDateString()
+
+  const sections = groups.map(group => [
+    '<section>',
+    `<h2>${escapeHtml(BOOK_STATUS.getTimelineLabel(group))}</h2>`,
+    `<ol>${group.books.map(renderBook).join('\n')}</ol>`,
+    '</section>'
+  ].join('\n'))
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Reading Log</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<header>
+<button class="print-button" type="button" onclick="window.print()">Print</button>
+<h1>Reading Log</h1>
+<p class="summary">${escapeHtml(formatRange(resolved.fromYear, resolved.toYear))} · ${selected.length} ${selected.length === 1 ? 'book' : 'books'}</p>
+</header>
+<main>
+${sections.length > 0 ? sections.join('\n') : '<p>No books match the selected options.</p>'}
+</main>
+<footer>Generated by readtrail on ${escapeHtml(generatedOn)}</footer>
+</body>
+</html>
+`
+
+  logger.info(`[ReadingLogExport] Generated reading log with ${selected.length} books`)
+  return html
+}
+
+/**
+ * Open the reading log in a new tab, ready to print
+ * Falls back to downloading the HTML file when pop-ups are blocked
+ * @param {Array} books - Books array from store
+ * @param {Object} options - See DEFAULT_READING_LOG_OPTIONS
+ * @returns {boolean} True if opened in a new tab, false if downloaded
+ */
+export function openReadingLog(books, options = {}) {
+  const html = generateReadingLogHTML(books, options)
+  const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }))
+  const printWindow = window.open(url, '_blank')
+
+  // Keep the URL alive long enough for the new tab to load it
+  setTimeout(() => URL.revokeObjectURL(url), 60000)
+
+  if (printWindow) {
+    return true
+  }
+
+  logger.warn('[ReadingLogExport] Pop-up blocked, downloading reading log instead')
+  const timestamp = new Date().toISOString().split('T')[0]
+  downloadFile(html, `readtrail-reading-log-${timestamp}.html`, 'text/html')
+  return false
+}
@@ -1,14 +1,40 @@
 /**
  * Sync Queue System
  * Manages offline operations and syncs them when connection is restored
+ *
+ * Failures are handled by error class (see classifyError): a 401 refreshes the
+ * session and tries again, other 4xx responses fail at once, rate limits and
+ * server errors back off much longer than network errors. A backoff is waited
+ * out before the operation's next attempt.
+ *
+ * Book operations are compacted as they are queued: edits to a book whose
+ * CREATE has not been sent yet are folded into it, a DELETE cancels that
+ * CREATE (or drops queued edits of a synced book), and repeated edits collapse
+ * into one. Operations still referring to a temporary ID are pointed at the
+ * server ID once their CREATE succeeds.
+ *
+ * Runs of similar operations (a library import, for example) are sent in one
+ * request when the API provides a batch handler for them.
+ *
+ * Operations that run out of retries are not dropped: they move to a failed
+ * list, where the user can inspect, edit, retry or discard them.
+ *
+ * With several tabs open, only the leader tab (see tabCoordinator) writes and
+ * processes the stored queue. Other tabs forward new operations (and changes
+ * to existing ones) to the leader and mirror the stored queue whenever it changes.
  */
 
+import { tabCoordinator, TAB_MESSAGES } from './tabCoordinator'
+import { persistence as defaultPersistence, STORES } from './persistence'
+import { authManager } from './auth'
 import { logger } from '@/utils/logger'
 
-const SYNC_QUEUE_KEY = 'readtrail-sync-queue'
 const MAX_RETRIES = 3
 const INITIAL_RETRY_DELAY = 1000 // 1 second
 const MAX_RETRY_DELAY = 30000 // 30 seconds
+const INITIAL_SERVER_RETRY_DELAY = 15000 // 15 seconds, for rate limits and server errors
+const MAX_SERVER_RETRY_DELAY = 300000 // 5 minutes
+const MAX_BATCH_SIZE = 50 // Operations per batch handler call
 
 /**
  * Sync operation types
@@ -20,52 +46,199 @@ export const OPERATION_TYPES = {
   BATCH_CREATE: 'BATCH_CREATE'
 }
 
+/**
+ * How a failed operation is handled, by the kind of error it failed with
+ */
+export const ERROR_CLASSES = {
+  CONFLICT: 'conflict', // Needs a user decision
+  UNAUTHORIZED: 'unauthorized', // Session expired, refresh it and try again
+  REJECTED: 'rejected', // Other 4xx, the same request would be refused again
+  OVERLOADED: 'overloaded', // Rate limited or server error, back off longer
+  TRANSIENT: 'transient' // Network errors and anything unclassified
+}
+
+/**
+ * Classify an operation's error
+ * Errors that are not ApiErrors count as transient
+ * @param {Error} error - Error thrown by an API handler
+ * @returns {string} One of ERROR_CLASSES
+ */
+export function classifyError(error) {
+  if (error.isConflict?.()) return ERROR_CLASSES.CONFLICT
+  if (error.isUnauthorized?.()) return ERROR_CLASSES.UNAUTHORIZED
+  if (error.isRateLimited?.() || error.isServerError?.()) return ERROR_CLASSES.OVERLOADED
+  if (error.isClientError?.()) return ERROR_CLASSES.REJECTED
+  return ERROR_CLASSES.TRANSIENT
+}
+
+/**
+ * Exponential backoff before the next attempt
+ * @private
+ */
+function getRetryDelay(errorClass, retries) {
+  const [initial, max] = errorClass === ERROR_CLASSES.OVERLOADED
+    ? [INITIAL_SERVER_RETRY_DELAY, MAX_SERVER_RETRY_DELAY]
+    : [INITIAL_RETRY_DELAY, MAX_RETRY_DELAY]
+
+  return Math.min(initial * Math.pow(2, retries - 1), max)
+}
+
+// Methods a follower tab asks the leader to run (see QUEUE_ACTION_REQUESTED)
+const FORWARDED_ACTIONS = ['retryFailed', 'retryAllFailed', 'discardOperation', 'updateOperationData']
+
 /**
  * Sync queue manager
  */
 class SyncQueue {
-  constructor() {
+  constructor(coordinator = tabCoordinator, persistence = defaultPersistence) {
     this.queue = []
+    this.failed = [] // Operations that exceeded MAX_RETRIES, kept until retried or discarded
     this.isProcessing = false
-    this.loadQueue()
+    this.inFlightIds = new Set() // Operations whose handler is running, never compacted into
+    this.forwarded = new Map() // Operations sent to the leader tab, kept until it confirms them
+    this.retryTimer = null // Sync scheduled for the earliest backed-off operation
+    this.coordinator = coordinator
+    this.persistence = persistence
+    this.listeners = new Set()
+    this.ready = this.loadQueue({ keepQueued: true })
+
+    this.coordinator.on(TAB_MESSAGES.QUEUE_CHANGED, () => {
+      if (!this.coordinator.isLeader()) this.loadQueue()
+    })
+    this.coordinator.on(TAB_MESSAGES.ENQUEUE_REQUESTED, ({ requestId, type, resource, data, tempId }) => {
+      if (!this.coordinator.isLeader()) return
+      this.enqueue(type, resource, data, tempId)
+      this.coordinator.broadcast(TAB_MESSAGES.ENQUEUE_CONFIRMED, { requestId })
+    })
+    this.coordinator.on(TAB_MESSAGES.ENQUEUE_CONFIRMED, ({ requestId }) => {
+      this.forwarded.delete(requestId)
+    })
+    this.coordinator.on(TAB_MESSAGES.LEADER_CHANGED, () => this.resendForwarded())
+    this.coordinator.on(TAB_MESSAGES.QUEUE_ACTION_REQUESTED, ({ action, args }) => {
+      if (this.coordinator.isLeader() && FORWARDED_ACTIONS.includes(action)) this[action](...args)
+    })
   }
 
   /**
-   * Load queue from localStorage
+   * Listen for changes to the pending or failed operations
+   * @param {Function} listener - Called after every change
+   * @returns {Function} Function that removes the listener
    */
-  loadQueue() {
-    try {
-      const stored = localStorage.getItem(SYNC_QUEUE_KEY)
-      if (stored) {
-        this.queue = JSON.parse(stored)
-        logger.info(`Loaded ${this.queue.length} operations from sync queue`)
+  onChange(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * Call the change listeners
+   * @private
+   */
+  notify() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener()
+      } catch (error) {
+        logger.error('Sync queue listener failed:', error)
       }
+    })
+  }
+
+  /**
+   * Ask the leader tab to run a queue action
+   * @private
+   * @returns {boolean} True if forwarded (this tab is not the leader)
+   */
+  forwardToLeader(action, ...args) {
+    if (this.coordinator.isLeader()) return false
+
+    this.coordinator.broadcast(TAB_MESSAGES.QUEUE_ACTION_REQUESTED, { action, args })
+    logger.debug(`Forwarded ${action} to the leader tab`)
+    return true
+  }
+
+  /**
+   * Load queue from storage
+   * @param {Object} options
+   * @param {boolean} options.keepQueued - Keep operations enqueued while the load was in flight
+   * @returns {Promise<void>}
+   */
+  async loadQueue({ keepQueued = false } = {}) {
+    const load = async (storeName, current) => {
+      const stored = await this.persistence.getRecords(storeName)
+      if (!stored) return current
+
+      const currentIds = new Set(keepQueued ? current.map(op => op.id) : [])
+      return [
+        ...stored.filter(op => !currentIds.has(op.id)),
+        ...(keepQueued ? current : [])
+      ]
+    }
+
+    try {
+      this.queue = await load(STORES.SYNC_QUEUE, this.queue)
+      logger.info(`Loaded ${this.queue.length} operations from sync queue`)
     } catch (error) {
       logger.error('Failed to load sync queue:', error)
-      this.queue = []
+      if (!keepQueued) this.queue = []
     }
+
+    try {
+      this.failed = await load(STORES.FAILED_OPERATIONS, this.failed)
+    } catch (error) {
+      logger.error('Failed to load failed operations:', error)
+      if (!keepQueued) this.failed = []
+    }
+
+    this.notify()
   }
 
   /**
-   * Save queue to localStorage
+   * Save queue to storage (only changed operations are written)
+   * @returns {Promise<void>}
    */
   saveQueue() {
-    try {
-      localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(this.queue))
-    } catch (error) {
-      logger.error('Failed to save sync queue:', error)
-    }
+    this.notify()
+    return this.persistence.saveRecords(STORES.SYNC_QUEUE, this.queue)
+      .then(() => this.coordinator.broadcast(TAB_MESSAGES.QUEUE_CHANGED))
+      .catch((error) => {
+        logger.error('Failed to save sync queue:', error)
+      })
+  }
+
+  /**
+   * Save failed operations to storage
+   * @returns {Promise<void>}
+   */
+  saveFailed() {
+    this.notify()
+    return this.persistence.saveRecords(STORES.FAILED_OPERATIONS, this.failed)
+      .then(() => this.coordinator.broadcast(TAB_MESSAGES.QUEUE_CHANGED))
+      .catch((error) => {
+        logger.error('Failed to save failed operations:', error)
+      })
   }
 
   /**
    * Add operation to queue
    * @param {string} type - Operation type (CREATE, UPDATE, DELETE)
-   * @param {string} resource - Resource type ('books' or 'settings')
+   * @param {string} resource - Resource type ('books', 'settings' or 'tags')
    * @param {Object} data - Operation data
    * @param {string} tempId - Temporary ID for CREATE operations (optional)
-   * @returns {string} Operation ID
+   * @returns {string|null} Operation ID (null if forwarded to the leader tab or cancelled out)
    */
   enqueue(type, resource, data, tempId = null) {
+    // The leader owns the stored queue; its QUEUE_CHANGED broadcast updates this tab's copy
+    // Cover files are cloned along and picked up by the leader's books store
+    // The request is kept until the leader confirms it, as there may be no leader right now
+    if (!this.coordinator.isLeader()) {
+      const requestId = `req-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`
+      const request = { requestId, type, resource, data, tempId }
+      this.forwarded.set(request.requestId, request)
+      this.coordinator.broadcast(TAB_MESSAGES.ENQUEUE_REQUESTED, request)
+      logger.debug(`Forwarded ${type} ${resource} operation to the leader tab`)
+      return null
+    }
+
     const duplicate = this.findDuplicate(type, resource, data, tempId)
 
     // Only destructure if file present - remove coverFile from data to avoid serialization issues
@@ -74,12 +247,30 @@ class SyncQueue {
       ? (() => { const { coverFile, ...rest } = data; void coverFile; return rest })()
       : data
 
+    // The book is not on the server yet: fold the change into its CREATE
+    const create = type === OPERATION_TYPES.UPDATE || type === OPERATION_TYPES.DELETE
+      ? this.findPendingCreate(resource, data.id)
+      : null
+    if (create) {
+      return type === OPERATION_TYPES.DELETE
+        ? this.cancelCreate(create)
+        : this.foldIntoCreate(create, operationData, hasFile)
+    }
+
+    if (type === OPERATION_TYPES.DELETE && data.id) {
+      this.dropUpdates(resource, data.id)
+    }
+
     if (duplicate) {
       // Update existing operation with new data and reset retries
-      duplicate.data = operationData
+      // Keep the original base version so conflict checks compare against the last synced state
+      duplicate.data = duplicate.data.base
+        ? { ...operationData, base: duplicate.data.base }
+        : operationData
       duplicate.timestamp = Date.now()
       duplicate.retries = 0
       duplicate.lastError = null
+      delete duplicate.nextRetryAt
       this.saveQueue()
       logger.debug('Updated duplicate operation:', duplicate.id)
       return duplicate.id
@@ -104,6 +295,24 @@ class SyncQueue {
     return operation.id
   }
 
+  /**
+   * Hand forwarded operations the leader has not confirmed to the new leader
+   * The new leader queues its own; followers send theirs again
+   * @private
+   */
+  resendForwarded() {
+    const requests = Array.from(this.forwarded.values())
+    if (requests.length === 0) return
+
+    if (this.coordinator.isLeader()) {
+      this.forwarded.clear()
+      requests.forEach(({ type, resource, data, tempId }) => this.enqueue(type, resource, data, tempId))
+    } else {
+      requests.forEach(request => this.coordinator.broadcast(TAB_MESSAGES.ENQUEUE_REQUESTED, request))
+    }
+    logger.info(`Handed ${requests.length} unconfirmed operations to the new leader tab`)
+  }
+
   /**
    * Get unique key for an operation
    * @private
@@ -115,8 +324,8 @@ class SyncQueue {
     if ((type === OPERATION_TYPES.UPDATE || type === OPERATION_TYPES.DELETE) && data.id) {
       return `${resource}:${type}:${data.id}`
     }
-    // Special handling for settings (no id field)
-    if (resource === 'settings' && type === OPERATION_TYPES.UPDATE) {
+    // Special handling for settings and tags (saved whole, no id field)
+    if ((resource === 'settings' || resource === 'tags') && type === OPERATION_TYPES.UPDATE) {
       return `${resource}:UPDATE`
     }
     if (type === OPERATION_TYPES.BATCH_CREATE && data.books) {
@@ -125,6 +334,109 @@ class SyncQueue {
     return null
   }
 
+  /**
+   * Find the pending or failed CREATE of a record by its temporary ID
+   * A CREATE being sent right now is not returned, changes made meanwhile are queued separately
+   * @private
+   */
+  findPendingCreate(resource, tempId) {
+    if (!tempId) return null
+
+    const isCreate = op =>
+      op.type === OPERATION_TYPES.CREATE &&
+      op.resource === resource &&
+      op.tempId === tempId &&
+      !this.inFlightIds.has(op.id)
+
+    return this.queue.find(isCreate) || this.failed.find(isCreate) || null
+  }
+
+  /**
+   * Save the list holding an operation
+   * @private
+   */
+  saveListOf(operation) {
+    if (this.failed.includes(operation)) {
+      this.saveFailed()
+    } else {
+      this.saveQueue()
+    }
+  }
+
+  /**
+   * Merge an UPDATE into the CREATE of the same record
+   * @private
+   * @returns {string} ID of the CREATE operation
+   */
+  foldIntoCreate(create, data, hasFile) {
+    const fields = { ...data }
+    delete fields.id
+    delete fields.base // Nothing on the server to check against yet
+
+    create.data = { ...create.data, ...fields }
+    create.hasFile = create.hasFile || hasFile
+    this.saveListOf(create)
+
+    logger.debug(`Folded update of ${data.id} into ${create.id}`)
+    return create.id
+  }
+
+  /**
+   * Drop a CREATE whose record was deleted before it was sent
+   * @private
+   * @returns {null} No operation is queued
+   */
+  cancelCreate(create) {
+    if (this.failed.includes(create)) {
+      this.failed.splice(this.failed.indexOf(create), 1)
+      this.saveFailed()
+    } else {
+      this.dequeue(create.id)
+    }
+
+    logger.debug(`Cancelled ${create.id}, its record was deleted before syncing`)
+    return null
+  }
+
+  /**
+   * Drop pending and failed UPDATEs of a record that is being deleted
+   * @private
+   */
+  dropUpdates(resource, id) {
+    const isUpdate = op =>
+      op.type === OPERATION_TYPES.UPDATE &&
+      op.resource === resource &&
+      op.data.id === id &&
+      !this.inFlightIds.has(op.id)
+
+    if (this.queue.some(isUpdate)) {
+      this.queue = this.queue.filter(op => !isUpdate(op))
+      this.saveQueue()
+    }
+    if (this.failed.some(isUpdate)) {
+      this.failed = this.failed.filter(op => !isUpdate(op))
+      this.saveFailed()
+    }
+  }
+
+  /**
+   * Point operations queued against a temporary ID at the record's server ID
+   * @private
+   */
+  replaceTempId(tempId, id) {
+    const refersToTemp = op => op.data.id === tempId
+    const update = (operations, save) => {
+      const matching = operations.filter(refersToTemp)
+      if (matching.length === 0) return
+
+      matching.forEach((op) => { op.data = { ...op.data, id } })
+      save()
+    }
+
+    update(this.queue, () => this.saveQueue())
+    update(this.failed, () => this.saveFailed())
+  }
+
   /**
    * Find duplicate operation in the queue
    * @param {string} type - Operation type
@@ -138,6 +450,7 @@ class SyncQueue {
     if (!key) return null
 
     return this.queue.find(op => {
+      if (this.inFlightIds.has(op.id)) return false
       const opKey = this._getOperationKey(op.type, op.resource, op.data, op.tempId)
       return opKey === key
     })
@@ -172,11 +485,144 @@ class SyncQueue {
   }
 
   /**
-   * Clear all operations from queue
+   * Move an operation from the queue to the failed operations
+   * @private
+   */
+  markFailed(operation, error) {
+    // A file attached for this attempt is picked up again on retry
+    delete operation.data.coverFile
+    delete operation.nextRetryAt
+    operation.lastError = error
+    operation.failedAt = Date.now()
+
+    this.failed.push(operation)
+    this.saveFailed()
+    this.dequeue(operation.id)
+  }
+
+  /**
+   * Get operations that exceeded their retries
+   * @returns {Array} Array of operations, oldest failure first
+   */
+  getFailedOperations() {
+    return [...this.failed]
+  }
+
+  /**
+   * Get failed operations count
+   * @returns {number} Number of failed operations
+   */
+  getFailedCount() {
+    return this.failed.length
+  }
+
+  /**
+   * Put a failed operation back in the queue with its retries reset
+   * Its original timestamp is kept, so a newer queued edit of the same record still wins
+   * @param {string} operationId - Operation ID
+   * @returns {boolean} True if the operation was found (or the request forwarded)
+   */
+  retryFailed(operationId) {
+    if (this.forwardToLeader('retryFailed', operationId)) return true
+
+    const index = this.failed.findIndex(op => op.id === operationId)
+    if (index === -1) return false
+
+    const [operation] = this.failed.splice(index, 1)
+    delete operation.failedAt
+    delete operation.nextRetryAt
+    operation.retries = 0
+    operation.lastError = null
+
+    this.queue.push(operation)
+    this.saveQueue()
+    this.saveFailed()
+    logger.info(`Requeued failed operation ${operationId}`)
+    return true
+  }
+
+  /**
+   * Put every failed operation back in the queue
+   * @returns {number} Number of operations requeued (0 if forwarded)
+   */
+  retryAllFailed() {
+    if (this.forwardToLeader('retryAllFailed')) return 0
+
+    const operationIds = this.failed.map(op => op.id)
+    operationIds.forEach(id => this.retryFailed(id))
+    return operationIds.length
+  }
+
+  /**
+   * Deliberately drop a pending or failed operation
+   * Discarding a CREATE also drops the later changes to that record, which would
+   * only fail against a record the server never gets
+   * @param {string} operationId - Operation ID
+   * @returns {boolean} True if the operation was found (or the request forwarded)
+   */
+  discardOperation(operationId) {
+    if (this.forwardToLeader('discardOperation', operationId)) return true
+
+    const operation = this.failed.find(op => op.id === operationId) ||
+      this.queue.find(op => op.id === operationId)
+    if (!operation) return false
+
+    const isDiscarded = (op) => op.id === operationId || (
+      operation.type === OPERATION_TYPES.CREATE && !!operation.tempId &&
+      op.resource === operation.resource && op.data?.id === operation.tempId
+    )
+    const count = this.failed.filter(isDiscarded).length + this.queue.filter(isDiscarded).length
+
+    this.failed = this.failed.filter(op => !isDiscarded(op))
+    this.queue = this.queue.filter(op => !isDiscarded(op))
+    this.saveFailed()
+    this.saveQueue()
+
+    logger.info(`Discarded operation ${operationId} (${count} ${count === 1 ? 'operation' : 'operations'} dropped)`)
+    return true
+  }
+
+  /**
+   * Replace the payload of a pending or failed operation (not while it is being sent)
+   * @param {string} operationId - Operation ID
+   * @param {Object} data - New operation data
+   * @returns {boolean} True if the operation was updated (or the request forwarded)
+   */
+  updateOperationData(operationId, data) {
+    if (this.forwardToLeader('updateOperationData', operationId, data)) return true
+
+    // The handler would overwrite the edit with the result of the send
+    if (this.inFlightIds.has(operationId)) {
+      logger.warn(`Not editing operation ${operationId}: it is being sent`)
+      return false
+    }
+
+    const failedOperation = this.failed.find(op => op.id === operationId)
+    const operation = failedOperation || this.queue.find(op => op.id === operationId)
+    if (!operation) return false
+
+    operation.data = data
+    if (failedOperation) {
+      this.saveFailed()
+    } else {
+      this.saveQueue()
+    }
+
+    logger.info(`Edited payload of operation ${operationId}`)
+    return true
+  }
+
+  /**
+   * Clear all pending and failed operations
    */
   clear() {
     this.queue = []
+    this.failed = []
+    this.forwarded.clear()
+    clearTimeout(this.retryTimer)
+    this.retryTimer = null
     this.saveQueue()
+    this.saveFailed()
   }
 
   /**
@@ -207,22 +653,122 @@ class SyncQueue {
     }
   }
 
+  /**
+   * Check whether an operation is still waiting out the backoff from its last failure
+   * @private
+   */
+  isBackingOff(operation) {
+    return (operation.nextRetryAt ?? 0) > Date.now()
+  }
+
+  /**
+   * Ask for a sync when the earliest backed-off operation is due
+   * The stores process the queue on SYNC_REQUESTED, as they do for other tabs
+   * @private
+   */
+  scheduleRetry() {
+    clearTimeout(this.retryTimer)
+    this.retryTimer = null
+
+    const nextRetryAt = Math.min(...this.queue.map(op => op.nextRetryAt ?? Infinity))
+    if (nextRetryAt === Infinity) return
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null
+      this.coordinator.dispatch({ type: TAB_MESSAGES.SYNC_REQUESTED })
+    }, Math.max(0, nextRetryAt - Date.now()))
+  }
+
+  /**
+   * Run an operation's handler
+   * On a 401 the session is refreshed (once per queue run) and the handler called again
+   * @private
+   */
+  async runHandler(handler, operation, session) {
+    try {
+      return await handler(operation)
+    } catch (error) {
+      if (!error.isUnauthorized?.() || session.authRefreshed) throw error
+
+      session.authRefreshed = true
+      if (!(await authManager.refreshAuth())) throw error
+
+      logger.info(`Refreshed session, retrying operation ${operation.id}`)
+      return await handler(operation)
+    }
+  }
+
+  /**
+   * Collect the run of operations that can be sent in one batch, starting at an operation
+   * Only fresh operations without files are batched: anything that failed before,
+   * was in a batch that failed this run, or carries a cover file, is sent on its own
+   * @private
+   * @param {Array} operations - Operations of this run
+   * @param {number} start - Index of the first operation
+   * @param {Set} unbatched - Operations to send on their own
+   * @returns {Array} Operations (fewer than two means no batch)
+   */
+  collectBatch(operations, start, unbatched) {
+    const first = operations[start]
+    const canBatch = op =>
+      op.type === first.type &&
+      op.resource === first.resource &&
+      op.retries === 0 &&
+      !op.hasFile &&
+      !unbatched.has(op) &&
+      this.queue.includes(op)
+
+    const batch = []
+    for (let i = start; i < operations.length && batch.length < MAX_BATCH_SIZE && canBatch(operations[i]); i++) {
+      batch.push(operations[i])
+    }
+    return batch
+  }
+
+  /**
+   * Send a run of operations through a batch handler
+   * @private
+   * @returns {Promise<Array|null>} Handler results in operation order, or null if the batch failed
+   */
+  async runBatch(batch, handler) {
+    batch.forEach(op => this.inFlightIds.add(op.id))
+    try {
+      return await handler(batch)
+    } catch (error) {
+      // Sending them one by one finds the failing operation and applies the retry policy to it
+      logger.warn(`Batch of ${batch.length} operations failed, sending them one by one:`, error)
+      return null
+    } finally {
+      batch.forEach(op => this.inFlightIds.delete(op.id))
+    }
+  }
+
   /**
    * Process all queued operations
-   * @param {Object} apiHandlers - Object with API handler functions
+   * Operations of resources without any handler here are left queued for the store that sends them
+   * @param {Object} apiHandlers - Object with API handler functions, keyed 'resource_TYPE'
+   *   An optional 'resource_TYPE_BATCH' handler takes an array of operations and returns their results
    * @param {Function} onProgress - Progress callback (operationId, status, result)
-   * @param {Function} getPendingFile - Callback to retrieve pending file by ID
-   * @returns {Promise<Object>} Results object with successful and failed operations
+   * @param {Function} getPendingFile - Callback to retrieve pending file by ID (may return a promise)
+   * @returns {Promise<Object>} Results object with successful, failed and conflicting operations
    */
   async processQueue(apiHandlers, onProgress = null, getPendingFile = null) {
+    if (!this.coordinator.isLeader()) {
+      logger.debug('Not the leader tab, asking the leader to process the queue')
+      this.coordinator.broadcast(TAB_MESSAGES.SYNC_REQUESTED)
+      return { successful: [], failed: [], conflicts: [] }
+    }
+
+    await this.ready
+
     if (this.isProcessing) {
       logger.warn('Queue is already being processed')
-      return { successful: [], failed: [] }
+      return { successful: [], failed: [], conflicts: [] }
     }
 
     if (this.queue.length === 0) {
       logger.debug('Queue is empty, nothing to process')
-      return { successful: [], failed: [] }
+      return { successful: [], failed: [], conflicts: [] }
     }
 
     // Deduplicate before processing
@@ -233,16 +779,39 @@ class SyncQueue {
 
     const successful = []
     const failed = []
+    const conflicts = []
+    const session = { authRefreshed: false }
+    const sent = new Set() // Operations already sent as part of a batch
+    const unbatched = new Set() // Operations of a failed batch, sent one by one instead
+    const heldRecords = new Set() // Records with an operation backing off; their later operations wait too
+    const resources = new Set(Object.keys(apiHandlers).map(key => key.split('_')[0]))
+
+    const complete = (operation, result) => {
+      this.dequeue(operation.id)
+
+      if (operation.type === OPERATION_TYPES.CREATE && operation.tempId && result?.id) {
+        this.replaceTempId(operation.tempId, result.id)
+      }
+      successful.push({ operation, result })
+
+      if (onProgress) {
+        onProgress(operation.id, 'success', result)
+      }
+
+      logger.debug(`Operation ${operation.id} completed successfully`)
+    }
 
     // Process operations in order (FIFO)
     const operations = [...this.queue]
 
-    for (const operation of operations) {
+    for (const [index, operation] of operations.entries()) {
+      if (sent.has(operation) || !resources.has(operation.resource)) continue
+
       try {
         // Check if we should retry this operation
         if (operation.retries >= MAX_RETRIES) {
-          logger.error(`Operation ${operation.id} exceeded max retries, removing from queue`)
-          this.dequeue(operation.id)
+          logger.error(`Operation ${operation.id} exceeded max retries, moving to failed operations`)
+          this.markFailed(operation, operation.lastError || 'Max retries exceeded')
           failed.push({ operation, error: 'Max retries exceeded' })
 
           if (onProgress) {
@@ -251,10 +820,18 @@ class SyncQueue {
           continue
         }
 
+        // Leave operations still backing off for the scheduled run, and send the rest
+        const recordKey = `${operation.resource}:${operation.tempId || operation.data?.id || ''}`
+        if (this.isBackingOff(operation) || heldRecords.has(recordKey)) {
+          logger.debug(`Operation ${operation.id} waits for its retry time`)
+          heldRecords.add(recordKey)
+          continue
+        }
+
         // Attach file if needed
         if (operation.hasFile && getPendingFile) {
           const fileId = operation.tempId || operation.data.id
-          const file = getPendingFile(fileId)
+          const file = await getPendingFile(fileId)
 
           if (file) {
             operation.data.coverFile = file
@@ -270,7 +847,7 @@ class SyncQueue {
 
         if (!handler) {
           logger.error(`No handler found for ${handlerKey}`)
-          this.dequeue(operation.id)
+          this.markFailed(operation, 'No handler found')
           failed.push({ operation, error: 'No handler found' })
 
           if (onProgress) {
@@ -279,58 +856,127 @@ class SyncQueue {
           continue
         }
 
+        // Send a run of similar operations in one request if the API can
+        const batchHandler = apiHandlers[`${handlerKey}_BATCH`]
+        const batch = batchHandler ? this.collectBatch(operations, index, unbatched) : []
+        if (batch.length > 1) {
+          logger.debug(`Processing ${batch.length} operations as a batch (${handlerKey})`)
+          const results = await this.runBatch(batch, batchHandler)
+
+          if (results) {
+            batch.forEach((op, batchIndex) => {
+              sent.add(op)
+              complete(op, results[batchIndex])
+            })
+            continue
+          }
+
+          // Send the whole run one by one, rather than batching what is left of it again
+          batch.forEach(op => unbatched.add(op))
+        }
+
         // Execute the operation
         logger.debug(`Processing operation ${operation.id} (${operation.type} ${operation.resource})`)
-        const result = await handler(operation)
+        let result
+        this.inFlightIds.add(operation.id)
+        try {
+          result = await this.runHandler(handler, operation, session)
+        } finally {
+          this.inFlightIds.delete(operation.id)
+        }
 
         // Operation successful, remove from queue
-        this.dequeue(operation.id)
-        successful.push({ operation, result })
+        complete(operation, result)
+      } catch (error) {
+        const errorClass = classifyError(error)
+
+        // Conflicts need a user decision, retrying would fail the same way
+        if (errorClass === ERROR_CLASSES.CONFLICT) {
+          logger.warn(`Operation ${operation.id} conflicts with remote changes`)
+          this.dequeue(operation.id)
+          conflicts.push({ operation, conflict: error.data })
 
-        if (onProgress) {
-          onProgress(operation.id, 'success', result)
+          if (onProgress) {
+            onProgress(operation.id, 'conflict', error.data)
+          }
+          continue
         }
 
-        logger.debug(`Operation ${operation.id} completed successfully`)
-      } catch (error) {
-        logger.error(`Operation ${operation.id} failed:`, error)
+        // Deleting a record that is already gone leaves nothing to do
+        if (error.isNotFound?.() && operation.type === OPERATION_TYPES.DELETE) {
+          logger.info(`Operation ${operation.id} deleted a record that no longer exists`)
+          this.dequeue(operation.id)
+          successful.push({ operation, result: null })
+
+          if (onProgress) {
+            onProgress(operation.id, 'success', null)
+          }
+          continue
+        }
+
+        logger.error(`Operation ${operation.id} failed (${errorClass}):`, error)
+
+        // The session could not be refreshed, so every later operation would fail too
+        // Keep the queue as it is (without using up retries) until the user signs in again
+        if (errorClass === ERROR_CLASSES.UNAUTHORIZED) {
+          operation.lastError = error.message
+          this.saveQueue()
+
+          if (onProgress) {
+            onProgress(operation.id, 'unauthorized', { error: error.message })
+          }
+          break
+        }
+
+        // The server refused the request itself, sending it again would not help
+        if (errorClass === ERROR_CLASSES.REJECTED) {
+          this.markFailed(operation, error.message)
+          failed.push({ operation, error: error.message })
+
+          if (onProgress) {
+            onProgress(operation.id, 'failed', { error: error.message })
+          }
+          continue
+        }
 
         // Update retry count and error
         operation.retries++
         operation.lastError = error.message
 
-        // Calculate exponential backoff delay
-        const delay = Math.min(
-          INITIAL_RETRY_DELAY * Math.pow(2, operation.retries - 1),
-          MAX_RETRY_DELAY
-        )
-
-        logger.debug(`Operation ${operation.id} will retry after ${delay}ms (attempt ${operation.retries}/${MAX_RETRIES})`)
+        // If not max retries yet, keep in queue until the backoff has passed
+        if (operation.retries < MAX_RETRIES) {
+          const delay = getRetryDelay(errorClass, operation.retries)
+          operation.nextRetryAt = Date.now() + delay
+          this.saveQueue()
 
-        // Save updated operation
-        this.saveQueue()
+          logger.debug(`Operation ${operation.id} will retry after ${delay}ms (attempt ${operation.retries}/${MAX_RETRIES})`)
 
-        // If not max retries yet, keep in queue
-        if (operation.retries < MAX_RETRIES) {
           if (onProgress) {
             onProgress(operation.id, 'retrying', { error: error.message, retries: operation.retries })
           }
         } else {
-          // Max retries reached, remove from queue
-          this.dequeue(operation.id)
+          // Max retries reached, keep it in the failed operations for the user
+          this.markFailed(operation, error.message)
           failed.push({ operation, error: error.message })
 
           if (onProgress) {
             onProgress(operation.id, 'failed', { error: error.message })
           }
         }
+
+        // Rate limits and server errors hold for every request, leave the rest for the next run
+        if (errorClass === ERROR_CLASSES.OVERLOADED) {
+          logger.warn('Server is unavailable or rate limiting, pausing queue processing')
+          break
+        }
       }
     }
 
     this.isProcessing = false
-    logger.info(`Queue processing complete: ${successful.length} successful, ${failed.length} failed`)
+    this.scheduleRetry()
+    logger.info(`Queue processing complete: ${successful.length} successful, ${failed.length} failed, ${conflicts.length} conflicts`)
 
-    return { successful, failed }
+    return { successful, failed, conflicts }
   }
 
   /**
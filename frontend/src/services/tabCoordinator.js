@@ -0,0 +1,164 @@
+/**
+ * Tab Coordinator
+ * Keeps open tabs of the app in step with each other
+ *
+ * Tabs exchange messages over a BroadcastChannel, and one leader tab is elected
+ * with the Web Locks API. Only the leader processes the sync queue; other tabs
+ * forward their operations to it. The lock is released when the leader tab
+ * closes, so another tab takes over right away.
+ *
+ * Without BroadcastChannel (or before start) the tab works alone and leads.
+ */
+
+import { logger } from '@/utils/logger'
+
+const CHANNEL_NAME = 'readtrail-tabs'
+const LEADER_LOCK_NAME = 'readtrail-sync-leader'
+
+/**
+ * Message types exchanged between tabs
+ */
+export const TAB_MESSAGES = {
+  BOOKS_CHANGED: 'books-changed', // Books saved to local storage
+  TAGS_CHANGED: 'tags-changed', // Tags saved to local storage
+  QUEUE_CHANGED: 'queue-changed', // Sync queue or failed operations saved to local storage
+  ENQUEUE_REQUESTED: 'enqueue-requested', // Follower asks the leader to queue an operation
+  ENQUEUE_CONFIRMED: 'enqueue-confirmed', // Leader queued a follower's operation
+  LEADER_CHANGED: 'leader-changed', // A tab took over leadership; unconfirmed operations are handed to it
+  QUEUE_ACTION_REQUESTED: 'queue-action-requested', // Follower asks the leader to retry, edit or discard an operation
+  SYNC_REQUESTED: 'sync-requested' // Follower asks the leader to process the queue
+}
+
+/**
+ * Cross-tab messaging and leader election
+ */
+class TabCoordinator {
+  /**
+   * @param {Object} options - Browser APIs (injectable for testing)
+   * @param {Function} options.createChannel - Returns a BroadcastChannel-like object
+   * @param {Object} options.locks - LockManager-like object (navigator.locks)
+   */
+  constructor({ createChannel, locks } = {}) {
+    this.createChannel = createChannel ?? (() => (
+      typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANNEL_NAME)
+    ))
+    this.locks = locks ?? (typeof navigator === 'undefined' ? null : navigator.locks ?? null)
+    this.channel = null
+    this.leader = true
+    this.handlers = new Map()
+    this.releaseLeadership = null
+  }
+
+  /**
+   * Open the channel and join the leader election
+   */
+  start() {
+    if (this.channel) return
+
+    this.channel = this.createChannel()
+    if (!this.channel) {
+      logger.info('[TabCoordinator] BroadcastChannel unavailable, running as a single tab')
+      return
+    }
+
+    this.channel.onmessage = (event) => this.dispatch(event.data)
+
+    // Without Web Locks every tab leads, as before coordination existed
+    if (!this.locks) {
+      logger.warn('[TabCoordinator] Web Locks unavailable, every tab will process its own queue')
+      return
+    }
+
+    this.leader = false
+    this.locks.request(LEADER_LOCK_NAME, () => {
+      this.leader = true
+      logger.info('[TabCoordinator] This tab is now the sync leader')
+
+      // Operations forwarded while no tab led (or to a leader that closed) were never queued:
+      // this tab queues its own, the followers resend theirs
+      this.dispatch({ type: TAB_MESSAGES.LEADER_CHANGED })
+      this.broadcast(TAB_MESSAGES.LEADER_CHANGED)
+
+      // Process what the previous leader left in the stored queue
+      this.dispatch({ type: TAB_MESSAGES.SYNC_REQUESTED })
+
+      // Hold the lock until the tab closes or stop() is called
+      return new Promise((resolve) => {
+        this.releaseLeadership = resolve
+      })
+    })
+  }
+
+  /**
+   * Close the channel and give up leadership
+   */
+  stop() {
+    this.channel?.close()
+    this.channel = null
+    this.releaseLeadership?.()
+    this.releaseLeadership = null
+    this.leader = true
+  }
+
+  /**
+   * Check whether this tab should process the sync queue
+   * @returns {boolean} True if this tab is the leader
+   */
+  isLeader() {
+    return this.leader
+  }
+
+  /**
+   * Send a message to the other tabs (not delivered to this tab)
+   * @param {string} type - Message type from TAB_MESSAGES
+   * @param {*} payload - Structured-cloneable payload
+   */
+  broadcast(type, payload = null) {
+    if (!this.channel) return
+
+    try {
+      this.channel.postMessage({ type, payload })
+    } catch (error) {
+      logger.warn(`[TabCoordinator] Failed to broadcast ${type}:`, error)
+    }
+  }
+
+  /**
+   * Listen for a message type
+   * @param {string} type - Message type from TAB_MESSAGES
+   * @param {Function} handler - Called with the message payload
+   * @returns {Function} Function that removes the handler
+   */
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set())
+    }
+    this.handlers.get(type).add(handler)
+
+    return () => this.handlers.get(type)?.delete(handler)
+  }
+
+  /**
+   * Call this tab's handlers for a message
+   * Used for messages from other tabs, and for requests this tab makes of itself
+   * @param {Object} message - { type, payload }
+   */
+  dispatch(message) {
+    const handlers = this.handlers.get(message?.type)
+    if (!handlers) return
+
+    handlers.forEach((handler) => {
+      try {
+        handler(message.payload)
+      } catch (error) {
+        logger.error(`[TabCoordinator] Handler for ${message.type} failed:`, error)
+      }
+    })
+  }
+}
+
+// Create and export singleton instance
+export const tabCoordinator = new TabCoordinator()
+
+// Export class for testing
+export { TabCoordinator }
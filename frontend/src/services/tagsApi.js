@@ -0,0 +1,103 @@
+/**
+ * Tags API service
+ * Handles tag-related API operations with PocketBase
+ *
+ * A user's tags ({ id, name, color }) are kept in the `tags` field of their
+ * user record and saved as a whole list; books refer to them by ID.
+ */
+
+import pb from './pocketbase'
+import { adaptPocketBaseError } from '@/utils/errors'
+import { isGuestMode, requireAuth } from './guestMode'
+import { normalizeTags, mergeTagChanges } from '@/utils/tags'
+
+/**
+ * Tags API client using PocketBase SDK
+ */
+class TagsApi {
+  /**
+   * Fetch tags for the current user
+   * @returns {Promise<Array|null>} Tags, or null if guest mode or the user never saved any
+   */
+  async getTags() {
+    // If guest mode, return null (will use local storage)
+    if (isGuestMode()) {
+      return null
+    }
+
+    try {
+      const userId = pb.authStore.record?.id
+      if (!userId) {
+        throw new Error('No authenticated user')
+      }
+
+      const user = await pb.collection('users').getOne(userId)
+      return user.tags ? normalizeTags(user.tags) : null
+    } catch (error) {
+      // If 404 or no auth, return null to fall back to local storage
+      if (error.status === 404 || error.status === 403 || error.status === 0) {
+        return null
+      }
+      throw adaptPocketBaseError(error)
+    }
+  }
+
+  /**
+   * Replace the tags of the current user
+   * @param {Array} tags - Complete tag list to save
+   * @returns {Promise<Array>} Saved tags
+   */
+  async updateTags(tags) {
+    requireAuth('update tags')
+
+    try {
+      const userId = pb.authStore.record?.id
+      if (!userId) {
+        throw new Error('No authenticated user')
+      }
+
+      const user = await pb.collection('users').update(userId, {
+        tags: normalizeTags(tags)
+      })
+
+      return normalizeTags(user.tags)
+    } catch (error) {
+      throw adaptPocketBaseError(error)
+    }
+  }
+
+  /**
+   * Replace the tags of the current user, keeping changes saved elsewhere since base
+   * @param {Array} tags - Tag list with this device's changes
+   * @param {Array|null} base - Tag list those changes were made from (saved as is without one)
+   * @returns {Promise<Array>} Saved tags
+   */
+  async updateTagsFromBase(tags, base) {
+    if (!base) {
+      return this.updateTags(tags)
+    }
+
+    const remoteTags = await this.getTags()
+    return this.updateTags(mergeTagChanges(base, tags, remoteTags || []))
+  }
+
+  /**
+   * Get sync handlers for the sync queue
+   * Provides API operation handlers for different operation types
+   * @returns {Object} Handler functions keyed by 'resource_OPERATION' pattern
+   */
+  getSyncHandlers() {
+    return {
+      'tags_UPDATE': async (operation) => {
+        const { tags, base = null } = operation.data
+        return await this.updateTagsFromBase(tags, base)
+      }
+    }
+  }
+}
+
+// Create and export singleton instance
+export const tagsApi = new TagsApi()
+
+// Export class for testing
+export { TagsApi }
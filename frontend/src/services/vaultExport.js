@@ -0,0 +1,205 @@
+/**
+ * Vault Export Service
+ * Exports the library as Markdown notes for Obsidian and similar note apps
+ *
+ * Archive layout:
+ *   readtrail/Reading Log.md          - index note grouped by year like the timeline
+ *   readtrail/<folder>/<title>.md     - one note per book with YAML frontmatter
+ */
+
+import { zipSync, strToU8 } from 'fflate'
+import { downloadFile } from './dataExport'
+import { BOOK_STATUS, BOOK_SCORE, MONTHS } from '@/constants'
+import { sortBooks, groupBooksByYear } from '@/utils/bookSorting'
+import { logger } from '@/utils/logger'
+import { formatIsoPartialDate } from '@/utils/readDate'
+
+export const VAULT_ROOT = 'readtrail'
+export const VAULT_INDEX_NAME = 'Reading Log'
+export const IN_PROGRESS_FOLDER = 'In Progress'
+
+const MAX_FILE_NAME_LENGTH = 100
+
+/**
+ * Folder for a book: its year, or the status label when it has no read date
+ * @param {Object} book - Book from store
+ * @returns {string} Folder name
+ */
+export function getVaultFolder(book) {
+  if (BOOK_STATUS.isReading(book)) return IN_PROGRESS_FOLDER
+  return String(BOOK_STATUS.hasReadDate(book) ? book.year : BOOK_STATUS.getLabel(BOOK_STATUS.getStatus(book)))
+}
+
+/**
+ * Reading status written to frontmatter
+ * @private
+ */
+function getStatus(book) {
+  if (BOOK_STATUS.isReading(book)) return 'reading'
+  if (BOOK_STATUS.isToRead(book)) return 'to-read'
+  if (BOOK_STATUS.isUnfinished(book)) return 'unfinished'
+  return 'read'
+}
+
+/**
+ * Read date as YYYY-MM-DD, YYYY-MM or YYYY (as precise as known), or null when there is none
+ * @private
+ */
+function getReadDate(book) {
+  if (!BOOK_STATUS.hasReadDate(book)) return null
+  return formatIsoPartialDate(book)
+}
+
+/**
+ * Score written to frontmatter
+ * @private
+ */
+function getScore(score) {
+  if (BOOK_SCORE.isLike(score)) return 'like'
+  if (BOOK_SCORE.isDislike(score)) return 'dislike'
+  return null
+}
+
+/**
+ * Serialize a frontmatter value; strings are JSON-quoted, which is valid YAML
+ * @private
+ */
+function toYamlValue(value) {
+  if (value === null || value === undefined || value === '') return 'null'
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? 'null' : value.toISOString()
+  return JSON.stringify(value)
+}
+
+/**
+ * Make a book title safe to use as a file name
+ * @param {string} name - Book title
+ * @returns {string} File name without extension
+ */
+export function toSafeFileName(name) {
+  const safe = String(name || '')
+    .replace(/[\\/:*?"<>|#^[\]]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .slice(0, MAX_FILE_NAME_LENGTH)
+    .trim()
+
+  return safe || 'Untitled'
+}
+
+/**
+ * Build the Markdown note for a book
+ * @param {Object} book - Book from store
+ * @returns {string} Markdown with YAML frontmatter
+ */
+export function generateBookNote(book) {
+  const coverUrl = book.coverDisplayLink || book.coverLink || null
+  const createdAt = book.createdAt ? new Date(book.createdAt) : null
+  const updatedAt = book.updatedAt ? new Date(book.updatedAt) : null
+
+  const frontmatter = {
+    title: book.name,
+    author: book.author,
+    read_date: getReadDate(book),
+    start_date: formatIsoPartialDate(book.startDate) || null,
+    timeline: getVaultFolder(book),
+    status: getStatus(book),
+    score: getScore(book.attributes?.score),
+    cover: coverUrl,
+    created: createdAt,
+    updated: updatedAt
+  }
+
+  const lines = ['---']
+  Object.entries(frontmatter).forEach(([key, value]) => {
+    lines.push(`${key}: ${toYamlValue(value)}`)
+  })
+  lines.push('tags:', '  - book', '---', '', `# ${book.name}`, '')
+
+  if (book.author) {
+    lines.push(`by ${book.author}`, '')
+  }
+  if (coverUrl) {
+    lines.push(`![cover](${coverUrl})`, '')
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Describe when a book was read for the index note
+ * @private
+ */
+function formatIndexDate(book) {
+  if (BOOK_STATUS.isReading(book)) return 'in progress'
+  if (!BOOK_STATUS.hasReadDate(book)) return null
+  return MONTHS[book.month - 1]?.fullName ?? null
+}
+
+/**
+ * Build the index note grouped by year (see Library.vue timeline)
+ * @param {Array} groups - Result of groupBooksByYear
+ * @param {Map} paths - Book ID → note path relative to the vault root folder
+ * @returns {string} Markdown index note
+ */
+export function generateIndexNote(groups, paths) {
+  const lines = [`# ${VAULT_INDEX_NAME}`, '']
+
+  groups.forEach(group => {
+    lines.push(`## ${BOOK_STATUS.getTimelineLabel(group)}`, '')
+
+    group.books.forEach(book => {
+      const link = `[${book.name.replace(/[[\]]/g, '')}](${encodeURI(paths.get(book.id))})`
+      const details = [book.author, formatIndexDate(book)].filter(Boolean)
+      const unfinished = BOOK_STATUS.isUnfinished(book) ? ' (unfinished)' : ''
+      lines.push(`- ${link}${details.length ? ` — ${details.join(', ')}` : ''}${unfinished}`)
+    })
+
+    lines.push('')
+  })
+
+  return lines.join('\n')
+}
+
+/**
+ * Build the vault archive
+ * @param {Array} books - Books array from store
+ * @returns {Uint8Array} Zip archive bytes
+ */
+export function createVaultArchive(books) {
+  const sorted = sortBooks(books)
+  const files = {}
+  const paths = new Map()
+  const usedPaths = new Set()
+
+  sorted.forEach(book => {
+    const folder = getVaultFolder(book)
+    const baseName = toSafeFileName(book.name)
+
+    let path = `${folder}/${baseName}.md`
+    for (let copy = 2; usedPaths.has(path.toLowerCase()); copy++) {
+      path = `${folder}/${baseName} (${copy}).md`
+    }
+    usedPaths.add(path.toLowerCase())
+    paths.set(book.id, path)
+
+    files[`${VAULT_ROOT}/${path}`] = strToU8(generateBookNote(book))
+  })
+
+  files[`${VAULT_ROOT}/${VAULT_INDEX_NAME}.md`] = strToU8(generateIndexNote(groupBooksByYear(sorted), paths))
+
+  logger.info(`[VaultExport] Generated vault with ${books.length} notes`)
+  return zipSync(files)
+}
+
+/**
+ * Download the library as a Markdown vault zip
+ */
+export function exportBooksAsVault(books) {
+  const archive = createVaultArchive(books)
+
+  const timestamp = new Date().toISOString().split('T')[0]
+  const filename = `readtrail-vault-${timestamp}.zip`
+
+  downloadFile(archive, filename, 'application/zip')
+}
@@ -1,6 +1,15 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 import { setActivePinia, createPinia } from 'pinia'
 import { useBooksStore } from '../books'
+import { booksApi } from '@/services/booksApi'
+import { tagsApi } from '@/services/tagsApi'
+import { authManager } from '@/services/auth'
+import { syncQueue, OPERATION_TYPES } from '@/services/syncQueue'
+import { tabCoordinator, TAB_MESSAGES } from '@/services/tabCoordinator'
+import { persistence } from '@/services/persistence'
+import { setApiAvailability } from '@/composables/useOnlineStatus'
+import { BOOK_STATUS } from '@/constants'
+import { CURRENT_SCHEMA_VERSION } from '@/utils/exportSchema'
 
 describe('useBooksStore', () => {
   let store
@@ -15,7 +24,8 @@ describe('useBooksStore', () => {
   })
 
   afterEach(() => {
-    // Clean up
+    // Clean up (disposing the store stops its online status listener)
+    store.$dispose()
     localStorage.clear()
   })
 
@@ -54,6 +64,16 @@ describe('useBooksStore', () => {
       expect(book.month).toBe(3)
     })
 
+    it('should add a book with a day and a start date', () => {
+      const book = store.addBook('1984', 2024, 3, null, null, null, false, null, {
+        status: BOOK_STATUS.READ,
+        day: 14,
+        startDate: { year: 2024, month: 2 }
+      })
+
+      expect(book).toMatchObject({ year: 2024, month: 3, day: 14, startDate: { year: 2024, month: 2, day: null } })
+    })
+
     it('should add a book with author and cover', () => {
       const book = store.addBook('1984', 2024, 3, 'George Orwell', 'https://example.com/cover.jpg')
 
@@ -92,9 +112,17 @@ describe('useBooksStore', () => {
     it('should add book with only year', () => {
       const book = store.addBook('Test Book', 2024)
 
+      expect(book.status).toBe(BOOK_STATUS.READ)
       expect(book.year).toBe(2024)
       expect(book.month).toBeNull()
     })
+
+    it('should add a book with an explicit status', () => {
+      const book = store.addBook('Test Book', null, null, null, null, null, false, null, { status: BOOK_STATUS.TO_READ })
+
+      expect(book.status).toBe(BOOK_STATUS.TO_READ)
+      expect(book.year).toBeNull()
+    })
   })
 
   describe('updateBook', () => {
@@ -164,6 +192,178 @@ describe('useBooksStore', () => {
     })
   })
 
+  describe('updateBookStatus', () => {
+    it('should set a read date', () => {
+      const book = store.addBook('Test Book')
+      store.updateBookStatus(book.id, 2024, 3, false, 1, BOOK_STATUS.READ)
+
+      expect(store.books[0]).toMatchObject({ status: BOOK_STATUS.READ, year: 2024, month: 3 })
+      expect(store.books[0].attributes.score).toBe(1)
+    })
+
+    it('should set a read date with a day', () => {
+      const book = store.addBook('Test Book')
+      store.updateBookStatus(book.id, 2024, 3, false, 1, BOOK_STATUS.READ, 14)
+
+      expect(store.books[0]).toMatchObject({ status: BOOK_STATUS.READ, year: 2024, month: 3, day: 14 })
+    })
+
+    it('should keep the start date when the read date changes', () => {
+      const book = store.addBook('Test Book')
+      store.updateBookFields(book.id, { startDate: { year: 2024, month: 2, day: null } })
+      store.updateBookStatus(book.id, 2024, 3, false, 1, BOOK_STATUS.READ)
+
+      expect(store.books[0].startDate).toEqual({ year: 2024, month: 2, day: null })
+    })
+
+    it('should clear the read date for undated statuses', () => {
+      const book = store.addBook('Test Book', 2024, 3)
+      store.updateBookStatus(book.id, null, null, false, 1, BOOK_STATUS.READ_LATELY)
+
+      expect(store.books[0]).toMatchObject({ status: BOOK_STATUS.READ_LATELY, year: null, month: null })
+    })
+
+    it('should mark the book as being read and reset its score without a status', () => {
+      const book = store.addBook('Test Book', 2024, 3, null, null, null, false, 1)
+      store.updateBookStatus(book.id, null, null, false, 1)
+
+      expect(store.books[0]).toMatchObject({ status: BOOK_STATUS.READING, year: null, month: null })
+      expect(store.books[0].attributes.score).toBe(0)
+    })
+  })
+
+  describe('reading progress', () => {
+    beforeEach(() => {
+      vi.useFakeTimers()
+      vi.setSystemTime(new Date(2024, 2, 14, 12))
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should keep the page count of a new book', () => {
+      const book = store.addBook('1984', null, null, null, null, null, false, null, { status: BOOK_STATUS.READING, pageCount: 328 })
+
+      expect(book).toMatchObject({ pageCount: 328, progress: [] })
+    })
+
+    it('should record progress with the page count', () => {
+      const book = store.addBook('1984', null, null, null, null, null, false, null, { status: BOOK_STATUS.READING, pageCount: 328 })
+
+      expect(store.updateReadingProgress(book.id, { page: 82 })).toBe(true)
+
+      expect(store.books[0].progress).toEqual([{ date: '2024-03-14', page: 82, percent: 25 }])
+    })
+
+    it('should keep a history of progress updates', () => {
+      const book = store.addBook('1984')
+      store.updateReadingProgress(book.id, { percent: 10 })
+      vi.setSystemTime(new Date(2024, 2, 16, 12))
+      store.updateReadingProgress(book.id, { page: 120 }, 300)
+
+      expect(store.books[0].pageCount).toBe(300)
+      expect(store.books[0].progress).toEqual([
+        { date: '2024-03-14', page: null, percent: 10 },
+        { date: '2024-03-16', page: 120, percent: 40 }
+      ])
+    })
+
+    it('should ignore empty updates', () => {
+      const book = store.addBook('1984')
+
+      expect(store.updateReadingProgress(book.id, {})).toBe(false)
+      expect(store.updateReadingProgress('missing', { page: 1 })).toBe(false)
+    })
+
+    it('should start a new reading without progress', () => {
+      const book = store.addBook('1984', 2020, 5)
+      store.updateBookFields(book.id, { progress: [{ date: '2020-05-01', page: 300, percent: 100 }] })
+
+      store.startRereading(book.id)
+
+      expect(store.books[0].progress).toEqual([])
+    })
+  })
+
+  describe('re-reads', () => {
+    it('should keep the finished reading when reading a book again', () => {
+      const book = store.addBook('Dune', 2020, 5, null, null, null, false, 1, {
+        status: BOOK_STATUS.READ,
+        day: 9,
+        startDate: { year: 2020, month: 4 }
+      })
+
+      expect(store.startRereading(book.id)).toBe(true)
+
+      expect(store.books[0]).toMatchObject({ status: BOOK_STATUS.READING, year: null, month: null, startDate: null })
+      expect(store.books[0].attributes.score).toBeNull()
+      expect(store.books[0].pastReads).toEqual([
+        { year: 2020, month: 5, day: 9, startDate: { year: 2020, month: 4, day: null }, isUnfinished: false, score: 1 }
+      ])
+    })
+
+    it('should keep earlier readings newest first', () => {
+      const book = store.addBook('Dune', 2024, 2, null, null, null, false, null, {
+        status: BOOK_STATUS.READ,
+        pastReads: [{ year: 2020, month: 5 }]
+      })
+
+      store.startRereading(book.id)
+
+      expect(store.books[0].pastReads.map(reading => reading.year)).toEqual([2024, 2020])
+    })
+
+    it('should not start a new reading of a book without a finish date', () => {
+      const book = store.addBook('Dune')
+
+      expect(store.startRereading(book.id)).toBe(false)
+      expect(store.books[0].pastReads).toEqual([])
+    })
+
+    it('should update and delete an earlier reading', () => {
+      const book = store.addBook('Dune', null, null, null, null, null, false, null, {
+        status: BOOK_STATUS.READING,
+        pastReads: [
+          { year: 2022, month: 1 },
+          { year: 2020, month: 5 }
+        ]
+      })
+
+      store.updatePastRead(book.id, 1, { score: -1 })
+      expect(store.books[0].pastReads[1].score).toBe(-1)
+
+      store.deletePastRead(book.id, 0)
+      expect(store.books[0].pastReads).toEqual([
+        { year: 2020, month: 5, day: null, startDate: null, isUnfinished: false, score: -1 }
+      ])
+      expect(store.updatePastRead(book.id, 3, { score: 1 })).toBe(false)
+    })
+  })
+
+  describe('tags', () => {
+    it('should add a book with tags', () => {
+      const book = store.addBook('Dune', null, null, null, null, null, false, null, {
+        status: BOOK_STATUS.READING,
+        tags: ['tag-1', 'tag-1', '']
+      })
+
+      expect(book.tags).toEqual(['tag-1'])
+      expect(store.addBook('Emma').tags).toEqual([])
+    })
+
+    it('should take a deleted tag off every book', () => {
+      const dune = store.addBook('Dune', null, null, null, null, null, false, null, { tags: ['tag-1', 'tag-2'] })
+      const emma = store.addBook('Emma', null, null, null, null, null, false, null, { tags: ['tag-2'] })
+      store.addBook('Ulysses')
+
+      expect(store.removeTagFromBooks('tag-2')).toBe(2)
+
+      expect(store.findBookById(dune.id).tags).toEqual(['tag-1'])
+      expect(store.findBookById(emma.id).tags).toEqual([])
+    })
+  })
+
   describe('deleteBook', () => {
     it('should delete a book by ID', () => {
       const book = store.addBook('To Delete')
@@ -207,6 +407,92 @@ describe('useBooksStore', () => {
       expect(stored).toHaveLength(1)
       expect(stored[0].name).toBe('Book 2')
     })
+
+    it('should remove a discarded book without queueing a delete', () => {
+      const book = store.addBook('Never Synced')
+      const enqueue = vi.spyOn(syncQueue, 'enqueue')
+
+      expect(store.discardLocalBook(book.id)).toBe(true)
+
+      expect(store.books).toHaveLength(0)
+      expect(JSON.parse(localStorage.getItem('readtrail-books'))).toHaveLength(0)
+      expect(enqueue).not.toHaveBeenCalled()
+      enqueue.mockRestore()
+    })
+  })
+
+  describe('importBooks', () => {
+    it('should add new books and update existing ones', () => {
+      const existing = store.addBook('Existing Book', 2024, 1, 'Author')
+
+      const result = store.importBooks({
+        toAdd: [{
+          name: 'Imported Book',
+          author: 'Someone',
+          coverLink: null,
+          year: 2023,
+          month: 5,
+          attributes: { isUnfinished: true, score: 1 }
+        }],
+        toUpdate: [{ id: existing.id, updates: { coverLink: 'https://example.com/cover.jpg' } }]
+      })
+
+      expect(result).toEqual({ added: 1, updated: 1 })
+      expect(store.books).toHaveLength(2)
+
+      const imported = store.books.find(b => b.name === 'Imported Book')
+      expect(imported).toMatchObject({ year: 2023, month: 5, author: 'Someone', tags: [] })
+      expect(imported.attributes).toMatchObject({ isUnfinished: true, score: 1 })
+      expect(store.findBookById(existing.id).coverDisplayLink).toBe('https://example.com/cover.jpg')
+    })
+
+    it('should keep the tags of imported books', () => {
+      store.importBooks({ toAdd: [{ name: 'Dune', tags: ['tag-1'] }] })
+
+      expect(store.books[0].tags).toEqual(['tag-1'])
+    })
+
+    it('should keep the reading progress of imported books', () => {
+      const progress = [
+        { date: '2024-03-01', page: 40, percent: null },
+        { date: '2024-03-08', page: 120, percent: null }
+      ]
+      const enqueue = vi.spyOn(syncQueue, 'enqueue')
+      vi.spyOn(authManager, 'isGuestUser').mockReturnValue(false)
+
+      store.importBooks({ toAdd: [{ name: 'Dune', status: BOOK_STATUS.READING, pageCount: 400, progress }] })
+
+      expect(store.books[0].progress).toEqual(progress)
+      expect(enqueue.mock.calls[0][2].progress).toEqual(progress)
+
+      syncQueue.clear()
+      vi.restoreAllMocks()
+    })
+
+    it('should queue every imported book before sending them in one sync', async () => {
+      vi.spyOn(authManager, 'isGuestUser').mockReturnValue(false)
+      const processQueue = vi.spyOn(syncQueue, 'processQueue')
+      const createBook = vi.spyOn(booksApi, 'createBook')
+      const batchCreateBooks = vi.spyOn(booksApi, 'batchCreateBooks').mockImplementation(async books =>
+        books.map((book, index) => ({ ...book, id: `b${index}`, createdAt: new Date(), updatedAt: new Date() }))
+      )
+
+      store.importBooks({ toAdd: [{ name: 'Dune' }, { name: 'Emma' }, { name: 'Ulysses' }] })
+
+      await vi.waitFor(() => expect(batchCreateBooks).toHaveBeenCalledTimes(1))
+      expect(processQueue).toHaveBeenCalledTimes(1)
+      expect(batchCreateBooks.mock.calls[0][0].map(book => book.name)).toEqual(['Dune', 'Emma', 'Ulysses'])
+      expect(createBook).not.toHaveBeenCalled()
+
+      syncQueue.clear()
+      vi.restoreAllMocks()
+    })
+
+    it('should not count updates for unknown book IDs', () => {
+      const result = store.importBooks({ toUpdate: [{ id: 'missing', updates: { name: 'X' } }] })
+
+      expect(result).toEqual({ added: 0, updated: 0 })
+    })
   })
 
   describe('sortedBooks getter', () => {
@@ -393,7 +679,46 @@ describe('useBooksStore', () => {
       expect(store.books[0].month).toBe(5)
     })
 
-    it('should handle localStorage errors gracefully when saving', () => {
+    it('should record the schema version when saving', () => {
+      store.addBook('Test Book', 2024, 5)
+
+      expect(localStorage.getItem('readtrail-books-version')).toBe(CURRENT_SCHEMA_VERSION)
+    })
+
+    it('should upgrade unversioned localStorage data', async () => {
+      localStorage.setItem('readtrail-books', JSON.stringify([{
+        id: '1',
+        name: 'Old Book',
+        year: 2023,
+        month: 2,
+        isUnfinished: true,
+        createdAt: new Date(2023, 1, 1).toISOString()
+      }]))
+
+      await store.loadBooks()
+
+      expect(store.books[0]).not.toHaveProperty('isUnfinished')
+      expect(store.books[0].attributes).toEqual({ isUnfinished: true, customCover: false, score: null })
+    })
+
+    it('should leave books saved with a newer schema untouched', async () => {
+      const storedBooks = JSON.stringify([{ id: '1', name: 'Future Book', status: 'read', year: 2024, month: 5, shelf: 'x' }])
+      localStorage.setItem('readtrail-books', storedBooks)
+      localStorage.setItem('readtrail-books-version', '9.9')
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      await store.loadBooks()
+      store.addBook('Added In Old Tab')
+      await Promise.resolve()
+
+      expect(store.storageOutdated).toBe(true)
+      expect(localStorage.getItem('readtrail-books')).toBe(storedBooks)
+      expect(localStorage.getItem('readtrail-books-version')).toBe('9.9')
+
+      vi.restoreAllMocks()
+    })
+
+    it('should handle localStorage errors gracefully when saving', async () => {
       const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
 
       // Mock localStorage.setItem to throw an error
@@ -405,13 +730,438 @@ describe('useBooksStore', () => {
         store.addBook('Test Book')
       }).not.toThrow()
 
-      expect(consoleSpy).toHaveBeenCalled()
+      await vi.waitFor(() => expect(consoleSpy).toHaveBeenCalled())
 
       consoleSpy.mockRestore()
       vi.restoreAllMocks()
     })
   })
 
+  describe('sync conflicts', () => {
+    const conflict = {
+      bookId: 'book1',
+      fields: ['name', 'score'],
+      base: { name: 'Dune', author: null, coverLink: null, year: 2024, month: 3, attributes: { isUnfinished: false, customCover: false, score: null } },
+      local: { name: 'Dune Messiah', author: null, coverLink: null, year: 2024, month: 3, attributes: { isUnfinished: false, customCover: false, score: 1 } },
+      remote: { name: 'Children of Dune', author: 'Frank Herbert', coverLink: null, year: 2024, month: 3, attributes: { isUnfinished: false, customCover: false, score: -1 }, updatedAt: '2024-03-10T00:00:00.000Z' },
+      merged: { name: 'Dune Messiah', author: 'Frank Herbert', coverLink: null, year: 2024, month: 3, attributes: { isUnfinished: false, customCover: false, score: 1 } }
+    }
+
+    beforeEach(() => {
+      store.books = [{
+        id: 'book1',
+        ...conflict.local,
+        createdAt: new Date(2024, 0, 1),
+        updatedAt: new Date('2024-03-01T00:00:00.000Z')
+      }]
+      store.syncConflicts = [conflict]
+    })
+
+    it('should load unresolved conflicts from localStorage', async () => {
+      localStorage.setItem('readtrail-sync-conflicts', JSON.stringify([conflict]))
+      setActivePinia(createPinia())
+      const newStore = useBooksStore()
+
+      await vi.waitFor(() => expect(newStore.syncConflicts).toEqual([conflict]))
+      newStore.$dispose()
+    })
+
+    it('should apply the chosen side for each conflicting field', () => {
+      const resolved = store.resolveSyncConflict('book1', { name: 'remote', score: 'local' })
+
+      expect(resolved).toBe(true)
+      expect(store.books[0]).toMatchObject({
+        name: 'Children of Dune',
+        author: 'Frank Herbert',
+        attributes: { score: 1 }
+      })
+    })
+
+    it('should keep local values by default', () => {
+      store.resolveSyncConflict('book1')
+
+      expect(store.books[0].name).toBe('Dune Messiah')
+      expect(store.books[0].author).toBe('Frank Herbert')
+    })
+
+    it('should rebase the book on the remote version', () => {
+      store.resolveSyncConflict('book1')
+
+      expect(store.books[0].updatedAt).toEqual(new Date('2024-03-10T00:00:00.000Z'))
+    })
+
+    it('should remove the resolved conflict', () => {
+      store.resolveSyncConflict('book1')
+
+      expect(store.syncConflicts).toEqual([])
+      expect(JSON.parse(localStorage.getItem('readtrail-sync-conflicts'))).toEqual([])
+    })
+
+    it('should drop conflicts for books that no longer exist', () => {
+      store.books = []
+
+      expect(store.resolveSyncConflict('book1')).toBe(true)
+      expect(store.syncConflicts).toEqual([])
+    })
+
+    it('should return false for unknown conflicts', () => {
+      expect(store.resolveSyncConflict('other')).toBe(false)
+    })
+  })
+
+  describe('delta sync', () => {
+    const serverBook = (id, updatedAt, overrides = {}) => ({
+      id,
+      name: `Book ${id}`,
+      author: null,
+      coverLink: null,
+      year: 2024,
+      month: 3,
+      attributes: { isUnfinished: false, customCover: false, score: null },
+      createdAt: new Date('2024-01-01T00:00:00.000Z'),
+      updatedAt: new Date(updatedAt),
+      ...overrides
+    })
+
+    const storeLocally = (localBooks) => {
+      localStorage.setItem('readtrail-books', JSON.stringify(localBooks))
+      localStorage.setItem('readtrail-sync-cursor', JSON.stringify({
+        userId: 'user1',
+        updatedAt: '2024-03-02T00:00:00.000Z'
+      }))
+    }
+
+    beforeEach(() => {
+      vi.spyOn(authManager, 'getCurrentUser').mockReturnValue({ id: 'user1' })
+    })
+
+    afterEach(() => {
+      syncQueue.clear()
+      vi.restoreAllMocks()
+    })
+
+    it('should save a sync cursor after a full load', async () => {
+      vi.spyOn(booksApi, 'getBooks').mockResolvedValue([
+        serverBook('b1', '2024-03-01T00:00:00.000Z'),
+        serverBook('b2', '2024-03-02T00:00:00.000Z')
+      ])
+
+      await store.loadBooks()
+
+      expect(store.books).toHaveLength(2)
+      expect(JSON.parse(localStorage.getItem('readtrail-sync-cursor'))).toEqual({
+        userId: 'user1',
+        updatedAt: '2024-03-02T00:00:00.000Z'
+      })
+    })
+
+    it('should fetch only changes when a cursor exists', async () => {
+      storeLocally([
+        serverBook('b1', '2024-03-01T00:00:00.000Z'),
+        serverBook('b2', '2024-03-02T00:00:00.000Z'),
+        serverBook('temp-1', '2024-03-02T00:00:00.000Z')
+      ])
+      const getBooks = vi.spyOn(booksApi, 'getBooks')
+      const getBooksUpdatedSince = vi.spyOn(booksApi, 'getBooksUpdatedSince').mockResolvedValue([
+        serverBook('b1', '2024-03-05T00:00:00.000Z', { name: 'Renamed' }),
+        serverBook('b3', '2024-03-06T00:00:00.000Z')
+      ])
+      vi.spyOn(booksApi, 'getBookIds').mockResolvedValue(['b1', 'b3'])
+
+      await store.loadBooks()
+
+      expect(getBooks).not.toHaveBeenCalled()
+      expect(getBooksUpdatedSince).toHaveBeenCalledWith('2024-03-02T00:00:00.000Z')
+      expect(store.books.map(book => book.id)).toEqual(['b1', 'temp-1', 'b3'])
+      expect(store.books[0].name).toBe('Renamed')
+      expect(JSON.parse(localStorage.getItem('readtrail-sync-cursor')).updatedAt).toBe('2024-03-06T00:00:00.000Z')
+    })
+
+    it('should keep books with queued local changes', async () => {
+      storeLocally([serverBook('b1', '2024-03-01T00:00:00.000Z', { name: 'Local Edit' })])
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: 'b1', name: 'Local Edit' })
+      vi.spyOn(booksApi, 'getBooksUpdatedSince').mockResolvedValue([
+        serverBook('b1', '2024-03-05T00:00:00.000Z', { name: 'Remote Edit' })
+      ])
+      vi.spyOn(booksApi, 'getBookIds').mockResolvedValue([])
+
+      await store.loadBooks()
+
+      expect(store.books).toHaveLength(1)
+      expect(store.books[0].name).toBe('Local Edit')
+    })
+
+    it('should do a full load when the cursor belongs to another user', async () => {
+      storeLocally([serverBook('b1', '2024-03-01T00:00:00.000Z')])
+      authManager.getCurrentUser.mockReturnValue({ id: 'user2' })
+      const getBooks = vi.spyOn(booksApi, 'getBooks').mockResolvedValue([serverBook('x1', '2024-04-01T00:00:00.000Z')])
+      const getBooksUpdatedSince = vi.spyOn(booksApi, 'getBooksUpdatedSince')
+
+      await store.loadBooks()
+
+      expect(getBooks).toHaveBeenCalled()
+      expect(getBooksUpdatedSince).not.toHaveBeenCalled()
+      expect(store.books.map(book => book.id)).toEqual(['x1'])
+    })
+
+    it('should migrate the books a stopped migration left behind on the next load', async () => {
+      // The first attempt created b1, then stopped before temp-2
+      localStorage.setItem('readtrail-books', JSON.stringify([
+        serverBook('b1', '2024-03-01T00:00:00.000Z'),
+        serverBook('temp-2', '2024-03-01T00:00:00.000Z', { year: 2023 })
+      ]))
+      localStorage.setItem('readtrail-needs-migration', 'true')
+      vi.spyOn(authManager, 'isGuestUser').mockReturnValue(false)
+      vi.spyOn(booksApi, 'subscribeToBooks').mockResolvedValue(vi.fn())
+      vi.spyOn(booksApi, 'getBooks').mockResolvedValue([serverBook('b1', '2024-03-01T00:00:00.000Z')])
+      const batchCreateBooks = vi.spyOn(booksApi, 'batchCreateBooks').mockResolvedValue([
+        serverBook('b2', '2024-03-07T00:00:00.000Z', { name: 'Book temp-2', year: 2023 })
+      ])
+
+      await store.loadBooks()
+
+      expect(batchCreateBooks).toHaveBeenCalledTimes(1)
+      expect(batchCreateBooks.mock.calls[0][0].map(book => book.name)).toEqual(['Book temp-2'])
+      expect(store.books.map(book => book.id)).toEqual(['b1', 'b2'])
+      expect(localStorage.getItem('readtrail-needs-migration')).toBeNull()
+    })
+  })
+
+  describe('realtime sync', () => {
+    const remoteBook = (id, overrides = {}) => ({
+      id,
+      name: `Book ${id}`,
+      author: null,
+      coverLink: null,
+      year: 2024,
+      month: 3,
+      attributes: { isUnfinished: false, customCover: false, score: null },
+      createdAt: new Date('2024-01-01T00:00:00.000Z'),
+      updatedAt: new Date('2024-03-05T00:00:00.000Z'),
+      ...overrides
+    })
+
+    let emit
+    let unsubscribe
+
+    beforeEach(async () => {
+      vi.spyOn(authManager, 'isGuestUser').mockReturnValue(false)
+      unsubscribe = vi.fn().mockResolvedValue()
+      vi.spyOn(booksApi, 'subscribeToBooks').mockImplementation(async (callback) => {
+        emit = callback
+        return unsubscribe
+      })
+
+      store.books = [remoteBook('b1'), remoteBook('b2')]
+      await store.startRealtime()
+    })
+
+    afterEach(() => {
+      syncQueue.clear()
+      vi.restoreAllMocks()
+    })
+
+    it('should subscribe only once', async () => {
+      await store.startRealtime()
+
+      expect(booksApi.subscribeToBooks).toHaveBeenCalledOnce()
+    })
+
+    it('should add books created on another device', () => {
+      emit({ action: 'create', book: remoteBook('b3') })
+
+      expect(store.books.map(book => book.id)).toEqual(['b1', 'b2', 'b3'])
+      expect(JSON.parse(localStorage.getItem('readtrail-books'))).toHaveLength(3)
+    })
+
+    it('should replace books updated on another device', () => {
+      emit({ action: 'update', book: remoteBook('b1', { name: 'Renamed' }) })
+
+      expect(store.books[0].name).toBe('Renamed')
+    })
+
+    it('should remove books deleted on another device', () => {
+      emit({ action: 'delete', book: remoteBook('b2') })
+
+      expect(store.books.map(book => book.id)).toEqual(['b1'])
+    })
+
+    it('should not clobber books with queued local changes', () => {
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: 'b1', name: 'Local Edit' })
+
+      emit({ action: 'update', book: remoteBook('b1', { name: 'Remote Edit' }) })
+      emit({ action: 'delete', book: remoteBook('b1') })
+
+      expect(store.books[0].name).toBe('Book b1')
+    })
+
+    it('should unsubscribe when stopped', async () => {
+      await store.stopRealtime()
+
+      expect(unsubscribe).toHaveBeenCalled()
+    })
+  })
+
+  describe('pending cover files', () => {
+    const cover = new File(['cover'], 'cover.png', { type: 'image/png' })
+    const savedBook = (id) => ({
+      id,
+      name: 'Dune',
+      author: null,
+      coverLink: null,
+      year: 2024,
+      month: 3,
+      attributes: { isUnfinished: false, customCover: true, score: null },
+      createdAt: new Date('2024-01-01T00:00:00.000Z'),
+      updatedAt: new Date('2024-03-01T00:00:00.000Z')
+    })
+
+    beforeEach(() => {
+      vi.spyOn(authManager, 'isGuestUser').mockReturnValue(false)
+      setApiAvailability(true)
+    })
+
+    afterEach(() => {
+      syncQueue.clear()
+      vi.restoreAllMocks()
+    })
+
+    it('should store cover files picked for upload', () => {
+      const putFile = vi.spyOn(persistence, 'putFile').mockResolvedValue()
+      vi.spyOn(booksApi, 'createBook').mockResolvedValue(savedBook('b1'))
+
+      const book = store.addBook('Dune', 2024, 3, null, null, cover)
+
+      expect(putFile).toHaveBeenCalledWith(book.id, cover)
+    })
+
+    it('should move stored covers to the backend id', async () => {
+      vi.spyOn(persistence, 'putFile').mockResolvedValue()
+      const moveFile = vi.spyOn(persistence, 'moveFile').mockResolvedValue()
+      const deleteFile = vi.spyOn(persistence, 'deleteFile').mockResolvedValue()
+      vi.spyOn(booksApi, 'createBook').mockResolvedValue(savedBook('b1'))
+
+      const book = store.addBook('Dune', 2024, 3, null, null, cover)
+      const tempId = book.id
+
+      await vi.waitFor(() => expect(deleteFile).toHaveBeenCalledWith('b1'))
+      expect(moveFile).toHaveBeenCalledWith(tempId, 'b1')
+    })
+
+    it('should upload covers stored before a reload', async () => {
+      const getFile = vi.spyOn(persistence, 'getFile').mockResolvedValue(cover)
+      const deleteFile = vi.spyOn(persistence, 'deleteFile').mockResolvedValue()
+      const updateBook = vi.spyOn(booksApi, 'updateBook').mockResolvedValue(savedBook('b1'))
+      store.books = [savedBook('b1')]
+
+      // Queued before the reload; the file itself is no longer in memory
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', { id: 'b1', name: 'Dune', coverFile: cover })
+      await store.syncWithBackend()
+
+      expect(getFile).toHaveBeenCalledWith('b1')
+      expect(updateBook).toHaveBeenCalledWith('b1', expect.objectContaining({ coverFile: cover }))
+      expect(deleteFile).toHaveBeenCalledWith('b1')
+    })
+
+    it('should remove the stored cover of a deleted book', () => {
+      const deleteFile = vi.spyOn(persistence, 'deleteFile').mockResolvedValue()
+      store.books = [savedBook('b1')]
+      vi.spyOn(booksApi, 'deleteBook').mockResolvedValue()
+
+      store.deleteBook('b1')
+
+      expect(deleteFile).toHaveBeenCalledWith('b1')
+    })
+  })
+
+  describe('offline changes', () => {
+    beforeEach(() => {
+      vi.spyOn(authManager, 'isGuestUser').mockReturnValue(false)
+      setApiAvailability(false)
+    })
+
+    afterEach(() => {
+      // Clear first, coming back online syncs whatever is queued
+      syncQueue.clear()
+      setApiAvailability(true)
+      vi.restoreAllMocks()
+    })
+
+    it('should fold edits of an unsynced book into its CREATE', () => {
+      const book = store.addBook('Dune')
+
+      store.updateBookFields(book.id, { author: 'Frank Herbert' })
+
+      expect(syncQueue.getPendingOperations()).toEqual([
+        expect.objectContaining({
+          type: OPERATION_TYPES.CREATE,
+          tempId: book.id,
+          data: expect.objectContaining({ name: 'Dune', author: 'Frank Herbert' })
+        })
+      ])
+    })
+
+    it('should not sync a book deleted before it was created on the server', () => {
+      const book = store.addBook('Dune')
+      store.updateBookFields(book.id, { author: 'Frank Herbert' })
+
+      store.deleteBook(book.id)
+
+      expect(syncQueue.getPendingCount()).toBe(0)
+    })
+
+    it('should send offline edits once back online', async () => {
+      const createBook = vi.spyOn(booksApi, 'createBook').mockResolvedValue({ id: 'b1', name: 'Dune' })
+      const book = store.addBook('Dune')
+      store.updateBookFields(book.id, { author: 'Frank Herbert' })
+
+      setApiAvailability(true)
+      await store.syncWithBackend()
+
+      await vi.waitFor(() => expect(syncQueue.getPendingCount()).toBe(0))
+      expect(createBook).toHaveBeenCalledTimes(1)
+      expect(createBook).toHaveBeenCalledWith(expect.objectContaining({ name: 'Dune', author: 'Frank Herbert' }))
+      expect(store.books[0].id).toBe('b1')
+    })
+
+    it('should send queued tag changes with the book changes', async () => {
+      const tags = [{ id: 'tag-1', name: 'Sci-fi', color: '#3b82f6' }]
+      const createBook = vi.spyOn(booksApi, 'createBook').mockResolvedValue({ id: 'b1', name: 'Dune', tags: ['tag-1'] })
+      const updateTags = vi.spyOn(tagsApi, 'updateTags').mockResolvedValue(tags)
+      syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'tags', { tags })
+      store.addBook('Dune', null, null, null, null, null, false, null, { tags: ['tag-1'] })
+
+      setApiAvailability(true)
+      await store.syncWithBackend()
+
+      await vi.waitFor(() => expect(syncQueue.getPendingCount()).toBe(0))
+      expect(updateTags).toHaveBeenCalledWith(tags)
+      expect(createBook).toHaveBeenCalledWith(expect.objectContaining({ name: 'Dune', tags: ['tag-1'] }))
+    })
+  })
+
+  describe('cross-tab coordination', () => {
+    it('should reload books saved by another tab', async () => {
+      store.addBook('This Tab')
+      localStorage.setItem('readtrail-books', JSON.stringify([
+        { id: 'other-1', name: 'Other Tab', year: 2024, month: 1, createdAt: new Date().toISOString() }
+      ]))
+
+      tabCoordinator.dispatch({ type: TAB_MESSAGES.BOOKS_CHANGED })
+
+      await vi.waitFor(() => expect(store.books.map(book => book.name)).toEqual(['Other Tab']))
+    })
+
+    it('should announce its own saves once written', async () => {
+      const broadcast = vi.spyOn(tabCoordinator, 'broadcast')
+
+      store.addBook('New Book')
+
+      await vi.waitFor(() => expect(broadcast).toHaveBeenCalledWith(TAB_MESSAGES.BOOKS_CHANGED))
+      broadcast.mockRestore()
+    })
+  })
+
   describe('edge cases', () => {
     it('should handle multiple rapid additions', () => {
       for (let i = 0; i < 100; i++) {
@@ -151,7 +151,8 @@ describe('useSettingsStore', () => {
         allowScoring: true,
         lastLibraryView: 'timeline',
         hideUnfinished: true,
-        hideToRead: true
+        hideToRead: true,
+        filterTags: []
       })
 
       // Old keys should be removed
@@ -244,7 +245,8 @@ describe('useSettingsStore', () => {
         allowScoring: false,
         lastLibraryView: 'grid',
         hideUnfinished: true,
-        hideToRead: true
+        hideToRead: true,
+        filterTags: []
       })
 
       // Migration flag should be removed
@@ -279,7 +281,8 @@ describe('useSettingsStore', () => {
           allowScoring: true,
           lastLibraryView: 'timeline',
           hideUnfinished: true,
-          hideToRead: true
+          hideToRead: true,
+          filterTags: []
         }
       )
     })
@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { useTagsStore } from '../tags'
+import { tagsApi } from '@/services/tagsApi'
+import * as guestMode from '@/services/guestMode'
+import { syncQueue } from '@/services/syncQueue'
+
+const booksStore = {
+  syncWithBackend: vi.fn(),
+  removeTagFromBooks: vi.fn()
+}
+
+// Mock dependencies
+vi.mock('@/services/tagsApi')
+vi.mock('@/services/guestMode')
+vi.mock('@/services/syncQueue')
+vi.mock('@/stores/books', () => ({
+  useBooksStore: () => booksStore
+}))
+vi.mock('@/composables/useOnlineStatus', () => ({
+  useOnlineStatus: () => ({ isOnline: { value: true } }),
+  setApiAvailability: vi.fn()
+}))
+
+describe('useTagsStore', () => {
+  let store
+
+  const sciFi = { id: 'tag-1', name: 'Sci-fi', color: '#3b82f6' }
+  const favorites = { id: 'tag-2', name: 'Favorites', color: '#ef4444' }
+
+  const storedTags = () => JSON.parse(localStorage.getItem('readtrail-tags'))
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    localStorage.clear()
+    vi.clearAllMocks()
+
+    // Default mocks
+    vi.spyOn(guestMode, 'isGuestMode').mockReturnValue(false)
+    syncQueue.enqueue = vi.fn()
+    syncQueue.getPendingOperations = vi.fn().mockReturnValue([])
+    tagsApi.getTags = vi.fn().mockResolvedValue(null)
+
+    store = useTagsStore()
+  })
+
+  afterEach(() => {
+    localStorage.clear()
+  })
+
+  describe('loadTags', () => {
+    it('should load tags from the backend and save them locally', async () => {
+      tagsApi.getTags.mockResolvedValue([sciFi])
+
+      await store.loadTags()
+
+      expect(store.tags).toEqual([sciFi])
+      await vi.waitFor(() => expect(storedTags()).toEqual([sciFi]))
+    })
+
+    it('should keep local tags while tag changes are waiting to sync', async () => {
+      localStorage.setItem('readtrail-tags', JSON.stringify([favorites]))
+      syncQueue.getPendingOperations.mockReturnValue([{ resource: 'tags' }])
+
+      await store.loadTags()
+
+      expect(tagsApi.getTags).not.toHaveBeenCalled()
+      expect(store.tags).toEqual([favorites])
+    })
+
+    it('should upload local tags when the account has none', async () => {
+      localStorage.setItem('readtrail-tags', JSON.stringify([favorites]))
+
+      await store.loadTags()
+
+      expect(store.tags).toEqual([favorites])
+      expect(syncQueue.enqueue).toHaveBeenCalledWith('UPDATE', 'tags', { tags: [favorites], base: [] })
+      expect(booksStore.syncWithBackend).toHaveBeenCalled()
+    })
+
+    it('should fall back to local tags when the backend fails', async () => {
+      localStorage.setItem('readtrail-tags', JSON.stringify([favorites]))
+      tagsApi.getTags.mockRejectedValue(new Error('Network error'))
+
+      await store.loadTags()
+
+      expect(store.tags).toEqual([favorites])
+      expect(store.tagsLoading).toBe(false)
+    })
+  })
+
+  describe('createTag', () => {
+    it('should add a tag, save it and queue the tag list', () => {
+      const tag = store.createTag(' Classics ', '#10b981')
+
+      expect(tag).toMatchObject({ name: 'Classics', color: '#10b981' })
+      expect(store.tags).toEqual([tag])
+      expect(storedTags()).toEqual([tag])
+      expect(syncQueue.enqueue).toHaveBeenCalledWith('UPDATE', 'tags', { tags: [tag], base: [] })
+    })
+
+    it('should queue the tag list with the synced list it was changed from', async () => {
+      tagsApi.getTags.mockResolvedValue([sciFi])
+      await store.loadTags()
+
+      const tag = store.createTag('Classics')
+      store.deleteTag('tag-1')
+
+      expect(syncQueue.enqueue).toHaveBeenNthCalledWith(1, 'UPDATE', 'tags', { tags: [sciFi, tag], base: [sciFi] })
+      expect(syncQueue.enqueue).toHaveBeenNthCalledWith(2, 'UPDATE', 'tags', { tags: [tag], base: [sciFi, tag] })
+    })
+
+    it('should return the existing tag with the same name', () => {
+      const tag = store.createTag('Classics')
+
+      expect(store.createTag('classics')).toEqual(tag)
+      expect(store.tags).toHaveLength(1)
+    })
+
+    it('should not create a tag without a name', () => {
+      expect(store.createTag('  ')).toBeNull()
+      expect(store.tags).toEqual([])
+    })
+
+    it('should not sync for guest users', () => {
+      vi.spyOn(guestMode, 'isGuestMode').mockReturnValue(true)
+
+      store.createTag('Classics')
+
+      expect(storedTags()).toHaveLength(1)
+      expect(syncQueue.enqueue).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('updateTag', () => {
+    beforeEach(() => {
+      store.importTags([sciFi, favorites])
+      vi.clearAllMocks()
+    })
+
+    it('should rename and recolor a tag', () => {
+      expect(store.updateTag('tag-1', { name: 'Science fiction', color: '#10B981' })).toBe(true)
+
+      expect(store.findTagById('tag-1')).toEqual({ id: 'tag-1', name: 'Science fiction', color: '#10b981' })
+      expect(syncQueue.enqueue).toHaveBeenCalledTimes(1)
+    })
+
+    it('should not take the name of another tag', () => {
+      expect(store.updateTag('tag-1', { name: 'favorites' })).toBe(false)
+      expect(store.updateTag('tag-1', { name: '' })).toBe(false)
+      expect(store.updateTag('missing', { name: 'X' })).toBe(false)
+
+      expect(store.findTagById('tag-1').name).toBe('Sci-fi')
+      expect(syncQueue.enqueue).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('deleteTag', () => {
+    it('should delete a tag and take it off the books', () => {
+      store.importTags([sciFi, favorites])
+
+      expect(store.deleteTag('tag-1')).toBe(true)
+
+      expect(booksStore.removeTagFromBooks).toHaveBeenCalledWith('tag-1')
+      expect(store.tags).toEqual([favorites])
+      expect(store.deleteTag('tag-1')).toBe(false)
+    })
+  })
+
+  describe('importTags', () => {
+    it('should add only tags the user does not have', () => {
+      store.importTags([sciFi])
+
+      expect(store.importTags([{ ...sciFi, name: 'Renamed' }, favorites])).toBe(1)
+
+      expect(store.tags).toEqual([sciFi, favorites])
+    })
+
+    it('should not save when nothing is new', () => {
+      expect(store.importTags([])).toBe(0)
+      expect(syncQueue.enqueue).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('$reset', () => {
+    it('should clear the tags', () => {
+      store.createTag('Classics')
+
+      store.$reset()
+
+      expect(store.tags).toEqual([])
+    })
+  })
+})
@@ -2,17 +2,29 @@ import { defineStore } from 'pinia'
 import { computed, ref } from 'vue'
 import mockBooksData from '@/data/mockBooks.json'
 import { booksApi } from '@/services/booksApi'
+import { tagsApi } from '@/services/tagsApi'
 import { syncQueue, OPERATION_TYPES } from '@/services/syncQueue'
+import { tabCoordinator, TAB_MESSAGES } from '@/services/tabCoordinator'
+import { persistence, STORES } from '@/services/persistence'
 import { useOnlineStatus, setApiAvailability } from '@/composables/useOnlineStatus'
 import { isGuestMode } from '@/services/guestMode'
+import { authManager } from '@/services/auth'
 import { logger } from '@/utils/logger'
 import { handleStorageError } from '@/utils/storageErrors'
-import { DEFAULT_BOOK_ATTRIBUTES } from '@/utils/bookSchema'
+import { UnsupportedSchemaVersionError } from '@/utils/errors'
+import { DEFAULT_BOOK_ATTRIBUTES, normalizeBookStatus, normalizeStartDate, normalizePastReads, normalizeReadingProgress, normalizeBookTags } from '@/utils/bookSchema'
+import { normalizePageCount, createProgressEntry, addProgressEntry } from '@/utils/readingProgress'
+import { BOOK_STATUS } from '@/constants'
 import { sortBooks } from '@/utils/bookSorting'
 import { serializeBook, deserializeBook } from '@/utils/bookSerialization'
+import { CURRENT_SCHEMA_VERSION, upgradeStoredBooks, validateBook } from '@/utils/exportSchema'
+import { pickMergeFields, applyMergeField } from '@/utils/bookMerge'
 import { migrateLocalDataToBackend, needsMigration, markForMigration } from '@/services/migration'
 
-const STORAGE_KEY = 'readtrail-books'
+// Stored values (see services/persistence)
+const VERSION_VALUE = 'booksVersion' // Absent for data saved before schema versioning
+const CONFLICTS_VALUE = 'syncConflicts'
+const SYNC_CURSOR_VALUE = 'syncCursor' // { userId, updatedAt } of the newest server change seen
 
 let idCounter = 0
 
@@ -24,39 +36,78 @@ export const useBooksStore = defineStore('books', () => {
   const syncStatus = ref('idle') // 'idle' | 'syncing' | 'error'
   const lastSyncTime = ref(null)
   const pendingIdMap = ref({}) // Map temp IDs to backend IDs
-  const pendingFiles = ref({}) // Map book IDs to File objects (in-memory, not serialized)
+  const pendingFiles = ref({}) // Map book IDs to File objects (also stored, see fileOps)
+  const syncConflicts = ref([]) // Edits that clashed with changes from another device
+  const storageOutdated = ref(false) // Stored books use a newer schema, so nothing may be written over them
   const { isOnline } = useOnlineStatus(handleOnlineStatusChange)
+  let realtimeSubscription = null // Promise of the unsubscribe function while subscribed
+  let syncDeferred = false // Set while importBooks queues its changes
 
   // File management helpers
+  // Files are also stored so queued cover uploads survive a reload
   const fileOps = {
     set: (id, file) => {
-      if (file) pendingFiles.value[id] = file
+      if (!file) return
+      pendingFiles.value[id] = file
+      persistence.putFile(id, file).catch((error) => {
+        logger.warn(`Failed to store pending file for ${id}:`, error)
+      })
     },
 
     get: (id) => pendingFiles.value[id] || null,
 
+    // Falls back to the stored copy when the file was picked before a reload
+    load: async (id) => {
+      try {
+        return fileOps.get(id) || await persistence.getFile(id)
+      } catch (error) {
+        logger.warn(`Failed to read pending file for ${id}:`, error)
+        return null
+      }
+    },
+
     move: (fromId, toId) => {
       const file = fileOps.get(fromId)
       if (file) {
-        fileOps.set(toId, file)
-        fileOps.delete(fromId)
+        pendingFiles.value[toId] = file
+        delete pendingFiles.value[fromId]
       }
+      persistence.moveFile(fromId, toId).catch((error) => {
+        logger.warn(`Failed to move pending file from ${fromId} to ${toId}:`, error)
+      })
     },
 
     delete: (id) => {
       delete pendingFiles.value[id]
+      persistence.deleteFile(id).catch((error) => {
+        logger.warn(`Failed to remove pending file for ${id}:`, error)
+      })
     }
   }
 
+  restoreConflicts()
+
+  // Cross-tab coordination: mirror other tabs' saves, and as leader sync on their behalf
+  tabCoordinator.on(TAB_MESSAGES.BOOKS_CHANGED, async () => {
+    await loadFromStorage()
+    syncConflicts.value = await loadConflicts()
+  })
+  tabCoordinator.on(TAB_MESSAGES.SYNC_REQUESTED, () => syncWithBackend())
+  tabCoordinator.on(TAB_MESSAGES.ENQUEUE_REQUESTED, ({ resource, data, tempId }) => {
+    if (resource === 'books' && tabCoordinator.isLeader()) {
+      fileOps.set(tempId || data.id, data.coverFile)
+    }
+  })
+
   // Getters (computed)
   const sortedBooks = computed(() => sortBooks(books.value))
 
   const inProgressBooks = computed(() =>
-    books.value.filter(book => !book.year && !book.month)
+    books.value.filter(book => BOOK_STATUS.isReading(book))
   )
 
   const completedBooks = computed(() =>
-    books.value.filter(book => book.year && book.month)
+    books.value.filter(book => !BOOK_STATUS.isReading(book) && !BOOK_STATUS.isToRead(book))
   )
 
   // Actions (functions)
@@ -82,10 +133,13 @@ export const useBooksStore = defineStore('books', () => {
     const book = books.value.find(b => b.id === tempId)
     if (!book) return
 
+    // The realtime echo of this create may have arrived before the API response
+    books.value = books.value.filter(b => b.id !== backendId)
+
     book.id = backendId
     pendingIdMap.value[tempId] = backendId
     fileOps.move(tempId, backendId)
-    saveToLocalStorage()
+    saveToStorage()
   }
 
   /**
@@ -96,10 +150,18 @@ export const useBooksStore = defineStore('books', () => {
       logger.info('Connection restored, processing sync queue')
       await syncWithBackend()
     }
+
+    if (online) {
+      // Subscribe before catching up so no change falls between the two
+      await startRealtime()
+      await refreshFromBackend()
+    } else {
+      await stopRealtime()
+    }
   }
 
   /**
-   * Load books from backend or localStorage
+   * Load books from backend or local storage
    */
   async function loadBooks() {
     booksLoading.value = true
@@ -108,28 +170,40 @@ export const useBooksStore = defineStore('books', () => {
       // Try loading from backend if online
       if (isOnline.value) {
         try {
-          const backendBooks = await booksApi.getBooks()
-
-          // API is available
-          setApiAvailability(true)
+          const syncCursor = await loadSyncCursor()
 
-          if (backendBooks.length > 0) {
-            // Backend has data, use it
-            books.value = backendBooks
-            saveToLocalStorage()
-            lastSyncTime.value = new Date()
-            logger.info(`Loaded ${books.value.length} books from backend`)
+          if (syncCursor && await loadFromStorage()) {
+            // Local copy is in sync up to the cursor, fetch only what changed since
+            await pullRemoteChanges(syncCursor)
           } else {
-            // Backend has no data, check localStorage for migration
-            const hasLocalData = await loadFromLocalStorage()
-
-            if (hasLocalData) {
-              // Mark for migration
-              markForMigration()
-              logger.info('Loaded books from localStorage, marked for migration')
+            const backendBooks = await booksApi.getBooks()
+
+            // API is available
+            setApiAvailability(true)
+
+            if (backendBooks.length > 0) {
+              // Backend has data, use it, along with local books a stopped migration has yet to send
+              let unmigratedBooks = []
+              if (needsMigration() && await loadFromStorage()) {
+                unmigratedBooks = books.value.filter(book => isTempId(book.id))
+              }
+              books.value = [...backendBooks, ...unmigratedBooks]
+              saveToStorage()
+              saveSyncCursor(backendBooks)
+              lastSyncTime.value = new Date()
+              logger.info(`Loaded ${books.value.length} books from backend`)
             } else {
-              // No data anywhere, load defaults
-              loadDefaultBooks()
+              // Backend has no data, check local storage for migration
+              const hasLocalData = await loadFromStorage()
+
+              if (hasLocalData) {
+                // Mark for migration
+                markForMigration()
+                logger.info('Loaded books from local storage, marked for migration')
+              } else {
+                // No data anywhere, load defaults
+                loadDefaultBooks()
+              }
             }
           }
 
@@ -137,18 +211,20 @@ export const useBooksStore = defineStore('books', () => {
         } catch (error) {
           // Backend error, mark API as unavailable
           setApiAvailability(false)
-          logger.warn('Failed to load from backend, using localStorage:', error)
-          await loadFromLocalStorage() || loadDefaultBooks()
+          logger.warn('Failed to load from backend, using local storage:', error)
+          await loadFromStorage() || loadDefaultBooks()
         }
       } else {
-        // Offline, load from localStorage
-        await loadFromLocalStorage() || loadDefaultBooks()
+        // Offline, load from local storage
+        await loadFromStorage() || loadDefaultBooks()
       }
 
       // Check if we need to migrate
       if (needsMigration()) {
         await performMigration()
       }
+
+      startRealtime()
     } catch (error) {
       logger.error('Failed to load books:', error)
       lastError.value = 'Failed to load books'
@@ -158,20 +234,248 @@ export const useBooksStore = defineStore('books', () => {
   }
 
   /**
-   * Load books from localStorage
-   * @returns {boolean} True if data was loaded
+   * Pull books changed on the server since the last load into the store
+   * Deletions are found by comparing local IDs with the server's ID list.
+   * Books with queued local changes keep their local version; their own
+   * sync handles any conflict with the server copy.
+   * @param {string} since - Sync cursor (newest server updatedAt already loaded)
+   */
+  async function pullRemoteChanges(since) {
+    const [changedBooks, remoteIds] = await Promise.all([
+      booksApi.getBooksUpdatedSince(since),
+      booksApi.getBookIds()
+    ])
+    setApiAvailability(true)
+
+    const remoteIdSet = new Set(remoteIds)
+    const pendingIds = getPendingBookIds()
+
+    // Temp IDs are not on the server yet, so they never count as deleted
+    const keptBooks = books.value.filter(book =>
+      isTempId(book.id) || remoteIdSet.has(book.id) || pendingIds.has(book.id)
+    )
+    const removedCount = books.value.length - keptBooks.length
+    books.value = keptBooks
+
+    changedBooks
+      .filter(remoteBook => !pendingIds.has(remoteBook.id))
+      .forEach((remoteBook) => {
+        const index = books.value.findIndex(book => book.id === remoteBook.id)
+        if (index === -1) {
+          books.value.push(remoteBook)
+        } else {
+          books.value[index] = remoteBook
+        }
+      })
+
+    saveToStorage()
+    saveSyncCursor(changedBooks, since)
+    lastSyncTime.value = new Date()
+    logger.info(`Delta sync: ${changedBooks.length} changed, ${removedCount} removed`)
+  }
+
+  /**
+   * Books with queued operations (their local version must not be replaced)
+   * @returns {Set<string>} Book IDs
    */
-  function loadFromLocalStorage() {
+  function getPendingBookIds() {
+    return new Set(
+      syncQueue.getPendingOperations()
+        .filter(op => op.resource === 'books' && op.data?.id)
+        .map(op => op.data.id)
+    )
+  }
+
+  /**
+   * Apply a realtime change from another device (or the echo of this device's own change)
+   * Books with queued local changes are left alone; their sync resolves the difference.
+   * The sync cursor is not advanced, so changes missed while disconnected are still
+   * picked up by the next delta sync.
+   * @param {Object} change - { action: 'create'|'update'|'delete', book }
+   */
+  function applyRemoteChange({ action, book: remoteBook }) {
+    if (getPendingBookIds().has(remoteBook.id)) return
+
+    const index = books.value.findIndex(book => book.id === remoteBook.id)
+
+    if (action === 'delete') {
+      if (index === -1) return
+      books.value.splice(index, 1)
+    } else if (index === -1) {
+      books.value.push(remoteBook)
+    } else {
+      books.value[index] = remoteBook
+    }
+
+    saveToStorage()
+    logger.debug(`Realtime ${action} applied to book ${remoteBook.id}`)
+  }
+
+  /**
+   * Subscribe to realtime book changes (no-op if already subscribed, offline or a guest)
+   * @returns {Promise<Function|null>} Unsubscribe function, or null if not subscribed
+   */
+  function startRealtime() {
+    if (realtimeSubscription || !isOnline.value || isGuestMode()) {
+      return realtimeSubscription ?? Promise.resolve(null)
+    }
+
+    const subscription = booksApi.subscribeToBooks(applyRemoteChange)
+      .then((unsubscribe) => {
+        logger.info('Subscribed to realtime book changes')
+        return unsubscribe
+      })
+      .catch((error) => {
+        logger.warn('Failed to subscribe to realtime changes:', error)
+        if (realtimeSubscription === subscription) realtimeSubscription = null
+        return null
+      })
+
+    realtimeSubscription = subscription
+    return subscription
+  }
+
+  /**
+   * Stop realtime book changes
+   */
+  async function stopRealtime() {
+    const subscription = realtimeSubscription
+    realtimeSubscription = null
+
+    const unsubscribe = await subscription
+    if (!unsubscribe) return
+
     try {
-      const stored = localStorage.getItem(STORAGE_KEY)
-      if (stored) {
-        const parsed = JSON.parse(stored)
-        books.value = parsed.map(deserializeBook)
-        logger.info(`Loaded ${books.value.length} books from localStorage`)
+      await unsubscribe()
+      logger.info('Unsubscribed from realtime book changes')
+    } catch (error) {
+      logger.warn('Failed to unsubscribe from realtime changes:', error)
+    }
+  }
+
+  /**
+   * Fetch changes made on other devices since the last load
+   * Does nothing until a full load has set the sync cursor
+   */
+  async function refreshFromBackend() {
+    const syncCursor = await loadSyncCursor()
+    if (!syncCursor || !isOnline.value || isGuestMode()) return
+
+    try {
+      await pullRemoteChanges(syncCursor)
+    } catch (error) {
+      logger.warn('Failed to fetch remote changes:', error)
+    }
+  }
+
+  /**
+   * Load the delta sync cursor for the signed-in user
+   * @returns {Promise<string|null>} ISO timestamp, or null if a full load is needed
+   */
+  async function loadSyncCursor() {
+    const userId = authManager.getCurrentUser()?.id
+    if (!userId) return null
+
+    try {
+      const cursor = await persistence.getValue(SYNC_CURSOR_VALUE)
+      return cursor?.userId === userId ? cursor.updatedAt : null
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Advance the delta sync cursor to the newest updatedAt in a set of server books
+   * @param {Array} serverBooks - Books loaded from the server
+   * @param {string|null} previous - Current cursor, kept if no book is newer
+   */
+  function saveSyncCursor(serverBooks, previous = null) {
+    const userId = authManager.getCurrentUser()?.id
+    // The cursor describes the stored books, which this version did not write
+    if (!userId || storageOutdated.value) return
+
+    const latest = serverBooks.reduce((newest, book) => {
+      const updatedAt = book.updatedAt ? new Date(book.updatedAt).getTime() : 0
+      return Math.max(newest, updatedAt)
+    }, previous ? new Date(previous).getTime() : 0)
+
+    if (!latest) return
+
+    persistence.setValue(SYNC_CURSOR_VALUE, {
+      userId,
+      updatedAt: new Date(latest).toISOString()
+    }).catch((error) => {
+      logger.error('Failed to save sync cursor:', error)
+    })
+  }
+
+  /**
+   * Load unresolved sync conflicts from local storage
+   * @returns {Promise<Array>} Conflicts (see booksApi.updateBookFromBase)
+   */
+  async function loadConflicts() {
+    try {
+      return await persistence.getValue(CONFLICTS_VALUE) || []
+    } catch (error) {
+      logger.error('Failed to load sync conflicts:', error)
+      return []
+    }
+  }
+
+  // Restore stored conflicts on startup, keeping any recorded while loading
+  async function restoreConflicts() {
+    const stored = await loadConflicts()
+    const recordedIds = new Set(syncConflicts.value.map(conflict => conflict.bookId))
+    syncConflicts.value = [
+      ...stored.filter(conflict => !recordedIds.has(conflict.bookId)),
+      ...syncConflicts.value
+    ]
+  }
+
+  // Save unresolved sync conflicts to local storage
+  function saveConflicts() {
+    return persistence.setValue(CONFLICTS_VALUE, syncConflicts.value)
+      .then(() => tabCoordinator.broadcast(TAB_MESSAGES.BOOKS_CHANGED))
+      .catch((error) => {
+        logger.error('Failed to save sync conflicts:', error)
+      })
+  }
+
+  /**
+   * Load books from local storage
+   * @returns {Promise<boolean>} True if data was loaded
+   */
+  async function loadFromStorage() {
+    try {
+      const [stored, version] = await Promise.all([
+        persistence.getRecords(STORES.BOOKS),
+        persistence.getValue(VERSION_VALUE)
+      ])
+
+      // An empty library still counts as data once it has been saved
+      if (stored && (stored.length > 0 || version)) {
+        books.value = upgradeStoredBooks(stored, version).map(deserializeBook)
+
+        // Keep invalid books rather than lose local data, but make them visible in logs
+        books.value.forEach((book) => {
+          const errors = validateBook(book)
+          if (errors.length > 0) {
+            logger.warn(`Stored book "${book.name}" does not match schema: ${errors.join(', ')}`)
+          }
+        })
+        logger.info(`Loaded ${books.value.length} books from local storage`)
         return true
       }
       return false
     } catch (error) {
+      if (error instanceof UnsupportedSchemaVersionError) {
+        // Saved by a newer release (e.g. in another tab): keep it as it is until this tab updates
+        logger.warn(`Stored books use schema ${error.version}, leaving local storage untouched`)
+        storageOutdated.value = true
+        lastError.value = 'Local data is from a newer version of the app'
+        return false
+      }
+
       const errorMessage = handleStorageError(error, { operation: 'load' })
       lastError.value = errorMessage
       books.value = []
@@ -179,8 +483,10 @@ export const useBooksStore = defineStore('books', () => {
     }
   }
 
-  // Load default mock books
+  // Load default mock books (not over a library this version cannot read)
   function loadDefaultBooks() {
+    if (storageOutdated.value) return
+
     const now = new Date()
     const currentYear = now.getFullYear()
     const currentMonth = now.getMonth() + 1
@@ -193,6 +499,7 @@ export const useBooksStore = defineStore('books', () => {
           author: bookTemplate.author || null,
           coverLink: bookTemplate.coverLink || null,
           coverDisplayLink: bookTemplate.coverLink || null,
+          status: BOOK_STATUS.READING,
           year: null,
           month: null,
           attributes: { ...DEFAULT_BOOK_ATTRIBUTES },
@@ -209,6 +516,7 @@ export const useBooksStore = defineStore('books', () => {
         author: bookTemplate.author || null,
         coverLink: bookTemplate.coverLink || null,
         coverDisplayLink: bookTemplate.coverLink || null,
+        status: BOOK_STATUS.READ,
         year,
         month,
         attributes: { ...DEFAULT_BOOK_ATTRIBUTES },
@@ -217,29 +525,37 @@ export const useBooksStore = defineStore('books', () => {
     })
 
     books.value = mockBooks
-    saveToLocalStorage()
+    saveToStorage()
   }
 
-  // Save books to localStorage
-  function saveToLocalStorage() {
-    try {
-      const serialized = books.value.map(serializeBook)
-      const data = JSON.stringify(serialized)
-      localStorage.setItem(STORAGE_KEY, data)
-      lastError.value = null
-    } catch (error) {
-      const sizeKB = Math.round(JSON.stringify(books.value).length / 1024)
-      const errorMessage = handleStorageError(error, {
-        operation: 'save',
-        itemCount: books.value.length,
-        sizeKB
-      })
-      lastError.value = errorMessage
+  // Save books to local storage (only changed books are written)
+  function saveToStorage() {
+    if (storageOutdated.value) {
+      logger.warn('Not saving books: local storage holds a newer schema')
+      return Promise.resolve()
     }
+
+    return Promise.all([
+      persistence.saveRecords(STORES.BOOKS, books.value.map(serializeBook)),
+      persistence.setValue(VERSION_VALUE, CURRENT_SCHEMA_VERSION)
+    ])
+      .then(() => {
+        tabCoordinator.broadcast(TAB_MESSAGES.BOOKS_CHANGED)
+        lastError.value = null
+      })
+      .catch((error) => {
+        const sizeKB = Math.round(JSON.stringify(books.value).length / 1024)
+        const errorMessage = handleStorageError(error, {
+          operation: 'save',
+          itemCount: books.value.length,
+          sizeKB
+        })
+        lastError.value = errorMessage
+      })
   }
 
   /**
-   * Migrate localStorage data to backend using migration service
+   * Migrate locally stored data to backend using migration service
    */
   async function performMigration() {
     syncStatus.value = 'syncing'
@@ -258,8 +574,13 @@ export const useBooksStore = defineStore('books', () => {
             pendingIdMap.value[oldId] = newId
           }
         })
-        // Save updated books to localStorage
-        saveToLocalStorage()
+        // Save updated books to local storage
+        saveToStorage()
+      },
+      (migrated, total) => {
+        window.dispatchEvent(new CustomEvent('migration-progress', {
+          detail: { migrated, total }
+        }))
       }
     )
 
@@ -278,14 +599,24 @@ export const useBooksStore = defineStore('books', () => {
         lastError.value = 'Failed to migrate data to backend'
         // Emit error event for toast notification
         window.dispatchEvent(new CustomEvent('migration-error', {
-          detail: { error: result.error }
+          detail: { error: result.error, migratedCount: result.migratedCount ?? 0 }
         }))
       }
     }
   }
 
+  /**
+   * Send a queued change, unless a bulk change (see importBooks) is still queueing
+   */
+  function requestSync() {
+    if (!syncDeferred) {
+      syncWithBackend()
+    }
+  }
+
   /**
    * Sync with backend
+   * Also sends queued tag list changes (see stores/tags)
    */
   async function syncWithBackend() {
     if (!isOnline.value || isGuestMode() || syncQueue.isQueueProcessing()) {
@@ -296,9 +627,9 @@ export const useBooksStore = defineStore('books', () => {
       syncStatus.value = 'syncing'
 
       const results = await syncQueue.processQueue(
-        booksApi.getSyncHandlers(replaceTempId),
+        { ...booksApi.getSyncHandlers(replaceTempId), ...tagsApi.getSyncHandlers() },
         handleSyncProgress,
-        fileOps.get // Pass getter directly
+        fileOps.load // Pass loader directly
       )
 
       setApiAvailability(true)
@@ -310,6 +641,12 @@ export const useBooksStore = defineStore('books', () => {
       if (results.failed.length > 0) {
         lastError.value = `Sync completed with ${results.failed.length} errors`
       }
+
+      if (results.conflicts.length > 0) {
+        window.dispatchEvent(new CustomEvent('sync-conflict', {
+          detail: { count: results.conflicts.length }
+        }))
+      }
     } catch (error) {
       setApiAvailability(false)
       logger.error('Sync failed:', error)
@@ -323,20 +660,95 @@ export const useBooksStore = defineStore('books', () => {
 
     if (status === 'success' && result?.id) {
       fileOps.delete(result.id)
+      applyServerVersion(result)
+    }
+
+    if (status === 'conflict' && result?.bookId) {
+      syncConflicts.value = [
+        ...syncConflicts.value.filter(conflict => conflict.bookId !== result.bookId),
+        result
+      ]
+      saveConflicts()
     }
   }
 
-  // Add a new book
-  function addBook(name, year = null, month = null, author = null, coverLink = null, coverFile = null, isUnfinished = false, score = null) {
+  /**
+   * Take the server's copy of a synced book
+   * Keeps updatedAt current so the next edit is checked against the right base version
+   * Skipped while further edits to the book are queued
+   */
+  function applyServerVersion(serverBook) {
+    const book = books.value.find(b => b.id === serverBook.id)
+    if (!book || !serverBook.updatedAt) return
+    if (syncQueue.findDuplicate(OPERATION_TYPES.UPDATE, 'books', { id: book.id })) return
+
+    Object.assign(book, pickMergeFields(serverBook), {
+      coverDisplayLink: serverBook.coverDisplayLink ?? book.coverDisplayLink,
+      updatedAt: serverBook.updatedAt
+    })
+    saveToStorage()
+  }
+
+  /**
+   * Resolve a sync conflict by choosing a side for each conflicting field
+   * Fields that merged cleanly keep their merged value; the result is queued
+   * as a new edit on top of the remote version
+   * @param {string} bookId - Book ID
+   * @param {Object} choices - Map of conflicting field to 'local' or 'remote' (default 'local')
+   * @returns {boolean} True if the conflict was found and resolved
+   */
+  function resolveSyncConflict(bookId, choices = {}) {
+    const conflict = syncConflicts.value.find(c => c.bookId === bookId)
+    if (!conflict) return false
+
+    const resolved = pickMergeFields(conflict.merged)
+    conflict.fields.forEach((field) => {
+      const source = choices[field] === 'remote' ? conflict.remote : conflict.local
+      applyMergeField(resolved, field, source)
+    })
+
+    syncConflicts.value = syncConflicts.value.filter(c => c.bookId !== bookId)
+    saveConflicts()
+
+    const book = books.value.find(b => b.id === bookId)
+    if (!book) {
+      logger.info(`Dropped sync conflict for missing book ${bookId}`)
+      return true
+    }
+
+    // Rebase on the remote version, then apply the resolution as a normal edit
+    Object.assign(book, pickMergeFields(conflict.remote), {
+      updatedAt: new Date(conflict.remote.updatedAt)
+    })
+    updateBookFields(bookId, resolved)
+
+    logger.info(`Resolved sync conflict for book ${bookId}`)
+    return true
+  }
+
+  // Add a new book (without a status it is read when given a date, otherwise being read)
+  // Reading details go in the options: { status, day, startDate, pastReads, pageCount, progress, tags }
+  function addBook(name, year = null, month = null, author = null, coverLink = null, coverFile = null, isUnfinished = false, score = null, options = {}) {
+    const { status = null, day = null, startDate = null, pastReads = [], pageCount = null, progress = [], tags = [] } = options
     const tempId = generateTempId()
+    const readingStatus = normalizeBookStatus({ status, year, month, day })
+    const readingStart = normalizeStartDate(startDate)
+    const earlierReads = normalizePastReads(pastReads)
+    const totalPages = normalizePageCount(pageCount)
+    const progressHistory = normalizeReadingProgress(progress)
+    const bookTags = normalizeBookTags(tags)
     const book = {
       id: tempId,
       name,
       author,
       coverLink,
       coverDisplayLink: coverLink,
-      year,
-      month,
+      ...readingStatus,
+      startDate: readingStart,
+      pastReads: earlierReads,
+      pageCount: totalPages,
+      progress: progressHistory,
+      tags: bookTags,
       attributes: {
         isUnfinished,
         score: score ?? null
@@ -347,23 +759,28 @@ export const useBooksStore = defineStore('books', () => {
     fileOps.set(tempId, coverFile)
 
     books.value.push(book)
-    saveToLocalStorage()
+    saveToStorage()
 
-    if (isOnline.value && !isGuestMode()) {
+    // Queued offline too, syncWithBackend waits for the connection
+    if (!isGuestMode()) {
       syncQueue.enqueue(OPERATION_TYPES.CREATE, 'books', {
         name,
         author,
         coverLink,
         coverFile,
-        year,
-        month,
+        ...readingStatus,
+        startDate: readingStart,
+        pastReads: earlierReads,
+        pageCount: totalPages,
+        progress: progressHistory,
+        tags: bookTags,
         attributes: {
           isUnfinished,
           score: score ?? null
         }
       }, tempId)
 
-      syncWithBackend()
+      requestSync()
     }
 
     return book
@@ -372,11 +789,18 @@ export const useBooksStore = defineStore('books', () => {
   /**
    * Generic field updater - consolidates all update operations
    * Public API for flexible book updates
+   * status, year, month and day are expected together (see normalizeBookStatus)
    */
   function updateBookFields(id, updates) {
     const book = books.value.find(b => b.id === id)
     if (!book) return false
 
+    // Version this edit is made from, for conflict detection during sync
+    const base = {
+      updatedAt: book.updatedAt instanceof Date ? book.updatedAt.toISOString() : book.updatedAt ?? null,
+      fields: pickMergeFields(book)
+    }
+
     // Handle file separately
     const { coverFile, ...bookUpdates } = updates
     fileOps.set(id, coverFile)
@@ -394,21 +818,29 @@ export const useBooksStore = defineStore('books', () => {
       book.coverDisplayLink = updates.coverLink
     }
 
-    saveToLocalStorage()
+    saveToStorage()
 
-    // Queue sync
-    if (!isTempId(id) && isOnline.value && !isGuestMode()) {
+    // Queue sync (edits to a book not created on the server yet are folded into its CREATE)
+    if (!isGuestMode()) {
       syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'books', {
         id,
         name: book.name,
         author: book.author,
         coverLink: book.coverLink,
         coverFile: fileOps.get(id),
+        status: book.status,
         year: book.year,
         month: book.month,
-        attributes: book.attributes
+        day: book.day,
+        startDate: book.startDate,
+        pastReads: book.pastReads,
+        pageCount: book.pageCount,
+        progress: book.progress,
+        tags: book.tags ?? [],
+        attributes: book.attributes,
+        base
       })
-      syncWithBackend()
+      requestSync()
     }
 
     return true
@@ -416,31 +848,123 @@ export const useBooksStore = defineStore('books', () => {
 
   // Update an existing book (full update)
   function updateBook(id, name, year = null, month = null, author = null, coverLink = null) {
-    return updateBookFields(id, { name, author, coverLink, year, month })
+    return updateBookFields(id, { name, author, coverLink, ...normalizeBookStatus({ year, month }) })
   }
 
-  // Update book status (year and month only)
-  function updateBookStatus(id, year = null, month = null, isUnfinished = false, score = null) {
+  // Update book status and read date (without a status the book is read when given a date)
+  function updateBookStatus(id, year = null, month = null, isUnfinished = false, score = null, status = null, day = null) {
+    const readingStatus = normalizeBookStatus({ status, year, month, day })
+
     // Clear score when setting to in-progress
-    const finalScore = (year === null && month === null) ? 0 : score
+    const finalScore = readingStatus.status === BOOK_STATUS.READING ? 0 : score
 
     return updateBookFields(id, {
-      year,
-      month,
+      ...readingStatus,
       attributes: { isUnfinished, score: finalScore }
     })
   }
 
+  /**
+   * Start reading a book again
+   * The current reading moves to pastReads with its dates, unfinished flag and score,
+   * and the book becomes in progress with no progress yet
+   * @param {string} id - Book ID
+   * @returns {boolean} True if the book was found and has a finished reading to keep
+   */
+  function startRereading(id) {
+    const book = books.value.find(b => b.id === id)
+    if (!book || !BOOK_STATUS.hasReadDate(book)) return false
+
+    const finishedReading = {
+      year: book.year,
+      month: book.month,
+      day: book.day ?? null,
+      startDate: book.startDate ?? null,
+      isUnfinished: book.attributes?.isUnfinished ?? false,
+      score: book.attributes?.score ?? null
+    }
+
+    return updateBookFields(id, {
+      ...normalizeBookStatus({ status: BOOK_STATUS.READING }),
+      startDate: null,
+      pastReads: normalizePastReads([finishedReading, ...(book.pastReads || [])]),
+      progress: [],
+      attributes: { isUnfinished: false, score: null }
+    })
+  }
+
+  /**
+   * Record how far into a book the reader is
+   * A page is converted to a percentage (and back) using the book's page count;
+   * a second update on the same day replaces the first
+   * @param {string} id - Book ID
+   * @param {Object} update - { page } or { percent }
+   * @param {number|null} pageCount - Total pages, saved with the update when given
+   * @returns {boolean} True if the book was found and the update was valid
+   */
+  function updateReadingProgress(id, update, pageCount = null) {
+    const book = books.value.find(b => b.id === id)
+    if (!book) return false
+
+    const totalPages = normalizePageCount(pageCount) ?? book.pageCount ?? null
+    const entry = createProgressEntry(update, totalPages)
+    if (!entry) return false
+
+    return updateBookFields(id, {
+      pageCount: totalPages,
+      progress: addProgressEntry(book.progress, entry)
+    })
+  }
+
+  /**
+   * Update one of a book's earlier readings
+   * @param {string} id - Book ID
+   * @param {number} index - Position in pastReads
+   * @param {Object} updates - Reading fields to change (e.g. { score })
+   * @returns {boolean} True if the reading was found
+   */
+  function updatePastRead(id, index, updates) {
+    const book = books.value.find(b => b.id === id)
+    if (!book?.pastReads?.[index]) return false
+
+    const pastReads = book.pastReads.map((reading, i) => i === index ? { ...reading, ...updates } : reading)
+    return updateBookFields(id, { pastReads: normalizePastReads(pastReads) })
+  }
+
+  /**
+   * Remove one of a book's earlier readings
+   * @param {string} id - Book ID
+   * @param {number} index - Position in pastReads
+   * @returns {boolean} True if the reading was found
+   */
+  function deletePastRead(id, index) {
+    const book = books.value.find(b => b.id === id)
+    if (!book?.pastReads?.[index]) return false
+
+    return updateBookFields(id, { pastReads: book.pastReads.filter((_, i) => i !== index) })
+  }
+
+  /**
+   * Take a deleted tag off every book carrying it (see stores/tags deleteTag)
+   * @param {string} tagId - Tag ID
+   * @returns {number} Number of books changed
+   */
+  function removeTagFromBooks(tagId) {
+    const tagged = books.value.filter(book => book.tags?.includes(tagId))
+    tagged.forEach(book => updateBookFields(book.id, { tags: book.tags.filter(id => id !== tagId) }))
+    return tagged.length
+  }
 
   // Delete a book
   function deleteBook(id) {
     const index = books.value.findIndex(b => b.id === id)
     if (index !== -1) {
       books.value.splice(index, 1)
-      saveToLocalStorage()
+      fileOps.delete(id)
+      saveToStorage()
 
-      // Queue for sync if not a temp ID and authenticated
-      if (!isTempId(id) && isOnline.value && !isGuestMode()) {
+      // Queue for sync if authenticated (a temp ID cancels the book's pending CREATE)
+      if (!isGuestMode()) {
         syncQueue.enqueue(OPERATION_TYPES.DELETE, 'books', { id })
         syncWithBackend()
       }
@@ -450,6 +974,68 @@ export const useBooksStore = defineStore('books', () => {
     return false
   }
 
+  /**
+   * Remove a book that only exists on this device, without queueing a delete
+   * Used when its CREATE is discarded from the sync queue
+   * @param {string} id - Temporary book ID
+   * @returns {boolean} True if the book was removed
+   */
+  function discardLocalBook(id) {
+    const index = books.value.findIndex(b => b.id === id)
+    if (index === -1) return false
+
+    books.value.splice(index, 1)
+    fileOps.delete(id)
+    saveToStorage()
+    return true
+  }
+
+  /**
+   * Apply an import plan (see services/dataImport buildImportPlan)
+   * Goes through addBook/updateBookFields so changes are queued for sync
+   * @param {Object} plan - { toAdd: Array<book>, toUpdate: Array<{id, updates}> }
+   * @returns {Object} { added, updated } counts
+   */
+  function importBooks({ toAdd = [], toUpdate = [] }) {
+    // Queue every change first, so one sync sends the new books in batches
+    syncDeferred = true
+    let updated
+    try {
+      toAdd.forEach(book => {
+        addBook(
+          book.name,
+          book.year ?? null,
+          book.month ?? null,
+          book.author ?? null,
+          book.coverLink ?? null,
+          book.coverFile ?? null,
+          book.attributes?.isUnfinished ?? false,
+          book.attributes?.score ?? null,
+          {
+            status: book.status ?? null,
+            day: book.day ?? null,
+            startDate: book.startDate ?? null,
+            pastReads: book.pastReads ?? [],
+            pageCount: book.pageCount ?? null,
+            progress: book.progress ?? [],
+            tags: book.tags ?? []
+          }
+        )
+      })
+
+      updated = toUpdate.filter(({ id, updates }) => updateBookFields(id, updates)).length
+    } finally {
+      syncDeferred = false
+    }
+
+    if (toAdd.length > 0 || updated > 0) {
+      syncWithBackend()
+    }
+
+    logger.info(`Imported books: ${toAdd.length} added, ${updated} updated`)
+    return { added: toAdd.length, updated }
+  }
+
   // Find a book by ID
   function findBookById(id) {
     return books.value.find(b => b.id === id)
@@ -466,6 +1052,9 @@ export const useBooksStore = defineStore('books', () => {
     syncStatus.value = 'idle'
     lastSyncTime.value = null
     pendingIdMap.value = {}
+    syncConflicts.value = []
+    storageOutdated.value = false
+    stopRealtime()
   }
 
   return {
@@ -475,6 +1064,8 @@ export const useBooksStore = defineStore('books', () => {
     booksLoading,
     syncStatus,
     lastSyncTime,
+    syncConflicts,
+    storageOutdated,
     isOnline,
     // Getters
     sortedBooks,
@@ -483,14 +1074,25 @@ export const useBooksStore = defineStore('books', () => {
     // Actions
     loadBooks,
     loadDefaultBooks,
-    saveToLocalStorage,
+    saveToStorage,
     addBook,
     updateBook,
     updateBookStatus,
     updateBookFields,
+    startRereading,
+    updateReadingProgress,
+    updatePastRead,
+    deletePastRead,
+    removeTagFromBooks,
     deleteBook,
+    discardLocalBook,
+    importBooks,
+    resolveSyncConflict,
     findBookById,
     syncWithBackend,
+    refreshFromBackend,
+    startRealtime,
+    stopRealtime,
     performMigration,
     $reset
   }
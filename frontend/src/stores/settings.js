@@ -2,11 +2,13 @@ import { defineStore } from 'pinia'
 import { ref } from 'vue'
 import { settingsApi, DEFAULT_SETTINGS } from '@/services/settingsApi'
 import { syncQueue, OPERATION_TYPES } from '@/services/syncQueue'
+import { tabCoordinator, TAB_MESSAGES } from '@/services/tabCoordinator'
+import { persistence } from '@/services/persistence'
 import { useOnlineStatus, setApiAvailability } from '@/composables/useOnlineStatus'
 import { isGuestMode } from '@/services/guestMode'
 import { logger } from '@/utils/logger'
 
-const STORAGE_KEY = 'readtrail-settings'
+const SETTINGS_VALUE = 'settings' // Stored value name (see services/persistence)
 const MIGRATION_FLAG_KEY = 'readtrail-settings-migration'
 
 // Old localStorage keys (for migration)
@@ -17,7 +19,7 @@ const OLD_KEYS = {
 }
 
 /**
- * Settings store with PocketBase sync and localStorage fallback
+ * Settings store with PocketBase sync and local storage fallback
  * Follows the same pattern as books.js
  */
 export const useSettingsStore = defineStore('settings', () => {
@@ -28,7 +30,8 @@ export const useSettingsStore = defineStore('settings', () => {
     allowScoring: true,
     lastLibraryView: 'timeline',
     hideUnfinished: true,
-    hideToRead: true
+    hideToRead: true,
+    filterTags: [] // Tag IDs, books with any of them are shown
   })
 
   const settingsLoading = ref(false)
@@ -36,6 +39,9 @@ export const useSettingsStore = defineStore('settings', () => {
   const lastError = ref(null)
   const { isOnline } = useOnlineStatus(handleOnlineStatusChange)
 
+  // As leader tab, sync on behalf of other tabs (see services/tabCoordinator)
+  tabCoordinator.on(TAB_MESSAGES.SYNC_REQUESTED, () => syncWithBackend())
+
   /**
    * Handle online status changes
    */
@@ -57,12 +63,13 @@ export const useSettingsStore = defineStore('settings', () => {
       allowScoring: newSettings.allowScoring ?? true,
       lastLibraryView: newSettings.lastLibraryView ?? 'timeline',
       hideUnfinished: newSettings.hideUnfinished ?? true,
-      hideToRead: newSettings.hideToRead ?? true
+      hideToRead: newSettings.hideToRead ?? true,
+      filterTags: newSettings.filterTags ?? []
     }
   }
 
   /**
-   * Load settings from backend or localStorage
+   * Load settings from backend or local storage
    */
   async function loadSettings() {
     settingsLoading.value = true
@@ -76,18 +83,18 @@ export const useSettingsStore = defineStore('settings', () => {
           if (backendSettings) {
             // Backend has data, use it (OVERWRITES local)
             applySettings(backendSettings)
-            saveToLocalStorage()
+            saveToStorage()
             setApiAvailability(true)
             logger.info('[SettingsStore] Loaded settings from backend')
           } else {
-            // Backend returned null (guest or no data), check localStorage
-            const hasLocalData = loadFromLocalStorage()
+            // Backend returned null (guest or no data), check local storage
+            const hasLocalData = await loadFromStorage()
 
             if (hasLocalData) {
               // Mark for migration if authenticated
               if (!isGuestMode()) {
                 localStorage.setItem(MIGRATION_FLAG_KEY, 'true')
-                logger.info('[SettingsStore] Loaded settings from localStorage, marked for migration')
+                logger.info('[SettingsStore] Loaded settings from local storage, marked for migration')
               }
             } else {
               // No data anywhere, check for old format
@@ -96,7 +103,7 @@ export const useSettingsStore = defineStore('settings', () => {
               if (!migratedFromOld) {
                 // Use defaults
                 applySettings(DEFAULT_SETTINGS)
-                saveToLocalStorage()
+                saveToStorage()
                 logger.info('[SettingsStore] No settings found, using defaults')
               }
             }
@@ -106,13 +113,13 @@ export const useSettingsStore = defineStore('settings', () => {
         } catch (error) {
           // Backend error, mark API as unavailable
           setApiAvailability(false)
-          logger.warn('[SettingsStore] Failed to load from backend, using localStorage:', error)
-          loadFromLocalStorage() || migrateOldLocalStorageKeys() || applySettings(DEFAULT_SETTINGS)
+          logger.warn('[SettingsStore] Failed to load from backend, using local storage:', error)
+          await loadFromStorage() || migrateOldLocalStorageKeys() || applySettings(DEFAULT_SETTINGS)
         }
       } else {
-        // Offline, load from localStorage
-        logger.info('[SettingsStore] Offline, loading from localStorage')
-        loadFromLocalStorage() || migrateOldLocalStorageKeys() || applySettings(DEFAULT_SETTINGS)
+        // Offline, load from local storage
+        logger.info('[SettingsStore] Offline, loading from local storage')
+        await loadFromStorage() || migrateOldLocalStorageKeys() || applySettings(DEFAULT_SETTINGS)
       }
 
       // Check if we need to migrate to backend
@@ -128,21 +135,20 @@ export const useSettingsStore = defineStore('settings', () => {
   }
 
   /**
-   * Load settings from new unified localStorage key
-   * @returns {boolean} True if data was loaded
+   * Load settings from local storage
+   * @returns {Promise<boolean>} True if data was loaded
    */
-  function loadFromLocalStorage() {
+  async function loadFromStorage() {
     try {
-      const stored = localStorage.getItem(STORAGE_KEY)
+      const stored = await persistence.getValue(SETTINGS_VALUE)
       if (stored) {
-        const parsed = JSON.parse(stored)
-        applySettings(parsed)
-        logger.info('[SettingsStore] Loaded settings from localStorage')
+        applySettings(stored)
+        logger.info('[SettingsStore] Loaded settings from local storage')
         return true
       }
       return false
     } catch (error) {
-      logger.error('[SettingsStore] Failed to load settings from localStorage:', error)
+      logger.error('[SettingsStore] Failed to load settings from local storage:', error)
       lastError.value = 'Failed to load settings from local storage'
       return false
     }
@@ -167,7 +173,7 @@ export const useSettingsStore = defineStore('settings', () => {
         }
 
         applySettings(migratedSettings)
-        saveToLocalStorage()
+        saveToStorage()
 
         // Remove old keys
         Object.values(OLD_KEYS).forEach(key => localStorage.removeItem(key))
@@ -184,20 +190,22 @@ export const useSettingsStore = defineStore('settings', () => {
   }
 
   /**
-   * Save settings to new unified localStorage key
+   * Save settings to local storage
+   * @returns {Promise<void>}
    */
-  function saveToLocalStorage() {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings.value))
-      lastError.value = null
-    } catch (error) {
-      logger.error('[SettingsStore] Failed to save settings to localStorage:', error)
-      lastError.value = 'Failed to save settings to local storage'
-    }
+  function saveToStorage() {
+    return persistence.setValue(SETTINGS_VALUE, settings.value)
+      .then(() => {
+        lastError.value = null
+      })
+      .catch((error) => {
+        logger.error('[SettingsStore] Failed to save settings to local storage:', error)
+        lastError.value = 'Failed to save settings to local storage'
+      })
   }
 
   /**
-   * Migrate localStorage settings to backend
+   * Migrate locally stored settings to backend
    */
   async function migrateLocalDataToBackend() {
     if (!isOnline.value) {
@@ -211,7 +219,7 @@ export const useSettingsStore = defineStore('settings', () => {
     }
 
     try {
-      logger.info('[SettingsStore] Migrating localStorage settings to backend')
+      logger.info('[SettingsStore] Migrating local settings to backend')
       syncStatus.value = 'syncing'
 
       await settingsApi.updateSettings(settings.value)
@@ -240,8 +248,8 @@ export const useSettingsStore = defineStore('settings', () => {
 
     settings.value[key] = value
 
-    // Save to localStorage
-    saveToLocalStorage()
+    // Save to local storage
+    saveToStorage()
 
     // Queue for sync if online and authenticated
     if (isOnline.value && !isGuestMode()) {
@@ -301,7 +309,7 @@ export const useSettingsStore = defineStore('settings', () => {
    */
   function $reset() {
     applySettings(DEFAULT_SETTINGS)
-    saveToLocalStorage()
+    saveToStorage()
     lastError.value = null
     settingsLoading.value = false
     syncStatus.value = 'idle'
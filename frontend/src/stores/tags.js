@@ -0,0 +1,246 @@
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import { tagsApi } from '@/services/tagsApi'
+import { syncQueue, OPERATION_TYPES } from '@/services/syncQueue'
+import { tabCoordinator, TAB_MESSAGES } from '@/services/tabCoordinator'
+import { persistence } from '@/services/persistence'
+import { useOnlineStatus, setApiAvailability } from '@/composables/useOnlineStatus'
+import { isGuestMode } from '@/services/guestMode'
+import { useBooksStore } from '@/stores/books'
+import { normalizeTags, normalizeTagName, findTagByName, createTag as buildTag } from '@/utils/tags'
+import { logger } from '@/utils/logger'
+
+const TAGS_VALUE = 'tags' // Stored value name (see services/persistence)
+
+/**
+ * Tags store with PocketBase sync and local storage fallback
+ * Follows the same pattern as settings.js: the whole tag list is saved at once.
+ * Tag changes are queued next to the book changes that use them and sent by the
+ * books store's sync, so a tag created offline reaches the server with its books
+ */
+export const useTagsStore = defineStore('tags', () => {
+  // State - tag definitions ({ id, name, color }), books refer to them by ID
+  const tags = ref([])
+  const tagsLoading = ref(false)
+  const lastError = ref(null)
+  const { isOnline } = useOnlineStatus()
+
+  // Tags as last loaded from or queued for the server, the base of the next change
+  let syncedTags = []
+
+  // Mirror tags saved by other tabs
+  tabCoordinator.on(TAB_MESSAGES.TAGS_CHANGED, () => loadFromStorage())
+
+  /**
+   * Check for tag changes not sent to the server yet (their local version wins)
+   * @returns {boolean} True if a tags operation is queued
+   */
+  function hasPendingChanges() {
+    return syncQueue.getPendingOperations().some(op => op.resource === 'tags')
+  }
+
+  /**
+   * Load tags from backend or local storage
+   * Tags kept on this device before the account had any are uploaded
+   */
+  async function loadTags() {
+    tagsLoading.value = true
+
+    try {
+      const backendTags = isOnline.value && !hasPendingChanges()
+        ? await tagsApi.getTags()
+        : null
+
+      if (backendTags) {
+        // Backend has data, use it (OVERWRITES local)
+        tags.value = backendTags
+        syncedTags = backendTags
+        saveToStorage()
+        logger.info(`[TagsStore] Loaded ${tags.value.length} tags from backend`)
+      } else {
+        await loadFromStorage()
+
+        if (isOnline.value && !isGuestMode() && tags.value.length > 0 && !hasPendingChanges()) {
+          syncedTags = [] // The account has no tags yet
+          queueSync()
+          logger.info('[TagsStore] Queued local tags for upload')
+        }
+      }
+
+      lastError.value = null
+    } catch (error) {
+      // Backend error, mark API as unavailable
+      setApiAvailability(false)
+      logger.warn('[TagsStore] Failed to load from backend, using local storage:', error)
+      await loadFromStorage()
+    } finally {
+      tagsLoading.value = false
+    }
+  }
+
+  /**
+   * Load tags from local storage
+   * @returns {Promise<boolean>} True if data was loaded
+   */
+  async function loadFromStorage() {
+    try {
+      const stored = await persistence.getValue(TAGS_VALUE)
+      if (stored) {
+        tags.value = normalizeTags(stored)
+        // Every change is queued, so with none waiting the stored list is the synced one
+        if (!hasPendingChanges()) syncedTags = tags.value
+        return true
+      }
+      return false
+    } catch (error) {
+      logger.error('[TagsStore] Failed to load tags from local storage:', error)
+      lastError.value = 'Failed to load tags from local storage'
+      return false
+    }
+  }
+
+  /**
+   * Save tags to local storage
+   * @returns {Promise<void>}
+   */
+  function saveToStorage() {
+    return persistence.setValue(TAGS_VALUE, tags.value)
+      .then(() => {
+        tabCoordinator.broadcast(TAB_MESSAGES.TAGS_CHANGED)
+        lastError.value = null
+      })
+      .catch((error) => {
+        logger.error('[TagsStore] Failed to save tags to local storage:', error)
+        lastError.value = 'Failed to save tags to local storage'
+      })
+  }
+
+  /**
+   * Queue the tag list for sync (queued offline too, the books store sends it once online)
+   * The base list lets the server copy be merged with tag changes from other devices
+   */
+  function queueSync() {
+    syncQueue.enqueue(OPERATION_TYPES.UPDATE, 'tags', { tags: [...tags.value], base: syncedTags })
+    syncedTags = [...tags.value]
+    useBooksStore().syncWithBackend()
+  }
+
+  /**
+   * Save a changed tag list locally and queue it for sync
+   */
+  function saveTags() {
+    saveToStorage()
+
+    if (!isGuestMode()) {
+      queueSync()
+    }
+  }
+
+  /**
+   * Create a tag
+   * Names are unique ignoring case; creating an existing name returns that tag
+   * @param {string} name - Tag name
+   * @param {string|null} color - Hex color (defaults to the next palette color)
+   * @returns {Object|null} The tag, or null without a name
+   */
+  function createTag(name, color = null) {
+    const tagName = normalizeTagName(name)
+    if (!tagName) return null
+
+    const existing = findTagByName(tags.value, tagName)
+    if (existing) return existing
+
+    const tag = buildTag(tagName, color, tags.value)
+    tags.value = [...tags.value, tag]
+    saveTags()
+
+    return tag
+  }
+
+  /**
+   * Rename or recolor a tag
+   * @param {string} id - Tag ID
+   * @param {Object} updates - { name, color }
+   * @returns {boolean} True if the tag was found and the new name is free
+   */
+  function updateTag(id, updates) {
+    const tag = tags.value.find(t => t.id === id)
+    if (!tag) return false
+
+    const name = updates.name === undefined ? tag.name : normalizeTagName(updates.name)
+    const sameName = findTagByName(tags.value, name)
+    if (!name || (sameName && sameName.id !== id)) return false
+
+    tags.value = normalizeTags(tags.value.map(t =>
+      t.id === id ? { ...t, name, color: updates.color ?? t.color } : t
+    ))
+    saveTags()
+
+    return true
+  }
+
+  /**
+   * Delete a tag and take it off every book
+   * @param {string} id - Tag ID
+   * @returns {boolean} True if the tag was found
+   */
+  function deleteTag(id) {
+    if (!tags.value.some(t => t.id === id)) return false
+
+    useBooksStore().removeTagFromBooks(id)
+    tags.value = tags.value.filter(t => t.id !== id)
+    saveTags()
+
+    return true
+  }
+
+  /**
+   * Add tags from an import (see services/dataImport buildImportPlan)
+   * Tags the user already has are left as they are
+   * @param {Array} importedTags - Tag definitions
+   * @returns {number} Number of tags added
+   */
+  function importTags(importedTags) {
+    const knownIds = new Set(tags.value.map(t => t.id))
+    const added = normalizeTags(importedTags).filter(tag => !knownIds.has(tag.id))
+
+    if (added.length > 0) {
+      tags.value = [...tags.value, ...added]
+      saveTags()
+    }
+
+    logger.info(`[TagsStore] Imported ${added.length} tags`)
+    return added.length
+  }
+
+  // Find a tag by ID
+  function findTagById(id) {
+    return tags.value.find(t => t.id === id) || null
+  }
+
+  /**
+   * Reset store to initial state
+   */
+  function $reset() {
+    tags.value = []
+    syncedTags = []
+    tagsLoading.value = false
+    lastError.value = null
+  }
+
+  return {
+    // State
+    tags,
+    tagsLoading,
+    lastError,
+
+    // Actions
+    loadTags,
+    createTag,
+    updateTag,
+    deleteTag,
+    importTags,
+    findTagById,
+    $reset
+  }
+})
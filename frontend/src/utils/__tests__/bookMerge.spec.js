@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest'
+import { mergeBookChanges, pickMergeFields, applyMergeField } from '../bookMerge'
+
+describe('bookMerge', () => {
+  const base = {
+    name: 'Dune',
+    author: 'Frank Herbert',
+    coverLink: null,
+    status: 'read',
+    year: 2024,
+    month: 3,
+    day: null,
+    startDate: null,
+    pastReads: [],
+    pageCount: null,
+    progress: [],
+    tags: [],
+    attributes: { isUnfinished: false, customCover: false, score: null }
+  }
+
+  const withChanges = (changes, attributes = {}) => ({
+    ...base,
+    ...changes,
+    attributes: { ...base.attributes, ...attributes }
+  })
+
+  describe('pickMergeFields', () => {
+    it('should normalize empty values and fill attributes', () => {
+      expect(pickMergeFields({ name: 'Book', author: '', year: undefined, attributes: { score: 1 } })).toEqual({
+        name: 'Book',
+        author: null,
+        coverLink: null,
+        status: 'reading',
+        year: null,
+        month: null,
+        day: null,
+        startDate: null,
+        pastReads: [],
+        pageCount: null,
+        progress: [],
+        tags: [],
+        attributes: { isUnfinished: false, customCover: false, score: 1 }
+      })
+    })
+
+    it('should drop fields that are not merged', () => {
+      const fields = pickMergeFields({ ...base, id: 'book1', coverFile: {}, updatedAt: new Date() })
+      expect(Object.keys(fields)).toEqual(['name', 'author', 'coverLink', 'status', 'year', 'month', 'day', 'startDate', 'pastReads', 'pageCount', 'progress', 'tags', 'attributes'])
+    })
+  })
+
+  describe('applyMergeField', () => {
+    it('should copy status, year and month together', () => {
+      const target = pickMergeFields(base)
+      applyMergeField(target, 'readDate', { status: 'read_lately', year: null, month: null })
+      expect(target).toMatchObject({ status: 'read_lately', year: null, month: null })
+    })
+
+    it('should copy attribute fields into attributes', () => {
+      const target = pickMergeFields(base)
+      applyMergeField(target, 'score', { attributes: { score: -1 } })
+      expect(target.attributes.score).toBe(-1)
+    })
+  })
+
+  describe('mergeBookChanges', () => {
+    it('should keep local changes when remote is unchanged', () => {
+      const local = withChanges({ name: 'Dune Messiah' })
+      const { merged, conflicts } = mergeBookChanges(base, local, base)
+
+      expect(conflicts).toEqual([])
+      expect(merged.name).toBe('Dune Messiah')
+    })
+
+    it('should take remote changes to fields not changed locally', () => {
+      const local = withChanges({ name: 'Dune Messiah' })
+      const remote = withChanges({ author: 'F. Herbert' }, { score: 1 })
+      const { merged, conflicts } = mergeBookChanges(base, local, remote)
+
+      expect(conflicts).toEqual([])
+      expect(merged).toEqual(withChanges({ name: 'Dune Messiah', author: 'F. Herbert' }, { score: 1 }))
+    })
+
+    it('should report a status change against a date change as one conflict', () => {
+      const local = withChanges({ status: 'read_lately', year: null, month: null })
+      const remote = withChanges({ year: 2023, month: 11 })
+
+      expect(mergeBookChanges(base, local, remote).conflicts).toEqual(['readDate'])
+    })
+
+    it('should not conflict when both sides made the same change', () => {
+      const local = withChanges({}, { isUnfinished: true })
+      const remote = withChanges({}, { isUnfinished: true })
+
+      expect(mergeBookChanges(base, local, remote).conflicts).toEqual([])
+    })
+
+    it('should report fields changed differently on both sides', () => {
+      const local = withChanges({ name: 'Dune Messiah' }, { score: 1 })
+      const remote = withChanges({ name: 'Children of Dune' }, { score: -1 })
+      const { merged, conflicts } = mergeBookChanges(base, local, remote)
+
+      expect(conflicts).toEqual(['name', 'score'])
+      expect(merged.name).toBe('Dune Messiah')
+      expect(merged.attributes.score).toBe(1)
+    })
+
+    it('should treat year and month as one field', () => {
+      const local = withChanges({ month: 4 })
+      const remote = withChanges({ year: 2023 })
+      const { merged, conflicts } = mergeBookChanges(base, local, remote)
+
+      expect(conflicts).toEqual(['readDate'])
+      expect(merged).toMatchObject({ year: 2024, month: 4 })
+    })
+
+    it('should treat the day as part of the read date', () => {
+      const local = withChanges({ day: 14 })
+      const remote = withChanges({ day: 15 })
+
+      expect(mergeBookChanges(base, local, remote).conflicts).toEqual(['readDate'])
+    })
+
+    it('should merge start dates by value', () => {
+      const startDate = { year: 2024, month: 2, day: null }
+      const local = withChanges({ name: 'Dune Messiah', startDate })
+      const remote = withChanges({ startDate: { ...startDate } })
+      const { merged, conflicts } = mergeBookChanges(base, local, remote)
+
+      expect(conflicts).toEqual([])
+      expect(merged.startDate).toEqual(startDate)
+    })
+
+    it('should report start dates changed differently on both sides', () => {
+      const local = withChanges({ startDate: { year: 2024, month: 2, day: 1 } })
+      const remote = withChanges({ startDate: { year: 2024, month: 1, day: null } })
+
+      expect(mergeBookChanges(base, local, remote).conflicts).toEqual(['startDate'])
+    })
+
+    it('should take earlier readings added on one side', () => {
+      const pastReads = [{ year: 2020, month: 5, day: null, startDate: null, isUnfinished: false, score: 1 }]
+      const local = withChanges({ name: 'Dune Messiah' })
+      const remote = withChanges({ pastReads })
+      const { merged, conflicts } = mergeBookChanges(base, local, remote)
+
+      expect(conflicts).toEqual([])
+      expect(merged.pastReads).toEqual(pastReads)
+    })
+
+    it('should report earlier readings changed differently on both sides', () => {
+      const reading = { year: 2020, month: 5, day: null, startDate: null, isUnfinished: false, score: null }
+      const local = withChanges({ pastReads: [{ ...reading, score: 1 }] })
+      const remote = withChanges({ pastReads: [{ ...reading, score: -1 }] })
+
+      expect(mergeBookChanges(base, local, remote).conflicts).toEqual(['pastReads'])
+    })
+
+    it('should treat empty author and null as equal', () => {
+      const remote = withChanges({ author: '' })
+      const local = withChanges({ author: null })
+
+      expect(mergeBookChanges({ ...base, author: null }, local, remote).conflicts).toEqual([])
+    })
+  })
+})
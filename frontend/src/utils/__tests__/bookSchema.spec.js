@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { DEFAULT_BOOK_ATTRIBUTES, normalizeBookAttributes } from '../bookSchema'
+import { DEFAULT_BOOK_ATTRIBUTES, normalizeBookAttributes, normalizeBookStatus, normalizePastReads, normalizeReadingProgress, normalizeBookTags } from '../bookSchema'
 
 describe('bookSchema', () => {
   describe('DEFAULT_BOOK_ATTRIBUTES', () => {
@@ -213,4 +213,95 @@ describe('bookSchema', () => {
       expect(result.customCover).toBe(false)
     })
   })
+
+  describe('normalizeBookStatus', () => {
+    it('should keep a read book with its date', () => {
+      expect(normalizeBookStatus({ status: 'read', year: 2024, month: 3 }))
+        .toEqual({ status: 'read', year: 2024, month: 3, day: null })
+      expect(normalizeBookStatus({ status: 'read', year: 2024, month: 3, day: 14 }))
+        .toEqual({ status: 'read', year: 2024, month: 3, day: 14 })
+    })
+
+    it('should keep a read book known only to the year', () => {
+      expect(normalizeBookStatus({ status: 'read', year: 2024, month: null }))
+        .toEqual({ status: 'read', year: 2024, month: null, day: null })
+    })
+
+    it('should clear the date of books that are not read', () => {
+      expect(normalizeBookStatus({ status: 'to_read', year: 2024, month: 3, day: 14 }))
+        .toEqual({ status: 'to_read', year: null, month: null, day: null })
+    })
+
+    it('should treat a read book without a year as being read', () => {
+      expect(normalizeBookStatus({ status: 'read', year: null, month: 3 }))
+        .toEqual({ status: 'reading', year: null, month: null, day: null })
+    })
+
+    it('should infer the status of legacy books from sentinel years', () => {
+      expect(normalizeBookStatus({ year: 2100, month: 1 }).status).toBe('to_read')
+      expect(normalizeBookStatus({ year: 1910, month: 1 }).status).toBe('read_lately')
+      expect(normalizeBookStatus({ year: 1900, month: 1 }).status).toBe('read_long_ago')
+      expect(normalizeBookStatus({ year: 2024, month: 3 }).status).toBe('read')
+      expect(normalizeBookStatus({ year: null, month: null }).status).toBe('reading')
+    })
+
+    it('should keep a year alone as a read date with year precision', () => {
+      expect(normalizeBookStatus({ year: 2024, month: null }))
+        .toEqual({ status: 'read', year: 2024, month: null, day: null })
+    })
+
+    it('should ignore unknown statuses', () => {
+      expect(normalizeBookStatus({ status: 'finished', year: 2024, month: 3 }).status).toBe('read')
+    })
+  })
+
+  describe('normalizeReadingProgress', () => {
+    it('should keep valid updates oldest first', () => {
+      expect(normalizeReadingProgress([
+        { date: '2024-03-12', page: 45 },
+        { date: '2024-03-11', percent: 5 }
+      ])).toEqual([
+        { date: '2024-03-11', page: null, percent: 5 },
+        { date: '2024-03-12', page: 45, percent: null }
+      ])
+    })
+
+    it('should drop updates without a date or amount', () => {
+      expect(normalizeReadingProgress([{ page: 10 }, { date: '2024-03-11' }, { date: 'yesterday', page: 3 }, null])).toEqual([])
+      expect(normalizeReadingProgress(undefined)).toEqual([])
+    })
+  })
+
+  describe('normalizePastReads', () => {
+    it('should fill missing fields', () => {
+      expect(normalizePastReads([{ year: 2020, startDate: { year: 2019 } }])).toEqual([
+        { year: 2020, month: null, day: null, startDate: { year: 2019, month: null, day: null }, isUnfinished: false, score: null }
+      ])
+    })
+
+    it('should sort readings newest first', () => {
+      const readings = normalizePastReads([{ year: 2018 }, { year: 2021, month: 2 }, { year: 2021, month: 7 }])
+      expect(readings.map(({ year, month }) => [year, month])).toEqual([[2021, 7], [2021, 2], [2018, null]])
+    })
+
+    it('should drop readings without a year', () => {
+      expect(normalizePastReads([{ month: 3 }, null])).toEqual([])
+    })
+
+    it('should return an empty list for missing readings', () => {
+      expect(normalizePastReads(undefined)).toEqual([])
+      expect(normalizePastReads('2020')).toEqual([])
+    })
+  })
+
+  describe('normalizeBookTags', () => {
+    it('should keep unique tag IDs in order', () => {
+      expect(normalizeBookTags(['tag-2', 'tag-1', 'tag-2'])).toEqual(['tag-2', 'tag-1'])
+    })
+
+    it('should drop anything that is not a tag ID', () => {
+      expect(normalizeBookTags(['tag-1', '', null, 3])).toEqual(['tag-1'])
+      expect(normalizeBookTags(undefined)).toEqual([])
+    })
+  })
 })
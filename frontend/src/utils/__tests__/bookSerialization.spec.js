@@ -11,6 +11,8 @@ describe('bookSerialization', () => {
         coverLink: 'https://example.com/cover.jpg',
         year: 2024,
         month: 3,
+        day: 14,
+        startDate: { year: 2024, month: 2, day: null },
         attributes: {
           isUnfinished: false,
           customCover: false,
@@ -29,6 +31,12 @@ describe('bookSerialization', () => {
         coverLink: 'https://example.com/cover.jpg',
         year: 2024,
         month: 3,
+        day: 14,
+        startDate: { year: 2024, month: 2, day: null },
+        pastReads: [],
+        pageCount: null,
+        progress: [],
+        tags: [],
         attributes: {
           isUnfinished: false,
           customCover: false,
@@ -191,8 +199,15 @@ describe('bookSerialization', () => {
         name: 'Stored Book',
         author: 'Stored Author',
         coverLink: 'https://example.com/stored.jpg',
+        status: 'read',
         year: 2023,
         month: 7,
+        day: null,
+        startDate: null,
+        pastReads: [],
+        pageCount: null,
+        progress: [],
+        tags: [],
         attributes: {
           isUnfinished: true,
           customCover: true,
@@ -203,6 +218,19 @@ describe('bookSerialization', () => {
       })
     })
 
+    it('should drop the read date of books that are not read', () => {
+      const result = deserializeBook({
+        id: 'test-id',
+        name: 'Book',
+        status: 'to_read',
+        year: 2023,
+        month: 7,
+        createdAt: '2023-07-15T12:00:00.000Z'
+      })
+
+      expect(result).toMatchObject({ status: 'to_read', year: null, month: null })
+    })
+
     it('should convert ISO string dates to Date objects', () => {
       const storedBook = {
         id: 'test-id',
@@ -357,6 +385,8 @@ describe('bookSerialization', () => {
         coverLink: 'https://example.com/api.jpg',
         year: 2024,
         month: 8,
+        day: null,
+        startDate: null,
         attributes: {
           isUnfinished: false,
           customCover: true,
@@ -374,6 +404,12 @@ describe('bookSerialization', () => {
         coverLink: 'https://example.com/api.jpg',
         year: 2024,
         month: 8,
+        day: null,
+        startDate: null,
+        pastReads: [],
+        pageCount: null,
+        progress: [],
+        tags: [],
         attributes: {
           isUnfinished: false,
           customCover: true,
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { sortBooks } from '../bookSorting'
+import { sortBooks, groupBooksByYear, expandPastReads } from '../bookSorting'
 
 describe('bookSorting', () => {
   describe('sortBooks', () => {
@@ -79,6 +79,26 @@ describe('bookSorting', () => {
       expect(result[3].month).toBe(1)  // January
     })
 
+    it('should sort completed books by day within the same month, unknown days last', () => {
+      const books = [
+        { id: '1', status: 'read', year: 2024, month: 3, day: 2, createdAt: new Date('2024-01-01') },
+        { id: '2', status: 'read', year: 2024, month: 3, day: null, createdAt: new Date('2024-01-01') },
+        { id: '3', status: 'read', year: 2024, month: 3, day: 28, createdAt: new Date('2024-01-01') }
+      ]
+
+      expect(sortBooks(books).map(book => book.id)).toEqual(['3', '1', '2'])
+    })
+
+    it('should sort books read in a known year after its dated months', () => {
+      const books = [
+        { id: '1', status: 'read', year: 2024, month: null, createdAt: new Date('2024-01-01') },
+        { id: '2', status: 'read', year: 2024, month: 1, createdAt: new Date('2024-01-01') },
+        { id: '3', status: 'read', year: 2023, month: 12, createdAt: new Date('2024-01-01') }
+      ]
+
+      expect(sortBooks(books).map(book => book.id)).toEqual(['2', '1', '3'])
+    })
+
     it('should handle mixed in-progress and completed books', () => {
       const books = [
         { id: '1', name: 'Completed Old', year: 2022, month: 5, createdAt: new Date('2024-01-01') },
@@ -219,26 +239,36 @@ describe('bookSorting', () => {
       expect(result[5].id).toBe('2') // 2023-12
     })
 
-    it('should handle special year values (sentinel years)', () => {
+    it('should order statuses: to read, reading, read, read lately, long ago', () => {
       const books = [
-        { id: '1', name: 'Long Ago', year: 1900, month: 1, createdAt: new Date('2024-01-01') },
-        { id: '2', name: 'Lately', year: 1910, month: 1, createdAt: new Date('2024-01-02') },
-        { id: '3', name: 'Recent', year: 2024, month: 6, createdAt: new Date('2024-01-03') }
+        { id: '1', status: 'read_long_ago', year: null, month: null, createdAt: new Date('2024-01-01') },
+        { id: '2', status: 'read_lately', year: null, month: null, createdAt: new Date('2024-01-02') },
+        { id: '3', status: 'read', year: 2024, month: 6, createdAt: new Date('2024-01-03') },
+        { id: '4', status: 'reading', year: null, month: null, createdAt: new Date('2024-01-04') },
+        { id: '5', status: 'to_read', year: null, month: null, createdAt: new Date('2024-01-05') }
       ]
 
       const result = sortBooks(books)
 
-      // Sorted by year descending
-      expect(result[0].year).toBe(2024)
-      expect(result[1].year).toBe(1910)
-      expect(result[2].year).toBe(1900)
+      expect(result.map(book => book.id)).toEqual(['5', '4', '3', '2', '1'])
+    })
+
+    it('should sort by status even when a stale date is present', () => {
+      const books = [
+        { id: '1', status: 'read', year: 2024, month: 6, createdAt: new Date('2024-01-01') },
+        { id: '2', status: 'reading', year: 2020, month: 1, createdAt: new Date('2024-01-02') }
+      ]
+
+      const result = sortBooks(books)
+
+      expect(result.map(book => book.id)).toEqual(['2', '1'])
     })
 
     it('should handle year 0 and negative years', () => {
       const books = [
-        { id: '1', name: 'Year 0', year: 0, month: 1, createdAt: new Date('2024-01-01') },
-        { id: '2', name: 'Negative Year', year: -100, month: 1, createdAt: new Date('2024-01-02') },
-        { id: '3', name: 'Positive Year', year: 2024, month: 1, createdAt: new Date('2024-01-03') }
+        { id: '1', name: 'Year 0', status: 'read', year: 0, month: 1, createdAt: new Date('2024-01-01') },
+        { id: '2', name: 'Negative Year', status: 'read', year: -100, month: 1, createdAt: new Date('2024-01-02') },
+        { id: '3', name: 'Positive Year', status: 'read', year: 2024, month: 1, createdAt: new Date('2024-01-03') }
       ]
 
       const result = sortBooks(books)
@@ -284,4 +314,82 @@ describe('bookSorting', () => {
       expect(result[0].attributes).toEqual({ isUnfinished: false, customCover: false, score: 1 })
     })
   })
+
+  describe('groupBooksByYear', () => {
+    it('should return no groups for empty input', () => {
+      expect(groupBooksByYear([])).toEqual([])
+    })
+
+    it('should group consecutive books by year in input order', () => {
+      const books = [
+        { id: '1', status: 'to_read', year: null, month: null },
+        { id: '2', status: 'read', year: 2024, month: 5 },
+        { id: '3', status: 'read', year: 2024, month: 2 },
+        { id: '4', status: 'read', year: 2023, month: 2 },
+        { id: '5', status: 'read_long_ago', year: null, month: null }
+      ]
+
+      const groups = groupBooksByYear(books)
+
+      expect(groups.map(group => [group.status, group.year])).toEqual([
+        ['to_read', null],
+        ['read', 2024],
+        ['read', 2023],
+        ['read_long_ago', null]
+      ])
+      expect(groups[1].books.map(book => book.id)).toEqual(['2', '3'])
+    })
+
+    it('should assign in-progress books to the current year', () => {
+      const nowYear = new Date().getFullYear()
+      const books = [
+        { id: '1', year: null, month: null },
+        { id: '2', year: nowYear, month: 1 }
+      ]
+
+      const groups = groupBooksByYear(books)
+
+      expect(groups).toHaveLength(1)
+      expect(groups[0].year).toBe(nowYear)
+      expect(groups[0].books).toHaveLength(2)
+    })
+  })
+
+  describe('expandPastReads', () => {
+    const rereadBook = {
+      id: '1',
+      status: 'reading',
+      year: null,
+      month: null,
+      attributes: { isUnfinished: false, customCover: true, score: null },
+      pastReads: [
+        { year: 2022, month: 5, day: null, startDate: null, isUnfinished: false, score: 1 },
+        { year: 2015, month: null, day: null, startDate: null, isUnfinished: true, score: null }
+      ]
+    }
+
+    it('should list every reading of a re-read book', () => {
+      const readings = expandPastReads([rereadBook, { id: '2', status: 'read', year: 2024, month: 1 }])
+
+      expect(readings.map(book => [book.id, book.status, book.year, book.pastReadIndex])).toEqual([
+        ['1', 'reading', null, undefined],
+        ['1', 'read', 2022, 0],
+        ['1', 'read', 2015, 1],
+        ['2', 'read', 2024, undefined]
+      ])
+    })
+
+    it('should give each reading its own unfinished flag and score', () => {
+      const [, latest, first] = expandPastReads([rereadBook])
+
+      expect(latest.attributes).toEqual({ isUnfinished: false, customCover: true, score: 1 })
+      expect(first.attributes).toEqual({ isUnfinished: true, customCover: true, score: null })
+    })
+
+    it('should place each reading in its own year group', () => {
+      const groups = groupBooksByYear(sortBooks(expandPastReads([rereadBook])))
+
+      expect(groups.map(group => group.year)).toEqual([new Date().getFullYear(), 2022, 2015])
+    })
+  })
 })
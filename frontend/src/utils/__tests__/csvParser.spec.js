@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import { parseCSV, parseCSVRecords } from '../csvParser'
+
+describe('csvParser', () => {
+  describe('parseCSV', () => {
+    it('should split simple rows and fields', () => {
+      expect(parseCSV('a,b,c\n1,2,3')).toEqual([
+        ['a', 'b', 'c'],
+        ['1', '2', '3']
+      ])
+    })
+
+    it('should handle quoted fields with commas', () => {
+      expect(parseCSV('"Doe, John",Title')).toEqual([['Doe, John', 'Title']])
+    })
+
+    it('should unescape doubled quotes', () => {
+      expect(parseCSV('"Book ""Title"""')).toEqual([['Book "Title"']])
+    })
+
+    it('should keep newlines inside quoted fields', () => {
+      expect(parseCSV('"Line 1\nLine 2",x')).toEqual([['Line 1\nLine 2', 'x']])
+    })
+
+    it('should handle CRLF line endings', () => {
+      expect(parseCSV('a,b\r\n1,2\r\n')).toEqual([
+        ['a', 'b'],
+        ['1', '2']
+      ])
+    })
+
+    it('should skip blank lines', () => {
+      expect(parseCSV('a\n\nb\n')).toEqual([['a'], ['b']])
+    })
+
+    it('should keep empty fields', () => {
+      expect(parseCSV('a,,c\n,,')).toEqual([
+        ['a', '', 'c'],
+        ['', '', '']
+      ])
+    })
+
+    it('should strip byte order mark', () => {
+      expect(parseCSV('\uFEFFTitle,Author')).toEqual([['Title', 'Author']])
+    })
+
+    it('should support custom delimiters', () => {
+      expect(parseCSV('a\tb\n1\t2', '\t')).toEqual([
+        ['a', 'b'],
+        ['1', '2']
+      ])
+    })
+
+    it('should return empty array for empty content', () => {
+      expect(parseCSV('')).toEqual([])
+    })
+  })
+
+  describe('parseCSVRecords', () => {
+    it('should key records by trimmed header', () => {
+      const { headers, records } = parseCSVRecords(' Title ,Author\nDune,Frank Herbert')
+
+      expect(headers).toEqual(['Title', 'Author'])
+      expect(records).toEqual([{ Title: 'Dune', Author: 'Frank Herbert' }])
+    })
+
+    it('should fill missing trailing fields with empty strings', () => {
+      const { records } = parseCSVRecords('Title,Author\nDune')
+
+      expect(records).toEqual([{ Title: 'Dune', Author: '' }])
+    })
+
+    it('should handle empty content', () => {
+      expect(parseCSVRecords('')).toEqual({ headers: [], records: [] })
+    })
+  })
+})
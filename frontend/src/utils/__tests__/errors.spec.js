@@ -74,6 +74,30 @@ describe('errors', () => {
       })
     })
 
+    describe('isRateLimited', () => {
+      it('should return true for status 429', () => {
+        const error = new ApiError('Too many requests', 429)
+        expect(error.isRateLimited()).toBe(true)
+      })
+
+      it('should return false for other statuses', () => {
+        const error = new ApiError('Bad request', 400)
+        expect(error.isRateLimited()).toBe(false)
+      })
+    })
+
+    describe('isClientError', () => {
+      it('should return true for 4xx statuses', () => {
+        expect(new ApiError('Bad request', 400).isClientError()).toBe(true)
+        expect(new ApiError('Forbidden', 403).isClientError()).toBe(true)
+      })
+
+      it('should return false for other statuses', () => {
+        expect(new ApiError('Internal server error', 500).isClientError()).toBe(false)
+        expect(new ApiError('Network error', 0).isClientError()).toBe(false)
+      })
+    })
+
     describe('isServerError', () => {
       it('should return true for 500 status', () => {
         const error = new ApiError('Internal server error', 500)
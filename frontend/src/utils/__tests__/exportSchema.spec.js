@@ -0,0 +1,260 @@
+import { describe, it, expect } from 'vitest'
+import {
+  CURRENT_SCHEMA_VERSION,
+  LEGACY_SCHEMA_VERSION,
+  SCHEMA_UPGRADES,
+  getSupportedSchemaVersions,
+  upgradeToCurrentSchema,
+  upgradeStoredBooks,
+  validateBook
+} from '../exportSchema'
+
+describe('exportSchema', () => {
+  const validBook = {
+    id: 'book1',
+    name: 'Dune',
+    author: 'Frank Herbert',
+    coverLink: null,
+    status: 'read',
+    year: 2024,
+    month: 3,
+    attributes: { isUnfinished: false, customCover: false, score: 1 },
+    createdAt: '2024-03-01T00:00:00.000Z',
+    updatedAt: new Date('2024-03-15T00:00:00.000Z')
+  }
+
+  describe('upgrade chain', () => {
+    it('should end at the current version', () => {
+      expect(SCHEMA_UPGRADES[SCHEMA_UPGRADES.length - 1].to).toBe(CURRENT_SCHEMA_VERSION)
+    })
+
+    it('should link each step to the next', () => {
+      SCHEMA_UPGRADES.slice(1).forEach((step, index) => {
+        expect(step.from).toBe(SCHEMA_UPGRADES[index].to)
+      })
+    })
+
+    it('should list supported versions oldest first', () => {
+      const versions = getSupportedSchemaVersions()
+      expect(versions[0]).toBe(LEGACY_SCHEMA_VERSION)
+      expect(versions[versions.length - 1]).toBe(CURRENT_SCHEMA_VERSION)
+    })
+  })
+
+  describe('upgradeToCurrentSchema', () => {
+    it('should move top-level isUnfinished into attributes', () => {
+      const { payload, version, upgradedFrom } = upgradeToCurrentSchema(
+        { books: [{ name: 'Old Book', isUnfinished: true }] },
+        '1.0'
+      )
+
+      expect(version).toBe(CURRENT_SCHEMA_VERSION)
+      expect(upgradedFrom).toBe('1.0')
+      expect(payload.books[0]).toEqual({
+        name: 'Old Book',
+        status: 'reading',
+        year: null,
+        month: null,
+        day: null,
+        startDate: null,
+        pastReads: [],
+        pageCount: null,
+        progress: [],
+        tags: [],
+        attributes: { isUnfinished: true, customCover: false, score: null }
+      })
+    })
+
+    it('should replace sentinel years with a status', () => {
+      const { payload } = upgradeToCurrentSchema({
+        books: [
+          { name: 'Later', year: 2100, month: 1 },
+          { name: 'Lately', year: 1910, month: 1 },
+          { name: 'Long Ago', year: 1900, month: 1 },
+          { name: 'Dune', year: 2024, month: 3 },
+          { name: 'Now', year: null, month: null }
+        ]
+      }, '1.1')
+
+      expect(payload.books.map(({ status, year, month }) => ({ status, year, month }))).toEqual([
+        { status: 'to_read', year: null, month: null },
+        { status: 'read_lately', year: null, month: null },
+        { status: 'read_long_ago', year: null, month: null },
+        { status: 'read', year: 2024, month: 3 },
+        { status: 'reading', year: null, month: null }
+      ])
+    })
+
+    it('should add the day and start date', () => {
+      const { payload } = upgradeToCurrentSchema({
+        books: [
+          { name: 'Dune', status: 'read', year: 2024, month: 3 },
+          { name: 'Emma', status: 'to_read', year: null, month: null }
+        ]
+      }, '1.2')
+
+      expect(payload.books[0]).toMatchObject({ year: 2024, month: 3, day: null, startDate: null })
+      expect(payload.books[1]).toMatchObject({ status: 'to_read', day: null, startDate: null })
+    })
+
+    it('should start every book without earlier readings', () => {
+      const { payload } = upgradeToCurrentSchema({
+        books: [{ name: 'Dune', status: 'read', year: 2024, month: 3, day: null, startDate: null }]
+      }, '1.3')
+
+      expect(payload.books[0].pastReads).toEqual([])
+    })
+
+    it('should start every book without a page count or progress', () => {
+      const { payload } = upgradeToCurrentSchema({
+        books: [{ name: 'Dune', status: 'reading', year: null, month: null, day: null, startDate: null, pastReads: [] }]
+      }, '1.4')
+
+      expect(payload.books[0]).toMatchObject({ pageCount: null, progress: [] })
+    })
+
+    it('should start every book and export without tags', () => {
+      const { payload } = upgradeToCurrentSchema({
+        books: [{ name: 'Dune', status: 'reading', year: null, month: null, pageCount: null, progress: [] }]
+      }, '1.5')
+
+      expect(payload.tags).toEqual([])
+      expect(payload.books[0].tags).toEqual([])
+    })
+
+    it('should fill missing attributes', () => {
+      const { payload } = upgradeToCurrentSchema(
+        { books: [{ name: 'Book', attributes: { score: -1 } }] },
+        '1.0'
+      )
+
+      expect(payload.books[0].attributes).toEqual({ isUnfinished: false, customCover: false, score: -1 })
+    })
+
+    it('should keep other payload fields', () => {
+      const { payload } = upgradeToCurrentSchema({ settings: { a: 1 }, books: [] }, '1.0')
+      expect(payload.settings).toEqual({ a: 1 })
+    })
+
+    it('should pass non-object entries through for later validation', () => {
+      const { payload } = upgradeToCurrentSchema({ books: [null, 'text'] }, '1.0')
+      expect(payload.books).toEqual([null, 'text'])
+    })
+
+    it('should leave current payloads untouched', () => {
+      const input = { books: [validBook] }
+      const { payload, upgradedFrom } = upgradeToCurrentSchema(input, CURRENT_SCHEMA_VERSION)
+
+      expect(payload).toBe(input)
+      expect(upgradedFrom).toBeNull()
+    })
+
+    it('should reject unknown and newer versions', () => {
+      expect(() => upgradeToCurrentSchema({ books: [] }, '0.5')).toThrow('Unsupported export version: 0.5')
+      expect(() => upgradeToCurrentSchema({ books: [] }, '9.0')).toThrow('Unsupported export version: 9.0')
+    })
+  })
+
+  describe('upgradeStoredBooks', () => {
+    it('should treat unversioned data as legacy', () => {
+      const books = upgradeStoredBooks([{ name: 'Old Book', isUnfinished: true }], null)
+
+      expect(books[0]).not.toHaveProperty('isUnfinished')
+      expect(books[0].attributes.isUnfinished).toBe(true)
+    })
+
+    it('should return current data as-is', () => {
+      expect(upgradeStoredBooks([validBook], CURRENT_SCHEMA_VERSION)).toEqual([validBook])
+    })
+  })
+
+  describe('validateBook', () => {
+    it('should accept a valid book', () => {
+      expect(validateBook(validBook)).toEqual([])
+    })
+
+    it('should accept in-progress books without dates', () => {
+      expect(validateBook({ ...validBook, status: 'reading', year: null, month: null, createdAt: undefined })).toEqual([])
+    })
+
+    it('should require a known status', () => {
+      expect(validateBook({ ...validBook, status: undefined })).toContain('status is required')
+      expect(validateBook({ ...validBook, status: 'finished' })[0]).toMatch(/^status must be one of /)
+    })
+
+    it('should reject non-objects', () => {
+      expect(validateBook(null)).toEqual(['book must be an object'])
+      expect(validateBook([])).toEqual(['book must be an object'])
+    })
+
+    it('should require a non-empty name', () => {
+      expect(validateBook({ ...validBook, name: undefined })).toContain('name is required')
+      expect(validateBook({ ...validBook, name: '  ' })).toContain('name must not be empty')
+    })
+
+    it('should check field types', () => {
+      const errors = validateBook({ ...validBook, year: '2024', author: 42 })
+
+      expect(errors).toContain('year must be integer or null')
+      expect(errors).toContain('author must be string or null')
+    })
+
+    it('should check month range', () => {
+      expect(validateBook({ ...validBook, month: 13 })).toContain('month must be at most 12')
+      expect(validateBook({ ...validBook, month: 0 })).toContain('month must be at least 1')
+    })
+
+    it('should check day range', () => {
+      expect(validateBook({ ...validBook, day: 14 })).toEqual([])
+      expect(validateBook({ ...validBook, day: 32 })).toContain('day must be at most 31')
+    })
+
+    it('should check the start date', () => {
+      expect(validateBook({ ...validBook, startDate: { year: 2024, month: 2, day: null } })).toEqual([])
+      expect(validateBook({ ...validBook, startDate: { month: 2 } })).toContain('startDate.year is required')
+      expect(validateBook({ ...validBook, startDate: '2024-02' })).toContain('startDate must be object or null')
+    })
+
+    it('should check earlier readings', () => {
+      const pastRead = { year: 2020, month: 5, day: null, startDate: null, isUnfinished: false, score: 1 }
+
+      expect(validateBook({ ...validBook, pastReads: [pastRead] })).toEqual([])
+      expect(validateBook({ ...validBook, pastReads: {} })).toContain('pastReads must be array or null')
+      expect(validateBook({ ...validBook, pastReads: ['2020'] })).toContain('pastReads[0] must be object')
+
+      const errors = validateBook({ ...validBook, pastReads: [{ ...pastRead, year: null, month: 13, startDate: { month: 1 } }] })
+      expect(errors).toContain('pastReads[0].year is required')
+      expect(errors).toContain('pastReads[0].month must be at most 12')
+      expect(errors).toContain('pastReads[0].startDate.year is required')
+    })
+
+    it('should check the page count and progress', () => {
+      expect(validateBook({ ...validBook, pageCount: 328, progress: [{ date: '2024-03-11', page: 20, percent: null }] })).toEqual([])
+      expect(validateBook({ ...validBook, pageCount: 0 })).toContain('pageCount must be at least 1')
+
+      const errors = validateBook({ ...validBook, progress: [{ page: 20, percent: 140 }] })
+      expect(errors).toContain('progress[0].date is required')
+      expect(errors).toContain('progress[0].percent must be at most 100')
+    })
+
+    it('should check tags', () => {
+      expect(validateBook({ ...validBook, tags: ['tag-1', 'tag-2'] })).toEqual([])
+      expect(validateBook({ ...validBook, tags: 'tag-1' })).toContain('tags must be array or null')
+      expect(validateBook({ ...validBook, tags: ['tag-1', 7] })).toContain('tags[1] must be string')
+    })
+
+    it('should check attributes', () => {
+      expect(validateBook({ ...validBook, attributes: undefined })).toContain('attributes is required')
+
+      const errors = validateBook({ ...validBook, attributes: { isUnfinished: 'yes', score: 1.5 } })
+      expect(errors).toContain('attributes.isUnfinished must be boolean')
+      expect(errors).toContain('attributes.customCover is required')
+      expect(errors).toContain('attributes.score must be integer or null')
+    })
+
+    it('should reject invalid dates', () => {
+      expect(validateBook({ ...validBook, createdAt: 'yesterday' })).toContain('createdAt must be date or null')
+      expect(validateBook({ ...validBook, updatedAt: new Date('invalid') })).toContain('updatedAt must be date or null')
+    })
+  })
+})
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseReadDate,
+  formatReadDate,
+  normalizePartialDate,
+  getDatePrecision,
+  formatIsoPartialDate,
+  formatPartialDate
+} from '../readDate'
+
+describe('readDate', () => {
+  describe('parseReadDate', () => {
+    it('should convert read_date to year and month', () => {
+      expect(parseReadDate('2024-03-15')).toEqual({ year: 2024, month: 3, day: null })
+    })
+
+    it('should keep the parts given by the precision', () => {
+      expect(parseReadDate('2024-03-15 00:00:00.000Z', 'day')).toEqual({ year: 2024, month: 3, day: 15 })
+      expect(parseReadDate('2024-03-15 00:00:00.000Z', 'month')).toEqual({ year: 2024, month: 3, day: null })
+      expect(parseReadDate('2024-01-01 00:00:00.000Z', 'year')).toEqual({ year: 2024, month: null, day: null })
+    })
+
+    it('should not shift the day across time zones', () => {
+      expect(parseReadDate('2024-03-01 00:00:00.000Z', 'day')).toEqual({ year: 2024, month: 3, day: 1 })
+    })
+
+    it('should return nulls for empty read_date', () => {
+      expect(parseReadDate(null)).toEqual({ year: null, month: null, day: null })
+      expect(parseReadDate('')).toEqual({ year: null, month: null, day: null })
+    })
+  })
+
+  describe('formatReadDate', () => {
+    it('should format the first of the month', () => {
+      expect(formatReadDate(2024, 3)).toBe('2024-03-01')
+      expect(formatReadDate(2024, 12)).toBe('2024-12-01')
+    })
+
+    it('should format the day when known', () => {
+      expect(formatReadDate(2024, 3, 14)).toBe('2024-03-14')
+    })
+
+    it('should store a year-only date as January 1st', () => {
+      expect(formatReadDate(2024, null)).toBe('2024-01-01')
+    })
+
+    it('should return null without year', () => {
+      expect(formatReadDate(null, 3)).toBeNull()
+    })
+
+    it('should round-trip with parseReadDate', () => {
+      expect(parseReadDate(formatReadDate(1900, 1))).toEqual({ year: 1900, month: 1, day: null })
+      expect(parseReadDate(formatReadDate(2024, 2, 29), 'day')).toEqual({ year: 2024, month: 2, day: 29 })
+    })
+  })
+
+  describe('normalizePartialDate', () => {
+    it('should drop parts that are out of range', () => {
+      expect(normalizePartialDate({ year: 2023, month: 2, day: 29 })).toEqual({ year: 2023, month: 2, day: null })
+      expect(normalizePartialDate({ year: 2023, month: 13, day: 1 })).toEqual({ year: 2023, month: null, day: null })
+    })
+
+    it('should drop a day without a month', () => {
+      expect(normalizePartialDate({ year: 2023, month: null, day: 5 })).toEqual({ year: 2023, month: null, day: null })
+    })
+
+    it('should return nulls without a year', () => {
+      expect(normalizePartialDate({ month: 3, day: 5 })).toEqual({ year: null, month: null, day: null })
+      expect(normalizePartialDate(null)).toEqual({ year: null, month: null, day: null })
+    })
+  })
+
+  describe('getDatePrecision', () => {
+    it('should follow the known parts', () => {
+      expect(getDatePrecision({ year: 2024, month: 3, day: 14 })).toBe('day')
+      expect(getDatePrecision({ year: 2024, month: 3, day: null })).toBe('month')
+      expect(getDatePrecision({ year: 2024, month: null, day: null })).toBe('year')
+      expect(getDatePrecision({ year: null })).toBeNull()
+    })
+  })
+
+  describe('formatIsoPartialDate', () => {
+    it('should format as precise as known', () => {
+      expect(formatIsoPartialDate({ year: 2024, month: 3, day: 4 })).toBe('2024-03-04')
+      expect(formatIsoPartialDate({ year: 2024, month: 3 })).toBe('2024-03')
+      expect(formatIsoPartialDate({ year: 2024 })).toBe('2024')
+      expect(formatIsoPartialDate(null)).toBe('')
+    })
+  })
+
+  describe('formatPartialDate', () => {
+    it('should format as precise as known', () => {
+      expect(formatPartialDate({ year: 2024, month: 3, day: 14 })).toBe('March 14, 2024')
+      expect(formatPartialDate({ year: 2024, month: 3 })).toBe('March 2024')
+      expect(formatPartialDate({ year: 2024 })).toBe('2024')
+      expect(formatPartialDate(null)).toBe('')
+    })
+
+    it('should use short month names', () => {
+      expect(formatPartialDate({ year: 2024, month: 3, day: 14 }, { short: true })).toBe('Mar 14, 2024')
+    })
+  })
+})
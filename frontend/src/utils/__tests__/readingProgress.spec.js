@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normalizePageCount,
+  createProgressEntry,
+  addProgressEntry,
+  getCurrentProgress,
+  getReadingPace,
+  formatProgress,
+  formatReadingPace
+} from '../readingProgress'
+
+describe('readingProgress', () => {
+  const now = new Date(2024, 2, 14, 21, 30)
+
+  describe('normalizePageCount', () => {
+    it('should keep positive whole numbers', () => {
+      expect(normalizePageCount(328)).toBe(328)
+      expect(normalizePageCount('412')).toBe(412)
+    })
+
+    it('should return null for unknown page counts', () => {
+      expect(normalizePageCount(0)).toBeNull()
+      expect(normalizePageCount(null)).toBeNull()
+      expect(normalizePageCount('')).toBeNull()
+      expect(normalizePageCount(12.5)).toBeNull()
+    })
+  })
+
+  describe('createProgressEntry', () => {
+    it('should date the update with the local day', () => {
+      expect(createProgressEntry({ page: 10 }, null, now).date).toBe('2024-03-14')
+    })
+
+    it('should work out the percentage from a page', () => {
+      expect(createProgressEntry({ page: 82 }, 328, now)).toEqual({ date: '2024-03-14', page: 82, percent: 25 })
+    })
+
+    it('should work out the page from a percentage', () => {
+      expect(createProgressEntry({ percent: 50 }, 328, now)).toEqual({ date: '2024-03-14', page: 164, percent: 50 })
+    })
+
+    it('should keep the other part unknown without a page count', () => {
+      expect(createProgressEntry({ page: 82 }, null, now)).toEqual({ date: '2024-03-14', page: 82, percent: null })
+      expect(createProgressEntry({ percent: 40 }, null, now)).toEqual({ date: '2024-03-14', page: null, percent: 40 })
+    })
+
+    it('should cap progress at the end of the book', () => {
+      expect(createProgressEntry({ page: 400 }, 328, now)).toMatchObject({ page: 328, percent: 100 })
+      expect(createProgressEntry({ percent: 120 }, null, now)).toMatchObject({ percent: 100 })
+    })
+
+    it('should return null without a page or percentage', () => {
+      expect(createProgressEntry({}, 328, now)).toBeNull()
+      expect(createProgressEntry({ page: -3 }, 328, now)).toBeNull()
+    })
+  })
+
+  describe('addProgressEntry', () => {
+    const monday = { date: '2024-03-11', page: 20, percent: null }
+
+    it('should append updates from a new day', () => {
+      const tuesday = { date: '2024-03-12', page: 45, percent: null }
+      expect(addProgressEntry([monday], tuesday)).toEqual([monday, tuesday])
+    })
+
+    it('should replace an update from the same day', () => {
+      const later = { date: '2024-03-11', page: 30, percent: null }
+      expect(addProgressEntry([monday], later)).toEqual([later])
+    })
+
+    it('should start a history', () => {
+      expect(addProgressEntry(undefined, monday)).toEqual([monday])
+    })
+  })
+
+  describe('getCurrentProgress', () => {
+    it('should return the latest update', () => {
+      const latest = { date: '2024-03-12', page: 45, percent: null }
+      expect(getCurrentProgress([{ date: '2024-03-11', page: 20, percent: null }, latest])).toBe(latest)
+      expect(getCurrentProgress([])).toBeNull()
+    })
+  })
+
+  describe('getReadingPace', () => {
+    it('should average pages a day between the first and latest update', () => {
+      const progress = [
+        { date: '2024-03-01', page: 10, percent: 3 },
+        { date: '2024-03-05', page: 30, percent: 9 },
+        { date: '2024-03-11', page: 110, percent: 34 }
+      ]
+      expect(getReadingPace(progress)).toEqual({ perDay: 10, unit: 'pages' })
+    })
+
+    it('should fall back to percent when pages are unknown', () => {
+      const progress = [
+        { date: '2024-03-01', page: null, percent: 10 },
+        { date: '2024-03-04', page: 60, percent: 20 }
+      ]
+      expect(getReadingPace(progress)).toEqual({ perDay: 3.3, unit: 'percent' })
+    })
+
+    it('should return null until updates span a day', () => {
+      expect(getReadingPace([{ date: '2024-03-01', page: 10, percent: null }])).toBeNull()
+      expect(getReadingPace([])).toBeNull()
+    })
+  })
+
+  describe('formatProgress', () => {
+    it('should show what is known', () => {
+      expect(formatProgress({ page: 82, percent: 25 }, 328)).toBe('p. 82 of 328 (25%)')
+      expect(formatProgress({ page: 82, percent: null })).toBe('p. 82')
+      expect(formatProgress({ page: null, percent: 40 })).toBe('40%')
+      expect(formatProgress(null)).toBe('')
+    })
+  })
+
+  describe('formatReadingPace', () => {
+    it('should describe the pace per day', () => {
+      expect(formatReadingPace({ perDay: 25, unit: 'pages' })).toBe('~25 pages a day')
+      expect(formatReadingPace({ perDay: 3.3, unit: 'percent' })).toBe('~3.3% a day')
+    })
+
+    it('should leave out a pace without progress', () => {
+      expect(formatReadingPace({ perDay: 0, unit: 'pages' })).toBe('')
+      expect(formatReadingPace(null)).toBe('')
+    })
+  })
+})
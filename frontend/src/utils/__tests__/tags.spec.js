@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normalizeTagName,
+  normalizeTags,
+  findTagByName,
+  createTag,
+  mergeTags,
+  mergeTagChanges,
+  getBookTags,
+  filterBooksByTags
+} from '../tags'
+import { TAG_COLORS } from '@/constants'
+
+describe('tags', () => {
+  const sciFi = { id: 'tag-1', name: 'Sci-fi', color: '#3b82f6' }
+  const favorites = { id: 'tag-2', name: 'Favorites', color: '#ef4444' }
+
+  describe('normalizeTagName', () => {
+    it('should trim and collapse whitespace', () => {
+      expect(normalizeTagName('  To   read  soon ')).toBe('To read soon')
+    })
+
+    it('should return an empty name for non-strings', () => {
+      expect(normalizeTagName(null)).toBe('')
+      expect(normalizeTagName(3)).toBe('')
+    })
+  })
+
+  describe('normalizeTags', () => {
+    it('should keep valid tags in order', () => {
+      expect(normalizeTags([favorites, sciFi])).toEqual([favorites, sciFi])
+    })
+
+    it('should drop tags without an ID or name and repeated IDs', () => {
+      expect(normalizeTags([
+        sciFi,
+        { id: '', name: 'No ID' },
+        { id: 'tag-3', name: '  ' },
+        { ...sciFi, name: 'Copy' },
+        null
+      ])).toEqual([sciFi])
+    })
+
+    it('should lowercase colors and replace invalid ones', () => {
+      expect(normalizeTags([
+        { id: 'tag-1', name: 'A', color: '#10B981' },
+        { id: 'tag-2', name: 'B', color: 'red' },
+        { id: 'tag-3', name: 'C' }
+      ]).map(tag => tag.color)).toEqual(['#10b981', TAG_COLORS[0], TAG_COLORS[0]])
+    })
+
+    it('should return an empty list for anything else', () => {
+      expect(normalizeTags(null)).toEqual([])
+      expect(normalizeTags({})).toEqual([])
+    })
+  })
+
+  describe('findTagByName', () => {
+    it('should ignore case and extra whitespace', () => {
+      expect(findTagByName([sciFi, favorites], ' sci-FI ')).toBe(sciFi)
+      expect(findTagByName([sciFi], 'Fantasy')).toBeNull()
+    })
+  })
+
+  describe('createTag', () => {
+    it('should build a tag with a device-made ID', () => {
+      const tag = createTag(' Classics ', '#F59E0B')
+
+      expect(tag.id).toMatch(/^tag-[a-z0-9]+-[a-z0-9]+$/)
+      expect(tag.name).toBe('Classics')
+      expect(tag.color).toBe('#f59e0b')
+    })
+
+    it('should pick the next palette color by default', () => {
+      expect(createTag('Classics', null, [sciFi, favorites]).color).toBe(TAG_COLORS[2])
+      expect(createTag('Classics', null, TAG_COLORS.map((_, i) => ({ id: `t${i}` }))).color).toBe(TAG_COLORS[0])
+    })
+
+    it('should make a different ID each time', () => {
+      expect(createTag('A').id).not.toBe(createTag('A').id)
+    })
+  })
+
+  describe('mergeTags', () => {
+    it('should add imported tags the user does not have', () => {
+      const { tags, idMap } = mergeTags([sciFi], [favorites])
+
+      expect(tags).toEqual([sciFi, favorites])
+      expect(idMap).toEqual({ 'tag-2': 'tag-2' })
+    })
+
+    it('should map imported tags to local tags with the same ID or name', () => {
+      const { tags, idMap } = mergeTags(
+        [sciFi, favorites],
+        [{ ...sciFi, color: '#10b981' }, { id: 'tag-9', name: 'favorites', color: '#6b7280' }]
+      )
+
+      expect(tags).toEqual([sciFi, favorites])
+      expect(idMap).toEqual({ 'tag-1': 'tag-1', 'tag-9': 'tag-2' })
+    })
+  })
+
+  describe('mergeTagChanges', () => {
+    const classics = { id: 'tag-3', name: 'Classics', color: '#10b981' }
+
+    it('should keep tags added on either side', () => {
+      expect(mergeTagChanges([sciFi], [sciFi, favorites], [sciFi, classics]))
+        .toEqual([sciFi, classics, favorites])
+    })
+
+    it('should drop tags deleted on either side', () => {
+      expect(mergeTagChanges([sciFi, favorites, classics], [sciFi, classics], [sciFi, favorites]))
+        .toEqual([sciFi])
+    })
+
+    it('should keep edits from either side, and the local one when both edited a tag', () => {
+      const renamed = { ...sciFi, name: 'Science fiction' }
+      const recolored = { ...favorites, color: '#6b7280' }
+
+      expect(mergeTagChanges(
+        [sciFi, favorites],
+        [renamed, favorites],
+        [{ ...sciFi, name: 'SF' }, recolored]
+      )).toEqual([renamed, recolored])
+    })
+
+    it('should keep a tag edited here after the server deleted it', () => {
+      const renamed = { ...sciFi, name: 'Science fiction' }
+
+      expect(mergeTagChanges([sciFi, favorites], [renamed, favorites], [favorites]))
+        .toEqual([favorites, renamed])
+    })
+  })
+
+  describe('getBookTags', () => {
+    it('should return the book tags in order and skip deleted ones', () => {
+      const book = { tags: ['tag-2', 'tag-gone', 'tag-1'] }
+
+      expect(getBookTags(book, [sciFi, favorites])).toEqual([favorites, sciFi])
+    })
+
+    it('should handle books without tags', () => {
+      expect(getBookTags({}, [sciFi])).toEqual([])
+    })
+  })
+
+  describe('filterBooksByTags', () => {
+    const books = [
+      { id: 'a', tags: ['tag-1'] },
+      { id: 'b', tags: ['tag-1', 'tag-2'] },
+      { id: 'c' }
+    ]
+
+    it('should keep books with any of the tags', () => {
+      expect(filterBooksByTags(books, ['tag-2']).map(b => b.id)).toEqual(['b'])
+      expect(filterBooksByTags(books, ['tag-1', 'tag-2']).map(b => b.id)).toEqual(['a', 'b'])
+    })
+
+    it('should not filter without tags', () => {
+      expect(filterBooksByTags(books, [])).toBe(books)
+    })
+  })
+})
@@ -0,0 +1,135 @@
+/**
+ * Book Merge Utility
+ * Three-way merge of book fields, used by sync to combine edits made on different devices
+ */
+
+import { normalizeBookStatus, normalizeStartDate, normalizePastReads, normalizeReadingProgress, normalizeBookTags } from './bookSchema'
+import { normalizePageCount } from './readingProgress'
+
+/**
+ * Fields compared independently during a merge
+ * status, year, month and day are merged together as readDate so a date is never half-applied,
+ * and the earlier readings, progress history and tags each as a whole list
+ */
+export const MERGE_FIELDS = ['name', 'author', 'coverLink', 'readDate', 'startDate', 'pastReads', 'pageCount', 'progress', 'tags', 'isUnfinished', 'customCover', 'score']
+
+/**
+ * Read a merge field value from a book
+ * @private
+ */
+function readMergeField(book, field) {
+  switch (field) {
+    case 'readDate':
+      return normalizeBookStatus(book)
+    case 'startDate':
+      return normalizeStartDate(book.startDate)
+    case 'pastReads':
+      return normalizePastReads(book.pastReads)
+    case 'pageCount':
+      return normalizePageCount(book.pageCount)
+    case 'progress':
+      return normalizeReadingProgress(book.progress)
+    case 'tags':
+      return normalizeBookTags(book.tags)
+    case 'isUnfinished':
+      return book.attributes?.isUnfinished ?? false
+    case 'customCover':
+      return book.attributes?.customCover ?? false
+    case 'score':
+      return book.attributes?.score ?? null
+    default:
+      return book[field] || null
+  }
+}
+
+/**
+ * Compare two merge field values
+ * @private
+ */
+function isSameValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isSameValue(item, b[index]))
+  }
+  if (a && b && typeof a === 'object') {
+    return Object.keys(a).every(key => isSameValue(a[key], b[key]))
+  }
+  return a === b
+}
+
+/**
+ * Copy a merge field from one book to another (mutates target)
+ * @param {Object} target - Book receiving the value (must have an attributes object)
+ * @param {string} field - Field name from MERGE_FIELDS
+ * @param {Object} source - Book providing the value
+ */
+export function applyMergeField(target, field, source) {
+  const value = readMergeField(source, field)
+
+  if (field === 'readDate') {
+    target.status = value.status
+    target.year = value.year
+    target.month = value.month
+    target.day = value.day
+  } else if (['isUnfinished', 'customCover', 'score'].includes(field)) {
+    target.attributes[field] = value
+  } else {
+    target[field] = value
+  }
+}
+
+/**
+ * Extract the mergeable fields of a book
+ * Used as the base snapshot an edit is made from
+ * @param {Object} book - Book in store format
+ * @returns {Object} { name, author, coverLink, status, year, month, day, startDate, pastReads, pageCount, progress, tags, attributes }
+ */
+export function pickMergeFields(book) {
+  return {
+    name: book.name,
+    author: book.author || null,
+    coverLink: book.coverLink || null,
+    ...normalizeBookStatus(book),
+    startDate: normalizeStartDate(book.startDate),
+    pastReads: normalizePastReads(book.pastReads),
+    pageCount: normalizePageCount(book.pageCount),
+    progress: normalizeReadingProgress(book.progress),
+    tags: normalizeBookTags(book.tags),
+    attributes: {
+      isUnfinished: book.attributes?.isUnfinished ?? false,
+      customCover: book.attributes?.customCover ?? false,
+      score: book.attributes?.score ?? null
+    }
+  }
+}
+
+/**
+ * Merge local and remote changes made from the same base version
+ * A field changed on only one side takes that side's value; a field changed
+ * differently on both sides is a conflict and keeps the local value
+ * @param {Object} base - Book as it was before either change
+ * @param {Object} local - Book with this device's changes
+ * @param {Object} remote - Book as currently stored on the server
+ * @returns {Object} { merged, conflicts } merged fields and names of conflicting fields
+ */
+export function mergeBookChanges(base, local, remote) {
+  const merged = pickMergeFields(local)
+  const conflicts = []
+
+  MERGE_FIELDS.forEach((field) => {
+    const baseValue = readMergeField(base, field)
+    const localValue = readMergeField(local, field)
+    const remoteValue = readMergeField(remote, field)
+
+    if (isSameValue(localValue, remoteValue) || isSameValue(remoteValue, baseValue)) {
+      return
+    }
+
+    if (isSameValue(localValue, baseValue)) {
+      applyMergeField(merged, field, remote)
+    } else {
+      conflicts.push(field)
+    }
+  })
+
+  return { merged, conflicts }
+}
@@ -3,6 +3,8 @@
  * Defines default book attributes and normalization functions
  */
 
+import { BOOK_STATUS } from '@/constants'
+
 /**
  * Default book attributes
  * Single source of truth for book attribute structure
@@ -13,6 +15,17 @@ export const DEFAULT_BOOK_ATTRIBUTES = {
   score: null
 }
 
+/**
+ * Every valid book status
+ */
+export const BOOK_STATUSES = [
+  BOOK_STATUS.TO_READ,
+  BOOK_STATUS.READING,
+  BOOK_STATUS.READ,
+  BOOK_STATUS.READ_LATELY,
+  BOOK_STATUS.READ_LONG_AGO
+]
+
 /**
  * Normalize book attributes to ensure all required fields exist
  * Handles migration from old format with top-level isUnfinished property
@@ -34,3 +47,111 @@ export function normalizeBookAttributes(book) {
 
   return attributes
 }
+
+/**
+ * Years that stood in for a status before books had one (schema 1.1 and older)
+ * Years up to 1900 were shown as "Long Time Ago"
+ */
+export const LEGACY_STATUS_YEARS = {
+  READ_LONG_AGO: 1900,
+  READ_LATELY: 1910,
+  TO_READ: 2100
+}
+
+/**
+ * Infer a status from the year of a book written without one
+ * @private
+ */
+function inferLegacyStatus(year) {
+  if (year === LEGACY_STATUS_YEARS.TO_READ) return BOOK_STATUS.TO_READ
+  if (year === LEGACY_STATUS_YEARS.READ_LATELY) return BOOK_STATUS.READ_LATELY
+  if (year && year <= LEGACY_STATUS_YEARS.READ_LONG_AGO) return BOOK_STATUS.READ_LONG_AGO
+  // Any other year is a real finish date, kept with year precision when the month is unknown
+  return year ? BOOK_STATUS.READ : BOOK_STATUS.READING
+}
+
+/**
+ * Normalize a book's status and finish date
+ * Books without a valid status (older local data, exports and queued changes) get one
+ * from their year; only READ books keep a finish date, with year, month or day precision
+ * @param {Object} book - Book object (may use a sentinel year instead of a status)
+ * @returns {Object} { status, year, month, day }
+ */
+export function normalizeBookStatus(book) {
+  const { year = null, month = null, day = null } = book
+  let status = BOOK_STATUSES.includes(book.status)
+    ? book.status
+    : inferLegacyStatus(year)
+
+  // A read book needs at least the year it was finished
+  if (status === BOOK_STATUS.READ && !year) {
+    status = BOOK_STATUS.READING
+  }
+
+  return status === BOOK_STATUS.READ
+    ? { status, year, month, day }
+    : { status, year: null, month: null, day: null }
+}
+
+/**
+ * Normalize a book's start date
+ * Like the finish date, out-of-range parts are kept for validation to report
+ * @param {Object|null} startDate - { year, month, day } (month and day optional)
+ * @returns {Object|null} Start date with nulls for missing parts, or null when the year is unknown
+ */
+export function normalizeStartDate(startDate) {
+  if (!startDate?.year) return null
+
+  const { year, month = null, day = null } = startDate
+  return { year, month, day }
+}
+
+/**
+ * Normalize a book's earlier readings (re-reads keep the previous ones here)
+ * Each reading has its own finish date, start date, unfinished flag and score;
+ * readings without a finish year are dropped
+ * @param {Array|null} pastReads - Array of { year, month, day, startDate, isUnfinished, score }
+ * @returns {Array} Readings with every field present, newest first
+ */
+export function normalizePastReads(pastReads) {
+  if (!Array.isArray(pastReads)) return []
+
+  return pastReads
+    .filter(reading => reading?.year)
+    .map(({ year, month = null, day = null, startDate = null, isUnfinished = false, score = null }) => ({
+      year,
+      month,
+      day,
+      startDate: normalizeStartDate(startDate),
+      isUnfinished,
+      score
+    }))
+    .sort((a, b) => b.year - a.year || (b.month ?? 0) - (a.month ?? 0) || (b.day ?? 0) - (a.day ?? 0))
+}
+
+/**
+ * Normalize a book's reading progress history (see utils/readingProgress)
+ * Updates need a date and a page or percentage
+ * @param {Array|null} progress - Array of { date: 'YYYY-MM-DD', page, percent }
+ * @returns {Array} Updates with page and percent present, oldest first
+ */
+export function normalizeReadingProgress(progress) {
+  if (!Array.isArray(progress)) return []
+
+  return progress
+    .filter(entry => /^\d{4}-\d{2}-\d{2}$/.test(entry?.date ?? '') &&
+      (Number.isFinite(entry.page) || Number.isFinite(entry.percent)))
+    .map(({ date, page = null, percent = null }) => ({ date, page, percent }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
+
+/**
+ * Normalize the tags attached to a book (IDs of the user's tags, see stores/tags)
+ * @param {Array|null} tags - Tag IDs
+ * @returns {Array<string>} Non-empty IDs, without duplicates, in their original order
+ */
+export function normalizeBookTags(tags) {
+  if (!Array.isArray(tags)) return []
+
+  return [...new Set(tags.filter(id => typeof id === 'string' && id !== ''))]
+}
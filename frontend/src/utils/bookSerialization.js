@@ -3,7 +3,8 @@
  * Handles conversion between runtime and storage formats
  */
 
-import { normalizeBookAttributes } from './bookSchema'
+import { normalizeBookAttributes, normalizeBookStatus, normalizeStartDate, normalizePastReads, normalizeReadingProgress, normalizeBookTags } from './bookSchema'
+import { normalizePageCount } from './readingProgress'
 
 /**
  * Serialize a book for storage (localStorage or API sync)
@@ -17,8 +18,15 @@ export function serializeBook(book) {
     name: book.name,
     author: book.author,
     coverLink: book.coverLink,
+    status: book.status,
     year: book.year,
     month: book.month,
+    day: book.day ?? null,
+    startDate: book.startDate ?? null,
+    pastReads: book.pastReads ?? [],
+    pageCount: book.pageCount ?? null,
+    progress: book.progress ?? [],
+    tags: book.tags ?? [],
     attributes: book.attributes,
     createdAt: book.createdAt instanceof Date ? book.createdAt.toISOString() : book.createdAt,
     updatedAt: book.updatedAt instanceof Date ? book.updatedAt.toISOString() : book.updatedAt
@@ -27,13 +35,19 @@ export function serializeBook(book) {
 
 /**
  * Deserialize a book from storage format to runtime format
- * Converts ISO strings to Date objects and normalizes attributes
+ * Converts ISO strings to Date objects and normalizes status and attributes
  * @param {Object} storedBook - Book object from localStorage/API
  * @returns {Object} Book object in runtime format
  */
 export function deserializeBook(storedBook) {
   return {
     ...storedBook,
+    ...normalizeBookStatus(storedBook),
+    startDate: normalizeStartDate(storedBook.startDate),
+    pastReads: normalizePastReads(storedBook.pastReads),
+    pageCount: normalizePageCount(storedBook.pageCount),
+    progress: normalizeReadingProgress(storedBook.progress),
+    tags: normalizeBookTags(storedBook.tags),
     attributes: normalizeBookAttributes(storedBook),
     createdAt: new Date(storedBook.createdAt),
     updatedAt: storedBook.updatedAt ? new Date(storedBook.updatedAt) : undefined
@@ -51,8 +65,15 @@ export function serializeBookForApi(book) {
     name: book.name,
     author: book.author,
     coverLink: book.coverLink,
+    status: book.status,
     year: book.year,
     month: book.month,
+    day: book.day ?? null,
+    startDate: book.startDate ?? null,
+    pastReads: book.pastReads ?? [],
+    pageCount: book.pageCount ?? null,
+    progress: book.progress ?? [],
+    tags: book.tags ?? [],
     attributes: book.attributes
   }
 }
@@ -6,42 +6,127 @@
 import { BOOK_STATUS } from '@/constants'
 
 /**
- * Sort books: to-read first, then in-progress, then by year and month (descending)
+ * Display order of statuses: to-read first, then in-progress, then read books
+ * Read books without a known month come after the dated ones
+ */
+const STATUS_ORDER = [
+  BOOK_STATUS.TO_READ,
+  BOOK_STATUS.READING,
+  BOOK_STATUS.READ,
+  BOOK_STATUS.READ_LATELY,
+  BOOK_STATUS.READ_LONG_AGO
+]
+
+/**
+ * Compare two books by status (see STATUS_ORDER)
+ * @param {Object} a - Book
+ * @param {Object} b - Book
+ * @returns {number} Negative if a comes first, positive if b does, 0 for the same status
+ */
+export function compareBookStatus(a, b) {
+  return STATUS_ORDER.indexOf(BOOK_STATUS.getStatus(a)) - STATUS_ORDER.indexOf(BOOK_STATUS.getStatus(b))
+}
+
+/**
+ * Compare two books of the same status by date
+ * Read books by year, month and day (unknown parts sort last within their period),
+ * to-read and in-progress books by createdAt (newest first)
+ * @param {Object} a - Book
+ * @param {Object} b - Book
+ * @returns {number} Sort order
+ */
+export function compareBookDates(a, b) {
+  if (BOOK_STATUS.hasReadDate(a) && BOOK_STATUS.hasReadDate(b)) {
+    if (a.year !== b.year) {
+      return b.year - a.year
+    }
+    if (a.month !== b.month) {
+      return (b.month ?? 0) - (a.month ?? 0)
+    }
+    return (b.day ?? 0) - (a.day ?? 0)
+  }
+
+  if (BOOK_STATUS.isUndated(a)) return 0
+
+  return new Date(b.createdAt) - new Date(a.createdAt)
+}
+
+/**
+ * Sort books: to-read first, then in-progress, then by read date (descending)
  * @param {Array} books - Array of book objects
  * @returns {Array} Sorted array of books (new array, does not mutate input)
  */
 export function sortBooks(books) {
-  return [...books].sort((a, b) => {
-    // Check for "To Read" status (year 2100)
-    const aToRead = BOOK_STATUS.isToRead(a.year)
-    const bToRead = BOOK_STATUS.isToRead(b.year)
-
-    // To Read books come first
-    if (aToRead && !bToRead) return -1
-    if (!aToRead && bToRead) return 1
-
-    // Both To Read - sort by createdAt (newest first)
-    if (aToRead && bToRead) {
-      return new Date(b.createdAt) - new Date(a.createdAt)
-    }
+  return [...books].sort((a, b) => compareBookStatus(a, b) || compareBookDates(a, b))
+}
 
-    // Check for in-progress books (no year OR no month)
-    const aInProgress = a.year === null || a.month === null
-    const bInProgress = b.year === null || b.month === null
+/**
+ * List every reading of the books: each book as it is now, followed by one
+ * read copy per earlier reading (see bookSchema.normalizePastReads)
+ * A copy carries that reading's dates, unfinished flag and score, and
+ * pastReadIndex pointing at it in the book's pastReads
+ * @param {Array} books - Array of book objects
+ * @returns {Array} Books and copies of re-read books
+ */
+export function expandPastReads(books) {
+  return books.flatMap(book => [
+    book,
+    ...(book.pastReads || []).map((reading, pastReadIndex) => ({
+      ...book,
+      status: BOOK_STATUS.READ,
+      year: reading.year,
+      month: reading.month,
+      day: reading.day,
+      startDate: reading.startDate,
+      attributes: { ...book.attributes, isUnfinished: reading.isUnfinished, score: reading.score },
+      pastReadIndex
+    }))
+  ])
+}
 
-    // In-progress books come before other completed books
-    if (aInProgress && !bInProgress) return -1
-    if (!aInProgress && bInProgress) return 1
+/**
+ * Group sorted books into consecutive timeline groups
+ * Read books are grouped by year, in-progress books count as the current year,
+ * and other statuses get a group of their own
+ * @param {Array} books - Books already in display order (see sortBooks)
+ * @returns {Array<{status: string, year: number|null, books: Array}>} Groups in input order
+ *   (status is BOOK_STATUS.READ for year groups, see BOOK_STATUS.getTimelineLabel)
+ */
+export function groupBooksByYear(books) {
+  const groups = []
+  let currentKey = undefined
+  let currentGroup = null
+  const nowYear = new Date().getFullYear()
 
-    // Both in-progress - sort by createdAt (newest first)
-    if (aInProgress && bInProgress) {
-      return new Date(b.createdAt) - new Date(a.createdAt)
+  books.forEach(book => {
+    const status = BOOK_STATUS.getStatus(book)
+    let groupStatus = status
+    let groupYear = null
+
+    if (status === BOOK_STATUS.READ || status === BOOK_STATUS.READING) {
+      groupStatus = BOOK_STATUS.READ
+      groupYear = status === BOOK_STATUS.READING ? nowYear : book.year
     }
 
-    // Both regular completed books - sort by year and month (newest first)
-    if (a.year !== b.year) {
-      return b.year - a.year
+    const key = groupYear ?? groupStatus
+    if (key !== currentKey) {
+      if (currentGroup) {
+        groups.push(currentGroup)
+      }
+      currentKey = key
+      currentGroup = {
+        status: groupStatus,
+        year: groupYear,
+        books: [book]
+      }
+    } else {
+      currentGroup.books.push(book)
     }
-    return b.month - a.month
   })
+
+  if (currentGroup) {
+    groups.push(currentGroup)
+  }
+
+  return groups
 }
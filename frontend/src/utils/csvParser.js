@@ -0,0 +1,86 @@
+/**
+ * CSV Parser Utility
+ * Minimal RFC 4180 parser for spreadsheet exports from other services
+ */
+
+/**
+ * Parse delimited text into rows of fields
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes
+ * @param {string} content - Raw file content
+ * @param {string} delimiter - Field delimiter (default: ',')
+ * @returns {Array<Array<string>>} Rows of field values (blank lines are skipped)
+ */
+export function parseCSV(content, delimiter = ',') {
+  const text = content.charCodeAt(0) === 0xFEFF ? content.slice(1) : content
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  const endRow = () => {
+    row.push(field)
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row)
+    }
+    row = []
+    field = ''
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (char === '\n') {
+      endRow()
+    } else if (char === '\r') {
+      if (text[i + 1] === '\n') i++
+      endRow()
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow()
+  }
+
+  return rows
+}
+
+/**
+ * Parse delimited text with a header row into objects keyed by header
+ * @param {string} content - Raw file content
+ * @param {string} delimiter - Field delimiter (default: ',')
+ * @returns {Object} { headers: Array<string>, records: Array<Object> }
+ */
+export function parseCSVRecords(content, delimiter = ',') {
+  const [headerRow, ...dataRows] = parseCSV(content, delimiter)
+  if (!headerRow) {
+    return { headers: [], records: [] }
+  }
+
+  const headers = headerRow.map(header => header.trim())
+  const records = dataRows.map(row =>
+    Object.fromEntries(headers.map((header, index) => [header, row[index] ?? '']))
+  )
+
+  return { headers, records }
+}
@@ -30,11 +30,31 @@ export class ApiError extends Error {
     return this.status === 409
   }
 
+  isRateLimited() {
+    return this.status === 429
+  }
+
+  isClientError() {
+    return this.status >= 400 && this.status < 500
+  }
+
   isServerError() {
     return this.status >= 500
   }
 }
 
+/**
+ * Data written with a schema version this app cannot read
+ * Usually a stale tab or cached app shell meeting data saved by a newer release
+ */
+export class UnsupportedSchemaVersionError extends Error {
+  constructor(version) {
+    super(`Unsupported export version: ${version}`)
+    this.name = 'UnsupportedSchemaVersionError'
+    this.version = version
+  }
+}
+
 /**
  * Adapts PocketBase ClientResponseError to ApiError
  * Maintains backward compatibility with existing error handling
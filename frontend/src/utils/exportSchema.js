@@ -0,0 +1,354 @@
+/**
+ * Export Schema Utility
+ * Versioned schema for exported and locally stored book data, with forward upgrades
+ *
+ * Versions:
+ *   1.0 - attributes object, older books may still carry a top-level isUnfinished
+ *         (also: every localStorage payload written before versioning)
+ *   1.1 - attributes always hold isUnfinished, customCover and score; no top-level isUnfinished
+ *   1.2 - status field; year and month are only set for read books (no more sentinel years)
+ *   1.3 - day of the finish date, and an optional startDate ({ year, month, day })
+ *   1.4 - pastReads: earlier readings of the book, each with its own dates, unfinished flag and score
+ *   1.5 - pageCount and progress (history of { date, page, percent } updates)
+ *   1.6 - tags: IDs of the user's tags on each book; exports also list the tags ({ id, name, color })
+ *
+ * To change the format: bump CURRENT_SCHEMA_VERSION, append an upgrade step
+ * and update BOOK_SCHEMA. Exports and localStorage share the same versions.
+ */
+
+import { normalizeBookAttributes, normalizeBookStatus, BOOK_STATUSES } from './bookSchema'
+import { UnsupportedSchemaVersionError } from './errors'
+
+/**
+ * Version written by exports and localStorage
+ */
+export const CURRENT_SCHEMA_VERSION = '1.6'
+
+/**
+ * Version assumed for payloads written before versioning
+ */
+export const LEGACY_SCHEMA_VERSION = '1.0'
+
+/**
+ * Field definition of a start date, shared by a book and its past readings
+ * @private
+ */
+const START_DATE_SCHEMA = {
+  type: ['object', 'null'],
+  fields: {
+    year: { type: ['integer'], required: true },
+    month: { type: ['integer', 'null'], min: 1, max: 12 },
+    day: { type: ['integer', 'null'], min: 1, max: 31 }
+  }
+}
+
+/**
+ * Field definitions for a book in the current schema
+ * type: allowed value types ('integer' is a whole number, 'date' a Date or ISO string)
+ * values: allowed values, for fields with a fixed set
+ * items: field definitions for each element of an array
+ * itemType: allowed types of each element of an array of plain values
+ */
+export const BOOK_SCHEMA = {
+  id: { type: ['string', 'null'] },
+  name: { type: ['string'], required: true },
+  author: { type: ['string', 'null'] },
+  coverLink: { type: ['string', 'null'] },
+  status: { type: ['string'], required: true, values: BOOK_STATUSES },
+  year: { type: ['integer', 'null'] },
+  month: { type: ['integer', 'null'], min: 1, max: 12 },
+  day: { type: ['integer', 'null'], min: 1, max: 31 },
+  startDate: START_DATE_SCHEMA,
+  pastReads: {
+    type: ['array', 'null'],
+    items: {
+      year: { type: ['integer'], required: true },
+      month: { type: ['integer', 'null'], min: 1, max: 12 },
+      day: { type: ['integer', 'null'], min: 1, max: 31 },
+      startDate: START_DATE_SCHEMA,
+      isUnfinished: { type: ['boolean'], required: true },
+      score: { type: ['integer', 'null'] }
+    }
+  },
+  pageCount: { type: ['integer', 'null'], min: 1 },
+  progress: {
+    type: ['array', 'null'],
+    items: {
+      date: { type: ['string'], required: true },
+      page: { type: ['integer', 'null'], min: 0 },
+      percent: { type: ['integer', 'null'], min: 0, max: 100 }
+    }
+  },
+  tags: { type: ['array', 'null'], itemType: ['string'] },
+  attributes: {
+    type: ['object'],
+    required: true,
+    fields: {
+      isUnfinished: { type: ['boolean'], required: true },
+      customCover: { type: ['boolean'], required: true },
+      score: { type: ['integer', 'null'] }
+    }
+  },
+  createdAt: { type: ['date', 'null'] },
+  updatedAt: { type: ['date', 'null'] }
+}
+
+/**
+ * Upgrade a single book from 1.0 to 1.1
+ * @private
+ */
+function upgradeBookTo1_1(book) {
+  if (!book || typeof book !== 'object') return book
+
+  const upgraded = { ...book, attributes: normalizeBookAttributes(book) }
+  delete upgraded.isUnfinished
+  return upgraded
+}
+
+/**
+ * Upgrade a single book from 1.1 to 1.2
+ * @private
+ */
+function upgradeBookTo1_2(book) {
+  if (!book || typeof book !== 'object') return book
+
+  return { ...book, ...normalizeBookStatus(book) }
+}
+
+/**
+ * Upgrade a single book from 1.2 to 1.3
+ * @private
+ */
+function upgradeBookTo1_3(book) {
+  if (!book || typeof book !== 'object') return book
+
+  return { ...book, day: book.day ?? null, startDate: book.startDate ?? null }
+}
+
+/**
+ * Upgrade a single book from 1.3 to 1.4
+ * @private
+ */
+function upgradeBookTo1_4(book) {
+  if (!book || typeof book !== 'object') return book
+
+  return { ...book, pastReads: book.pastReads ?? [] }
+}
+
+/**
+ * Upgrade a single book from 1.4 to 1.5
+ * @private
+ */
+function upgradeBookTo1_5(book) {
+  if (!book || typeof book !== 'object') return book
+
+  return { ...book, pageCount: book.pageCount ?? null, progress: book.progress ?? [] }
+}
+
+/**
+ * Upgrade a single book from 1.5 to 1.6
+ * @private
+ */
+function upgradeBookTo1_6(book) {
+  if (!book || typeof book !== 'object') return book
+
+  return { ...book, tags: book.tags ?? [] }
+}
+
+/**
+ * Ordered upgrade steps; each takes a payload ({ books, ... }) at `from` and returns it at `to`
+ */
+export const SCHEMA_UPGRADES = [
+  {
+    from: '1.0',
+    to: '1.1',
+    upgrade: (payload) => ({
+      ...payload,
+      books: payload.books.map(upgradeBookTo1_1)
+    })
+  },
+  {
+    from: '1.1',
+    to: '1.2',
+    upgrade: (payload) => ({
+      ...payload,
+      books: payload.books.map(upgradeBookTo1_2)
+    })
+  },
+  {
+    from: '1.2',
+    to: '1.3',
+    upgrade: (payload) => ({
+      ...payload,
+      books: payload.books.map(upgradeBookTo1_3)
+    })
+  },
+  {
+    from: '1.3',
+    to: '1.4',
+    upgrade: (payload) => ({
+      ...payload,
+      books: payload.books.map(upgradeBookTo1_4)
+    })
+  },
+  {
+    from: '1.4',
+    to: '1.5',
+    upgrade: (payload) => ({
+      ...payload,
+      books: payload.books.map(upgradeBookTo1_5)
+    })
+  },
+  {
+    from: '1.5',
+    to: '1.6',
+    upgrade: (payload) => ({
+      ...payload,
+      tags: payload.tags ?? [],
+      books: payload.books.map(upgradeBookTo1_6)
+    })
+  }
+]
+
+/**
+ * Versions that can be upgraded to the current schema
+ * @returns {Array<string>} Versions, oldest first
+ */
+export function getSupportedSchemaVersions() {
+  return [...SCHEMA_UPGRADES.map(step => step.from), CURRENT_SCHEMA_VERSION]
+}
+
+/**
+ * Bring a payload up to the current schema version
+ * @param {Object} payload - Object with a books array
+ * @param {string} version - Schema version the payload was written with
+ * @returns {Object} { payload, version, upgradedFrom } (upgradedFrom is null if already current)
+ * @throws {UnsupportedSchemaVersionError} If the version is unknown or newer than this app
+ */
+export function upgradeToCurrentSchema(payload, version) {
+  let currentVersion = String(version)
+  if (!getSupportedSchemaVersions().includes(currentVersion)) {
+    throw new UnsupportedSchemaVersionError(version)
+  }
+
+  let upgraded = payload
+  while (currentVersion !== CURRENT_SCHEMA_VERSION) {
+    const step = SCHEMA_UPGRADES.find(candidate => candidate.from === currentVersion)
+    upgraded = step.upgrade(upgraded)
+    currentVersion = step.to
+  }
+
+  return {
+    payload: upgraded,
+    version: currentVersion,
+    upgradedFrom: String(version) === CURRENT_SCHEMA_VERSION ? null : String(version)
+  }
+}
+
+/**
+ * Check a value against a field's allowed types
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null || value === undefined
+    case 'integer':
+      return Number.isInteger(value)
+    case 'date':
+      return (value instanceof Date && !Number.isNaN(value.getTime())) ||
+        (typeof value === 'string' && !Number.isNaN(Date.parse(value)))
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+    case 'array':
+      return Array.isArray(value)
+    default:
+      return typeof value === type
+  }
+}
+
+/**
+ * Validate values against field definitions
+ * @private
+ */
+function validateFields(value, fields, path = '') {
+  const errors = []
+
+  Object.entries(fields).forEach(([key, definition]) => {
+    const fieldValue = value[key]
+    const fieldPath = `${path}${key}`
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (definition.required) {
+        errors.push(`${fieldPath} is required`)
+      } else if (!definition.type.includes('null')) {
+        errors.push(`${fieldPath} must be ${definition.type.join(' or ')}`)
+      }
+      return
+    }
+
+    if (!definition.type.some(type => matchesType(fieldValue, type))) {
+      errors.push(`${fieldPath} must be ${definition.type.join(' or ')}`)
+      return
+    }
+
+    if (definition.values && !definition.values.includes(fieldValue)) {
+      errors.push(`${fieldPath} must be one of ${definition.values.join(', ')}`)
+    }
+    if (definition.min !== undefined && fieldValue < definition.min) {
+      errors.push(`${fieldPath} must be at least ${definition.min}`)
+    }
+    if (definition.max !== undefined && fieldValue > definition.max) {
+      errors.push(`${fieldPath} must be at most ${definition.max}`)
+    }
+    if (definition.fields) {
+      errors.push(...validateFields(fieldValue, definition.fields, `${fieldPath}.`))
+    }
+    if (definition.items) {
+      fieldValue.forEach((item, index) => {
+        if (!matchesType(item, 'object')) {
+          errors.push(`${fieldPath}[${index}] must be object`)
+          return
+        }
+        errors.push(...validateFields(item, definition.items, `${fieldPath}[${index}].`))
+      })
+    }
+    if (definition.itemType) {
+      fieldValue.forEach((item, index) => {
+        if (!definition.itemType.some(type => matchesType(item, type))) {
+          errors.push(`${fieldPath}[${index}] must be ${definition.itemType.join(' or ')}`)
+        }
+      })
+    }
+  })
+
+  return errors
+}
+
+/**
+ * Validate a book against the current schema
+ * @param {Object} book - Book object (runtime or serialized form)
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validateBook(book) {
+  if (!matchesType(book, 'object')) {
+    return ['book must be an object']
+  }
+
+  const errors = validateFields(book, BOOK_SCHEMA)
+  if (typeof book.name === 'string' && book.name.trim() === '') {
+    errors.push('name must not be empty')
+  }
+  return errors
+}
+
+/**
+ * Upgrade a localStorage books payload to the current schema
+ * @param {Array} books - Stored books
+ * @param {string|null} version - Stored schema version (null for payloads written before versioning)
+ * @returns {Array} Books in the current schema
+ */
+export function upgradeStoredBooks(books, version) {
+  const { payload } = upgradeToCurrentSchema({ books }, version || LEGACY_SCHEMA_VERSION)
+  return payload.books
+}
@@ -0,0 +1,32 @@
+/**
+ * File Reader Utility
+ * Promise wrappers around FileReader for user-selected files
+ */
+
+/**
+ * Read a File or Blob as text
+ * @param {Blob} file - File from an input element
+ * @returns {Promise<string>} File content
+ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(new Error(`Failed to read ${file.name || 'file'}`))
+    reader.readAsText(file)
+  })
+}
+
+/**
+ * Read a File or Blob as binary data
+ * @param {Blob} file - File from an input element
+ * @returns {Promise<ArrayBuffer>} File content
+ */
+export function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(new Error(`Failed to read ${file.name || 'file'}`))
+    reader.readAsArrayBuffer(file)
+  })
+}
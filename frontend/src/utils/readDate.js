@@ -0,0 +1,124 @@
+/**
+ * Read Date Utility
+ * Converts between the store's partial dates ({year, month, day}, where month and day
+ * may be unknown) and PocketBase date fields, which hold a full date plus its precision
+ */
+
+import { DATE_PRECISION, MONTHS } from '@/constants'
+import { logger } from './logger'
+
+/**
+ * Number of days in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Days in the month
+ */
+export function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate()
+}
+
+/**
+ * Drop the parts of a partial date that are missing or out of range
+ * A day is only kept with its month, and a month only with its year
+ * @param {Object|null} date - { year, month, day } (any may be null or undefined)
+ * @returns {Object} { year, month, day } with nulls for unknown parts
+ */
+export function normalizePartialDate(date) {
+  const { year = null, month = null, day = null } = date ?? {}
+  if (!Number.isInteger(year) || year === 0) {
+    return { year: null, month: null, day: null }
+  }
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    return { year, month: null, day: null }
+  }
+  if (!Number.isInteger(day) || day < 1 || day > getDaysInMonth(year, month)) {
+    return { year, month, day: null }
+  }
+  return { year, month, day }
+}
+
+/**
+ * Precision of a partial date
+ * @param {Object} date - { year, month, day }
+ * @returns {string|null} DATE_PRECISION value, or null when there is no date
+ */
+export function getDatePrecision(date) {
+  const { year, month, day } = normalizePartialDate(date)
+  if (!year) return null
+  if (!month) return DATE_PRECISION.YEAR
+  return day ? DATE_PRECISION.DAY : DATE_PRECISION.MONTH
+}
+
+/**
+ * Convert a PocketBase date to a partial date
+ * Records written before dates had a precision are month precision
+ * @param {string|null} readDate - Date string (e.g. "2024-03-14 00:00:00.000Z")
+ * @param {string|null} [precision] - DATE_PRECISION value stored next to the date
+ * @returns {Object} { year, month, day } (all null when no date)
+ */
+export function parseReadDate(readDate, precision = null) {
+  const empty = { year: null, month: null, day: null }
+  if (!readDate) return empty
+
+  // Read the date part as written; going through Date would shift it by the local time zone
+  const match = String(readDate).match(/^(\d{4})-(\d{2})-(\d{2})/)
+  if (!match) {
+    logger.warn('[ReadDate] Invalid read_date format:', readDate)
+    return empty
+  }
+
+  const [year, month, day] = match.slice(1).map(Number)
+  switch (precision || DATE_PRECISION.MONTH) {
+    case DATE_PRECISION.YEAR:
+      return { year, month: null, day: null }
+    case DATE_PRECISION.DAY:
+      return { year, month, day }
+    default:
+      return { year, month, day: null }
+  }
+}
+
+/**
+ * Convert a partial date to a PocketBase date
+ * Unknown parts are stored as the 1st (see getDatePrecision for the matching precision)
+ * @param {number|null} year - Year
+ * @param {number|null} [month] - Month (1-12)
+ * @param {number|null} [day] - Day of the month
+ * @returns {string|null} Date string "YYYY-MM-DD", or null when there is no year
+ */
+export function formatReadDate(year, month = null, day = null) {
+  const date = normalizePartialDate({ year, month, day })
+  if (!date.year) return null
+
+  const pad = (value) => String(value ?? 1).padStart(2, '0')
+  return `${date.year}-${pad(date.month)}-${pad(date.day)}`
+}
+
+/**
+ * Format a partial date as ISO 8601 with only its known parts
+ * @param {Object} date - { year, month, day }
+ * @returns {string} "2024-03-14", "2024-03", "2024", or '' when there is no date
+ */
+export function formatIsoPartialDate(date) {
+  const { year, month, day } = normalizePartialDate(date)
+  return [year, month, day]
+    .filter(part => part !== null)
+    .map((part, index) => (index === 0 ? String(part) : String(part).padStart(2, '0')))
+    .join('-')
+}
+
+/**
+ * Format a partial date for display
+ * @param {Object} date - { year, month, day }
+ * @param {Object} [options]
+ * @param {boolean} [options.short=false] - Use abbreviated month names
+ * @returns {string} "March 14, 2024", "March 2024", "2024", or '' when there is no date
+ */
+export function formatPartialDate(date, { short = false } = {}) {
+  const { year, month, day } = normalizePartialDate(date)
+  if (!year) return ''
+  if (!month) return String(year)
+
+  const monthName = short ? MONTHS[month - 1].name : MONTHS[month - 1].fullName
+  return day ? `${monthName} ${day}, ${year}` : `${monthName} ${year}`
+}
@@ -0,0 +1,118 @@
+/**
+ * Reading Progress Utility
+ * Progress of in-progress books is kept as a history of updates, oldest first:
+ * { date: 'YYYY-MM-DD', page, percent }, where either page or percent may be unknown
+ */
+
+import { formatReadDate } from './readDate'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Normalize a total page count
+ * @param {*} value - Page count (number or numeric string)
+ * @returns {number|null} Positive whole number of pages, or null when unknown
+ */
+export function normalizePageCount(value) {
+  const pages = Number(value)
+  return value !== null && value !== '' && Number.isInteger(pages) && pages > 0 ? pages : null
+}
+
+/**
+ * Build a progress update for today
+ * With a total page count, a page gives the percentage and a percentage the page
+ * @param {Object} update - { page } or { percent }
+ * @param {number|null} pageCount - Total pages of the book
+ * @param {Date} now - Date of the update (defaults to now)
+ * @returns {Object|null} { date, page, percent }, or null when the update has neither
+ */
+export function createProgressEntry({ page = null, percent = null }, pageCount = null, now = new Date()) {
+  const date = formatReadDate(now.getFullYear(), now.getMonth() + 1, now.getDate())
+  const total = normalizePageCount(pageCount)
+
+  if (Number.isFinite(page) && page >= 0) {
+    const currentPage = total ? Math.min(Math.round(page), total) : Math.round(page)
+    return { date, page: currentPage, percent: total ? Math.round((currentPage / total) * 100) : null }
+  }
+
+  if (Number.isFinite(percent) && percent >= 0) {
+    const currentPercent = Math.min(Math.round(percent), 100)
+    return { date, page: total ? Math.round((total * currentPercent) / 100) : null, percent: currentPercent }
+  }
+
+  return null
+}
+
+/**
+ * Add an update to a progress history (a second update on the same day replaces the first)
+ * @param {Array} progress - Progress history, oldest first
+ * @param {Object} entry - Update from createProgressEntry
+ * @returns {Array} New progress history
+ */
+export function addProgressEntry(progress, entry) {
+  const history = progress || []
+  const last = history[history.length - 1]
+
+  return last?.date === entry.date
+    ? [...history.slice(0, -1), entry]
+    : [...history, entry]
+}
+
+/**
+ * Latest progress update
+ * @param {Array} progress - Progress history, oldest first
+ * @returns {Object|null} { date, page, percent } or null without updates
+ */
+export function getCurrentProgress(progress) {
+  return progress?.length ? progress[progress.length - 1] : null
+}
+
+/**
+ * Average reading pace between the first and the latest update
+ * Measured in pages when both updates have one, otherwise in percent
+ * @param {Array} progress - Progress history, oldest first
+ * @returns {Object|null} { perDay, unit: 'pages'|'percent' }, or null until updates span a day
+ */
+export function getReadingPace(progress) {
+  if (!progress || progress.length < 2) return null
+
+  const first = progress[0]
+  const last = progress[progress.length - 1]
+  const days = Math.round((Date.parse(last.date) - Date.parse(first.date)) / DAY_MS)
+  if (!(days >= 1)) return null
+
+  const unit = first.page !== null && last.page !== null ? 'pages' : 'percent'
+  const key = unit === 'pages' ? 'page' : 'percent'
+  if (first[key] === null || last[key] === null) return null
+
+  return { perDay: Math.round(((last[key] - first[key]) / days) * 10) / 10, unit }
+}
+
+/**
+ * Format a progress update for display
+ * @param {Object|null} entry - { page, percent }
+ * @param {number|null} pageCount - Total pages of the book
+ * @returns {string} e.g. "p. 120 of 300 (40%)", "p. 120", "40%", or '' without progress
+ */
+export function formatProgress(entry, pageCount = null) {
+  if (!entry) return ''
+
+  if (entry.page !== null) {
+    const pages = pageCount ? `p. ${entry.page} of ${pageCount}` : `p. ${entry.page}`
+    return entry.percent !== null ? `${pages} (${entry.percent}%)` : pages
+  }
+  return entry.percent !== null ? `${entry.percent}%` : ''
+}
+
+/**
+ * Format a reading pace for display
+ * @param {Object|null} pace - Result of getReadingPace
+ * @returns {string} e.g. "~25 pages a day", "~3% a day", or '' without a pace
+ */
+export function formatReadingPace(pace) {
+  if (!pace || pace.perDay <= 0) return ''
+
+  return pace.unit === 'pages'
+    ? `~${pace.perDay} pages a day`
+    : `~${pace.perDay}% a day`
+}
@@ -1,13 +1,13 @@
 /**
  * Storage Error Handler Utility
- * Provides consistent error handling for localStorage operations
+ * Provides consistent error handling for local storage operations (IndexedDB or localStorage)
  */
 
 import { logger } from './logger'
 
 /**
- * Handle localStorage errors and return user-friendly error messages
- * @param {Error} error - The error thrown by localStorage
+ * Handle local storage errors and return user-friendly error messages
+ * @param {Error} error - The error thrown by IndexedDB or localStorage
  * @param {Object} context - Additional context (e.g., { operation: 'save', itemCount: 10 })
  * @returns {string} User-friendly error message
  */
@@ -15,13 +15,13 @@ export function handleStorageError(error, context = {}) {
   const { operation = 'access', itemCount = 0, sizeKB = 0 } = context
 
   if (error instanceof SyntaxError) {
-    const message = `Corrupted data in localStorage. Unable to ${operation} items.`
+    const message = `Corrupted data in local storage. Unable to ${operation} items.`
     logger.error(message, error)
     return message
   }
 
   if (error.name === 'SecurityError') {
-    const message = `localStorage access denied. Check browser privacy settings.`
+    const message = `Local storage access denied. Check browser privacy settings.`
     logger.error(message, error)
     return message
   }
@@ -35,7 +35,7 @@ export function handleStorageError(error, context = {}) {
   }
 
   // Generic error
-  const message = `Failed to ${operation} localStorage`
+  const message = `Failed to ${operation} local storage`
   logger.error(message, error)
   return message
 }
@@ -0,0 +1,145 @@
+/**
+ * Tags Utility
+ * Tags are defined per user as { id, name, color } and attached to books by ID (book.tags).
+ * Every tag is also a collection: /library/collection/:id lists the books carrying it
+ */
+
+import { TAG_COLORS } from '@/constants'
+import { normalizeBookTags } from './bookSchema'
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i
+
+/**
+ * Clean up a tag name (trimmed, inner whitespace collapsed)
+ * @param {*} name - Name as typed or stored
+ * @returns {string} Name, or '' when there is none
+ */
+export function normalizeTagName(name) {
+  return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : ''
+}
+
+/**
+ * Normalize a list of tag definitions
+ * Tags without an ID or name are dropped, as are repeated IDs; unknown colors become the first palette color
+ * @param {Array|null} tags - Array of { id, name, color }
+ * @returns {Array} Tags in their original order
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return []
+
+  const ids = new Set()
+  return tags.reduce((result, tag) => {
+    const name = normalizeTagName(tag?.name)
+    if (typeof tag?.id !== 'string' || tag.id === '' || !name || ids.has(tag.id)) return result
+
+    ids.add(tag.id)
+    result.push({
+      id: tag.id,
+      name,
+      color: HEX_COLOR.test(tag.color ?? '') ? tag.color.toLowerCase() : TAG_COLORS[0]
+    })
+    return result
+  }, [])
+}
+
+/**
+ * Find a tag by name, ignoring case
+ * @param {Array} tags - Tag definitions
+ * @param {string} name - Name to look for
+ * @returns {Object|null} Matching tag
+ */
+export function findTagByName(tags, name) {
+  const wanted = normalizeTagName(name).toLowerCase()
+  return tags.find(tag => tag.name.toLowerCase() === wanted) || null
+}
+
+/**
+ * Build a new tag
+ * IDs are made on the device so tags can be created and attached offline
+ * @param {string} name - Tag name
+ * @param {string|null} color - Hex color (defaults to the next palette color)
+ * @param {Array} existingTags - The user's current tags, to pick the next color
+ * @returns {Object} { id, name, color }
+ */
+export function createTag(name, color = null, existingTags = []) {
+  return {
+    id: `tag-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: normalizeTagName(name),
+    color: HEX_COLOR.test(color ?? '') ? color.toLowerCase() : TAG_COLORS[existingTags.length % TAG_COLORS.length]
+  }
+}
+
+/**
+ * Combine imported tags with the user's own
+ * An imported tag with the ID or the name of an existing tag is that tag, and the local version is kept
+ * @param {Array} localTags - The user's tags
+ * @param {Array} importedTags - Tags from an export file
+ * @returns {Object} { tags, idMap } where idMap maps each imported tag ID to the ID it ends up with
+ */
+export function mergeTags(localTags, importedTags) {
+  const tags = normalizeTags(localTags)
+  const idMap = {}
+
+  normalizeTags(importedTags).forEach((tag) => {
+    const existing = tags.find(local => local.id === tag.id) || findTagByName(tags, tag.name)
+    if (!existing) tags.push(tag)
+    idMap[tag.id] = existing?.id ?? tag.id
+  })
+
+  return { tags, idMap }
+}
+
+/**
+ * Merge this device's tag list with the server's, both changed from the same base list
+ * Tags are matched by ID: a tag added, edited or deleted on one side keeps that change,
+ * and a tag edited on both sides keeps the local version
+ * @param {Array} baseTags - Tags as they were before either change
+ * @param {Array} localTags - Tags with this device's changes
+ * @param {Array} remoteTags - Tags as currently stored on the server
+ * @returns {Array} Merged tags, in the server's order with local additions last
+ */
+export function mergeTagChanges(baseTags, localTags, remoteTags) {
+  const base = new Map(normalizeTags(baseTags).map(tag => [tag.id, tag]))
+  const local = new Map(normalizeTags(localTags).map(tag => [tag.id, tag]))
+  const remote = normalizeTags(remoteTags)
+  const remoteIds = new Set(remote.map(tag => tag.id))
+
+  const changedLocally = (tag) => {
+    const baseTag = base.get(tag.id)
+    return !baseTag || baseTag.name !== tag.name || baseTag.color !== tag.color
+  }
+
+  const merged = remote
+    .filter(tag => local.has(tag.id) || !base.has(tag.id))
+    .map(tag => (local.has(tag.id) && changedLocally(local.get(tag.id)) ? local.get(tag.id) : tag))
+
+  // Added here, or edited here after the server deleted them
+  const added = [...local.values()].filter(tag => !remoteIds.has(tag.id) && changedLocally(tag))
+
+  return [...merged, ...added]
+}
+
+/**
+ * Tags attached to a book, in the book's order
+ * IDs of tags that no longer exist are skipped
+ * @param {Object} book - Book with a tags array of IDs
+ * @param {Array} tags - Tag definitions
+ * @returns {Array} Tag definitions
+ */
+export function getBookTags(book, tags) {
+  return normalizeBookTags(book?.tags)
+    .map(id => tags.find(tag => tag.id === id))
+    .filter(Boolean)
+}
+
+/**
+ * Keep the books carrying any of the given tags
+ * @param {Array} books - Books to filter
+ * @param {Array<string>} tagIds - Tag IDs (no filtering when empty)
+ * @returns {Array} Matching books
+ */
+export function filterBooksByTags(books, tagIds) {
+  if (!tagIds?.length) return books
+
+  return books.filter(book => normalizeBookTags(book.tags).some(id => tagIds.includes(id)))
+}
@@ -31,13 +31,49 @@ vi.mock('@/services/auth', () => ({
 // Mock Heroicons
 vi.mock('@heroicons/vue/24/outline', () => ({
   ArrowDownTrayIcon: { name: 'ArrowDownTrayIcon', template: '<div />' },
-  ExclamationTriangleIcon: { name: 'ExclamationTriangleIcon', template: '<div />' }
+  ArrowUpTrayIcon: { name: 'ArrowUpTrayIcon', template: '<div />' },
+  ExclamationTriangleIcon: { name: 'ExclamationTriangleIcon', template: '<div />' },
+  LinkIcon: { name: 'LinkIcon', template: '<div />' },
+  PrinterIcon: { name: 'PrinterIcon', template: '<div />' }
 }))
 
 // Mock data export service
 vi.mock('@/services/dataExport', () => ({
   exportUserDataAsJSON: vi.fn(),
-  exportBooksAsCSV: vi.fn()
+  exportBooksAsCSV: vi.fn(),
+  exportBooksAsGoodreadsCSV: vi.fn()
+}))
+
+// Mock backup service
+vi.mock('@/services/dataBackup', () => ({
+  exportFullBackup: vi.fn(),
+  isBackupArchive: vi.fn(),
+  readBackupArchive: vi.fn()
+}))
+
+// Mock reading log export service
+vi.mock('@/services/readingLogExport', () => ({
+  DEFAULT_READING_LOG_OPTIONS: {},
+  filterBooksForReadingLog: vi.fn(() => []),
+  openReadingLog: vi.fn()
+}))
+
+// Mock calendar services
+vi.mock('@/services/calendarExport', () => ({
+  exportBooksAsICS: vi.fn()
+}))
+
+vi.mock('@/services/calendarApi', () => ({
+  calendarApi: {
+    getFeedToken: vi.fn(() => null),
+    getFeedUrl: vi.fn(),
+    rotateFeedToken: vi.fn()
+  }
+}))
+
+// Mock vault export service
+vi.mock('@/services/vaultExport', () => ({
+  exportBooksAsVault: vi.fn()
 }))
 
 // Mock stores
@@ -53,6 +89,13 @@ vi.mock('@/stores/settings', () => ({
   })
 }))
 
+vi.mock('@/stores/tags', () => ({
+  useTagsStore: () => ({
+    tags: [],
+    importTags: vi.fn()
+  })
+}))
+
 describe('SettingsAccount', () => {
   let wrapper
   let router
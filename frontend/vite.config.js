@@ -4,6 +4,11 @@ import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
 import vueDevTools from 'vite-plugin-vue-devtools'
 import tailwindcss from '@tailwindcss/vite'
+import { VitePWA } from 'vite-plugin-pwa'
+
+// Cover images are cached on first view so the library still shows them offline
+const COVER_CACHE_MAX_ENTRIES = 1000
+const COVER_CACHE_MAX_AGE = 60 * 60 * 24 * 90 // 90 days
 
 // https://vite.dev/config/
 export default defineConfig(({ mode }) => ({
@@ -11,6 +16,61 @@ export default defineConfig(({ mode }) => ({
     vue(),
     vueDevTools(),
     tailwindcss(),
+    VitePWA({
+      // The app asks before reloading, see useAppUpdate
+      registerType: 'prompt',
+      injectRegister: false,
+      includeAssets: ['favicon.ico', 'apple-touch-icon.png'],
+      manifest: {
+        name: 'ReadTrail',
+        short_name: 'ReadTrail',
+        description: 'Track the books you read',
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        background_color: '#f9fafb',
+        theme_color: '#111827',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+        ]
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,ico,png,svg,woff2}'],
+        // Serve the app shell for client-side routes, but never for the API
+        navigateFallback: 'index.html',
+        navigateFallbackDenylist: [/^\/api\//],
+        cleanupOutdatedCaches: true,
+        runtimeCaching: [
+          {
+            urlPattern: ({ url }) => url.pathname.startsWith('/api/files/'),
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'readtrail-covers',
+              expiration: {
+                maxEntries: COVER_CACHE_MAX_ENTRIES,
+                maxAgeSeconds: COVER_CACHE_MAX_AGE
+              },
+              cacheableResponse: { statuses: [200] }
+            }
+          },
+          {
+            urlPattern: ({ url }) => url.origin === 'https://covers.openlibrary.org',
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'openlibrary-covers',
+              expiration: {
+                maxEntries: COVER_CACHE_MAX_ENTRIES,
+                maxAgeSeconds: COVER_CACHE_MAX_AGE
+              },
+              // Covers load without CORS, so responses are opaque (status 0)
+              cacheableResponse: { statuses: [0, 200] }
+            }
+          }
+        ]
+      }
+    }),
   ],
   resolve: {
     alias: {